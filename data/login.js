@@ -15,6 +15,8 @@ jQuery(function($){
     const jidPattern = /^[a-z0-9._-]+@([a-z0-9.-]+\.[a-z]{2,4})$/i;
     const ipPattern = /^(([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])$/;
     const hostPattern = /^(([a-z0-9]|[a-z0-9][a-z0-9\-]*[a-z0-9])\.)*([a-z0-9]|[a-z0-9][a-z0-9\-]*[a-z0-9])$/i;
+    const urlPatterns = { websocket: /^wss?:\/\/[^\s\/]+/i, bosh: /^https?:\/\/[^\s\/]+/i };
+    const defaultPorts = { tcp: '5222', websocket: '5280', bosh: '5280' };
 
     var params = window.dialogArguments ? (window.dialogArguments[0] || {}) : ((window.arguments || {})[0] || {});
     var login = window.dialogArguments ? (window.dialogArguments[1] || {}) : ((window.arguments || {})[1] || {});
@@ -40,6 +42,12 @@ jQuery(function($){
     });
     $store.prop('checked', params.store || false);
 
+    if (params.default.anonymous) {
+        $('#guest-server').val(params.default.jid || '');
+        $('#xmpp-jid, #xmpp-password').val('');
+        $('#accordion').accordion('option', 'active', 1);
+    }
+
     if (params.google) {
         $('#google-email').val(params.google.username || '');
         $('#google-password').val(params.google.password || '');
@@ -49,34 +57,233 @@ jQuery(function($){
         $('#facebook-password').val(params.facebook.password || '');
     }
 
-    $xmppForm.submit(function(event) {
-        event.preventDefault();
-
-        if (!jidPattern.test(this.jid.value)) {
+    /**
+     * Validates the general login form and returns its connection details.
+     *
+     * @returns {object|null}  Null if any of the values is invalid.
+     */
+    function readLogin(form) {
+        if (!jidPattern.test(form.jid.value)) {
             alert('The JID you entered is not correctly formatted.');
-            return;
+            return null;
         }
-        if (!hostPattern.test(this.hostname.value) && !ipPattern.test(this.hostname.value)) {
+        if (form.hostname.value && !hostPattern.test(form.hostname.value) && !ipPattern.test(form.hostname.value)) {
             alert('The host name or IP address you entered is not correctly formatted.');
-            return;
+            return null;
         }
-        var port = parseInt(this.port.value);
+        var port = parseInt(form.port.value);
         if (port < 64 || port > 49151) {
             alert('The port number you entered is invalid.');
-            return;
+            return null;
         }
+        var transport = form.transport.value;
+        if ((transport !== 'tcp') && form.url.value && !urlPatterns[transport].test(form.url.value)) {
+            alert('The service URL you entered is not valid for the selected transport.');
+            return null;
+        }
+        return {
+            jid: form.jid.value,
+            password: form.password.value,
+            hostname: form.hostname.value || null, //discover via DNS SRV or XEP-0156
+            port: form.port.value,
+            security: form.security.options[form.security.selectedIndex].value,
+            transport: transport,
+            url: (transport !== 'tcp') && form.url.value || null
+        };
+    }
 
-        login.jid = this.jid.value;
-        login.password = this.password.value;
-        login.hostname = this.hostname.value;
-        login.port = this.port.value;
-        login.security = this.security.options[this.security.selectedIndex].value;
+    $xmppForm.submit(function(event) {
+        event.preventDefault();
+
+        var details = readLogin(this);
+        if (!details) { return; }
+        for (let key in details) {
+            login[key] = details[key];
+        }
+        login.anonymous = false;
         params.store = !!this.store.checked;
         params.submit = true;
 
         window.close();
     });
 
+    $('#guest form').submit(function(event) {
+        event.preventDefault();
+
+        var server = this.server.value.trim();
+        if (!hostPattern.test(server)) {
+            alert('The server name you entered is not correctly formatted.');
+            return;
+        }
+
+        login.jid = server;
+        login.password = '';
+        login.hostname = null; //discover via DNS SRV
+        login.port = defaultPorts.tcp;
+        login.security = 'starttls';
+        login.transport = 'tcp';
+        login.url = null;
+        login.anonymous = true;
+        params.store = false;
+        params.submit = true;
+
+        window.close();
+    });
+
+    //In-band registration (XEP-0077), the actual exchange with the server happens in lib/login.js
+
+    const $registration = $('#registration');
+    const $registrationForm = $('#registration form');
+    const $registrationFields = $('#registration-fields');
+    const $registrationStatus = $('#registration-status');
+    const $registrationSubmit = $('#registration-submit');
+    var registration = null;
+    var registrationDetails = null;
+    var registrationValues = null;
+
+    function setRegistrationStatus(text, isError) {
+        $registrationStatus.text(text || '').toggleClass('error', !!isError);
+    }
+
+    function closeRegistration() {
+        if (registration) {
+            registration.cancel();
+            registration = null;
+        }
+        $registration.hide();
+        $('#prologue, #accordion').show();
+    }
+
+    function renderRegistrationForm(form) {
+        var username = registrationDetails.jid.replace(/@.*$/, '');
+        $('#registration-title').text(form.title || 'Create Account on ' + registrationDetails.jid.replace(/^.*@/, ''));
+        $('#registration-instructions').text(form.instructions || '');
+        $registrationFields.empty();
+
+        for each (let field in form.fields) {
+            if (field.type === 'hidden') { continue; }
+            if (field.type === 'fixed') {
+                $('<div class="description"></div>').text(field.value).appendTo($registrationFields);
+                continue;
+            }
+            let id = 'registration-field-' + $registrationFields.children('label').length;
+            let $input;
+            switch (field.type) {
+                case 'boolean' :
+                    $input = $('<input type="checkbox" class="inline" />').prop('checked', /^(1|true)$/.test(field.value));
+                break;
+                case 'list-single' :
+                case 'list-multi' :
+                    $input = $('<select></select>').prop('multiple', field.type === 'list-multi');
+                    for each (let option in field.options) {
+                        $('<option></option>').val(option.value).text(option.label).appendTo($input);
+                    }
+                    $input.val((field.type === 'list-multi') ? field.value.split('\n') : field.value);
+                break;
+                case 'text-multi' :
+                case 'jid-multi' :
+                    $input = $('<textarea rows="3"></textarea>').val(field.value);
+                break;
+                default :
+                    $input = $('<input />').attr('type', (field.type === 'text-private') ? 'password' : 'text').val(field.value);
+                    //suggest what has been entered in the login form
+                    if (!field.value && (field.name === 'username')) {
+                        $input.val(username);
+                    }
+                    if (!field.value && (field.name === 'password')) {
+                        $input.val(registrationDetails.password);
+                    }
+            }
+            $input.attr('id', id).attr('data-name', field.name).prop('required', field.required && (field.type !== 'boolean'));
+            $('<label></label>').attr('for', id).text(field.label + (field.required ? ' *' : '')).appendTo($registrationFields);
+            $input.appendTo($registrationFields);
+            if (field.description) {
+                $('<div class="description"></div>').text(field.description).appendTo($registrationFields);
+            }
+        }
+
+        if (form.url && !$registrationFields.children('label').length) {
+            $('<div class="description"></div>')
+                .text('This server only allows creating accounts on its website: ')
+                .append($('<a target="_blank"></a>').attr('href', form.url).text(form.url))
+                .appendTo($registrationFields);
+            $registrationSubmit.prop('disabled', true);
+        } else {
+            $registrationSubmit.prop('disabled', false);
+        }
+        setRegistrationStatus('');
+        $registrationFields.find('input, select, textarea').first().focus();
+    }
+
+    $('#xmpp-register').click(function(event) {
+        event.preventDefault();
+        var details = readLogin($xmppForm[0]);
+        if (!details) { return; }
+
+        registrationDetails = details;
+        $('#prologue, #accordion').hide();
+        $registration.show();
+        $('#registration-title').text('Create Account on ' + details.jid.replace(/^.*@/, ''));
+        $('#registration-instructions').text('');
+        $registrationFields.empty();
+        $registrationSubmit.prop('disabled', true);
+        setRegistrationStatus('Contacting server...');
+
+        registration = params.register(details, {
+            onForm: renderRegistrationForm,
+            onSuccess: function onSuccess() {
+                registration = null;
+                var values = registrationValues;
+                if (values.username) {
+                    $('#xmpp-jid').val(values.username + '@' + registrationDetails.jid.replace(/^.*@/, ''));
+                }
+                if (values.password) {
+                    $('#xmpp-password').val(values.password);
+                }
+                closeRegistration();
+                $xmppForm.submit(); //log in with the new account
+            },
+            onError: function onError(message, fatal) {
+                if (fatal) {
+                    registration = null;
+                    $registrationSubmit.prop('disabled', true);
+                } else {
+                    $registrationSubmit.prop('disabled', false);
+                }
+                setRegistrationStatus(message, true);
+            }
+        });
+    });
+
+    $registrationForm.submit(function(event) {
+        event.preventDefault();
+        if (!registration) { return; }
+
+        var values = {};
+        $registrationFields.find('[data-name]').each(function() {
+            var name = this.getAttribute('data-name');
+            if (this.type === 'checkbox') {
+                values[name] = this.checked ? '1' : '0';
+            } else if (this.multiple) {
+                values[name] = ($(this).val() || []).join('\n');
+            } else {
+                values[name] = this.value;
+            }
+        });
+        registrationValues = values;
+        $registrationSubmit.prop('disabled', true);
+        setRegistrationStatus('Creating account...');
+        registration.submit(values);
+    });
+
+    $('#registration-cancel').click(closeRegistration);
+
+    $(window).on('unload', function() {
+        if (registration) {
+            registration.cancel();
+        }
+    });
+
     $('#google form').submit(function(event) {
         event.preventDefault();
         $('#xmpp-jid').val(this.email.value);
@@ -84,6 +291,7 @@ jQuery(function($){
         $('#xmpp-hostname').val('talk.google.com');
         $('#xmpp-port').val('5222');
         $('#xmpp-security').val('starttls_required');
+        $('#xmpp-transport').val('tcp').change();
         $xmppForm.submit();
     });
 
@@ -94,18 +302,29 @@ jQuery(function($){
         $('#xmpp-hostname').val('chat.facebook.com');
         $('#xmpp-port').val('5222');
         $('#xmpp-security').val('starttls_required');
+        $('#xmpp-transport').val('tcp').change();
         $xmppForm.submit();
     });
 
-    $('#xmpp-jid').focus().change(function() {
-        var match = this.value.match(jidPattern);
-        if (match && match[1]) {
-            let $hostname = $('#xmpp-hostname');
-            if (!$hostname.val()) {
-                $hostname.val(match[1]);
+    //WebSocket and BOSH can only be encrypted from the start, not through STARTTLS
+    $('#xmpp-transport').change(function() {
+        var isTcp = (this.value === 'tcp');
+        var $security = $('#xmpp-security');
+        $('#xmpp-url-row').toggle(!isTcp);
+        $security.find('option[value^="starttls"]').prop('disabled', !isTcp);
+        if (!isTcp && ($security.val().indexOf('starttls') === 0)) {
+            $security.val('ssl');
+        }
+        var $port = $('#xmpp-port');
+        for each (let port in defaultPorts) {
+            if ($port.val() === port) {
+                $port.val(defaultPorts[this.value]);
+                break;
             }
         }
-    });
+    }).change();
+
+    $('#xmpp-jid').focus();
 
     $store.click(function() {
         $store.prop('checked', this.checked);
@@ -178,6 +178,7 @@ function ChatBox($container) {
         var viewport_bottom = viewport_top + viewport.offsetHeight;
         var lastAbove = null;
         var firstBelow = null;
+        var seenIds = [];
 
         $('li.unseen', $history).each(function() {
             var top = viewportOffsetTop(this);
@@ -192,6 +193,9 @@ function ChatBox($container) {
                 }
                 $this.removeClass('unseen');
                 $this.trigger('seen');
+                if ($this.hasClass('message')) {
+                    seenIds.push(this.id);
+                }
             }
             else {
                 if (top < viewport_top) {
@@ -219,6 +223,9 @@ function ChatBox($container) {
             $unseenBelow.hide();
         }
 
+        if (seenIds.length) {
+            $this.trigger('messagesSeen', [seenIds]);
+        }
     }
     function markSeenItems() {
         if (!_markSeenItemsTimeout) {
@@ -384,11 +391,124 @@ function ChatBox($container) {
                 '<span class="time" title="' + longDate + '">' + shortDate + '</span>' +
             '</div>'
         );
+        if ($message.hasClass('pending')) {
+            $message.attr('title', 'Not yet sent (offline)');
+        }
 
         historyInsert($message, msg, contact.isSelf);
         return $message;
     };
 
+    /**
+     * Removes the "pending" state of a message once it has been sent from the offline outbox.
+     *
+     * @param {string} id
+     */
+    this.setMessageSent = function setMessageSent(id) {
+        $(document.getElementById(id)).removeClass('pending').removeAttr('title');
+    };
+
+    /**
+     * Shows the latest revision of an edited message.
+     * Earlier revisions can be viewed by clicking the "(edited)" label.
+     *
+     * @param {string} id
+     * @param {object[]} revisions  As { text, timestamp }, beginning with the original.
+     */
+    this.setMessageRevisions = function setMessageRevisions(id, revisions) {
+        var $message = $(document.getElementById(id));
+        if (!$message.length || (revisions.length < 2)) { return; }
+
+        $message.data('revisions', revisions);
+        $message.children('.message-body').html(linkify(revisions[revisions.length-1].text));
+        $message.children('.message-revisions').remove();
+        if (!$message.children('.message-edited').length) {
+            $('<span class="message-edited" title="Show earlier versions">(edited)</span>')
+                .insertAfter($message.children('.message-body'));
+        }
+    };
+
+    function toggleRevisions($message) {
+        var $revisions = $message.children('.message-revisions');
+        if ($revisions.length) {
+            $revisions.remove();
+            return;
+        }
+        $revisions = $('<div class="message-revisions"></div>').insertAfter($message.children('.message-edited'));
+        var revisions = $message.data('revisions');
+        for (let i = 0; i < revisions.length - 1; i++) {
+            let date = new Date(revisions[i].timestamp - timeOffset);
+            $('<div class="message-revision"></div>')
+                .append($('<span class="time"></span>').text(date.toLocaleFormat('%H:%M')).attr('title', date.toLocaleString()))
+                .append($('<span class="message-revision-body"></span>').html(linkify(revisions[i].text)))
+                .appendTo($revisions);
+        }
+    }
+
+    $history.on('click', '.message-edited', function(event) {
+        event.stopPropagation();
+        toggleRevisions($(this).parent());
+    });
+
+    function addMarkerDot(message, contact, displayed) {
+        var jidClass = jidToClass(contact.jid);
+        if (message.classList.contains(jidClass)) { return; } //own message
+
+        var $message = $(message);
+        var $markers = $message.children('.message-markers');
+        if (!$markers.length) {
+            $markers = $('<div class="message-markers"></div>').insertAfter($message.children('.message-body'));
+        }
+        var $dot = $markers.children('.' + jidClass);
+        if (!$dot.length) {
+            $dot = $('<span class="message-marker contact-color"></span>').addClass(jidClass).appendTo($markers);
+        }
+        if (displayed) {
+            $dot.addClass('displayed');
+        }
+        $dot.attr('title', ($dot.hasClass('displayed') ? 'Seen by ' : 'Received by ') + contact.name);
+    }
+
+    /**
+     * Shows which participants have received or seen a message.
+     *
+     * @param {string} id
+     * @param {object} markers  Contacts as { received: [], displayed: [] }.
+     */
+    this.addMessageMarkers = function addMessageMarkers(id, markers) {
+        var message = document.getElementById(id);
+        if (!message) { return; }
+        for each (let contact in markers.received) {
+            addMarkerDot(message, contact, false);
+        }
+        for each (let contact in markers.displayed) {
+            addMarkerDot(message, contact, true);
+        }
+    };
+
+    /**
+     * Adds a single receipt or read marker.
+     * A read marker also applies to all earlier messages.
+     *
+     * @param {string} id
+     * @param {object} contact
+     * @param {string} marker  "received" or "displayed"
+     */
+    this.setMessageMarker = function setMessageMarker(id, contact, marker) {
+        var message = document.getElementById(id);
+        if (!message) { return; }
+        if (marker !== 'displayed') {
+            addMarkerDot(message, contact, false);
+            return;
+        }
+        var timestamp = Number(message.dataset.timestamp);
+        $('li.message', $history).each(function() {
+            if (Number(this.dataset.timestamp) <= timestamp) {
+                addMarkerDot(this, contact, true);
+            }
+        });
+    };
+
     this.postStatus = function postStatus(text, contact) {
         return this.postMessage({ id: randomID(), body: { $text: text } }, contact, 'status');
     };
@@ -53,6 +53,9 @@ jQuery(function($) {
 
         args.postType = 'message';
         args.extraClasses = [];
+        if (args.message.$pending) {
+            args.extraClasses.push('pending');
+        }
 
         globalEvents.trigger('chatMessageReceived', [args]);
         if (args.handled) { return; }
@@ -149,6 +152,12 @@ jQuery(function($) {
 
         args.$message = chat.postMessage(msg, args.sender, args.postType, args.extraClasses);
         if (!args.$message) { return; }
+        if (args.markers) {
+            chat.addMessageMarkers(msg.id, args.markers);
+        }
+        if (args.revisions) {
+            chat.setMessageRevisions(msg.id, args.revisions);
+        }
         globalEvents.trigger('chatMessagePost', [args]);
 
         if (args.postType === 'message') {
@@ -157,6 +166,13 @@ jQuery(function($) {
     });
 
     self.port.on('addTimeOffset', chat.addTimeOffset);
+    self.port.on('messageSent', chat.setMessageSent);
+    self.port.on('messageMarker', chat.setMessageMarker);
+    self.port.on('messageRevisions', chat.setMessageRevisions);
+
+    $(chat).on('messagesSeen', function(event, ids) {
+        self.port.emit('messagesSeen', ids);
+    });
 
     self.port.on('rosterUpdate', function(args) {
         var contact = args.contact;
@@ -257,6 +273,33 @@ jQuery(function($) {
         });
     }
 
+    var editInput = null;
+    function chatMessageEdit(id, text) {
+        var $message = $('#' + id + '.message', chat.$history);
+        if (!$message.length) { return; }
+
+        if (editInput) {
+            editInput.destroy();
+        }
+        editInput = new ChatInput($message, true);
+        editInput.$input.val(text).focus();
+
+        $(editInput)
+        .on('submit', function(event, message) {
+            self.port.emit('messageCorrection', id, message.body.$text);
+            editInput.destroy();
+        })
+        .on('cancel', function() {
+            editInput.destroy();
+        });
+
+        chat.disableAutoScroll();
+        $(editInput).on('beforeDestroy', function() {
+            chat.enableAutoScroll();
+            editInput = null;
+        });
+    }
+
     var _currentMessageSelect = null;
     function chatMessageSelect(id) {
         if (id !== _currentMessageSelect) {
@@ -286,6 +329,7 @@ jQuery(function($) {
     $(chat.input).on('submit', chatMessageSend);
     $(chat.input).on('state', chatStateSend);
     self.port.on('messageReplyTo', chatMessageReply);
+    self.port.on('messageEdit', chatMessageEdit);
     self.port.on('messageScrollTo', chatMessageScrollTo);
     globalEvents.on('messageScrollTo', function(event, id, select) {
         chatMessageScrollTo(id, select);
@@ -20,7 +20,15 @@ jQuery(function($) {
         var jid = item.jid.bare;
         var presence = item.presence.$primary;
 
-        if (presence.c.node === NODE_COOPFOX) {
+        var isCoopFox = presence.$features ?
+            (presence.$features.indexOf(NS_COOPFOX) !== -1) :
+            (presence.c.node === NODE_COOPFOX); //capabilities not discovered yet
+
+        if (args.guest) {
+            $item.addClass('guest').attr('title', 'Guest with a temporary account');
+        }
+
+        if (isCoopFox) {
             $item.addClass('coopfox');
 
             switch (args.reason) {
@@ -38,6 +46,14 @@ jQuery(function($) {
                 $item.addClass('participant-' + participantStatus[jid]);
             }
 
+            if (args.unsupportedFeatures && args.unsupportedFeatures.length) {
+                $item.addClass('protocol-outdated');
+                $('<div class="protocol-warning"></div>')
+                    .attr('title', 'This contact\'s CoopFox version does not support ' +
+                        args.unsupportedFeatures.join(', ') + ' used in this session.')
+                    .prependTo($item);
+            }
+
             $item.dblclick(function(event) {
                 event.preventDefault();
                 if (this.classList.contains('coopfox') && !this.classList.contains('participant-active')) {
@@ -0,0 +1,240 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+jQuery(function($) {
+
+    const MAX_ENTRIES = 500;
+    const INDENT = '  ';
+
+    const { $tabContent, $tabSelector } = createTab('console', 'XMPP Console');
+
+    const $filters = $('<form class="console-filters"></form>').appendTo($tabContent);
+    const $direction = $('<select class="console-direction-filter">' +
+        '<option value="">In &amp; Out</option>' +
+        '<option value="in">Incoming</option>' +
+        '<option value="out">Outgoing</option>' +
+    '</select>').appendTo($filters);
+    const $kind = $('<select class="console-kind-filter">' +
+        '<option value="">All Elements</option>' +
+        '<option value="message">Messages</option>' +
+        '<option value="presence">Presences</option>' +
+        '<option value="iq">IQs</option>' +
+        '<option value="stream">Stream Management</option>' +
+    '</select>').appendTo($filters);
+    const $thread = $('<select class="console-thread-filter"><option value="">All Threads</option></select>').appendTo($filters);
+    const $namespace = $('<input type="search" class="console-namespace-filter" placeholder="Filter by namespace...">').appendTo($filters);
+    const $controls = $('<div class="console-controls"></div>').appendTo($filters);
+    const $pause = $('<label><input type="checkbox"> Pause</label>').appendTo($controls).children('input');
+    const $clear = $('<button type="button">Clear</button>').appendTo($controls);
+
+    const $wrapper = $('<div class="console-entries-wrapper"></div>').appendTo($tabContent);
+    const $list = $('<ul class="console-entries"></ul>').appendTo($wrapper);
+
+    const $form = $('<form class="console-send"></form>').appendTo($tabContent);
+    const $input = $('<textarea class="console-input" rows="4" placeholder="&lt;message to=&quot;...&quot; type=&quot;chat&quot;&gt;&lt;body&gt;...&lt;/body&gt;&lt;/message&gt;"></textarea>').appendTo($form);
+    const $status = $('<span class="console-status"></span>').appendTo($form);
+    $('<button type="submit">Send</button>').appendTo($form);
+
+    var entries = []; //{ entry, $item }
+    var pending = []; //received while paused
+    var threads = {};
+
+    function escapeXml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Serializes an element with one child per line.
+     * Elements which only contain text are kept on a single line.
+     */
+    function formatElement(element, indent) {
+        var line = indent + '<' + element.nodeName;
+        for (let i = 0; i < element.attributes.length; i++) {
+            let attr = element.attributes[i];
+            line += ' ' + attr.name + '="' + escapeXml(attr.value) + '"';
+        }
+        var children = [];
+        for (let child = element.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                children.push(child);
+            } else if ((child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) && child.nodeValue.trim()) {
+                children.push(child);
+            }
+        }
+        if (!children.length) {
+            return line + '/>';
+        }
+        if ((children.length === 1) && (children[0].nodeType !== Node.ELEMENT_NODE)) {
+            return line + '>' + escapeXml(children[0].nodeValue) + '</' + element.nodeName + '>';
+        }
+        line += '>';
+        for each (let child in children) {
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                line += '\n' + formatElement(child, indent + INDENT);
+            } else {
+                line += '\n' + indent + INDENT + escapeXml(child.nodeValue.trim());
+            }
+        }
+        return line + '\n' + indent + '</' + element.nodeName + '>';
+    }
+
+    function formatXml(xml) {
+        var doc = new DOMParser().parseFromString(xml, 'text/xml');
+        if (!doc.documentElement || (doc.documentElement.localName === 'parsererror')) {
+            return xml;
+        }
+        return formatElement(doc.documentElement, '');
+    }
+
+    function entryKind(entry) {
+        return (['message', 'presence', 'iq'].indexOf(entry.kind) !== -1) ? entry.kind : 'stream';
+    }
+
+    function matchesFilters(entry) {
+        if ($direction.val() && (entry.direction !== $direction.val())) {
+            return false;
+        }
+        if ($kind.val() && (entryKind(entry) !== $kind.val())) {
+            return false;
+        }
+        if ($thread.val() && (entry.thread !== $thread.val())) {
+            return false;
+        }
+        var namespace = $namespace.val().trim().toLowerCase();
+        if (namespace && !entry.namespaces.some(function(ns) {
+            return (ns.toLowerCase().indexOf(namespace) !== -1);
+        })) {
+            return false;
+        }
+        return true;
+    }
+
+    function applyFilters() {
+        for each (let item in entries) {
+            item.$item.toggle(matchesFilters(item.entry));
+        }
+    }
+
+    function isScrolledDown() {
+        var wrapper = $wrapper[0];
+        return (wrapper.scrollTop + wrapper.clientHeight >= wrapper.scrollHeight - 5);
+    }
+
+    function addThread(thread) {
+        if (!thread || threads[thread]) { return; }
+        threads[thread] = true;
+        $('<option></option>').val(thread).text(thread).appendTo($thread);
+    }
+
+    function summarize(entry) {
+        var parts = [entry.kind];
+        if (entry.type) {
+            parts.push(entry.type);
+        }
+        if (entry.direction === 'in' && entry.from) {
+            parts.push('from ' + entry.from);
+        } else if (entry.direction === 'out' && entry.to) {
+            parts.push('to ' + entry.to);
+        }
+        return parts.join(' ');
+    }
+
+    function showEntry(entry) {
+        var scrolled = isScrolledDown();
+        var date = new Date(entry.time);
+        var $item = $('<li class="console-entry"></li>')
+            .addClass('console-' + entry.direction)
+            .addClass('console-kind-' + entryKind(entry));
+
+        $('<div class="meta"></div>')
+            .append($('<span class="time"></span>').text(date.toLocaleFormat('%H:%M:%S')).attr('title', date.toLocaleString()))
+            .appendTo($item);
+        $('<span class="console-arrow"></span>').text((entry.direction === 'in') ? '←' : '→').appendTo($item);
+        $('<span class="console-summary"></span>').text(summarize(entry)).attr('title', entry.namespaces.join('\n')).appendTo($item);
+        $('<pre class="console-xml"></pre>').text(formatXml(entry.xml)).appendTo($item);
+
+        addThread(entry.thread);
+        $item.toggle(matchesFilters(entry)).appendTo($list);
+        entries.push({ entry: entry, $item: $item });
+        while (entries.length > MAX_ENTRIES) {
+            entries.shift().$item.remove();
+        }
+        if (scrolled) {
+            $wrapper.scrollTop($wrapper[0].scrollHeight);
+        }
+    }
+
+    function onTraffic(entry) {
+        if ($pause.prop('checked')) {
+            pending.push(entry);
+            if (pending.length > MAX_ENTRIES) {
+                pending.shift();
+            }
+            return;
+        }
+        showEntry(entry);
+    }
+
+    $direction.on('change', applyFilters);
+    $kind.on('change', applyFilters);
+    $thread.on('change', applyFilters);
+    $namespace.on('input', applyFilters);
+    $filters.on('submit', function(event) {
+        event.preventDefault();
+    });
+
+    $pause.on('change', function() {
+        if (!this.checked) {
+            while (pending.length) {
+                showEntry(pending.shift());
+            }
+        }
+    });
+
+    $clear.on('click', function() {
+        entries = [];
+        pending = [];
+        $list.empty();
+    });
+
+    $list.on('click', '.console-summary', function() {
+        $(this).siblings('.console-xml').toggle();
+    });
+
+    function send() {
+        var xml = $input.val().trim();
+        if (!xml) { return; }
+        $status.removeClass('console-error').text('Sending...');
+        self.port.emit('consoleSend', xml);
+    }
+
+    $form.on('submit', function(event) {
+        event.preventDefault();
+        send();
+    });
+    $input.on('keydown', function(event) {
+        if ((event.keyCode === 13) && event.ctrlKey) {
+            event.preventDefault();
+            send();
+        }
+    });
+
+    self.port.on('consoleTraffic', onTraffic);
+    self.port.on('consoleSent', function() {
+        $status.removeClass('console-error').text('');
+    });
+    self.port.on('consoleError', function(message) {
+        $status.addClass('console-error').text(message);
+    });
+
+});
@@ -0,0 +1,72 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+jQuery(function($) {
+
+    var encryptionEnabled = false;
+    var keyInfos = {};
+
+    function updateItem(jid, $item) {
+        if (!$item || !$item.hasClass('coopfox')) { return; }
+        if (!$item.hasClass('participant-active') && !keyInfos[jid]) { return; }
+        var $key = $item.children('.encryption-key');
+        if (!$key.length) {
+            $key = $('<div class="encryption-key"></div>').prependTo($item);
+            $key.click(function(event) {
+                event.preventDefault();
+                event.stopPropagation();
+                if (keyInfos[jid]) {
+                    self.port.emit('verifyContactKey', jid);
+                }
+            });
+        }
+        $key.removeClass('key-unknown key-unverified key-verified key-changed');
+        $item.toggleClass('encryption-unverified', encryptionEnabled && !(keyInfos[jid] && keyInfos[jid].verified));
+
+        var info = keyInfos[jid];
+        if (!info) {
+            $key.addClass('key-unknown');
+            $key.attr('title', 'No encryption key received yet' +
+                (encryptionEnabled ? ' (this contact cannot read encrypted messages)' : ''));
+        }
+        else if (info.presentedFingerprint) {
+            $key.addClass('key-changed');
+            $key.attr('title', 'Encryption key has CHANGED\n' + info.presentedFingerprint + '\nClick to accept or reject...');
+        }
+        else if (info.verified) {
+            $key.addClass('key-verified');
+            $key.attr('title', 'Verified encryption key\n' + info.fingerprint);
+        }
+        else {
+            $key.addClass(info.changed ? 'key-changed' : 'key-unverified');
+            $key.attr('title',
+                (info.changed ? 'Encryption key has CHANGED and is unverified' : 'Unverified encryption key') +
+                '\n' + info.fingerprint + '\nClick to verify...'
+            );
+        }
+    }
+
+    self.port.on('encryptionEnabled', function(enabled) {
+        encryptionEnabled = enabled;
+        $.each(rosterItems, updateItem);
+    });
+
+    self.port.on('contactKeyInfo', function(jid, info) {
+        keyInfos[jid] = info;
+        updateItem(jid, rosterItems[jid]);
+    });
+
+    globalEvents.on('rosterItemRender', function(event, args) {
+        updateItem(args.contact.jid.bare, args.$item);
+    });
+
+});
@@ -14,6 +14,42 @@ jQuery(function($) {
 
     var selfLocation = {};
     var histories = {};
+    var followStatus = { following: null, paused: false, leading: false, leaders: [] };
+
+    const $followStatus = $('<div id="follow-status"></div>').hide().insertBefore('#roster');
+    const $privacyStatus = $('<div id="location-privacy"></div>').hide().insertBefore($followStatus);
+
+    const PRIVACY_TEXTS = {
+        domain: 'Only the domain of this page is shown to your partners',
+        deny: 'This page is withheld from your partners'
+    };
+
+    function updateFollowIndicator(jid, $item) {
+        var followed = (followStatus.following === jid);
+        $item.toggleClass('followed', followed);
+        $item.toggleClass('follow-paused', followed && followStatus.paused);
+        $item.toggleClass('leader', followStatus.leaders.indexOf(jid) !== -1);
+    }
+
+    function updateFollowStatus() {
+        $followStatus.removeClass('leading following paused');
+        if (followStatus.leading) {
+            $followStatus.addClass('leading').text('You are leading the navigation').show();
+        }
+        else if (followStatus.following) {
+            $followStatus.addClass('following').toggleClass('paused', followStatus.paused);
+            $followStatus.text('Following ' + followStatus.followingName +
+                (followStatus.paused ? ' (paused)' : ''));
+            $followStatus.attr('title', followStatus.paused ?
+                'Return to the follow tab or choose "Resume Following" to continue' :
+                'Pages are opened in the follow tab, navigate yourself to pause');
+            $followStatus.show();
+        }
+        else {
+            $followStatus.hide();
+        }
+        $.each(rosterItems, updateFollowIndicator);
+    }
 
     function updateItem(jid, $item) {
         var $location = $item.children('.location');
@@ -79,11 +115,28 @@ jQuery(function($) {
 
     });
 
+    self.port.on('locationPrivacy', function(privacy) {
+        if (PRIVACY_TEXTS[privacy]) {
+            $privacyStatus.text(PRIVACY_TEXTS[privacy])
+                .attr('title', 'A location privacy rule applies to this page')
+                .toggleClass('withheld', privacy === 'deny')
+                .show();
+        } else {
+            $privacyStatus.hide();
+        }
+    });
+
+    self.port.on('followStatus', function(status) {
+        followStatus = status;
+        updateFollowStatus();
+    });
+
     globalEvents.on('rosterItemRender', function(event, args) {
         var $item = args.$item;
         if ($item.hasClass('participant-active')) {
             $item.prepend('<div class="location"></div>');
             updateItem(args.contact.jid.bare, $item);
+            updateFollowIndicator(args.contact.jid.bare, $item);
         }
     });
 
@@ -0,0 +1,157 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+jQuery(function($) {
+
+    const { $tabContent, $tabSelector } = createTab('search', 'Search');
+
+    const $form = $('<form class="search-form"></form>').appendTo($tabContent);
+    const $input = $('<input type="search" class="search-input" placeholder="Search CoopChat...">').appendTo($form);
+    const $participant = $('<select class="search-participant"><option value="">All Participants</option></select>').appendTo($form);
+    const $page = $('<select class="search-page"><option value="">All Pages</option></select>').appendTo($form);
+    const $status = $('<div class="search-status"></div>').appendTo($tabContent);
+
+    const $wrapper = $('<div class="search-results-wrapper"></div>').appendTo($tabContent);
+    const $list = $('<ul class="search-results"></ul>').appendTo($wrapper);
+
+    const KIND_LABELS = {
+        chat: 'Message',
+        comment: 'Comment',
+        highlight: 'Highlight',
+        location: 'Page'
+    };
+
+    var queryTimeout = null;
+
+    function sendQuery() {
+        if (queryTimeout) {
+            clearTimeout(queryTimeout);
+            queryTimeout = null;
+        }
+        self.port.emit('searchQuery', {
+            text: $input.val(),
+            participant: $participant.val(),
+            url: $page.val()
+        });
+    }
+
+    function scheduleQuery() {
+        if (queryTimeout) {
+            clearTimeout(queryTimeout);
+        }
+        queryTimeout = setTimeout(sendQuery, 300);
+    }
+
+    /**
+     * Replaces the options of a filter, keeping the selection if it is still available.
+     */
+    function updateFilter($select, items, valueKey, labelKey) {
+        var selected = $select.val();
+        $select.children(':not(:first-child)').remove();
+        for each (let item in items) {
+            $('<option></option>').val(item[valueKey]).text(item[labelKey]).appendTo($select);
+        }
+        $select.val(selected);
+        if ($select.val() !== selected) {
+            $select.val('');
+        }
+    }
+
+    /**
+     * Appends a text to an element, marking all occurrences of the search terms.
+     */
+    function appendMarkedText($target, text, terms) {
+        if (!terms.length) {
+            $target.append(document.createTextNode(text));
+            return;
+        }
+        var pattern = new RegExp('(' + terms.map(function(term) {
+            return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('|') + ')', 'gi');
+        var parts = text.split(pattern);
+        for (let i = 0; i < parts.length; i++) {
+            if (!parts[i]) { continue; }
+            if (i % 2) {
+                $('<mark></mark>').text(parts[i]).appendTo($target);
+            } else {
+                $target.append(document.createTextNode(parts[i]));
+            }
+        }
+    }
+
+    function showResults(data) {
+        updateFilter($participant, data.participants, 'jid', 'name');
+        updateFilter($page, data.pages, 'url', 'title');
+
+        $list.empty();
+        if (!data.terms.length && !$participant.val() && !$page.val()) {
+            $status.text('');
+            return;
+        }
+        if (!data.total) {
+            $status.text('No matches.');
+            return;
+        }
+        $status.text((data.total > data.results.length) ?
+            'Showing ' + data.results.length + ' of ' + data.total + ' matches.' :
+            data.total + ((data.total === 1) ? ' match.' : ' matches.')
+        );
+
+        for each (let result in data.results) {
+            let $item = $('<li class="search-result"></li>').addClass('search-kind-' + result.kind);
+            $item.addClass(jidToClass(result.sender.jid));
+            $item[0].dataset.messageId = result.id;
+
+            let date = new Date(result.timestamp);
+            $('<div class="meta"></div>')
+                .append($('<span class="search-kind"></span>').text(KIND_LABELS[result.kind] || result.kind))
+                .append($('<span class="time"></span>').text(date.toLocaleFormat('%b %d, %H:%M')).attr('title', date.toLocaleString()))
+                .appendTo($item);
+            $('<span class="sender contact-color"></span>').addClass(jidToClass(result.sender.jid)).text(result.sender.name).appendTo($item);
+
+            let $text = $('<span class="search-text"></span>').appendTo($item);
+            appendMarkedText($text, result.text, data.terms);
+
+            if (result.url) {
+                let $pageInfo = $('<div class="search-page-info"></div>').appendTo($item);
+                appendMarkedText($pageInfo, result.title || result.url, data.terms);
+                $pageInfo.attr('title', result.url);
+            }
+            $item.appendTo($list);
+        }
+    }
+
+    $input.on('input', scheduleQuery);
+    $participant.on('change', sendQuery);
+    $page.on('change', sendQuery);
+    $form.on('submit', function(event) {
+        event.preventDefault();
+        sendQuery();
+    });
+
+    $list.on('click', '.search-result', function(event) {
+        if (event.which === 1) {
+            event.stopPropagation();
+            self.port.emit('searchJump', this.dataset.messageId);
+        }
+    });
+
+    $tabs.on('tabsactivate', function(event, ui) {
+        if (ui.newPanel.is($tabContent)) {
+            sendQuery(); //refresh filters and results for new messages
+            $input.focus();
+        }
+    });
+
+    self.port.on('searchResults', showResults);
+
+});
@@ -0,0 +1,77 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+jQuery(function($){
+
+    const ACTION_LABELS = {
+        allow: 'Share page',
+        domain: 'Share domain only',
+        deny: 'Share nothing'
+    };
+
+    var params = window.dialogArguments ? (window.dialogArguments[0] || {}) : ((window.arguments || {})[0] || {});
+    if (params.wrappedJSObject) { params = params.wrappedJSObject; }
+
+    const $rules = $('#rules tbody');
+
+    function addRule(rule) {
+        var $row = $('<tr></tr>').appendTo($rules);
+        var $pattern = $('<input type="text" class="rule-pattern" />').val(rule.pattern || '');
+        var $action = $('<select class="rule-action"></select>');
+        for each (let action in params.actions || Object.keys(ACTION_LABELS)) {
+            $('<option></option>').val(action).text(ACTION_LABELS[action] || action).appendTo($action);
+        }
+        $action.val(rule.action || 'deny');
+        $('<td></td>').append($pattern).appendTo($row);
+        $('<td></td>').append($action).appendTo($row);
+        $('<td><button type="button" class="rule-remove secondary" title="Remove rule">x</button></td>').appendTo($row);
+        return $pattern;
+    }
+
+    for (let i = 0; i < (params.rules || []).length; i++) {
+        addRule(params.rules[i]);
+    }
+
+    $rules.on('click', '.rule-remove', function() {
+        $(this).closest('tr').remove();
+    });
+
+    $('#rule-add').click(function() {
+        addRule({}).focus();
+    });
+
+    $('#rules-cancel').click(function() {
+        window.close();
+    });
+
+    $('#rules-form').submit(function(event) {
+        event.preventDefault();
+
+        var rules = [];
+        $rules.children('tr').each(function() {
+            var pattern = $(this).find('.rule-pattern').val().trim();
+            if (!pattern) { return; }
+            if (/[;\s]/.test(pattern)) {
+                rules = null;
+                alert('Patterns must not contain spaces or semicolons: ' + pattern);
+                return false;
+            }
+            rules.push({ pattern: pattern, action: $(this).find('.rule-action').val() });
+        });
+        if (!rules) { return; }
+
+        params.rules = rules;
+        params.submit = true;
+        window.close();
+    });
+
+});
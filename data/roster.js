@@ -190,4 +190,55 @@ jQuery(function($) {
         sortRosterItems();
     });
 
+
+    const $connectionStatus = $('#connection-status');
+    var countdownInterval = null;
+
+    /**
+     * Shows the state of the XMPP connection as long as it is not established,
+     * including a countdown to the next automatic reconnect.
+     */
+    self.port.on('connectionStatus', function(status) {
+        if (countdownInterval) {
+            clearInterval(countdownInterval);
+            countdownInterval = null;
+        }
+        $connectionStatus.attr('class', 'connection-' + status.state).empty();
+        $connectionStatus.attr('title', status.info ? 'Cause: ' + status.info : '');
+
+        var $text = $('<span class="connection-text"></span>').appendTo($connectionStatus);
+        switch (status.state) {
+            case 'connected':
+                $connectionStatus.hide();
+                return;
+            case 'connecting':
+                $text.text(status.attempt ? 'Reconnecting (attempt ' + status.attempt + ')...' : 'Connecting...');
+            break;
+            case 'resuming':
+                $text.text('Connection lost, resuming...');
+            break;
+            case 'reconnecting':
+                let updateCountdown = function updateCountdown() {
+                    var seconds = Math.max(0, Math.ceil((status.retryAt - Date.now()) / 1000));
+                    $text.text('Connection lost, reconnecting in ' + seconds + 's');
+                };
+                updateCountdown();
+                countdownInterval = setInterval(updateCountdown, 1000);
+            break;
+            case 'offline':
+                $text.text('Offline, waiting for network...');
+            break;
+            default:
+                $text.text('Disconnected');
+        }
+        if ((status.state === 'reconnecting') || (status.state === 'disconnected')) {
+            $('<a class="reconnect-now" href="#">Retry now</a>').appendTo($connectionStatus);
+        }
+        $connectionStatus.show();
+    });
+
+    $connectionStatus.on('click', '.reconnect-now', function() {
+        self.port.emit('reconnectNow');
+    });
+
 });
\ No newline at end of file
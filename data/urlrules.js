@@ -0,0 +1,95 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+jQuery(function($){
+
+    var params = window.dialogArguments ? (window.dialogArguments[0] || {}) : ((window.arguments || {})[0] || {});
+    if (params.wrappedJSObject) { params = params.wrappedJSObject; }
+
+    const $rules = $('#rules tbody');
+    const $url = $('#preview-url');
+
+    function addRule(rule) {
+        var $row = $('<tr></tr>').appendTo($rules);
+        var $pattern = $('<input type="text" class="rule-pattern" />').val(rule.pattern || '');
+        var $replacement = $('<input type="text" class="rule-replacement" />').val(rule.replacement || '');
+        $('<td></td>').append($pattern).appendTo($row);
+        $('<td></td>').append($replacement).appendTo($row);
+        $('<td><button type="button" class="rule-remove secondary" title="Remove rule">x</button></td>').appendTo($row);
+        return $pattern;
+    }
+
+    function collectRules() {
+        var rules = [];
+        $rules.children('tr').each(function() {
+            var $pattern = $(this).find('.rule-pattern');
+            var pattern = $pattern.val().trim();
+            $pattern.removeClass('invalid');
+            if (!pattern) { return; }
+            try {
+                new RegExp(pattern);
+            } catch (e) {
+                $pattern.addClass('invalid');
+            }
+            rules.push({ pattern: pattern, replacement: $(this).find('.rule-replacement').val() });
+        });
+        return rules;
+    }
+
+    function updatePreview() {
+        var rules = collectRules();
+        var url = $url.val().trim();
+        var result = (url && params.preview) ? params.preview(url, rules) : {};
+        $('#preview-shared').text(result.url || '');
+        $('#preview-comparable').text(result.comparable || '');
+        $('#preview-hash').text(result.hash || '');
+        $('#preview-error').text(result.error || '');
+    }
+
+    for (let i = 0; i < (params.rules || []).length; i++) {
+        addRule(params.rules[i]);
+    }
+    $url.val(params.testUrl || '');
+    updatePreview();
+
+    $('#rules-form').on('input', 'input', updatePreview);
+
+    $rules.on('click', '.rule-remove', function() {
+        $(this).closest('tr').remove();
+        updatePreview();
+    });
+
+    $('#rule-add').click(function() {
+        addRule({}).focus();
+    });
+
+    $('#rules-cancel').click(function() {
+        window.close();
+    });
+
+    $('#rules-form').submit(function(event) {
+        event.preventDefault();
+
+        var rules = collectRules();
+        var $invalid = $rules.find('.rule-pattern.invalid');
+        if ($invalid.length) {
+            alert('Not a valid regular expression: ' + $invalid.first().val());
+            $invalid.first().focus();
+            return;
+        }
+
+        params.rules = rules;
+        params.submit = true;
+        window.close();
+    });
+
+});
@@ -381,7 +381,8 @@ exports.openUrl = function openUrl(window, url, newTab) {
     }
     var tabBrowser = window.gBrowser;
 
-    var fragment = url.substr(cleanUrl(url).length + 1);
+    //the fragment removed by cleanUrl, if any
+    var fragment = (url.indexOf('#') !== -1) && (cleanUrl(url).indexOf('#') === -1) ? url.substr(url.indexOf('#') + 1) : '';
 
     if (!newTab) {
         //Test if the requested url is already loaded in a tab.
@@ -71,6 +71,7 @@ const CoopFox = Class({
 
     _initListeners: function _initListeners() {
         this.subscribeTo(this.xmpp, 'syncIdle', this._onComponentReady, true);
+        this.subscribeTo(this.xmpp, 'outboxChange');
         this.subscribeTo(this.sidebar, 'rosterReady', this._onComponentReady, true);
         this.subscribeTo(this.sidebar, 'panelReady', this._onComponentReady, true);
         this.sidebar.subscribeTo(this, 'afterComponentsReady');
@@ -110,11 +111,15 @@ const CoopFox = Class({
         this.subscribeTo(xmpp, 'rosterItemUpdate');
         this.subscribeTo(xmpp, 'beginImportMessages');
         this.subscribeTo(xmpp, 'finishedImportMessages');
+        this.subscribeTo(xmpp, 'connectionStatus');
 
         this.subscribeTo(sidebar.roster.port, 'linkClick', this._onRosterLinkClick);
+        this.subscribeTo(sidebar.roster.port, 'reconnectNow', this._onReconnectNow);
         this.subscribeTo(sidebar.panel.port, 'linkClick', this._onPanelLinkClick);
         this.subscribeTo(sidebar.panel.port, 'tabHighlight', this._panelTabHighlight);
         this.subscribeTo(sidebar, 'close', this.destroy, true);
+
+        this._onConnectionStatus(xmpp.getConnectionStatus());
     },
 
     _onRosterLinkClick: function _onRosterLinkClick(url, newTab) {
@@ -174,6 +179,24 @@ const CoopFox = Class({
         }
     },
 
+    /**
+     * Connection problems are shown in the roster, rather than in dialogs,
+     * since the client usually recovers from them by itself.
+     *
+     * @param {object} status  @see XMPPFailsafeClient.getConnectionStatus()
+     */
+    _onConnectionStatus: function _onConnectionStatus(status) {
+        try {
+            this.sidebar.roster.port.emit('connectionStatus', status);
+        } catch (e) {
+            console.exception(e);
+        }
+    },
+
+    _onReconnectNow: function _onReconnectNow() {
+        this.xmpp.reconnectNow();
+    },
+
     _onBeginImportMessages: function _onBeginImportMessages() {
         try {
             this.sidebar.panel.port.emit('beginBulkUpdate');
@@ -189,6 +212,19 @@ const CoopFox = Class({
         }
     },
 
+    /**
+     * Keeps unsent messages in the session store, so that they survive a browser restart.
+     *
+     * @param {object[]} outbox
+     */
+    _onOutboxChange: function _onOutboxChange(outbox) {
+        if (outbox.length) {
+            this.setSessionValue('outbox', outbox);
+        } else {
+            this.deleteSessionValue('outbox');
+        }
+    },
+
     _panelTabHighlight: function _panelTabHighlight() {
         this.window.getAttention();
     },
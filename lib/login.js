@@ -19,8 +19,9 @@ const { storage } = require('sdk/simple-storage');
 
 const { store, remove } = require('sdk/passwords');
 const { search } = require('sdk/passwords/utils'); //provides synchronous search
-const { parseJid } = require('./xmpp/session');
-const { SECURITY_STARTTLS } = require('./xmpp/tcp');
+const { XMPPSession, parseJid } = require('./xmpp/session');
+const { SECURITY_STARTTLS, addCertificateException } = require('./xmpp/tcp');
+const { TRANSPORT_TCP } = require('./xmpp/connection');
 
 const dialogs = require('./browser/dialogs');
 
@@ -32,51 +33,264 @@ function cloneObject(source) {
     return target;
 }
 
-const noLogin = { jid: null, password: null, hostname: null, port: 5222, security: SECURITY_STARTTLS };
+const REGISTRATION_ERRORS = {
+    'conflict': 'This user name is already taken on the server.',
+    'not-acceptable': 'Some of the required information is missing or invalid.',
+    'bad-request': 'Some of the required information is missing or invalid.',
+    'not-allowed': 'The server does not allow creating accounts from CoopFox.',
+    'forbidden': 'The server does not allow creating accounts from CoopFox.',
+    'service-unavailable': 'Account registration is disabled on this server.',
+    'feature-not-implemented': 'Account registration is disabled on this server.',
+    'resource-constraint': 'The server does not accept new accounts at the moment. Please try again later.'
+};
+
+const noLogin = { jid: null, password: null, hostname: null, port: 5222, security: SECURITY_STARTTLS, transport: TRANSPORT_TCP, url: null, anonymous: false };
 Object.freeze(noLogin);
 
-var login = {
-    jid : staticArgs.jid || null,
-    password: staticArgs.password || null,
-    hostname: staticArgs.hostname || (staticArgs.jid ? parseJid(staticArgs.jid).hostname : null),
-    port: staticArgs.port || 5222,
-    security : staticArgs.security || SECURITY_STARTTLS
+/**
+ * The account which is used for windows without an explicit selection.
+ * It also receives the login given via the command line in dev environments.
+ */
+const DEFAULT_ACCOUNT = exports.DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Returns the user name of the first login stored for a realm, which is the one used before multiple accounts existed.
+ *
+ * @param {string} realm
+ * @returns {string|null}
+ */
+function findStoredUsername(realm) {
+    for each (let sl in search({ url: self.uri })) {
+        if (sl.realm === realm) {
+            return sl.username;
+        }
+    }
+    return null;
+}
+
+//account ID -> { realm, username } of the stored login, or null
+if (!storage['login-accounts']) {
+    let realm = storage['login-current-host'];
+    storage['login-accounts'] = {};
+    storage['login-accounts'][DEFAULT_ACCOUNT] = realm ? { realm: realm, username: findStoredUsername(realm) } : null;
+    delete storage['login-current-host'];
+}
+const savedAccounts = storage['login-accounts'];
+
+var storeOnConfirm = storage['login-store-on-confirm'] || false;
+
+var accounts = {}; //account ID -> { login, stored, confirmed }
+
+/**
+ * Returns the runtime state of an account, creating it on first access.
+ *
+ * @param {string} id
+ * @returns {object}
+ */
+function getAccount(id) {
+    if (!(id in savedAccounts)) {
+        throw new Error('Unknown account: ' + id);
+    }
+    if (accounts[id]) {
+        return accounts[id];
+    }
+    var account = accounts[id] = { login: cloneObject(noLogin), stored: false, confirmed: false };
+    if (id === DEFAULT_ACCOUNT) {
+        account.login = {
+            jid : staticArgs.jid || null,
+            password: staticArgs.password || null,
+            hostname: staticArgs.hostname || null, //discovered from the JID if missing
+            port: staticArgs.port || 5222,
+            security : staticArgs.security || SECURITY_STARTTLS,
+            transport : staticArgs.transport || TRANSPORT_TCP,
+            url : staticArgs.url || null,
+            anonymous : false
+        };
+        account.confirmed = !!(account.login.jid && account.login.password);
+        account.stored = account.confirmed; //never store logins from the command line
+    }
+    return account;
+}
+
+/**
+ * Returns the host name under which a login is stored.
+ * Without an explicit server address, this is the domain part of the JID.
+ *
+ * @param {object} login
+ * @returns {string}
+ */
+function realmHost(login) {
+    return login.hostname || parseJid(login.jid).hostname;
+}
+
+/**
+ * Creates a new account on the server of a login via in-band registration (XEP-0077).
+ * This is offered by the login dialog, which proceeds with the normal login afterwards.
+ *
+ * @param {object} details  Connection details as entered in the dialog (jid, password, hostname, ...).
+ * @param {object} handlers
+ *  - {function} onForm(form)  The fields to fill in, see XMPPSession.submitRegistration().
+ *  - {function} onSuccess()
+ *  - {function} onError(message, fatal)  If not fatal, the form may be submitted again.
+ * @returns {object}  { submit(values), cancel() }
+ */
+function startRegistration(details, handlers) {
+    var session = null;
+    var certificateRetried = false;
+
+    function connect() {
+        var options = cloneObject(details);
+        options.register = true;
+        options.dnsResolverUrl = prefs.dnsResolverUrl;
+        options.onRegistrationForm = handlers.onForm;
+        options.onRegistrationSuccess = function onRegistrationSuccess() {
+            session = null;
+            handlers.onSuccess();
+        };
+        options.onRegistrationError = function onRegistrationError(condition, text, fatal) {
+            if (fatal) {
+                session = null;
+            }
+            var message = REGISTRATION_ERRORS[condition] || 'The server rejected the registration (' + condition + ').';
+            handlers.onError(text ? message + ' ' + text : message, fatal);
+        };
+        options.onSessionError = function onSessionError(info, info2, info3, info4, info5) {
+            session = null;
+            if ((info === 'bad-certificate') && prefs.ignoreBadCerts && !certificateRetried) {
+                //the actual host may have been discovered via DNS SRV
+                addCertificateException(info4 || details.hostname, info5 || details.port, info3, false);
+                certificateRetried = true;
+                connect();
+                return;
+            }
+            if (info === 'bad-certificate') {
+                info = 'invalid server certificate, ' + info2;
+            }
+            handlers.onError('Unable to contact the server' + ((typeof(info) === 'string') ? ' (' + info + ')' : '') + '.', true);
+        };
+        try {
+            session = new XMPPSession(options);
+        } catch (e) {
+            session = null;
+            handlers.onError(e.message, true);
+        }
+    }
+    connect();
+
+    return {
+        submit: function submit(values) {
+            if (session) {
+                session.submitRegistration(values);
+            }
+        },
+        cancel: function cancel() {
+            if (session) {
+                session.destroy();
+                session = null;
+            }
+        }
+    };
+}
+
+/**
+ * Returns the IDs of all configured accounts, beginning with the default account.
+ *
+ * @returns {string[]}
+ */
+exports.getAccounts = function getAccounts() {
+    return [DEFAULT_ACCOUNT].concat(Object.keys(savedAccounts).filter(function(id) {
+        return id !== DEFAULT_ACCOUNT;
+    }));
+};
+
+/**
+ * Returns a display name for an account, which is its JID once known.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+exports.getAccountLabel = function getAccountLabel(id) {
+    var login = getAccount(id).login;
+    if (login.jid && login.anonymous) {
+        return 'Guest at ' + login.jid;
+    }
+    if (login.jid) {
+        return login.jid;
+    }
+    var saved = savedAccounts[id];
+    if (saved && saved.username) {
+        return saved.username;
+    }
+    return (id === DEFAULT_ACCOUNT) ? 'Default Account' : 'New Account';
+};
+
+/**
+ * Adds a new account without login data.
+ * The login dialog is displayed once the account is used for the first time.
+ *
+ * @returns {string}  ID of the new account.
+ */
+exports.createAccount = function createAccount() {
+    var id = 'account-' + Date.now().toString(36);
+    savedAccounts[id] = null;
+    return id;
 };
 
-var stored = false;
-var confirmed = (login.jid && login.password && login.hostname);
-var storeOnConfirm = storage['login-store-on-confirm'] && !confirmed;
-var currentHost = storage['login-current-host'] || null;
+/**
+ * Deletes the login of an account and the account itself.
+ * The default account can only be reset.
+ *
+ * @param {string} id
+ */
+exports.removeAccount = function removeAccount(id) {
+    if (id === DEFAULT_ACCOUNT) {
+        throw new Error('The default account cannot be removed.');
+    }
+    reset(id);
+    delete savedAccounts[id];
+    delete accounts[id];
+};
 
 /**
- * Deletes the current login.
+ * Deletes the login of an account.
+ * Logins of other accounts on the same server are kept.
+ *
+ * @param {string} id
  */
-function reset() {
-    login = cloneObject(noLogin);
-    stored = false;
-    confirmed = false;
-    currentHost = storage['login-current-host'] = null;
-    search({ url: self.uri }).forEach(remove);
+function reset(id) {
+    var saved = savedAccounts[id];
+    if (saved && saved.username) {
+        search({ url: self.uri }).forEach(function(sl) {
+            if ((sl.realm === saved.realm) && (sl.username === saved.username)) {
+                remove(sl);
+            }
+        });
+    }
+    savedAccounts[id] = null;
+    accounts[id] = { login: cloneObject(noLogin), stored: false, confirmed: false };
 }
 exports.reset = reset;
 
 /**
- * Invalidates the current login.
+ * Invalidates the login of an account.
  * The next call to get() will open another promt with data still present.
+ *
+ * @param {string} id
  */
-exports.invalidate = function invalidate() {
-    confirmed = false;
-    storage['login-current-host'] = null;
+exports.invalidate = function invalidate(id) {
+    getAccount(id).confirmed = false;
+    savedAccounts[id] = null;
 };
 
 /**
- * Retrieves the currently set login, even if it is invalid.
+ * Retrieves the currently set login of an account, even if it is invalid.
  * No dialog is displayed to the user
  *
+ * @param {string} id
  * @returns {object}
  */
-exports.getCurrent = function getCurrent() {
-    return login;
+exports.getCurrent = function getCurrent(id) {
+    return getAccount(id).login;
 };
 
 /**
@@ -89,52 +303,62 @@ exports.getNoLogin = function getNoLogin() {
 };
 
 /**
- * Answers whether there currently is a valid login available.
+ * Answers whether there currently is a valid login available for an account.
  *
+ * @param {string} id
  * @returns {boolean}
  */
-exports.has = function has() {
-    return confirmed;
+exports.has = function has(id) {
+    return getAccount(id).confirmed;
 };
 
 /**
- * Either retrieves a stored login (jid, password, hostname, port, security),
+ * Either retrieves the stored login of an account (jid, password, hostname, port, security, transport, url, anonymous),
  * a login specified via the command line in dev environments,
  * or attempts to displays a login dialog to the user.
  *
+ * @param {string} id
  * @returns {object|null}    Login descriptor or null on user abort.
  */
-exports.get = function get() {
+exports.get = function get(id) {
+    var account = getAccount(id);
+    var login = account.login;
 
-    if (confirmed) {
+    if (account.confirmed) {
         return login;
     }
 
+    var saved = savedAccounts[id];
     var storedLogins = search({ url: self.uri });
-    if (storedLogins.length) {
-        if (currentHost) {
-            for each (let sl in storedLogins) {
-                if (sl.realm === currentHost) {
-                    login.jid = sl.username;
-                    login.password = sl.password;
-                    let hostparts = sl.realm.split(':');
-                    login.hostname = hostparts[0];
-                    login.port = (hostparts.length > 1) ? hostparts[1] : 5222;
-                    login.security = storage['login-security-' + login.hostname] || SECURITY_STARTTLS;
-                    confirmed = true;
-                    stored = true;
-                }
+    if (saved) {
+        for each (let sl in storedLogins) {
+            if ((sl.realm === saved.realm) && (!saved.username || (sl.username === saved.username))) {
+                saved.username = sl.username;
+                login.jid = sl.username;
+                login.password = sl.password;
+                let hostparts = sl.realm.split(':');
+                let host = hostparts[0];
+                login.hostname = storage['login-discover-' + host] ? null : host;
+                login.port = (hostparts.length > 1) ? hostparts[1] : 5222;
+                login.security = storage['login-security-' + host] || SECURITY_STARTTLS;
+                login.transport = storage['login-transport-' + host] || TRANSPORT_TCP;
+                login.url = storage['login-url-' + host] || null;
+                login.anonymous = false;
+                account.confirmed = true;
+                account.stored = true;
+                break;
             }
         }
     }
 
-    if (!confirmed) {
+    if (!account.confirmed) {
 
         let params = {
             logins: storedLogins,
             default: login,
             store: storeOnConfirm,
-            submit: false
+            submit: false,
+            register: startRegistration
         };
 
         for each (let login in search()) {
@@ -146,33 +370,44 @@ exports.get = function get() {
             }
         }
 
-        dialogs.modalDialog('CoopFox XMPP Login', 'chrome://coopfox/content/login.html', 520, 380, params, login);
+        let title = (id === DEFAULT_ACCOUNT) ? 'CoopFox XMPP Login' : 'CoopFox XMPP Login (' + exports.getAccountLabel(id) + ')';
+        dialogs.modalDialog(title, 'chrome://coopfox/content/login.html', 520, 460, params, login);
 
         if (!params.submit) { return noLogin; }
         storeOnConfirm = storage['login-store-on-confirm'] = params.store;
+        account.stored = false;
     }
 
     return login;
 };
 
 /**
- * This should be called after a successful login,
+ * This should be called after a successful login of an account,
  * so that correct login details can be stored.
+ * Guest logins are never stored, since their JID is only temporary.
+ *
+ * @param {string} id
  */
-exports.confirm = function confirm() {
-    if (storeOnConfirm && !stored) {
+exports.confirm = function confirm(id) {
+    var account = getAccount(id);
+    var login = account.login;
+    if (storeOnConfirm && !account.stored && !login.anonymous) {
+        let host = realmHost(login);
         try { //ignore duplicate errors
             store({
-                realm: login.hostname + ':' + login.port,
+                realm: host + ':' + login.port,
                 username : login.jid,
                 password : login.password
             });
-            storage['login-security-' + login.hostname] = login.security;
+            storage['login-discover-' + host] = !login.hostname;
+            storage['login-security-' + host] = login.security;
+            storage['login-transport-' + host] = login.transport;
+            storage['login-url-' + host] = login.url;
         }
         finally {
-            stored = true;
-            storage['login-current-host'] = login.hostname + ':' + login.port;
+            account.stored = true;
+            savedAccounts[id] = { realm: host + ':' + login.port, username: login.jid };
         }
     }
-    confirmed = true;
+    account.confirmed = true;
 };
@@ -18,23 +18,36 @@ const simplePrefs = require('sdk/simple-prefs');
 const { prefs } = simplePrefs;
 const { storage } = require('sdk/simple-storage');
 const { setTimeout } = require('sdk/timers');
+const clipboard = require('sdk/clipboard');
 //const _ = require('sdk/l10n').get;
 
 const { CoopFox, NODE_COOPFOX, NS_COOPFOX } = require('./coopfox');
 const { BrowserWindowsMonitor, setWindowValue, getWindowValue, clearWindowValues } = require('./browser/windows');
 const { addCertificateException } = require('./xmpp/tcp');
-const { XMPPThreadHubClient } = require('./xmpp/threads');
-const { XMPPMultiUserThread } = require('./xmpp/multiuser');
+const { XMPPThreadHubClient, NS_XEP0308 } = require('./xmpp/threads');
+const { parseJid } = require('./xmpp/session');
+const { XMPPMultiUserThread, NS_XEP0184, NS_XEP0333 } = require('./xmpp/multiuser');
+const { XMPPMucThread, NS_XEP0249 } = require('./xmpp/muc');
+const { E2EKeyring } = require('./xmpp/e2e');
+const { PROTOCOL_FEATURES } = require('./xmpp/protocol');
 const { ToolbarButton } = require('./browser/toolbar');
 const { MenuItem } = require('./browser/menus');
 const loginManager = require('./login');
+const { DEFAULT_ACCOUNT } = loginManager;
+const { getBlockingManager } = require('./modules/roster/blocking');
 const dialogs = require('./browser/dialogs');
+const { editRules: editLocationRules } = require('./modules/location/privacy');
+const { editRules: editUrlRules } = require('./modules/location/urlrules');
 
 
 //Load basic modules (initialization order is reverse registration order, due to sys event processing)
 var modules = [
     //require('./modules/logger/module'),
+    require('./modules/console/module'),
+    require('./modules/encryption/module'),
+    require('./modules/search/module'),
     require('./modules/results/module'),
+    require('./modules/export/module'),
     require('./modules/notes/module'),
     require('./modules/highlights/module'),
     require('./modules/location/module'),
@@ -44,235 +57,540 @@ var modules = [
     require('./modules/colors/module')
 ];
 
-var xmpp = new XMPPThreadHubClient({
-
-    clientNode : NODE_COOPFOX,
-    preferredContactClientNode: NODE_COOPFOX,
-    identities : [
-        { category : 'client', type : 'web', name : 'CoopFox' }
-    ],
-    features : [
-        'http://jabber.org/protocol/chatstates',
-        NS_COOPFOX
-        //NS_COOPFOX + '+notify'
-    ],
-
-    autoDisconnect: !prefs.alwaysConnected && !staticArgs.alwaysConnected,
-
-    onLoginRequired: function onLoginRequired() {
-        var login = loginManager.get();
-        if (login.jid && login.password && login.hostname) {
-            xmpp.setOptions(login);
-            xmpp.setOptions({ resource: 'coopfox' });
-        } else {
-            browserWindows.triggerCloseAllAsync();
-        }
-    },
+//verified capabilities of other clients, keyed by hash (@see XMPPClient)
+if (!storage.caps) {
+    storage.caps = {};
+}
 
-    onXmppConnectionFailed: function onXmppConnectionFailed(info, info2, info3) {
-        if (info === 'bad-certificate') {
-            let choice = prefs.ignoreBadCerts ? 1 : dialogs.confirmEx(
-                'Encryption Error',
-                'The contacted server is using an invalid encryption certificate (' + info2 + ')',
-                'Ignore Permanently',
-                'Ignore This Time',
-                'Close CoopFox'
-            );
-            if (choice < 2) {
-                let login = loginManager.getCurrent();
-                addCertificateException(login.hostname, login.port, info3, choice === 0);
-                xmpp.connect(null, true);
-            } else {
-                browserWindows.triggerCloseAllAsync();
-            }
-            return;
-        }
-        if (info === 'not-authorized') {
-            info = 'invalid username or password';
-        }
-        let choice = dialogs.confirmEx(
-            'Connection Failed',
-            'CoopFox was unable to connect via XMPP' + ((typeof(info) === 'string') ? ' (' + info + ')' : '') + '.',
-            'Change Username/Password',
-            'Close CoopFox',
-            'Retry'
-        );
-        switch (choice) {
-            case 0:
-                loginManager.invalidate();
-                xmpp.connect();
-            break;
-            case 1:
-                browserWindows.triggerCloseAllAsync();
-            break;
-            case 2:
-                xmpp.connect(null, true);
-            break;
-        }
-    },
+//end-to-end encryption keys of the default account (@see getEncryptionStorage)
+if (!storage.encryption) {
+    storage.encryption = {};
+}
 
-    onXmppConnectionLost: function xmppConnectionLost(info) {
-        if (info === 'conflict') {
-            info = 'login conflict with another CoopFox instance';
-        }
-        var choice = dialogs.confirmEx(
-            'Connection Lost',
-            'CoopFox has lost its XMPP connection' + ((typeof(info) === 'string') ? ' (' + info + ')' : '') + '.',
-            'Reconnect',
-            'Close CoopFox',
-            'Change Username/Password'
-        );
-        switch (choice) {
-            case 0:
-                xmpp.connect(null, true);
-            break;
-            case 1:
-                browserWindows.triggerCloseAllAsync();
-            break;
-            case 2:
-                loginManager.invalidate();
-                xmpp.connect();
-            break;
-        }
-    },
+var clients = {}; //account ID -> XMPPThreadHubClient
 
-    onXmppConnected: function onXmppConnected() {
-        loginManager.confirm();
-        dialogs.popupNotify('XMPP Connected', xmpp.rosterSelf.jid.bare);
-    },
+/**
+ * Returns the hub client of an account, creating it on first use.
+ * Every account has its own connection, roster and private chats.
+ *
+ * @param {string} accountId  @see loginManager.getAccounts()
+ * @returns {XMPPThreadHubClient}
+ */
+function getClient(accountId) {
+    return clients[accountId] || (clients[accountId] = createClient(accountId));
+}
 
-    onXmppDisconnected: function onXmppConnected(info) {
-        dialogs.popupNotify('XMPP Disconnected', info || xmpp.rosterSelf.jid.bare);
-    },
+function createClient(accountId) {
+
+    var xmpp = new XMPPThreadHubClient({
+
+        clientNode : NODE_COOPFOX,
+        preferredContactClientNode: NODE_COOPFOX,
+        identities : [
+            { category : 'client', type : 'web', name : 'CoopFox' }
+        ],
+        features : [
+            'http://jabber.org/protocol/chatstates',
+            NS_XEP0184,
+            NS_XEP0333,
+            NS_XEP0308,
+            NS_XEP0249
+            //NS_COOPFOX + '+notify'
+        ].concat(PROTOCOL_FEATURES),
+        capsCache : storage.caps,
+
+        autoDisconnect: !prefs.alwaysConnected && !staticArgs.alwaysConnected,
+        dnsResolverUrl: prefs.dnsResolverUrl,
+
+        onLoginRequired: function onLoginRequired() {
+            var login = loginManager.get(accountId);
+            if (login.jid && (login.password || login.anonymous)) {
+                xmpp.setOptions(login);
+                xmpp.setOptions({ resource: 'coopfox' });
+            } else {
+                closeAccountSessions(accountId);
+            }
+        },
 
-    onUnknownStrictThread: function onUnknownStrictThread(message) {
-        if (!message.coopfox) { return; }
-        if (message.delay) { return; }
+        onXmppConnectionFailed: function onXmppConnectionFailed(info, info2, info3, info4, info5) {
+            if (info === 'bad-certificate') {
+                let choice = prefs.ignoreBadCerts ? 1 : dialogs.confirmEx(
+                    'Encryption Error',
+                    'The contacted server is using an invalid encryption certificate (' + info2 + ')',
+                    'Ignore Permanently',
+                    'Ignore This Time',
+                    'Close CoopFox'
+                );
+                if (choice < 2) {
+                    let login = loginManager.getCurrent(accountId);
+                    //the actual host may have been discovered via DNS SRV
+                    addCertificateException(info4 || login.hostname, info5 || login.port, info3, choice === 0);
+                    xmpp.connect(null, true);
+                } else {
+                    closeAccountSessions(accountId);
+                }
+                return;
+            }
+            if (info === 'not-authorized') {
+                info = 'invalid username or password';
+            }
+            let choice = dialogs.confirmEx(
+                'Connection Failed' + accountNote(accountId),
+                'CoopFox was unable to connect via XMPP' + ((typeof(info) === 'string') ? ' (' + info + ')' : '') + '.',
+                'Change Username/Password',
+                'Close CoopFox',
+                'Retry'
+            );
+            switch (choice) {
+                case 0:
+                    loginManager.invalidate(accountId);
+                    xmpp.connect();
+                break;
+                case 1:
+                    closeAccountSessions(accountId);
+                break;
+                case 2:
+                    xmpp.connect(null, true);
+                break;
+            }
+        },
 
-        var participant = message.coopfox.participant;
-        if (!participant || (participant.action !== 'join') || (participant.jid !== xmpp.rosterSelf.jid.bare )) {
-            // ignore messages from other CoopFox instances unless they explicitly add us
-            // this prevents clients who might have missed our departure from re-opening the chat
-            message.$received = Date.now();
-            return;
-        }
+        //transient errors are retried automatically and only shown in the roster (@see XMPPFailsafeClient)
+        onXmppConnectionLost: function xmppConnectionLost(info) {
+            if (info === 'conflict') {
+                info = 'login conflict with another CoopFox instance';
+            }
+            var choice = dialogs.confirmEx(
+                'Connection Lost' + accountNote(accountId),
+                'CoopFox has lost its XMPP connection' + ((typeof(info) === 'string') ? ' (' + info + ')' : '') + '.',
+                'Reconnect',
+                'Close CoopFox',
+                'Change Username/Password'
+            );
+            switch (choice) {
+                case 0:
+                    xmpp.connect(null, true);
+                break;
+                case 1:
+                    closeAccountSessions(accountId);
+                break;
+                case 2:
+                    loginManager.invalidate(accountId);
+                    xmpp.connect();
+                break;
+            }
+        },
 
-        var thread = new XMPPMultiUserThread({
-            client: xmpp,
-            messages: [message]
-        });
+        onXmppConnected: function onXmppConnected() {
+            loginManager.confirm(accountId);
+            if (xmpp.rosterSelf.guest) {
+                //the address is assigned by the server and has to be passed on to whoever invites the guest
+                clipboard.set(xmpp.rosterSelf.jid.bare, 'text');
+                dialogs.popupNotify('Joined as Guest', 'Your guest address ' + xmpp.rosterSelf.jid.bare +
+                    ' has been copied to the clipboard. Send it to the person who wants to invite you.');
+                return;
+            }
+            dialogs.popupNotify('XMPP Connected', xmpp.rosterSelf.jid.bare);
+        },
 
-        var allWindows = browserWindows.getAllWindows();
-        var window = browserWindows.getActiveWindow();
-        var session = sessions.get(window, null);
+        onXmppDisconnected: function onXmppConnected(info) {
+            dialogs.popupNotify('XMPP Disconnected', info || xmpp.rosterSelf.jid.bare);
+        },
 
-        var thirdOptionText = 'Open in Existing Window...';
-        var thirdOptionPrompt = true;
-        if (allWindows.length === 1) {
-            thirdOptionPrompt = false;
-            if (session === null) {
-                thirdOptionText = 'Open in Current Window';
+        onUnknownStrictThread: function onUnknownStrictThread(message) {
+            if (message.x && (message.x.xmlns === NS_XEP0249) && message.x.jid) {
+                onRoomInvitation(xmpp, message);
+                return;
             }
-            else if ((session instanceof CoopFox) && (!session.xmpp.getParticipants(true).length)) {
-                thirdOptionText = 'Merge With My CoopChat';
+            if (!message.coopfox) { return; }
+            if (message.delay) { return; }
+
+            var participant = message.coopfox.participant;
+            if (!participant || (participant.action !== 'join') || (participant.jid !== xmpp.rosterSelf.jid.bare )) {
+                // ignore messages from other CoopFox instances unless they explicitly add us
+                // this prevents clients who might have missed our departure from re-opening the chat
+                message.$received = Date.now();
+                return;
             }
-            else {
-                thirdOptionText = null;
+            if (!acceptsInvitation(xmpp, message.$from.bare)) {
+                message.$received = Date.now();
+                return;
             }
-        }
 
-        var remoteParticipants = parseInt(participant.thread.participants);
-        var choiceText = xmpp.getContact(message.$from).name +
-            ' invites you to ' + ((message.type === 'headline') ? 're-join' : 'join') + ' a CoopChat session ';
-        switch (remoteParticipants) {
-            case 0:
-                choiceText += '(no other participants).';
-                break;
-            case 1:
-                choiceText += '(1 other participant).';
-                break;
-            default:
-                choiceText += '(' + remoteParticipants + ' other participants).';
-        }
+            var thread = new XMPPMultiUserThread({
+                client: xmpp,
+                messages: [message]
+            });
 
-        var choice = dialogs.confirmEx(
-            'Incoming CoopChat',
-            choiceText,
-            'Open in New Window',
-            'Reject',
-            thirdOptionText
-        );
-
-        //prompt for window selection if necessary (can still result in choice 0/1)
-        if ((choice === 2) && thirdOptionPrompt) {
-            let options = [];
-            let titles = [];
-            for (let i = 0; i < allWindows.length; i++) {
-                let win = allWindows[i];
-                let ses = sessions.get(win, null);
-                if (!ses) {
-                    titles[i] = '[Open] ' + win.document.title;
+            var allWindows = browserWindows.getAllWindows();
+            var window = browserWindows.getActiveWindow();
+
+            var thirdOptionText = 'Open in Existing Window...';
+            var thirdOptionPrompt = true;
+            if (allWindows.length === 1) {
+                thirdOptionPrompt = false;
+                switch (getWindowAvailability(window, accountId)) {
+                    case 'open':
+                        thirdOptionText = 'Open in Current Window';
+                    break;
+                    case 'merge':
+                        thirdOptionText = 'Merge With My CoopChat';
+                    break;
+                    default:
+                        thirdOptionText = null;
                 }
-                else if ((ses instanceof CoopFox) && (!ses.xmpp.getParticipants(true).length)) {
-                    titles[i] = '[Merge] ' + win.document.title;
+            }
+
+            var remoteParticipants = parseInt(participant.thread.participants);
+            var choiceText = xmpp.getContact(message.$from).name +
+                ' invites you to ' + ((message.type === 'headline') ? 're-join' : 'join') + ' a CoopChat session ';
+            switch (remoteParticipants) {
+                case 0:
+                    choiceText += '(no other participants).';
+                    break;
+                case 1:
+                    choiceText += '(1 other participant).';
+                    break;
+                default:
+                    choiceText += '(' + remoteParticipants + ' other participants).';
+            }
+
+            var choice = dialogs.confirmEx(
+                'Incoming CoopChat' + accountNote(accountId),
+                choiceText,
+                'Open in New Window',
+                'Reject',
+                thirdOptionText
+            );
+
+            //prompt for window selection if necessary (can still result in choice 0/1)
+            if ((choice === 2) && thirdOptionPrompt) {
+                let options = [];
+                let titles = [];
+                for (let i = 0; i < allWindows.length; i++) {
+                    let win = allWindows[i];
+                    switch (getWindowAvailability(win, accountId)) {
+                        case 'open':
+                            titles[i] = '[Open] ' + win.document.title;
+                        break;
+                        case 'merge':
+                            titles[i] = '[Merge] ' + win.document.title;
+                        break;
+                        default:
+                            continue;
+                    }
+                    options[i] = win;
+                }
+                options.push(null);
+                titles.push('[New Window]');
+
+                let choice2 = dialogs.selectPrompt(
+                    'Incoming CoopChat',
+                    'Select a window for the CoopChat session with ' + xmpp.getContact(message.$from).name,
+                    titles
+                );
+                if (choice2 === null) {
+                    choice = 1;
+                }
+                else if (!options[choice2]) {
+                    choice = 0;
                 }
                 else {
-                    continue;
+                    window = options[choice2];
                 }
-                options[i] = win;
             }
-            options.push(null);
-            titles.push('[New Window]');
 
-            let choice2 = dialogs.selectPrompt(
-                'Incoming CoopChat',
-                'Select a window for the CoopChat session with ' + xmpp.getContact(message.$from).name,
-                titles
-            );
-            if (choice2 === null) {
-                choice = 1;
+            if (choice === 1) {
+                thread.destroy((message.type === 'headline') ? 'leave' : 'reject');
+                return;
             }
-            else if (!options[choice2]) {
-                choice = 0;
+
+            if (choice === 0) {
+                window = browserWindows.openWindow();
+            }
+
+            //at this point, we always have a window/session which is either inactive or mergeable
+            setWindowValue(window, 'coopfox-account', accountId);
+            loadSession(thread, window);
+        },
+
+        onUnknownThread: function onUnknownThread(message) {
+            if (countAccountSessions(accountId) > 0) { return; } //Will be handled by privatechat module
+            if (!message.body || !message.body.$text) { return; }
+            if (isBlocked(xmpp, message.$from.bare)) { return; }
+
+            //Activate CoopFox for active window to receive messages
+            var window = browserWindows.getActiveWindow();
+            var session = sessions.get(window, null);
+            if (session && (getWindowAccount(window) !== accountId)) {
+                //the active window is in use by another account
+                window = browserWindows.openWindow();
+                session = null;
             }
-            else {
-                window = options[choice2];
+            if (!session) {
+                session = [];
+                sessions.set(window, session);
+                setWindowValue(window, 'coopfox-account', accountId);
+            }
+            //Temporarily store incoming messages in session namespace, deliver when created
+            session.push(message);
+            if (window.document.readyState === 'complete') {
+                browserWindows.emit('windowOpen', window);
             }
         }
 
-        if (choice === 1) {
-            thread.destroy((message.type === 'headline') ? 'leave' : 'reject');
-            return;
+    });
+
+    xmpp.accountId = accountId;
+
+    //end-to-end encryption keys for multi-user threads (@see XMPPMultiUserThread)
+    xmpp.keyring = new E2EKeyring({ client: xmpp, storage: getEncryptionStorage(accountId) });
+    xmpp.encryption = prefs.encryptChat;
+
+    xmpp.on('xmppConnected', updateToolbarButtons);
+    xmpp.on('xmppDisconnected', updateToolbarButtons);
+
+    xmpp.sysEmit('coopfox-xmpp-available');
+    xmpp.once('BeforeDestroy', function() {
+        xmpp.sysEmit('coopfox-xmpp-shutdown');
+    });
+    return xmpp;
+}
+
+/**
+ * Handles a direct invitation (XEP-0249) to the chat room of a CoopChat session.
+ * @see XMPPMucThread
+ *
+ * @param {XMPPThreadHubClient} xmpp
+ * @param {object} message
+ */
+function onRoomInvitation(xmpp, message) {
+    message.$received = Date.now();
+    var room = parseJid(message.x.jid).bare;
+    if (message.x.thread && xmpp.getThread(message.x.thread)) { return; } //already participating
+    if (!acceptsInvitation(xmpp, message.$from.bare)) { return; }
+
+    var reason = (message.x.reason && (typeof(message.x.reason) === 'string')) ? '\n\n"' + message.x.reason + '"' : '';
+    var choice = dialogs.confirmEx(
+        'Incoming CoopChat' + accountNote(xmpp.accountId),
+        xmpp.getContact(message.$from).name + ' invites you to join a CoopChat room (' + room + ').' + reason,
+        'Open in New Window',
+        'Reject'
+    );
+    if (choice !== 0) { return; }
+
+    var window = browserWindows.openWindow();
+    setWindowValue(window, 'coopfox-account', xmpp.accountId);
+    var thread = createThread(window, 'muc', {
+        room: room,
+        id: message.x.thread || null
+    });
+    loadSession(thread, window);
+}
+
+/**
+ * Answers whether an invitation should be shown, considering the block list,
+ * the "invitationsFromContactsOnly" preference and the rate limit.
+ * @see BlockingManager
+ *
+ * @param {XMPPThreadHubClient} xmpp
+ * @param {string} jid  Bare JID of the inviting contact.
+ * @returns {boolean}
+ */
+function acceptsInvitation(xmpp, jid) {
+    var blockingManager = getBlockingManager(xmpp);
+    return !blockingManager || blockingManager.acceptsInvitation(jid);
+}
+
+/**
+ * @param {XMPPThreadHubClient} xmpp
+ * @param {string} jid  Bare JID of the contact.
+ * @returns {boolean}
+ */
+function isBlocked(xmpp, jid) {
+    var blockingManager = getBlockingManager(xmpp);
+    return !!blockingManager && blockingManager.isBlocked(jid);
+}
+
+var activeSessions = 0;
+var sessions = new WeakMap();
+
+/**
+ * @param {string} accountId
+ * @returns {object}  Storage for the end-to-end encryption keys of an account.
+ */
+function getEncryptionStorage(accountId) {
+    if (accountId === DEFAULT_ACCOUNT) {
+        return storage.encryption;
+    }
+    var key = 'encryption-' + accountId;
+    if (!storage[key]) {
+        storage[key] = {};
+    }
+    return storage[key];
+}
+
+/**
+ * @param {nsIDOMWindow} window
+ * @returns {string}  ID of the account which sessions in a window run on.
+ */
+function getWindowAccount(window) {
+    var accountId = getWindowValue(window, 'coopfox-account', DEFAULT_ACCOUNT);
+    if (loginManager.getAccounts().indexOf(accountId) === -1) {
+        return DEFAULT_ACCOUNT; //account has been removed
+    }
+    return accountId;
+}
+
+/**
+ * Answers whether an incoming session of an account can be opened in a window.
+ *
+ * @param {nsIDOMWindow} window
+ * @param {string} accountId
+ * @returns {string|null}  'open' for an inactive window, 'merge' for an empty session of the same account.
+ */
+function getWindowAvailability(window, accountId) {
+    var session = sessions.get(window, null);
+    if (session === null) {
+        return 'open';
+    }
+    if ((session instanceof CoopFox) && (getWindowAccount(window) === accountId) && !session.xmpp.getParticipants(true).length) {
+        return 'merge';
+    }
+    return null;
+}
+
+/**
+ * @param {string} accountId
+ * @returns {number}  Number of active sessions which run on an account.
+ */
+function countAccountSessions(accountId) {
+    var count = 0;
+    for each (let window in browserWindows.getAllWindows()) {
+        if ((sessions.get(window, null) instanceof CoopFox) && (getWindowAccount(window) === accountId)) {
+            count++;
         }
+    }
+    return count;
+}
 
-        if (choice === 0) {
-            window = browserWindows.openWindow();
+/**
+ * Ends all sessions of an account, e.g. if the user declined to log in.
+ * If no other account is in use, all windows are closed, like with a single account.
+ *
+ * @param {string} accountId
+ */
+function closeAccountSessions(accountId) {
+    if (countAccountSessions(accountId) === activeSessions) {
+        browserWindows.triggerCloseAllAsync();
+        return;
+    }
+    //process async to avoid destroying sessions from within client callbacks
+    setTimeout(function() {
+        for each (let window in browserWindows.getAllWindows()) {
+            let session = sessions.get(window, null);
+            if (!session || (getWindowAccount(window) !== accountId)) { continue; }
+            setWindowValue(window, 'coopfox-active', false);
+            if (session instanceof CoopFox) {
+                session.destroy();
+            } else {
+                sessions.delete(window);
+            }
         }
+    });
+}
 
-        //at this point, we always have a window/session which is either inactive or mergeable
-        loadSession(thread, window);
-    },
+/**
+ * @param {string} accountId
+ * @returns {string}  The account to mention in dialog titles, if there is more than one.
+ */
+function accountNote(accountId) {
+    if (loginManager.getAccounts().length < 2) {
+        return '';
+    }
+    return ' (' + loginManager.getAccountLabel(accountId) + ')';
+}
 
-    onUnknownThread: function onUnknownThread(message) {
-        if (activeSessions > 0) { return; } //Will be handled by privatechat module
-        if (!message.body || !message.body.$text) { return; }
+/**
+ * Lets the user choose the account for new sessions in a window, or add a new one.
+ *
+ * @param {nsIDOMWindow} window
+ */
+function selectWindowAccount(window) {
+    var accounts = loginManager.getAccounts();
+    var titles = accounts.map(function(accountId) {
+        return loginManager.getAccountLabel(accountId);
+    });
+    titles.push('[Add Account]');
 
-        //Activate CoopFox for active window to receive messages
-        var window = browserWindows.getActiveWindow();
-        var session = sessions.get(window, null);
-        if (!session) {
-            session = [];
-            sessions.set(window, session);
-        }
-        //Temporarily store incoming messages in session namespace, deliver when created
-        session.push(message);
-        browserWindows.emit('windowOpen', window);
+    var choice = dialogs.selectPrompt(
+        'CoopFox Account',
+        'Select the XMPP account for CoopChat sessions in this window',
+        titles
+    );
+    if (choice === null) { return; }
+
+    setWindowValue(window, 'coopfox-account', accounts[choice] || loginManager.createAccount());
+    updateToolbarButton(window);
+}
+
+/**
+ * Deletes an account along with its login and encryption keys.
+ * Windows which used it fall back to the default account.
+ *
+ * @param {string} accountId
+ */
+function removeAccount(accountId) {
+    loginManager.removeAccount(accountId);
+    if (clients[accountId]) {
+        clients[accountId].destroy();
+        delete clients[accountId];
     }
+    delete storage['encryption-' + accountId];
+    delete storage['blocklist-' + accountId];
+    delete storage['blocklist-' + accountId + '-pending'];
+    updateToolbarButtons();
+}
 
-});
+/**
+ * Creates the thread for a session, either peer to peer or in a chat room.
+ *
+ * @param {nsIDOMWindow} window
+ * @param {string|null} backend  'muc' for XMPPMucThread, otherwise XMPPMultiUserThread.
+ * @param {object} options       Thread options, without client.
+ * @returns {XMPPMultiUserThread}
+ */
+function createThread(window, backend, options) {
+    options.client = getClient(getWindowAccount(window));
+    if (backend !== 'muc') {
+        return new XMPPMultiUserThread(options);
+    }
+    options.mucService = prefs.mucService || null;
+    options.onRoomJoined = function onRoomJoined(room) {
+        setWindowValue(window, 'coopfox-muc-room', room);
+    };
+    options.onRoomError = function onRoomError(text) {
+        dialogs.popupNotify('CoopChat Room Unavailable', text);
+    };
+    return new XMPPMucThread(options);
+}
 
-var activeSessions = 0;
-var sessions = new WeakMap();
+/**
+ * Deletes the saved session of a window, but keeps the choice of backend and account.
+ *
+ * @param {nsIDOMWindow} window
+ */
+function resetWindowValues(window) {
+    var backend = getWindowValue(window, 'coopfox-backend', null);
+    var accountId = getWindowValue(window, 'coopfox-account', null);
+    clearWindowValues(window);
+    if (backend) {
+        setWindowValue(window, 'coopfox-backend', backend);
+    }
+    if (accountId) {
+        setWindowValue(window, 'coopfox-account', accountId);
+    }
+}
 
 /**
  * Initializes a new a session from an incoming thread or a saved list of messages.
@@ -297,8 +615,9 @@ function loadSession(messages, window, importMessages, importMessagesTimeOffset)
     if (session instanceof CoopFox) {
         //destroy the current session and wait for the process to complete, then recurse
         //disable auto-disconnect between destruction and re-creation
-        let autoDisconnectOld = xmpp.autoDisconnect;
-        xmpp.autoDisconnect = false;
+        let client = session.xmpp.client;
+        let autoDisconnectOld = client.autoDisconnect;
+        client.autoDisconnect = false;
         session.xmpp.once('afterDestroy', function() {
             if (this.hasMessages && (typeof(importMessages) === 'undefined')) {
                 //reverse-merge phase 1 (save old messages)
@@ -306,7 +625,7 @@ function loadSession(messages, window, importMessages, importMessagesTimeOffset)
                 importMessagesTimeOffset = this.threadTimeOffset;
             }
             loadSession(messages, window, importMessages, importMessagesTimeOffset);
-            xmpp.autoDisconnect = autoDisconnectOld;
+            client.autoDisconnect = autoDisconnectOld;
         });
         session.destroy();
         return;
@@ -317,8 +636,7 @@ function loadSession(messages, window, importMessages, importMessagesTimeOffset)
         thread = messages;
     }
     else if (Array.isArray(messages)) {
-        thread = new XMPPMultiUserThread({
-            client: xmpp,
+        thread = createThread(window, getWindowValue(window, 'coopfox-backend', null), {
             messages: messages
         });
     }
@@ -340,7 +658,13 @@ function loadSession(messages, window, importMessages, importMessagesTimeOffset)
     }
 
     sessions.set(window, thread); //CoopFox instance is created in onWindowOpen
-    clearWindowValues(window);
+    resetWindowValues(window);
+    if (thread instanceof XMPPMucThread) {
+        setWindowValue(window, 'coopfox-backend', 'muc');
+        if (thread.room) {
+            setWindowValue(window, 'coopfox-muc-room', thread.room);
+        }
+    }
     setWindowValue(window, 'coopfox-active', true);
     setWindowValue(window, 'coopfox-thread-messages', thread.getMessages());
 
@@ -361,9 +685,10 @@ var browserWindows = new BrowserWindowsMonitor({
 
         function createSession(thread) {
             if (!(thread instanceof XMPPMultiUserThread)) {
-                thread = new XMPPMultiUserThread({
-                    client: xmpp,
-                    messages: getWindowValue(window, 'coopfox-thread-messages')
+                thread = createThread(window, getWindowValue(window, 'coopfox-backend', null), {
+                    messages: getWindowValue(window, 'coopfox-thread-messages'),
+                    outbox: getWindowValue(window, 'coopfox-outbox'),
+                    room: getWindowValue(window, 'coopfox-muc-room', null)
                 });
             }
             thread.once('beforeDestroy', function onBeforeDestroy() {
@@ -389,11 +714,12 @@ var browserWindows = new BrowserWindowsMonitor({
                 //process async to avoid destroying the session from within its own method
                 setTimeout(function() {
                     console.log('Reloading session...');
-                    var autoDisconnectOld = xmpp.autoDisconnect;
-                    xmpp.autoDisconnect = false;
+                    var client = session.xmpp.client;
+                    var autoDisconnectOld = client.autoDisconnect;
+                    client.autoDisconnect = false;
                     session.xmpp.once('afterDestroy', function() {
                         browserWindows.emit('windowOpen', window);
-                        xmpp.autoDisconnect = autoDisconnectOld;
+                        client.autoDisconnect = autoDisconnectOld;
                     });
                     session.destroy('reload');
                 });
@@ -561,18 +887,60 @@ function attachToolbarButton(window) {
                     }
                 }),
 
+                new MenuItem({
+                    window: window,
+                    menu: this.menu,
+                    id: 'menu-coopfox-toolbar-muc',
+                    type: 'checkbox',
+                    label: 'Use Chat Room for New Session',
+                    separatorBefore: true,
+                    onShow: function onShow() {
+                        if (getWindowValue(window, 'coopfox-backend', null) === 'muc') {
+                            this.checked = true;
+                        }
+                        if (sessions.get(window, null)) {
+                            this.disabled = true;
+                        }
+                    },
+                    onClick: function onClick() {
+                        setWindowValue(window, 'coopfox-backend', this.checked ? null : 'muc');
+                        setWindowValue(window, 'coopfox-muc-room', null);
+                    }
+                }),
+
+                new MenuItem({
+                    window: window,
+                    menu: this.menu,
+                    id: 'menu-coopfox-toolbar-account',
+                    label: 'Select Account...',
+                    separatorBefore: true,
+                    onShow: function onShow() {
+                        this.label = 'Account: ' + loginManager.getAccountLabel(getWindowAccount(window)) + '...';
+                        if (sessions.get(window, null)) {
+                            this.disabled = true;
+                        }
+                    },
+                    onClick: function onClick() {
+                        selectWindowAccount(window);
+                    }
+                }),
+
                 new MenuItem({
                     window: window,
                     menu: this.menu,
                     id: 'menu-coopfox-toolbar-change-login',
                     label: 'Reset Username/Password',
-                    separatorBefore: true,
                     onShow: function onShow() {
-                        if (!loginManager.has()) {
+                        var accountId = getWindowAccount(window);
+                        var client = clients[accountId] || null;
+                        if (accountId !== DEFAULT_ACCOUNT) {
+                            this.label = 'Remove Account';
+                        }
+                        else if (!loginManager.has(accountId)) {
                             this.disabled = true;
                             return;
                         }
-                        if (xmpp.isConnected()) {
+                        if (client && client.isConnected()) {
                             this.forbidden = true;
                             this.tooltiptext = 'Not Possible While Connected';
                         } else {
@@ -580,7 +948,12 @@ function attachToolbarButton(window) {
                         }
                     },
                     onClick: function onClick() {
-                        loginManager.reset();
+                        var accountId = getWindowAccount(window);
+                        if (accountId === DEFAULT_ACCOUNT) {
+                            loginManager.reset(accountId);
+                        } else {
+                            removeAccount(accountId);
+                        }
                     }
                 })
 
@@ -623,7 +996,7 @@ function attachToolbarButton(window) {
                         case 1:
                             return;
                         case 2:
-                            clearWindowValues(window);
+                            resetWindowValues(window);
                             break;
                     }
                 }
@@ -646,15 +1019,18 @@ function updateToolbarButton(window) {
     var button = toolbarButtons.get(window, null);
     if (!button) { return; }
 
+    var xmpp = clients[getWindowAccount(window)] || null;
+    var connected = !!xmpp && xmpp.isConnected();
+
     var name = 'icon';
     var session = sessions.get(window, null);
     if (session === null) {
         name += '-disabled';
-        if (xmpp.isConnected()) {
+        if (connected) {
             name += '-connected';
         }
     }
-    if (xmpp.isConnected()) {
+    if (connected) {
         button.tooltiptext = 'CoopFox (' + xmpp.rosterSelf.jid.full + ')';
     } else {
         button.tooltiptext = 'CoopFox (Disconnected)';
@@ -666,8 +1042,6 @@ function updateToolbarButtons() {
         updateToolbarButton(window);
     }
 }
-xmpp.on('xmppConnected', updateToolbarButtons);
-xmpp.on('xmppDisconnected', updateToolbarButtons);
 
 
 var firstRun = false;
@@ -680,23 +1054,31 @@ exports.main = function main(options, callbacks) {
         firstRun = true;
     }
 
-    xmpp.sysEmit('coopfox-xmpp-available');
-    xmpp.once('BeforeDestroy', function() {
-        xmpp.sysEmit('coopfox-xmpp-shutdown');
-    });
-
     browserWindows.enable();
 
     if (prefs.alwaysConnected || staticArgs.alwaysConnected) {
-        xmpp.connect();
+        for each (let accountId in loginManager.getAccounts()) {
+            getClient(accountId).connect();
+        }
     }
 
+    simplePrefs.on('encryptChat', function() {
+        for each (let xmpp in clients) {
+            xmpp.encryption = prefs.encryptChat;
+        }
+    });
+
+    simplePrefs.on('editLocationRules', editLocationRules);
+    simplePrefs.on('editUrlRules', editUrlRules);
+
     simplePrefs.on('alwaysConnected', function() {
-        xmpp.autoDisconnect = !prefs.alwaysConnected && !staticArgs.alwaysConnected;
-        if (xmpp.autoDisconnect && !xmpp.threadCount) {
-            xmpp.disconnect();
-        } else {
-            xmpp.connect();
+        for each (let xmpp in clients) {
+            xmpp.autoDisconnect = !prefs.alwaysConnected && !staticArgs.alwaysConnected;
+            if (xmpp.autoDisconnect && !xmpp.threadCount) {
+                xmpp.disconnect();
+            } else {
+                xmpp.connect();
+            }
         }
     });
 
@@ -707,7 +1089,9 @@ exports.onUnload = function onUnload(reason) {
     browserWindows.disable();
     if ((reason === 'uninstall') || (reason === 'disable')) {
         console.info('Clearing CoopFox Installation Data...');
-        loginManager.reset();
+        for each (let accountId in loginManager.getAccounts()) {
+            loginManager.reset(accountId);
+        }
         for each (let key in Object.keys(storage)) {
             delete storage[key];
         }
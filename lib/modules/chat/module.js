@@ -24,7 +24,11 @@ const { EventHub } = require('../../utils/events');
 const { MenuItem } = require('../../browser/menus');
 const { ContextMenuItem } = require('../../browser/context-menus');
 
-const { fileSavePrompt, fileOpenPrompt, alert, confirmEx } = require('../../browser/dialogs');
+const { fileSavePrompt, fileOpenPrompt, alert, confirmEx, prompt } = require('../../browser/dialogs');
+const { parseJid } = require('../../xmpp/session');
+const { SESSION_FEATURES } = require('../../xmpp/protocol');
+const { NS_XEP0308, isCorrection } = require('../../xmpp/threads');
+const { objectMergeRecursive } = require('../../utils/objects');
 var files = require('sdk/io/file');
 
 /**
@@ -62,6 +66,8 @@ const Chat = Class({
         var port = this.port = this.coopfox.sidebar.panel.port;
         var xmpp = this.xmpp;
         this.subscribeTo(port, 'message', this._onOutgoingMessage);
+        this.subscribeTo(port, 'messagesSeen', this._onMessagesSeen);
+        this.subscribeTo(port, 'messageCorrection', this._onMessageCorrection);
 
         for each (let jid in this.xmpp.getParticipants(true)) {
             this._onParticipantAdded(jid);
@@ -76,6 +82,9 @@ const Chat = Class({
         this.subscribeTo(xmpp, 'threadTimeCorrected');
 
         this.subscribeTo(xmpp, 'incomingMessage');
+        this.subscribeTo(xmpp, 'outboxMessageSent');
+        this.subscribeTo(xmpp, 'messageMarker');
+        this.subscribeTo(this.coopfox, 'beforeRosterUpdate');
 
         this.subscribeTo(this.coopfox, 'chatScrollTo', function(id){
             port.emit('messageScrollTo', id);
@@ -101,6 +110,33 @@ const Chat = Class({
         var window = self.coopfox.window;
         this._menuItems = [
 
+            new MenuItem({
+                window: window,
+                menu: 'coopfoxRosterMenu',
+                id: 'menu-coopfox-roster-invite-guest',
+                after: 'menu-coopfox-roster-add-contact',
+                label: 'Invite Guest to My CoopChat...',
+                onClick: function onClick() {
+                    var jid = prompt(
+                        'Invite Guest',
+                        'Enter the guest address shown to your guest after joining as guest\n' +
+                        '(or any XMPP address which is not in your contacts).'
+                    );
+                    if (!jid) { return; }
+                    try {
+                        jid = parseJid(jid.trim());
+                        if (!jid.username) {
+                            throw new Error('Missing username part.');
+                        }
+                    }
+                    catch (e) {
+                        alert('Invalid Address', e.message);
+                        return;
+                    }
+                    self.xmpp.inviteGuest(jid.bare);
+                }
+            }),
+
             new ContextMenuItem({
                 window: window,
                 menu: 'coopfoxRosterContextMenu',
@@ -260,6 +296,25 @@ const Chat = Class({
                 }
             }),
 
+            new ContextMenuItem({
+                window: window,
+                menu: 'coopfoxPanelContextMenu',
+                id: 'context-coopfox-edit-message',
+                label: 'Edit Message',
+                selectors: ['#chat-tab .message'],
+                onShow: function onShow(target, message) {
+                    if (!self._getEditableMessage(message.id)) {
+                        this.hidden = true;
+                    }
+                },
+                onClick: function onClick(target, message) {
+                    var latest = self._getEditableMessage(message.id);
+                    if (latest) {
+                        self.port.emit('messageEdit', message.id, latest.body.$text);
+                    }
+                }
+            }),
+
             new ContextMenuItem({
                 window: window,
                 menu: 'coopfoxPanelContextMenu',
@@ -536,6 +591,10 @@ const Chat = Class({
     },
 
     _onIncomingMessage: function _onIncomingMessage(message) {
+        if (isCorrection(message)) {
+            this._onIncomingCorrection(message);
+            return;
+        }
 
         if (message.coopfox && message.coopfox.chat) {
             let chat = message.coopfox.chat;
@@ -554,6 +613,13 @@ const Chat = Class({
             sender:  this.xmpp.getContact(message.$from),
             threadTime: this.xmpp.getThreadTime()
         };
+        if (message.$persistent && message.body) {
+            args.markers = this._getMarkerContacts(this.xmpp.getMessageMarkers(message.id));
+            let revisions = this.xmpp.getRevisions(message.id);
+            if (revisions.length > 1) {
+                args.revisions = this._getRevisionTexts(revisions);
+            }
+        }
         try {
             this.coopfox.emit('beforeDisplayMessage', args);
             console.info('Message from "' + message.$from.bare + '"');
@@ -565,6 +631,93 @@ const Chat = Class({
         }
     },
 
+    /**
+     * Corrections are not displayed on their own, but replace the text of the original message.
+     * If the original has not been received yet, its revisions are sent along with it later.
+     *
+     * @param {object} message
+     */
+    _onIncomingCorrection: function _onIncomingCorrection(message) {
+        var id = message.replace.id;
+        var revisions = this.xmpp.getRevisions(id);
+        if (revisions.indexOf(message) === -1) { return; } //unknown original or not by its sender
+        this.port.emit('messageRevisions', id, this._getRevisionTexts(revisions));
+    },
+
+    _getRevisionTexts: function _getRevisionTexts(revisions) {
+        return revisions.map(function(revision) {
+            return { text: revision.body.$text, timestamp: revision.$timestamp };
+        });
+    },
+
+    /**
+     * @param {string} id
+     * @returns {object|null}  The latest revision of a message, if it is an own chat message.
+     */
+    _getEditableMessage: function _getEditableMessage(id) {
+        var original = this.xmpp.messages[id];
+        if (!original || !original.body || !original.body.$text) { return null; }
+        if (original.$from.bare !== this.xmpp.rosterSelf.jid.bare) { return null; }
+        if (original.coopfox && original.coopfox.highlight) { return null; } //quotes are fixed
+        return this.xmpp.getLatestRevision(id);
+    },
+
+    /**
+     * Sends a correction (XEP-0308) for an own message.
+     * Corrections always reference the original message, not the previous revision.
+     *
+     * @param {string} id  ID of the original message.
+     * @param {string} text
+     */
+    _onMessageCorrection: function _onMessageCorrection(id, text) {
+        var latest = this._getEditableMessage(id);
+        if (!latest || !text || (text === latest.body.$text)) { return; }
+
+        var message = {
+            body: { $text: text },
+            replace: { xmlns: NS_XEP0308, id: id }
+        };
+        var original = this.xmpp.messages[id];
+        if (original.thread) {
+            message.thread = { $text: original.thread.$text }; //keeps comments in their subthread
+        }
+        if (original.coopfox && original.coopfox.location) {
+            message.coopfox = { location: objectMergeRecursive(original.coopfox.location) }; //not the page currently open
+        }
+        this._onOutgoingMessage(message);
+    },
+
+    _onOutboxMessageSent: function _onOutboxMessageSent(message) {
+        this.port.emit('messageSent', message.id);
+    },
+
+    /**
+     * @param {string[]} ids  Messages the user has scrolled into view.
+     */
+    _onMessagesSeen: function _onMessagesSeen(ids) {
+        this.xmpp.markDisplayed(ids);
+    },
+
+    /**
+     * @param {string} id
+     * @param {string} jid
+     * @param {string} marker  "received" or "displayed"
+     */
+    _onMessageMarker: function _onMessageMarker(id, jid, marker) {
+        this.port.emit('messageMarker', id, this.xmpp.getContact(jid), marker);
+    },
+
+    _getMarkerContacts: function _getMarkerContacts(markers) {
+        var xmpp = this.xmpp;
+        function getContact(jid) {
+            return xmpp.getContact(jid);
+        }
+        return {
+            received: markers.received.map(getContact),
+            displayed: markers.displayed.map(getContact)
+        };
+    },
+
     /**
      * Send an XMPP message stanza to all participating contacts.
      *
@@ -590,6 +743,18 @@ const Chat = Class({
 
     _onThreadTimeCorrected: function _onThreadTimeCorrected(diff) {
         this.port.emit('addTimeOffset', diff);
+    },
+
+    /**
+     * Lets the roster mark guests and warn about participants with clients too old for this session.
+     */
+    _onBeforeRosterUpdate: function _onBeforeRosterUpdate(args) {
+        var jid = args.contact.jid.bare;
+        args.guest = this.xmpp.isGuest(jid);
+        if (this.xmpp.getParticipants(true).indexOf(jid) === -1) { return; }
+        args.unsupportedFeatures = this.xmpp.getUnsupportedFeatures(jid).map(function(feature) {
+            return SESSION_FEATURES[feature].label;
+        });
     }
 
 });
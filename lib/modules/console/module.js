@@ -0,0 +1,108 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const { prefs } = require('sdk/simple-prefs');
+const sysEvents = require('sdk/system/events');
+const unloader = require('sdk/system/unload');
+const baseUrl = require('sdk/self').data.url('modules/console/');
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+
+/**
+ * This module provides an XML console tab in the panel for debugging,
+ * similar to those of desktop XMPP clients.
+ *
+ * It shows all elements sent and received by the XMPP client of the session
+ * and allows sending hand-written stanzas. The console is only loaded
+ * if the "xmppConsole" preference is set when the sidebar is opened.
+ */
+const XMPPConsole = Class({
+    extends: EventHub,
+    className: 'XMPPConsole',
+
+    /**
+     * @param {CoopFox} coopfox
+     */
+    initialize: function initialize(coopfox) {
+        this.coopfox = coopfox;
+        this.client = coopfox.xmpp.client;
+        this._logging = false;
+
+        coopfox.sidebar.panel.addScript(baseUrl + 'panel.js');
+        coopfox.sidebar.panel.addStyle(baseUrl + 'panel.css');
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(coopfox, 'componentsReady');
+        this.subscribeTo(coopfox, 'destroy');
+        console.info('XMPP console module activated.');
+    },
+
+    _onceComponentsReady: function _onceComponentsReady() {
+        this.port = this.coopfox.sidebar.panel.port;
+        this.subscribeTo(this.port, 'consoleSend');
+        this.subscribeTo(this.client, 'traffic');
+        this.client.logTraffic(true);
+        this._logging = true;
+    },
+
+    _onceDestroy: function _onceDestroy() {
+        if (this._logging) {
+            this.client.logTraffic(false);
+            this._logging = false;
+        }
+        this.destroy();
+        this.coopfox = null;
+        this.client = null;
+        this.port = null;
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    _onTraffic: function _onTraffic(entry) {
+        this.port.emit('consoleTraffic', entry);
+    },
+
+    /**
+     * @param {string} xml  A hand-written stanza.
+     */
+    _onConsoleSend: function _onConsoleSend(xml) {
+        if (!this.client.xmppConnected) {
+            this.port.emit('consoleError', 'Not connected.');
+            return;
+        }
+        try {
+            this.client.sendStanzaXml(xml);
+        } catch (e) {
+            this.port.emit('consoleError', e.message);
+            return;
+        }
+        this.port.emit('consoleSent');
+    }
+
+});
+
+function onCoopfoxInit(event) {
+    if (prefs.xmppConsole) {
+        XMPPConsole(event.subject);
+    }
+}
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-init', onCoopfoxInit, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-init', onCoopfoxInit);
+});
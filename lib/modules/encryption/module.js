@@ -0,0 +1,147 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const sysEvents = require('sdk/system/events');
+const unloader = require('sdk/system/unload');
+const baseUrl = require('sdk/self').data.url('modules/encryption/');
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+
+const { confirmEx } = require('../../browser/dialogs');
+
+/**
+ * This module shows the encryption key fingerprints of participants in the roster
+ * and lets the user mark keys as verified, after comparing them through another channel.
+ * @see E2EKeyring
+ */
+const Encryption = Class({
+    extends: EventHub,
+    className: 'Encryption',
+
+    /**
+     * @param {CoopFox} coopfox
+     */
+    initialize: function initialize(coopfox) {
+        this.coopfox = coopfox;
+        this.keyring = coopfox.xmpp.client.keyring;
+
+        coopfox.sidebar.roster.addScript(baseUrl + 'roster.js');
+        coopfox.sidebar.roster.addStyle(baseUrl + 'roster.css');
+        coopfox.sidebar.panel.addScript(baseUrl + 'panel.js');
+        coopfox.sidebar.panel.addStyle(baseUrl + 'panel.css');
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(coopfox, 'componentsReady');
+        this.subscribeTo(coopfox, 'destroy');
+        console.info('Encryption module activated.');
+    },
+
+    _onceComponentsReady: function _onceComponentsReady() {
+        var xmpp = this.coopfox.xmpp;
+        this.port = this.coopfox.sidebar.roster.port;
+
+        this.port.emit('encryptionEnabled', xmpp.encryptionEnabled);
+        for each (let jid in xmpp.getParticipants(true)) {
+            this._onKeyChange(jid, this.keyring.getKeyInfo(jid));
+        }
+        this.subscribeTo(this.keyring, 'keyChange');
+        this.subscribeTo(this.port, 'verifyContactKey');
+    },
+
+    _onceDestroy: function _onceDestroy() {
+        this.coopfox = null;
+    },
+
+    _onKeyChange: function _onKeyChange(jid, info) {
+        if (info) {
+            this.port.emit('contactKeyInfo', jid, info);
+        }
+    },
+
+    /**
+     * Shows both fingerprints and asks the user whether they match.
+     *
+     * @param {string} jid
+     */
+    _onVerifyContactKey: function _onVerifyContactKey(jid) {
+        var info = this.keyring.getKeyInfo(jid);
+        if (!info) { return; }
+        if (info.presentedFingerprint) {
+            this._confirmKeyChange(jid, info);
+            return;
+        }
+
+        var choice = confirmEx(
+            'Verify Encryption Key',
+            'Compare these fingerprints with ' + jid + ' in person or by phone:\n\n' +
+            jid + ':\n' + info.fingerprint + '\n\n' +
+            'Your own key:\n' + this.keyring.getFingerprint() + '\n\n' +
+            (info.changed ? 'Warning: this contact has presented a different key before!\n\n' : '') +
+            'Only mark the key as verified if both fingerprints match exactly.',
+            'Mark as Verified',
+            'Cancel',
+            info.verified ? 'Mark as Unverified' : null
+        );
+        switch (choice) {
+            case 0:
+                this.keyring.setVerified(jid, true);
+            break;
+            case 2:
+                this.keyring.setVerified(jid, false);
+            break;
+        }
+    },
+
+    /**
+     * Asks the user whether to replace the known key of a contact with a different one they presented.
+     *
+     * @param {string} jid
+     * @param {object} info  @see E2EKeyring.getKeyInfo()
+     */
+    _confirmKeyChange: function _confirmKeyChange(jid, info) {
+        var choice = confirmEx(
+            'Encryption Key Changed',
+            jid + ' has presented a new encryption key. This happens when CoopFox is reinstalled ' +
+            'or used on another computer, but someone else may also be impersonating this contact.\n\n' +
+            'New key:\n' + info.presentedFingerprint + '\n\n' +
+            'Known key' + (info.verified ? ' (verified)' : '') + ':\n' + info.fingerprint + '\n\n' +
+            'Messages sent with the new key are marked with a warning until you accept it. ' +
+            'Only accept it after comparing the fingerprint with ' + jid + ' in person or by phone.',
+            'Accept New Key',
+            'Cancel',
+            'Reject New Key'
+        );
+        switch (choice) {
+            case 0:
+                this.keyring.acceptKey(jid);
+            break;
+            case 2:
+                this.keyring.rejectKey(jid);
+            break;
+        }
+    }
+
+});
+
+function onCoopfoxInit(event) {
+    Encryption(event.subject);
+}
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-init', onCoopfoxInit, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-init', onCoopfoxInit);
+});
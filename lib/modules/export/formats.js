@@ -0,0 +1,517 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { isCorrection } = require('../../xmpp/threads');
+
+const REPORT_FORMAT = 'coopfox-session';
+const REPORT_VERSION = 1;
+
+/**
+ * Builds a format independent report of a CoopChat session from the thread history.
+ *
+ * This is also the structure written by toJson(), so it must only ever be
+ * extended in a backwards compatible way (otherwise increase REPORT_VERSION):
+ *
+ *  {
+ *    format:       'coopfox-session',
+ *    version:      1,
+ *    thread:       {string}    Thread id
+ *    exported:     {string}    ISO 8601 date of the export
+ *    participants: [{
+ *      jid:        {string}    Bare JID
+ *      name:       {string}    Display name
+ *      self:       {boolean}   True for the exporting user
+ *      color:      {object|null}  { foreground, background } as CSS colors
+ *    }],
+ *    messages: [{              Chat messages and quotes in chronological order
+ *      id:         {string}    Message id
+ *      type:       {string}    'chat' or 'quote'
+ *      from:       {string}    Bare JID of the author
+ *      time:       {string}    ISO 8601 date (local system time of the exporting user)
+ *      text:       {string}    Message text, or the quoted text for quotes
+ *      page:       {object|null}  { url, title } of the page the message refers to
+ *      comments:   [{ id, from, time, text }]  Replies to this message
+ *    }],
+ *    results: [{               Collected results, highest priority first
+ *      id:         {string}    Id of the message which was added to the results
+ *      priority:   {number}
+ *    }]
+ *  }
+ *
+ * Deleted messages and messages which could not be decrypted are omitted.
+ * Edited messages are included in their latest revision.
+ *
+ * @param {XMPPMultiUserThread} xmpp
+ * @param {function} [getColors]  Returns { foreground, background } for a bare JID.
+ * @returns {object}
+ */
+function buildReport(xmpp, getColors) {
+    var messages = xmpp.getMessages();
+    var threadId = xmpp.id;
+    var selfJid = xmpp.rosterSelf.jid.bare;
+
+    var deleted = {};
+    for each (let message in messages) {
+        let chat = message.coopfox ? message.coopfox.chat : null;
+        if (chat && chat.id) {
+            if (chat.action === 'delete') {
+                deleted[chat.id] = true;
+            }
+            else if (chat.action === 'undelete') {
+                delete deleted[chat.id];
+            }
+        }
+    }
+
+    function toTime(message) {
+        return new Date(message.$timestamp - xmpp.threadTimeOffset).toISOString();
+    }
+
+    //edited messages are exported in their latest revision
+    function latestText(message) {
+        return xmpp.getLatestRevision(message.id).body.$text;
+    }
+
+    var entries = [];
+    var byId = {};
+    var comments = [];
+    var priorities = {};
+    var order = [];
+    var authors = {};
+
+    for each (let message in messages) {
+        if (!message.coopfox || deleted[message.id] || message.$undecryptable) { continue; }
+        if (isCorrection(message)) { continue; } //exported as the text of the original message
+        let cf = message.coopfox;
+
+        //replay result actions the same way the results tab does
+        if (cf.result && cf.result.id) {
+            let id = cf.result.id;
+            switch (cf.result.action) {
+                case 'up':
+                    if (!(id in priorities)) {
+                        priorities[id] = 0;
+                        order.push(id);
+                    }
+                    priorities[id]++;
+                break;
+                case 'down':
+                    if (id in priorities) {
+                        priorities[id]--;
+                    }
+                break;
+                case 'remove':
+                    if (id in priorities) {
+                        delete priorities[id];
+                        order.splice(order.indexOf(id), 1);
+                    }
+                break;
+            }
+            continue;
+        }
+
+        let parentId = (message.thread && (message.thread.$text !== threadId)) ? message.thread.$text : null;
+        let from = message.$from.bare;
+
+        if (parentId) {
+            if (message.body && message.body.$text) {
+                comments.push({
+                    parent: parentId,
+                    comment: { id: message.id, from: from, time: toTime(message), text: latestText(message) }
+                });
+                authors[from] = true;
+            }
+            continue;
+        }
+
+        let entry = {
+            id: message.id,
+            type: 'chat',
+            from: from,
+            time: toTime(message),
+            text: '',
+            page: cf.location ? { url: cf.location.url || '', title: cf.location.title || '' } : null,
+            comments: []
+        };
+
+        if (cf.highlight && (cf.highlight.type === 'insert')) {
+            let texts = [];
+            for each (let text in (Array.isArray(cf.highlight.text) ? cf.highlight.text : [cf.highlight.text])) {
+                if (text && text.$text) {
+                    texts.push(text.$text);
+                }
+            }
+            entry.type = 'quote';
+            entry.text = texts.join('\n…\n');
+            if (cf.highlight.url && (!entry.page || (entry.page.url !== cf.highlight.url))) {
+                entry.page = { url: cf.highlight.url, title: '' };
+            }
+        }
+        else if (message.body && message.body.$text) {
+            entry.text = latestText(message);
+        }
+        else {
+            continue; //e.g. participant status, pure location updates
+        }
+
+        entries.push(entry);
+        byId[entry.id] = entry;
+        authors[from] = true;
+    }
+
+    for each (let item in comments) {
+        if (byId[item.parent]) {
+            byId[item.parent].comments.push(item.comment);
+        }
+    }
+
+    var results = order.filter(function(id) {
+        return !!byId[id];
+    }).map(function(id) {
+        return { id: id, priority: priorities[id] };
+    });
+    //stable sort by priority, keeping the order in which results were added
+    results = results.map(function(result, i) {
+        return [result, i];
+    }).sort(function(a, b) {
+        return (b[0].priority - a[0].priority) || (a[1] - b[1]);
+    }).map(function(pair) {
+        return pair[0];
+    });
+
+    var jids = [selfJid];
+    for each (let jid in xmpp.participantJoinOrder.concat(xmpp.getParticipants(true), Object.keys(authors))) {
+        if (jids.indexOf(jid) === -1) {
+            jids.push(jid);
+        }
+    }
+
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        thread: threadId,
+        exported: new Date().toISOString(),
+        participants: jids.map(function(jid) {
+            let colors = getColors ? getColors(jid) : null;
+            return {
+                jid: jid,
+                name: xmpp.getContact(jid).name,
+                self: (jid === selfJid),
+                color: colors ? { foreground: colors.foreground, background: colors.background } : null
+            };
+        }),
+        messages: entries,
+        results: results
+    };
+}
+exports.buildReport = buildReport;
+
+/////////////////////////////////////////////////////////////////
+
+function getNames(report) {
+    var names = {};
+    for each (let participant in report.participants) {
+        names[participant.jid] = participant.name;
+    }
+    return names;
+}
+
+function getMessageMap(report) {
+    var map = {};
+    for each (let message in report.messages) {
+        map[message.id] = message;
+    }
+    return map;
+}
+
+function formatTime(iso) {
+    return new Date(iso).toLocaleFormat('%Y-%m-%d %H:%M');
+}
+
+/////////////////////////////////////////////////////////////////
+
+/**
+ * @param {object} report  As returned by buildReport().
+ * @returns {string}
+ */
+function toJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+exports.toJson = toJson;
+
+/////////////////////////////////////////////////////////////////
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function htmlText(str) {
+    return escapeHtml(str).replace(/\r?\n/g, '<br>');
+}
+
+function htmlLink(page) {
+    if (!/^(https?|ftp):/i.test(page.url)) {
+        return escapeHtml(page.title || page.url);
+    }
+    return '<a href="' + escapeHtml(page.url) + '">' + escapeHtml(page.title || page.url) + '</a>';
+}
+
+const HTML_STYLE = [
+    'body { font: 14px/1.4 sans-serif; max-width: 50em; margin: 2em auto; padding: 0 1em; color: #222; }',
+    'h1 { font-size: 1.6em; } h2 { font-size: 1.25em; margin-top: 2em; border-bottom: 1px solid #ccc; }',
+    'ul.participants { list-style: none; padding: 0; }',
+    '.swatch { display: inline-block; width: 0.8em; height: 0.8em; margin-right: 0.5em; border: 1px solid; }',
+    '.message { margin: 0.5em 0; padding: 0.3em 0.6em; border-left: 4px solid #bbb; }',
+    '.message .meta, .comment .meta { font-size: 0.85em; color: #666; }',
+    '.sender { font-weight: bold; }',
+    'blockquote { margin: 0.3em 0; padding: 0.2em 0.8em; font-style: italic; background: #f6f6f6; }',
+    '.page { font-size: 0.85em; }',
+    '.comment { margin: 0.3em 0 0.3em 1.5em; }',
+    'table { border-collapse: collapse; width: 100%; } th, td { border: 1px solid #ccc; padding: 0.3em; text-align: left; vertical-align: top; }',
+    'td.priority { text-align: right; }'
+].join('\n');
+
+/**
+ * Creates a self-contained HTML document without any external resources.
+ *
+ * @param {object} report  As returned by buildReport().
+ * @returns {string}
+ */
+function toHtml(report) {
+    var names = getNames(report);
+    var messages = getMessageMap(report);
+    var colors = {};
+    for each (let participant in report.participants) {
+        colors[participant.jid] = participant.color;
+    }
+
+    function sender(jid) {
+        var color = colors[jid];
+        return '<span class="sender"' + (color ? ' style="color: ' + escapeHtml(color.foreground) + '"' : '') + '>' +
+            escapeHtml(names[jid] || jid) + '</span>';
+    }
+
+    var html = [];
+    html.push('<!DOCTYPE html>');
+    html.push('<html><head><meta charset="utf-8">');
+    html.push('<title>CoopFox Session Report</title>');
+    html.push('<style>\n' + HTML_STYLE + '\n</style>');
+    html.push('</head><body>');
+    html.push('<h1>CoopFox Session Report</h1>');
+    html.push('<p>Exported ' + escapeHtml(formatTime(report.exported)) + '</p>');
+
+    html.push('<h2>Participants</h2>');
+    html.push('<ul class="participants">');
+    for each (let participant in report.participants) {
+        let color = participant.color;
+        html.push('<li>' +
+            (color ? '<span class="swatch" style="background: ' + escapeHtml(color.background) + '; border-color: ' + escapeHtml(color.foreground) + '"></span>' : '') +
+            sender(participant.jid) + ' &lt;' + escapeHtml(participant.jid) + '&gt;' +
+            (participant.self ? ' (me)' : '') + '</li>');
+    }
+    html.push('</ul>');
+
+    if (report.results.length) {
+        html.push('<h2>Results</h2>');
+        html.push('<table><thead><tr><th>Priority</th><th>Result</th><th>Sender</th><th>Page</th></tr></thead><tbody>');
+        for each (let result in report.results) {
+            let message = messages[result.id];
+            html.push('<tr><td class="priority">' + result.priority + '</td>' +
+                '<td>' + htmlText(message.text) + '</td>' +
+                '<td>' + sender(message.from) + '</td>' +
+                '<td>' + (message.page ? htmlLink(message.page) : '') + '</td></tr>');
+        }
+        html.push('</tbody></table>');
+    }
+
+    var quotes = report.messages.filter(function(message) {
+        return message.type === 'quote';
+    });
+    if (quotes.length) {
+        html.push('<h2>Quotes</h2>');
+        for each (let quote in quotes) {
+            html.push('<div class="message" style="border-color: ' + escapeHtml((colors[quote.from] || {}).background || '#bbb') + '">');
+            html.push('<blockquote>' + htmlText(quote.text) + '</blockquote>');
+            html.push('<div class="meta">' + sender(quote.from) + ', ' + escapeHtml(formatTime(quote.time)) +
+                (quote.page ? ' – <span class="page">' + htmlLink(quote.page) + '</span>' : '') + '</div>');
+            html.push('</div>');
+        }
+    }
+
+    html.push('<h2>Chat</h2>');
+    for each (let message in report.messages) {
+        html.push('<div class="message" style="border-color: ' + escapeHtml((colors[message.from] || {}).background || '#bbb') + '">');
+        html.push('<div class="meta">' + sender(message.from) + ' ' + escapeHtml(formatTime(message.time)) + '</div>');
+        if (message.type === 'quote') {
+            html.push('<blockquote>' + htmlText(message.text) + '</blockquote>');
+        } else {
+            html.push('<div class="text">' + htmlText(message.text) + '</div>');
+        }
+        if (message.page) {
+            html.push('<div class="page">' + htmlLink(message.page) + '</div>');
+        }
+        for each (let comment in message.comments) {
+            html.push('<div class="comment"><div class="meta">' + sender(comment.from) + ' ' + escapeHtml(formatTime(comment.time)) + '</div>' +
+                htmlText(comment.text) + '</div>');
+        }
+        html.push('</div>');
+    }
+
+    html.push('</body></html>');
+    return html.join('\n');
+}
+exports.toHtml = toHtml;
+
+/////////////////////////////////////////////////////////////////
+
+function escapeMarkdown(str) {
+    return String(str).replace(/([\\`*_\[\]#|<>])/g, '\\$1');
+}
+
+function markdownText(str) {
+    return escapeMarkdown(str).replace(/\r?\n/g, '  \n');
+}
+
+function markdownLink(page) {
+    var label = escapeMarkdown(page.title || page.url);
+    if (!/^(https?|ftp):/i.test(page.url)) {
+        return label;
+    }
+    return '[' + label + '](<' + page.url.replace(/[<>\s]/g, encodeURIComponent) + '>)';
+}
+
+/**
+ * Creates Markdown as understood by common wikis and issue trackers.
+ *
+ * @param {object} report  As returned by buildReport().
+ * @returns {string}
+ */
+function toMarkdown(report) {
+    var names = getNames(report);
+    var messages = getMessageMap(report);
+
+    function sender(jid) {
+        return '**' + escapeMarkdown(names[jid] || jid) + '**';
+    }
+
+    function blockquote(text, indent) {
+        return escapeMarkdown(text).split(/\r?\n/).map(function(line) {
+            return indent + '> ' + line;
+        }).join('\n');
+    }
+
+    var md = [];
+    md.push('# CoopFox Session Report');
+    md.push('');
+    md.push('Exported ' + escapeMarkdown(formatTime(report.exported)));
+    md.push('');
+
+    md.push('## Participants');
+    md.push('');
+    for each (let participant in report.participants) {
+        md.push('- ' + sender(participant.jid) + ' <' + participant.jid + '>' + (participant.self ? ' (me)' : ''));
+    }
+    md.push('');
+
+    if (report.results.length) {
+        md.push('## Results');
+        md.push('');
+        md.push('| Priority | Result | Sender | Page |');
+        md.push('| ---: | --- | --- | --- |');
+        for each (let result in report.results) {
+            let message = messages[result.id];
+            md.push('| ' + result.priority +
+                ' | ' + escapeMarkdown(message.text).replace(/\r?\n/g, ' ') +
+                ' | ' + escapeMarkdown(names[message.from] || message.from) +
+                ' | ' + (message.page ? markdownLink(message.page) : '') + ' |');
+        }
+        md.push('');
+    }
+
+    var quotes = report.messages.filter(function(message) {
+        return message.type === 'quote';
+    });
+    if (quotes.length) {
+        md.push('## Quotes');
+        md.push('');
+        for each (let quote in quotes) {
+            md.push(blockquote(quote.text, ''));
+            md.push('');
+            md.push('— ' + sender(quote.from) + ', ' + escapeMarkdown(formatTime(quote.time)) +
+                (quote.page ? ', ' + markdownLink(quote.page) : ''));
+            md.push('');
+        }
+    }
+
+    md.push('## Chat');
+    md.push('');
+    for each (let message in report.messages) {
+        let head = '- ' + sender(message.from) + ' (' + escapeMarkdown(formatTime(message.time)) + ')';
+        if (message.type === 'quote') {
+            md.push(head + ' quoted:');
+            md.push('');
+            md.push(blockquote(message.text, '  '));
+            md.push('');
+        } else {
+            md.push(head + ': ' + markdownText(message.text).replace(/\n/g, '\n  '));
+        }
+        if (message.page) {
+            md.push('  ' + markdownLink(message.page));
+        }
+        for each (let comment in message.comments) {
+            md.push('  - ' + sender(comment.from) + ' (' + escapeMarkdown(formatTime(comment.time)) + '): ' +
+                markdownText(comment.text).replace(/\n/g, '\n    '));
+        }
+    }
+    md.push('');
+
+    return md.join('\n');
+}
+exports.toMarkdown = toMarkdown;
+
+/////////////////////////////////////////////////////////////////
+
+function csvField(value) {
+    return '"' + String(value).replace(/"/g, '""') + '"';
+}
+
+/**
+ * Creates a CSV table (RFC 4180) of the collected results.
+ *
+ * @param {object} report  As returned by buildReport().
+ * @returns {string}
+ */
+function resultsToCsv(report) {
+    var names = getNames(report);
+    var messages = getMessageMap(report);
+    var rows = ['#,Sender,Text,URL,Time,Priority'];
+    var count = 0;
+    for each (let result in report.results) {
+        let message = messages[result.id];
+        rows.push([
+            ++count,
+            names[message.from] || message.from,
+            message.text,
+            message.page ? message.page.url : '',
+            new Date(message.time).toLocaleString(),
+            result.priority
+        ].map(csvField).join(','));
+    }
+    return rows.join('\r\n');
+}
+exports.resultsToCsv = resultsToCsv;
@@ -0,0 +1,151 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const sysEvents = require('sdk/system/events');
+const unloader = require('sdk/system/unload');
+const files = require('sdk/io/file');
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { MenuItem } = require('../../browser/menus');
+const { fileSavePrompt } = require('../../browser/dialogs');
+const formats = require('./formats');
+
+const EXPORT_FORMATS = {
+    html: {
+        label: 'Export Session as HTML Report...',
+        filter: { '*.html': 'HTML Report' },
+        serialize: formats.toHtml
+    },
+    markdown: {
+        label: 'Export Session as Markdown...',
+        filter: { '*.md': 'Markdown Document' },
+        serialize: formats.toMarkdown
+    },
+    json: {
+        label: 'Export Session as JSON...',
+        filter: { '*.json': 'JSON Data' },
+        serialize: formats.toJson
+    }
+};
+
+/**
+ * This module exports the current session as a research report.
+ *
+ * The report is built from the thread history rather than from the panel,
+ * so it includes everything that has been synchronized, independent of
+ * which tabs are currently shown.
+ *
+ * @see formats.buildReport for the JSON schema
+ */
+const Export = Class({
+    extends: EventHub,
+    className: 'Export',
+
+    /**
+     * @param {CoopFox} coopfox
+     */
+    initialize: function initialize(coopfox) {
+        this.coopfox = coopfox;
+        this.xmpp = coopfox.xmpp;
+        this._menuItems = [];
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(coopfox, 'componentsReady');
+        this.subscribeTo(coopfox, 'destroy');
+        console.info('Export module activated.');
+    },
+
+    _onceComponentsReady: function _onceComponentsReady() {
+        this._createMenuItems();
+    },
+
+    _onceDestroy: function _onceDestroy() {
+        this.destroy();
+        this.coopfox = null;
+        this.xmpp = null;
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    _createMenuItems: function _createMenuItems() {
+        var self = this;
+        var xmpp = this.xmpp;
+        var first = true;
+
+        for (let format in EXPORT_FORMATS) {
+            this._menuItems.push(new MenuItem({
+                window: this.coopfox.window,
+                menu: 'coopfoxPanelMenu',
+                id: 'menu-coopfox-panel-export-' + format,
+                separatorBefore: first,
+                label: EXPORT_FORMATS[format].label,
+                onShow: function onShow() {
+                    if (!xmpp.hasMessages) {
+                        this.disabled = true;
+                    }
+                },
+                onClick: function onClick() {
+                    self.exportSession(format);
+                }
+            }));
+            first = false;
+        }
+    },
+
+    _destroyMenuItems: function _destroyMenuItems() {
+        for each (let item in this._menuItems) {
+            item.destroy();
+        }
+        this._menuItems = [];
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    /**
+     * @returns {object}  The session report, see formats.buildReport.
+     */
+    getReport: function getReport() {
+        return formats.buildReport(this.xmpp, this.coopfox.getParticipantColors || null); //colors module may be disabled
+    },
+
+    /**
+     * Prompts for a file name and writes the session report to it.
+     *
+     * @param {string} format  'html', 'markdown' or 'json'
+     */
+    exportSession: function exportSession(format) {
+        var def = EXPORT_FORMATS[format];
+        if (!def) {
+            throw new Error('Unknown export format: ' + format);
+        }
+        var extension = Object.keys(def.filter)[0].substr(1);
+        var path = fileSavePrompt(this.coopfox.window, def.filter, 'session' + extension);
+        if (!path) { return; }
+
+        files.open(path, 'w').writeAsync(def.serialize(this.getReport()));
+    }
+
+});
+
+function onCoopfoxInit(event) {
+    Export(event.subject);
+}
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-init', onCoopfoxInit, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-init', onCoopfoxInit);
+});
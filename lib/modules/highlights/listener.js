@@ -22,6 +22,8 @@ const { ContextMenuItem } = require('../../browser/context-menus');
 
 const { url } = require('sdk/self').data;
 const clipboard = require('sdk/clipboard');
+const { setTimeout, clearTimeout } = require('sdk/timers');
+const { uniqueAncestorSelector } = require('../../utils/dhtml');
 
 const {
     rangeTrim,
@@ -31,6 +33,8 @@ const {
     rangeGetLocalDescriptor
 } = require('../../utils/search');
 
+const POINTER_INTERVAL = 150; //ms, mouse movements in between are coalesced
+
 
 /**
  * Attaches to a browser window and captures selections the user makes in the html documents.
@@ -41,6 +45,11 @@ const {
  *
  * - {function} onSelection
  *   Called when a new proper selection on any document is detected.
+ *
+ * - {function} onPointerMove
+ *   Called with (doc, pointer) while pointerSharing is enabled and the mouse moves over a document.
+ *   The pointer is { selector, x, y }, anchored to the closest uniquely selectable element,
+ *   with x and y as ratios of its size. It is null when the mouse leaves the document.
  */
 const SelectionListener = Class({
     extends: EventHub,
@@ -53,6 +62,10 @@ const SelectionListener = Class({
         this.tabs = options.tabs;
         this._currentTransient = new WeakMap();
         this.lastMousePos = { left: 0, top: 0 };
+        this.pointerSharing = false;
+        this._pointerEvent = null;
+        this._pointerTimeout = null;
+        this._anchorSelectors = new WeakMap(); // nsIDOMElement > string
 
         EventHub.prototype.initialize.apply(this, arguments);
         this.subscribeTo(options.tabs, 'documentReady');
@@ -63,6 +76,10 @@ const SelectionListener = Class({
         for each (let doc in this.tabs.getAllDocs()) {
             this._onDocumentUnload(doc);
         }
+        if (this._pointerTimeout) {
+            clearTimeout(this._pointerTimeout);
+            this._pointerTimeout = null;
+        }
         this.tabs = null;
     },
 
@@ -146,6 +163,8 @@ const SelectionListener = Class({
             selection.addSelectionListener(this);
         }
         doc.addEventListener('mouseup', this._onMouseUp);
+        doc.addEventListener('mousemove', this._onMouseMove);
+        doc.addEventListener('mouseout', this._onMouseOut);
     },
 
     _onDocumentUnload: function _onDocumentUnload(doc) {
@@ -156,6 +175,8 @@ const SelectionListener = Class({
                 selection.removeSelectionListener(this);
             }
             doc.removeEventListener('mouseup', this._onMouseUp);
+            doc.removeEventListener('mousemove', this._onMouseMove);
+            doc.removeEventListener('mouseout', this._onMouseOut);
             if (this._currentTransient.get(doc, '')) {
                 this.emit('transientSelection', doc, [], []);
             }
@@ -172,6 +193,66 @@ const SelectionListener = Class({
         this._onSelection(event.currentTarget, !event.altKey);
     },
 
+    _onMouseMove: function _onMouseMove(event) {
+        if (!this.pointerSharing) { return; }
+        this._pointerEvent = {
+            doc: event.currentTarget,
+            target: event.target,
+            clientX: event.clientX,
+            clientY: event.clientY
+        };
+        if (!this._pointerTimeout) {
+            this._pointerTimeout = setTimeout(this._emitPointer, POINTER_INTERVAL);
+        }
+    },
+
+    _onMouseOut: function _onMouseOut(event) {
+        if (!this.pointerSharing || event.relatedTarget) { return; } //still within the document
+        if (this._pointerTimeout) {
+            clearTimeout(this._pointerTimeout);
+            this._pointerTimeout = null;
+        }
+        this._pointerEvent = null;
+        this.emit('pointerMove', event.currentTarget, null);
+    },
+
+    _emitPointer: function _emitPointer() {
+        this._pointerTimeout = null;
+        var pointer = this._pointerEvent;
+        this._pointerEvent = null;
+        if (!pointer || !this.pointerSharing || !this.tabs.isValidDoc(pointer.doc)) { return; }
+
+        //never anchor to our own overlays, which do not exist for others
+        var target = pointer.target;
+        while (target && target.className && (typeof(target.className) === 'string') &&
+               (target.className.indexOf('coopfox') !== -1)) {
+            target = target.parentNode;
+        }
+        if (!target) { return; }
+
+        var selector = this._anchorSelectors.get(target, null);
+        var anchor = null;
+        try {
+            if (selector === null) {
+                selector = uniqueAncestorSelector(target) || 'body';
+            }
+            anchor = pointer.doc.querySelector(selector);
+        } catch (e) {
+            //IDs or class names which are no valid selectors
+            selector = 'body';
+            anchor = pointer.doc.body;
+        }
+        this._anchorSelectors.set(target, selector);
+        if (!anchor) { return; }
+
+        var rect = anchor.getBoundingClientRect();
+        this.emit('pointerMove', pointer.doc, {
+            selector: selector,
+            x: rect.width ? (pointer.clientX - rect.left) / rect.width : 0,
+            y: rect.height ? (pointer.clientY - rect.top) / rect.height : 0
+        });
+    },
+
     // nsISelectionListener
     notifySelectionChanged: function notifySelectionChanged(doc, selection, reason) {
         switch (reason) {
@@ -15,12 +15,16 @@
 const sysEvents = require('sdk/system/events');
 const unloader = require('sdk/system/unload');
 const baseUrl = require('sdk/self').data.url('modules/highlights/');
+const { prefs } = require('sdk/simple-prefs');
 
 const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
 const { SelectionListener } = require('./listener');
 const { DomHighlighter } = require('./highlighter');
+const { PointerOverlay } = require('./pointers');
+const { MenuItem } = require('../../browser/menus');
 
+const { isCorrection } = require('../../xmpp/threads');
 const { cleanUrl } = require('../../utils/urls');
 const { softAlert } = require('../../utils/dhtml');
 const { confirmEx } = require('../../browser/dialogs');
@@ -36,6 +40,9 @@ const Highlights = Class({
         this.coopfox = coopfox;
         this.xmpp = coopfox.xmpp;
         this.transients = {};
+        this._deletedAnnotations = {}; //message ID -> true, so that late corrections don't restore them
+        this._pointerShown = false; //whether the participants currently see our pointer
+        this._menuItems = [];
 
         coopfox.sidebar.panel.addScript(baseUrl + 'panel.js');
         coopfox.sidebar.panel.addStyle(baseUrl + 'panel.css');
@@ -52,8 +59,10 @@ const Highlights = Class({
         this.listener = new SelectionListener({
             tabs : this.coopfox.browser,
             onSelection: this,
-            onTransientSelection: this
+            onTransientSelection: this,
+            onPointerMove: this
         });
+        this.listener.pointerSharing = prefs.sharePointer; //take default from prefs
         this.highlights = new DomHighlighter({
             tabs : this.coopfox.browser,
             onClick: this,
@@ -61,9 +70,14 @@ const Highlights = Class({
             onCloseClick : this,
             onRestoreError : this
         });
+        this.pointers = new PointerOverlay({
+            tabs : this.coopfox.browser
+        });
 
         this.subscribeTo(this.xmpp, 'incomingMessage');
         this.subscribeTo(this.xmpp, 'rosterItemUpdate');
+
+        this._createMenuItems();
     },
 
     _onceDestroy: function _onceDestroy() {
@@ -78,6 +92,42 @@ const Highlights = Class({
             this.highlights.destroy();
             this.highlights = null;
         }
+        if (this.pointers) {
+            this.pointers.destroy();
+            this.pointers = null;
+        }
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    _createMenuItems: function _createMenuItems() {
+        var self = this;
+        this._menuItems = [
+
+            new MenuItem({
+                window: this.coopfox.window,
+                menu: 'coopfoxRosterMenu',
+                id: 'menu-coopfox-roster-share-pointer',
+                after: 'menu-coopfox-roster-publish-location',
+                label: 'Show Mouse Pointer to Coop Partners',
+                tooltiptext: 'CoopChat partners on the same page can see where you point at',
+                type: 'checkbox',
+                onShow: function onShow() {
+                    this.checked = self.listener.pointerSharing;
+                },
+                onClick: function onClick() {
+                    self.setPointerSharing(!this.checked);
+                }
+            })
+
+        ];
+    },
+
+    _destroyMenuItems: function _destroyMenuItems() {
+        for each (let item in this._menuItems) {
+            item.destroy();
+        }
+        this._menuItems = [];
     },
 
     /////////////////////////////////////////////////////////////////
@@ -98,6 +148,10 @@ const Highlights = Class({
             this._publishTransientHighlights(message.$from.full);
         }
 
+        if (message.coopfox.pointer && (message.type === 'headline')) {
+            this._processPointer(message);
+        }
+
         var hl = message.coopfox.highlight;
         if (!hl) { return; }
         var contact = this.xmpp.getContact(message.$from);
@@ -187,9 +241,11 @@ const Highlights = Class({
                         if (hl) {
                             let action = message.coopfox.chat.action;
                             if (action === 'delete') {
+                                this._deletedAnnotations[origMessage.id] = true;
                                 this.highlights.removeAnnotation(hl.id, origMessage.id);
                             }
                             else if (action === 'undelete') {
+                                delete this._deletedAnnotations[origMessage.id];
                                 this._processAnnotations(origMessage);
                             }
                         }
@@ -201,9 +257,14 @@ const Highlights = Class({
                 let id = message.thread.$text;
                 if (id === this.xmpp.id) { return; }
 
-                let contact = this.xmpp.getContact(message.$from);
+                //annotations are keyed by the original comment and always show its latest revision
+                let original = isCorrection(message) ? this.xmpp.messages[message.replace.id] : message;
+                let latest = original ? this.xmpp.getLatestRevision(original.id) : null;
+                if (!latest || this._deletedAnnotations[original.id]) { return; }
+
+                let contact = this.xmpp.getContact(original.$from);
                 let colors = this._getColors(contact);
-                this.highlights.addAnnotation(id, message.id, message.body.$text, contact.name, colors.foreground);
+                this.highlights.addAnnotation(id, original.id, latest.body.$text, contact.name, colors.foreground);
             }
         }
         catch (e) {
@@ -222,6 +283,7 @@ const Highlights = Class({
         switch (reason) {
             case 'participantInactive':
                 this._removeTransient(contact.jid.bare);
+                this.pointers.remove(contact.jid.bare);
             break;
         }
     },
@@ -356,6 +418,67 @@ const Highlights = Class({
         }
     },
 
+    /**
+     * @param {boolean} enabled  Whether to send the own mouse pointer to other participants.
+     */
+    setPointerSharing: function setPointerSharing(enabled) {
+        enabled = !!enabled;
+        if (this.listener.pointerSharing === enabled) { return; }
+        this.listener.pointerSharing = enabled;
+        if (!enabled && this.coopfox.browser.activeDoc) {
+            this._onPointerMove(this.coopfox.browser.activeDoc, null); //hide
+        }
+    },
+
+    /**
+     * The pointer is only sent while the page may be shown to the participants
+     * and at least one of them is on the same page. Otherwise it is hidden,
+     * without revealing the page it was moved to.
+     */
+    _onPointerMove: function _onPointerMove(doc, pointer) {
+        var url = cleanUrl(doc.URL);
+        var coopfox = this.coopfox;
+        if (pointer && !(coopfox.isLocationShared && coopfox.isLocationShared(url) &&
+                coopfox.getParticipantsOnPage(url).length)) {
+            pointer = null;
+        }
+        if (!pointer && !this._pointerShown) { return; }
+        this._pointerShown = !!pointer;
+
+        var message = {
+            type: 'headline',
+            coopfox: {
+                pointer: pointer ? {
+                    url: url,
+                    selector: pointer.selector,
+                    x: pointer.x.toFixed(4),
+                    y: pointer.y.toFixed(4)
+                } : { hidden: 'true' }
+            },
+            $noEcho: true
+        };
+        this.xmpp.sendMessage(message);
+    },
+
+    _processPointer: function _processPointer(message) {
+        var contact = this.xmpp.getContact(message.$from);
+        if (contact.isSelf) { return; }
+        var jid = contact.jid.bare;
+        var pointer = message.coopfox.pointer;
+        var x = parseFloat(pointer.x);
+        var y = parseFloat(pointer.y);
+        if (!pointer.url || !pointer.selector || isNaN(x) || isNaN(y)) {
+            this.pointers.remove(jid);
+            return;
+        }
+        this.pointers.update(jid, {
+            url: pointer.url,
+            selector: pointer.selector,
+            x: x,
+            y: y
+        }, contact.name, this._getColors(contact).foreground);
+    },
+
     _softAlert: function _softAlert(id, message) {
         let doc = this.coopfox.browser.activeDoc;
         if (doc) {
@@ -0,0 +1,196 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { WindowTabsMonitor } = require('../../browser/tabs');
+
+const { setTimeout, clearTimeout } = require('sdk/timers');
+const { cleanUrl } = require('../../utils/urls');
+const { getOffsetRect } = require('../../utils/dhtml');
+const contentStyles = require('sdk/self').data.url('modules/highlights/content.css');
+
+const POINTER_IDLE_TIMEOUT = 15000; //ms, hides pointers whose owner stopped sending
+
+/**
+ * Attaches to the tabs of a browser window and renders the mouse pointers
+ * of other participants on the page they are pointing at.
+ *
+ * Pointers are positioned relative to an anchor element, given by a CSS selector,
+ * so they point at the same content even if the page layout differs between clients.
+ * @see SelectionListener for the capturing side.
+ *
+ * @param {object} options
+ * - {WindowTabsMonitor} tabs  The underlying tabs monitor (required).
+ */
+const PointerOverlay = Class({
+    extends: EventHub,
+    className: 'PointerOverlay',
+
+    initialize: function initialize(options) {
+        if (!(options.tabs instanceof WindowTabsMonitor)) {
+            throw new TypeError('PointerOverlay requires an instance of WindowTabsMonitor to operate');
+        }
+        this.tabs = options.tabs;
+        this._pointers = {}; // jid > { url, selector, x, y, label, color, timeout }
+        this._elements = new WeakMap(); // document > { jid > nsIDOMElement (<div>) }
+        this._styles = new WeakMap(); // document > nsIDOMElement (<link>)
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(this.tabs, 'documentReady');
+        this.subscribeTo(this.tabs, 'documentUnload');
+    },
+
+    _destroySubscriptions: function _destroySubscriptions() {
+        for (let jid in this._pointers) {
+            clearTimeout(this._pointers[jid].timeout);
+        }
+        for each (let doc in this.tabs.getAllDocs()) {
+            this._onDocumentUnload(doc);
+        }
+        this._pointers = {};
+        this.tabs = null;
+    },
+
+    /**
+     * @param {string} jid
+     * @param {object} pointer  { url, selector, x, y }, where x and y are ratios of the anchor size.
+     * @param {string} label    Name shown next to the pointer.
+     * @param {string} color
+     */
+    update: function update(jid, pointer, label, color) {
+        var old = this._pointers[jid];
+        if (old) {
+            clearTimeout(old.timeout);
+            if (old.url !== pointer.url) {
+                this._removeElements(jid, old.url);
+            }
+        }
+        this._pointers[jid] = {
+            url: pointer.url,
+            selector: pointer.selector,
+            x: Math.min(Math.max(pointer.x, 0), 1),
+            y: Math.min(Math.max(pointer.y, 0), 1),
+            label: label,
+            color: color,
+            timeout: setTimeout(this.remove.bind(this, jid), POINTER_IDLE_TIMEOUT)
+        };
+        for each (let doc in this.tabs.getDocsForUrl(pointer.url)) {
+            this._render(doc, jid);
+        }
+    },
+
+    /**
+     * @param {string} jid
+     */
+    remove: function remove(jid) {
+        var pointer = this._pointers[jid];
+        if (!pointer) { return; }
+        clearTimeout(pointer.timeout);
+        delete this._pointers[jid];
+        this._removeElements(jid, pointer.url);
+    },
+
+    _removeElements: function _removeElements(jid, url) {
+        for each (let doc in this.tabs.getDocsForUrl(url)) {
+            let elements = this._elements.get(doc, null);
+            if (elements && elements[jid]) {
+                elements[jid].parentNode.removeChild(elements[jid]);
+                delete elements[jid];
+            }
+        }
+    },
+
+    _render: function _render(doc, jid) {
+        var pointer = this._pointers[jid];
+        var elements = this._elements.get(doc, null);
+        if (!elements) {
+            elements = {};
+            this._elements.set(doc, elements);
+        }
+
+        var anchor = null;
+        try {
+            anchor = doc.querySelector(pointer.selector);
+        } catch (e) {
+            //invalid selector
+        }
+        var element = elements[jid];
+        if (!anchor || !doc.body) {
+            if (element) {
+                element.style.setProperty('display', 'none', 'important');
+            }
+            return;
+        }
+
+        if (!this._styles.has(doc)) {
+            let styles = doc.createElement('link');
+            styles.rel = 'stylesheet';
+            styles.type = 'text/css';
+            styles.href = contentStyles;
+            (doc.querySelector('head') || doc.documentElement).appendChild(styles); //e.g. SVG documents have no head
+            this._styles.set(doc, styles);
+        }
+        if (!element) {
+            element = elements[jid] = doc.createElement('div');
+            element.classList.add('coopfox-pointer');
+            let label = doc.createElement('span');
+            label.classList.add('coopfox-pointer-label');
+            element.appendChild(label);
+        }
+        element.firstChild.textContent = pointer.label;
+        element.style.setProperty('color', pointer.color, 'important');
+        element.firstChild.style.setProperty('background-color', pointer.color, 'important');
+
+        var rect = getOffsetRect(anchor);
+        element.style.setProperty('left', Math.round(rect.left + (rect.right - rect.left) * pointer.x) + 'px', 'important');
+        element.style.setProperty('top', Math.round(rect.top + (rect.bottom - rect.top) * pointer.y) + 'px', 'important');
+        element.style.removeProperty('display');
+        if (element.parentNode !== doc.body) {
+            doc.body.appendChild(element);
+        }
+    },
+
+    _onDocumentReady: function _onDocumentReady(doc) {
+        var url = cleanUrl(doc.URL);
+        for (let jid in this._pointers) {
+            if (this._pointers[jid].url === url) {
+                this._render(doc, jid);
+            }
+        }
+    },
+
+    _onDocumentUnload: function _onDocumentUnload(doc) {
+        try {
+            var elements = this._elements.get(doc, null);
+            if (elements) {
+                for (let jid in elements) {
+                    elements[jid].parentNode.removeChild(elements[jid]);
+                }
+                this._elements.delete(doc);
+            }
+            var styles = this._styles.get(doc, null);
+            if (styles) {
+                styles.parentNode.removeChild(styles);
+                this._styles.delete(doc);
+            }
+        }
+        catch (e) {
+            console.warn(e.message);
+        }
+    }
+
+});
+exports.PointerOverlay = PointerOverlay;
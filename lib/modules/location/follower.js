@@ -0,0 +1,184 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { WindowTabsMonitor } = require('../../browser/tabs');
+
+const { urlHash } = require('../../utils/urls');
+
+//locations are opened without user interaction, so only web pages are allowed
+const followablePattern = /^https?:\/\//i;
+
+/**
+ * Follows the navigation of another participant by opening
+ * each location they publish in a dedicated tab.
+ *
+ * Following pauses as soon as the user navigates on their own, either by
+ * switching to another tab or by leaving the page in the follow tab.
+ * Switching back to the follow tab resumes it, unless its page has been left.
+ * Closing the follow tab stops following altogether.
+ * Only http and https locations are opened.
+ *
+ * @param {object} options
+ *
+ * - {WindowTabsMonitor} tabs  The underlying tabs monitor (required).
+ *
+ * - {function} onFollowStatusChange  Called with (jid, paused) whenever following starts, stops or pauses.
+ */
+const LocationFollower = Class({
+    extends: EventHub,
+    className: 'LocationFollower',
+
+    initialize: function initialize(options) {
+        if (!(options.tabs instanceof WindowTabsMonitor)) {
+            throw new TypeError('LocationFollower requires an instance of WindowTabsMonitor to operate');
+        }
+        this.tabs = options.tabs;
+        this.jid = null;
+        this.paused = false;
+        this._location = null;
+        this._loadedHash = null;
+        this._loading = false;
+        this._tab = null; //XUL tab
+        this._gBrowser = this.tabs.window.gBrowser;
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(this.tabs, 'documentReady');
+        this.subscribeTo(this.tabs, 'documentActivate');
+        this._gBrowser.tabContainer.addEventListener('TabClose', this._onTabClose, false);
+    },
+
+    _destroySubscriptions: function _destroySubscriptions() {
+        this._gBrowser.tabContainer.removeEventListener('TabClose', this._onTabClose, false);
+        this._gBrowser = null;
+        this.tabs = null;
+        this._tab = null;
+    },
+
+    /**
+     * @param {string} jid  Bare JID of the participant to follow.
+     * @param {object} [location]  Their current location, opened right away.
+     */
+    follow: function follow(jid, location) {
+        this.jid = jid;
+        this.paused = false;
+        this._location = null;
+        this.emit('followStatusChange', this.jid, this.paused);
+        if (location) {
+            this.update(location);
+        }
+    },
+
+    stop: function stop() {
+        if (!this.jid) { return; }
+        this.jid = null;
+        this.paused = false;
+        this._location = null;
+        this._loading = false;
+        this._tab = null; //the tab itself is left open
+        this.emit('followStatusChange', null, false);
+    },
+
+    /**
+     * Opens the latest location of the followed participant again.
+     */
+    resume: function resume() {
+        if (!this.jid || !this.paused) { return; }
+        this.paused = false;
+        this.emit('followStatusChange', this.jid, this.paused);
+        if (this._location) {
+            this._open(this._location);
+        }
+    },
+
+    /**
+     * @param {object} location  New location published by the followed participant.
+     */
+    update: function update(location) {
+        if (!this.jid || !location || !location.url) { return; } //obfuscated locations cannot be followed
+        if (!followablePattern.test(location.url)) {
+            console.warn('Not following ' + this.jid + ' to ' + location.url + ' (no web page).');
+            return;
+        }
+        this._location = location;
+        if (!this.paused) {
+            this._open(location);
+        }
+    },
+
+    _pause: function _pause() {
+        if (this.paused) { return; }
+        this.paused = true;
+        this.emit('followStatusChange', this.jid, this.paused);
+    },
+
+    _open: function _open(location) {
+        var gBrowser = this._gBrowser;
+        if (!this._tab || !this._tab.parentNode) {
+            this._tab = gBrowser.addTab(location.url);
+            this._loading = true;
+        }
+        else if (urlHash(this._tab.linkedBrowser.currentURI.spec) !== location.urlhash) {
+            this._tab.linkedBrowser.loadURI(location.url);
+            this._loading = true;
+        }
+        gBrowser.selectedTab = this._tab;
+    },
+
+    _isFollowDoc: function _isFollowDoc(doc) {
+        return !!(this._tab && doc && (this._tab.linkedBrowser.contentDocument === doc));
+    },
+
+    _onDocumentReady: function _onDocumentReady(doc) {
+        if (this._loading && this._isFollowDoc(doc)) {
+            //the loaded page may differ from the requested one due to redirects
+            this._loading = false;
+            this._loadedHash = urlHash(doc.URL);
+        }
+    },
+
+    _onDocumentActivate: function _onDocumentActivate(doc) {
+        if (!this.jid || !this._tab) { return; }
+
+        if (this._gBrowser.selectedTab !== this._tab) {
+            this._pause();
+            return;
+        }
+        if (this._loading) { return; }
+
+        var hash = doc ? urlHash(doc.URL) : null;
+        var onFollowedPage = (hash === this._loadedHash) || (this._location && (hash === this._location.urlhash));
+        if (!onFollowedPage) {
+            this._pause(); //user has left the page in the follow tab
+        }
+        else if (this.paused) {
+            //user has returned to the follow tab
+            this.paused = false;
+            this.emit('followStatusChange', this.jid, this.paused);
+            if (this._location && (hash !== this._location.urlhash)) {
+                this._open(this._location);
+            }
+        }
+    },
+
+    _onTabClose: function _onTabClose(event) {
+        if (event.target === this._tab) {
+            this.stop();
+        }
+    }
+
+});
+exports.LocationFollower = LocationFollower;
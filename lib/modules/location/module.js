@@ -15,7 +15,8 @@
 const sysEvents = require('sdk/system/events');
 const unloader = require('sdk/system/unload');
 const clipboard = require('sdk/clipboard');
-const { prefs } = require('sdk/simple-prefs');
+const simplePrefs = require('sdk/simple-prefs');
+const { prefs } = simplePrefs;
 const { url } = require('sdk/self').data;
 const baseUrl = url('modules/location/');
 
@@ -23,10 +24,17 @@ const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
 const { MenuItem } = require('../../browser/menus');
 const { ContextMenuItem } = require('../../browser/context-menus');
+const { isCorrection } = require('../../xmpp/threads');
+const dialogs = require('../../browser/dialogs');
 
 const { WebLocationTracker } = require('./tracker');
 const { LinkTagger } = require('./linktagger');
 const { TabTagger } = require('./tabtagger');
+const { LocationFollower } = require('./follower');
+const { ViewportMarkers } = require('./viewports');
+const { getLocationPrivacy, restrictLocation, editRules } = require('./privacy');
+const { editRules: editUrlRules } = require('./urlrules');
+const { urlHash } = require('../../utils/urls');
 
 const linkPattern = /^\w+:\/\/\S+$/;
 
@@ -41,6 +49,10 @@ const Location = Class({
         this.coopfox = coopfox;
         this.xmpp = coopfox.xmpp;
         this._publishURL = prefs.publishUrl; //take default from prefs
+        this._leading = false;
+        this._leaders = {}; //jid -> true, for participants who asked the group to follow them
+        this._leadPrompted = {}; //jid -> true, once the user has been asked to follow them
+        this._contactLocations = {}; //jid -> last published location
 
         this._menuItems = [];
 
@@ -51,6 +63,10 @@ const Location = Class({
 
         EventHub.prototype.initialize.apply(this, arguments);
 
+        //expose to other modules
+        coopfox.isLocationShared = this.isLocationShared;
+        coopfox.getParticipantsOnPage = this.getParticipantsOnPage;
+
         this.subscribeTo(coopfox, 'componentsReady');
         this.subscribeTo(coopfox, 'destroy');
         console.info('Location module activated.');
@@ -60,7 +76,8 @@ const Location = Class({
         this.tracker = new WebLocationTracker({
             tabs : this.coopfox.browser,
             onActiveDocumentChange : this,
-            onActiveDocumentModified: this
+            onActiveDocumentModified: this,
+            onActiveViewportChange: this
         });
         this.linkTagger = new LinkTagger({
             tabs : this.coopfox.browser
@@ -68,6 +85,13 @@ const Location = Class({
         this.tabTagger = new TabTagger({
             tabs : this.coopfox.browser
         });
+        this.viewportMarkers = new ViewportMarkers({
+            tabs : this.coopfox.browser
+        });
+        this.follower = new LocationFollower({
+            tabs : this.coopfox.browser,
+            onFollowStatusChange : this
+        });
 
         this._onParticipantAdded(this.xmpp.rosterSelf.jid.bare);
         for each (let jid in this.xmpp.getParticipants(true)) {
@@ -76,15 +100,22 @@ const Location = Class({
         this.subscribeTo(this.xmpp, 'participantAdded');
         this.subscribeTo(this.xmpp, 'beforeIncomingMessage');
         this.subscribeTo(this.xmpp, 'beforeSendMessage');
+        this.subscribeTo(this.xmpp, 'rosterItemUpdate');
 
         this.panelPort = this.coopfox.sidebar.panel.port;
         this.rosterPort = this.coopfox.sidebar.roster.port;
 
         this._createMenuItems();
+        simplePrefs.on('locationRules', this._onLocationRulesChange);
     },
 
     _onceDestroy: function _onceDestroy() {
+        simplePrefs.removeListener('locationRules', this._onLocationRulesChange);
         this.destroy();
+        if (this.follower) {
+            this.follower.destroy();
+            this.follower = null;
+        }
         if (this.tracker) {
             this.tracker.destroy();
             this.tracker = null;
@@ -97,6 +128,10 @@ const Location = Class({
             this.tabTagger.destroy();
             this.tabTagger = null;
         }
+        if (this.viewportMarkers) {
+            this.viewportMarkers.destroy();
+            this.viewportMarkers = null;
+        }
         this.coopfox = null;
         this.xmpp = null;
         this.panelPort = null;
@@ -123,10 +158,92 @@ const Location = Class({
                 },
                 onClick: function onClick() {
                     self._publishURL = !this.checked;
+                    if (!self._publishURL) {
+                        self.setLeading(false); //nobody could follow anymore
+                    }
                     self._publishLocation();
                 }
             }),
 
+            new MenuItem({
+                window: window,
+                menu: 'coopfoxRosterMenu',
+                id: 'menu-coopfox-roster-location-rules',
+                label: 'Location Privacy Rules...',
+                tooltiptext: 'Choose pages which are never or only partially shown to Coop Partners',
+                onClick: function onClick() {
+                    editRules();
+                }
+            }),
+
+            new MenuItem({
+                window: window,
+                menu: 'coopfoxRosterMenu',
+                id: 'menu-coopfox-roster-url-rules',
+                label: 'URL Matching Rules...',
+                tooltiptext: 'Choose which addresses are recognized as the same page',
+                onClick: function onClick() {
+                    var doc = self.coopfox.browser.activeDoc;
+                    editUrlRules(doc ? doc.URL : null);
+                }
+            }),
+
+            new MenuItem({
+                window: window,
+                menu: 'coopfoxRosterMenu',
+                id: 'menu-coopfox-roster-lead-navigation',
+                label: 'Lead Navigation',
+                tooltiptext: 'Ask your CoopChat partners to follow the pages you visit (requires "Show URL to Coop Partners")',
+                type: 'checkbox',
+                onShow: function onShow() {
+                    this.checked = self._leading;
+                    if (!self._leading && (!self._publishURL || !self.xmpp.getParticipants().length)) {
+                        this.disabled = true;
+                    }
+                },
+                onClick: function onClick() {
+                    self.setLeading(!this.checked);
+                }
+            }),
+
+            new ContextMenuItem({
+                window: window,
+                menu: 'coopfoxRosterContextMenu',
+                id: 'context-coopfox-roster-follow',
+                label: 'Follow Navigation',
+                selectors: ['.roster-item.participant-active'],
+                onShow: function onShow(target, contact) {
+                    if (self.follower.jid === contact.dataset.jid) {
+                        this.label = 'Stop Following';
+                    }
+                },
+                onClick: function onClick(target, contact) {
+                    var jid = contact.dataset.jid;
+                    if (self.follower.jid === jid) {
+                        self.follower.stop();
+                    } else {
+                        self.follow(jid);
+                    }
+                }
+            }),
+
+            new ContextMenuItem({
+                window: window,
+                menu: 'coopfoxRosterContextMenu',
+                id: 'context-coopfox-roster-resume-following',
+                after: 'context-coopfox-roster-follow',
+                label: 'Resume Following',
+                selectors: ['.roster-item.participant-active'],
+                onShow: function onShow(target, contact) {
+                    if ((self.follower.jid !== contact.dataset.jid) || !self.follower.paused) {
+                        this.hidden = true;
+                    }
+                },
+                onClick: function onClick(target, contact) {
+                    self.follower.resume();
+                }
+            }),
+
             new ContextMenuItem({
                 window: window,
                 menu: 'coopfoxPanelContextMenu',
@@ -258,6 +375,7 @@ const Location = Class({
         var color = this.coopfox.getParticipantColors ? this.coopfox.getParticipantColors(jid).foreground : '#000';
         this.linkTagger.defineColor(jid, color);
         this.tabTagger.defineColor(jid, color);
+        this.viewportMarkers.defineColor(jid, color);
     },
 
     _onActiveDocumentChange: function _onActiveDocumentChange(location) {
@@ -266,12 +384,192 @@ const Location = Class({
         this._publishLocation();
     },
 
+    _onLocationRulesChange: function _onLocationRulesChange() {
+        this._publishLocation();
+        this._publishViewport();
+    },
+
+    /**
+     * @returns {string|null}  Privacy action for the active page, @see privacy.js
+     */
+    _getActivePrivacy: function _getActivePrivacy() {
+        var info = this.tracker.activeDocInfo;
+        return (info && info.url) ? getLocationPrivacy(info.url) : null;
+    },
+
     _onActiveDocumentModified: function _onActiveDocumentModified() {
         this.linkTagger.invalidate(100);
     },
 
+    _onActiveViewportChange: function _onActiveViewportChange() {
+        this._publishViewport();
+    },
+
+    /**
+     * The visible range is only published together with the URL,
+     * since others could not tell which page it belongs to otherwise.
+     */
+    _publishViewport: function _publishViewport(to) {
+        var viewport = this.tracker.activeViewport;
+        if (!this._publishURL || !viewport || (this._getActivePrivacy() !== 'allow')) { return; }
+        let message = {
+            type: 'headline',
+            coopfox: {
+                viewport: {
+                    top: viewport.top.toFixed(4),
+                    bottom: viewport.bottom.toFixed(4)
+                }
+            },
+            $noEcho: true
+        };
+        if (to) {
+            message.to = to;
+        }
+        this.xmpp.sendMessage(message);
+    },
+
+    _onViewport: function _onViewport(viewport, contact) {
+        var jid = contact.jid.bare;
+        var location = this._contactLocations[jid];
+        var top = parseFloat(viewport.top);
+        var bottom = parseFloat(viewport.bottom);
+        if (!location || !location.urlhash || isNaN(top) || isNaN(bottom)) { return; }
+        this.viewportMarkers.update(jid, location.urlhash, top, bottom, contact.name);
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    /**
+     * Whether the full location of a page may be shown to the participants,
+     * according to the "Show URL" setting and the privacy rules.
+     *
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isLocationShared: function isLocationShared(url) {
+        return this._publishURL && (getLocationPrivacy(url) === 'allow');
+    },
+
+    /**
+     * @param {string} url
+     * @returns {string[]}  Bare JIDs of the participants whose last published location is this page.
+     */
+    getParticipantsOnPage: function getParticipantsOnPage(url) {
+        var urlhash = urlHash(url);
+        var jids = [];
+        for (let jid in this._contactLocations) {
+            if (this._contactLocations[jid].urlhash === urlhash) {
+                jids.push(jid);
+            }
+        }
+        return jids;
+    },
+
+    /**
+     * Opens the pages a participant visits from now on, starting with the current one.
+     * @see LocationFollower
+     *
+     * @param {string} jid
+     */
+    follow: function follow(jid) {
+        if (this._leading) {
+            this.setLeading(false);
+        }
+        this.follower.follow(jid, this._contactLocations[jid] || null);
+    },
+
+    /**
+     * Asks all participants to follow the pages visited by the user.
+     * Leading requires publishing the URL, it is not possible while the user has turned that off.
+     *
+     * @param {boolean} leading
+     */
+    setLeading: function setLeading(leading) {
+        leading = !!leading && this._publishURL;
+        if (this._leading === leading) { return; }
+        this._leading = leading;
+        if (leading) {
+            this.follower.stop();
+        }
+        this._sendLeadStatus();
+        this._updateFollowStatus();
+    },
+
+    _sendLeadStatus: function _sendLeadStatus(to) {
+        var message = {
+            type: 'headline',
+            coopfox: {
+                lead: {
+                    active: String(this._leading)
+                }
+            },
+            $noEcho: true
+        };
+        if (to) {
+            message.to = to;
+        }
+        this.xmpp.sendMessage(message);
+    },
+
+    _onFollowStatusChange: function _onFollowStatusChange() {
+        this._updateFollowStatus();
+    },
+
+    _updateFollowStatus: function _updateFollowStatus() {
+        var following = this.follower.jid;
+        this.rosterPort.emit('followStatus', {
+            following: following,
+            followingName: following ? this.xmpp.getContact(following).name : null,
+            paused: this.follower.paused,
+            leading: this._leading,
+            leaders: Object.keys(this._leaders)
+        });
+    },
+
+    _onLeadStatus: function _onLeadStatus(lead, message, contact) {
+        var jid = contact.jid.bare;
+        if (lead.active !== 'true') {
+            delete this._leaders[jid];
+            if (this.follower.jid === jid) {
+                this.follower.stop();
+            }
+            this._updateFollowStatus();
+            return;
+        }
+        if (this._leaders[jid]) { return; }
+        this._leaders[jid] = true;
+        this._updateFollowStatus();
+
+        //asked only once per participant, later requests can be followed from the roster menu
+        if (message.delay || (this.follower.jid === jid) || this._leadPrompted[jid]) { return; }
+        this._leadPrompted[jid] = true;
+        var choice = dialogs.confirmEx(
+            'Follow Navigation',
+            contact.name + ' asks everyone to follow the pages they visit.' +
+                '\nFollowing opens these pages in a separate tab and pauses whenever you navigate yourself.',
+            'Follow',
+            'Ignore'
+        );
+        if ((choice === 0) && this._leaders[jid]) {
+            this.follow(jid);
+        }
+    },
+
+    _onRosterItemUpdate: function _onRosterItemUpdate(item, reason) {
+        if (reason !== 'participantInactive') { return; }
+        var jid = item.jid.bare;
+        delete this._contactLocations[jid];
+        this.viewportMarkers.remove(jid);
+        if (this._leaders[jid] || (this.follower.jid === jid)) {
+            delete this._leaders[jid];
+            this.follower.stop();
+            this._updateFollowStatus();
+        }
+    },
+
     _publishLocation: function _publishLocation(to) {
-        var location = (this._publishURL ? this.tracker.activeDocInfo : this.tracker.activeDocInfoObfuscated) || {};
+        var location = (this._publishURL ? restrictLocation(this.tracker.activeDocInfo) : this.tracker.activeDocInfoObfuscated) || {};
+        this.rosterPort.emit('locationPrivacy', this._publishURL ? this._getActivePrivacy() : null);
         let message = {
             type: 'headline',
             coopfox: {
@@ -290,12 +588,22 @@ const Location = Class({
 
         if (message.coopfox.ready) {
             this._publishLocation(message.$from.full);
+            this._publishViewport(message.$from.full);
+            if (this._leading) {
+                this._sendLeadStatus(message.$from.full);
+            }
         }
 
         var contact = this.xmpp.getContact(message.$from);
         var location = message.coopfox.location;
 
         if (message.type === 'headline') {
+            if (message.coopfox.lead && !contact.isSelf) {
+                this._onLeadStatus(message.coopfox.lead, message, contact);
+            }
+            if (message.coopfox.viewport && !contact.isSelf) {
+                this._onViewport(message.coopfox.viewport, contact);
+            }
             if (location) {
                 location.$timestamp = message.$timestamp;
 
@@ -305,6 +613,14 @@ const Location = Class({
                 //notify linkTagger of page-visit
                 if (!contact.isSelf) {
                     this.linkTagger.registerVisit(location.urlhash, message.$from.bare);
+                    let previous = this._contactLocations[message.$from.bare];
+                    if (!previous || (previous.urlhash !== location.urlhash)) {
+                        this.viewportMarkers.remove(message.$from.bare);
+                    }
+                    this._contactLocations[message.$from.bare] = location;
+                    if (this.follower.jid === message.$from.bare) {
+                        this.follower.update(location);
+                    }
                 }
             }
             return;
@@ -316,7 +632,7 @@ const Location = Class({
             location = replyParent.coopfox.location;
         }
 
-        if (location && message.body && message.body.$text && !linkPattern.test(message.body.$text)) {
+        if (location && message.body && message.body.$text && !linkPattern.test(message.body.$text) && !isCorrection(message)) {
             let urlhash = location.urlhash;
 
             this.tabTagger.registerMessage(urlhash, message.$from.bare);
@@ -335,7 +651,7 @@ const Location = Class({
             var supressLocation = !!message.thread.parent; //don't send for replies
 
             var activeDocInfo = this.tracker.activeDocInfo;
-            var location = message.coopfox.location || activeDocInfo;
+            var location = message.coopfox.location || restrictLocation(activeDocInfo);
 
             if (linkPattern.test(text)) {
                 //if a link is sent explicitly, always make the location match the link
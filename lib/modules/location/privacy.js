@@ -0,0 +1,166 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { prefs } = require('sdk/simple-prefs');
+const { urlHash } = require('../../utils/urls');
+const dialogs = require('../../browser/dialogs');
+
+/**
+ * Location privacy rules decide what is published about a page:
+ *
+ * - allow  : the full location (subject to the "Show URL to Coop Partners" setting)
+ * - domain : only the address of the site's front page
+ * - deny   : nothing at all
+ *
+ * Rules are kept in the "locationRules" preference as "action:pattern" entries,
+ * separated by semicolons or line breaks, and the first matching rule applies.
+ * A pattern without a slash is matched against the host name ("*.example.org"
+ * also matches "example.org" itself), any other pattern against the URL without
+ * its scheme. An asterisk matches any sequence of characters.
+ */
+const PRIVACY_ACTIONS = exports.PRIVACY_ACTIONS = ['allow', 'domain', 'deny'];
+
+const urlPattern = /^([a-z][a-z0-9+.-]*):\/\/(?:[^@\/?#]*@)?([^\/?#:]*)(?::\d+)?([^#]*)/i; //scheme, host, path
+
+/**
+ * @param {string} text  Rules in the preference format.
+ * @returns {object[]}  Array of { action, pattern }.
+ */
+function parseRules(text) {
+    var rules = [];
+    for each (let entry in (text || '').split(/[;\n]/)) {
+        let separator = entry.indexOf(':');
+        if (separator === -1) { continue; }
+        let action = entry.substr(0, separator).trim().toLowerCase();
+        let pattern = entry.substr(separator + 1).trim().toLowerCase();
+        if ((PRIVACY_ACTIONS.indexOf(action) === -1) || !pattern) { continue; }
+        rules.push({ action: action, pattern: pattern });
+    }
+    return rules;
+}
+exports.parseRules = parseRules;
+
+/**
+ * @param {object[]} rules  Array of { action, pattern }.
+ * @returns {string}  Rules in the preference format.
+ */
+function serializeRules(rules) {
+    return rules.map(function(rule) {
+        return rule.action + ':' + rule.pattern;
+    }).join('; ');
+}
+exports.serializeRules = serializeRules;
+
+/**
+ * @returns {object[]}  The configured rules, @see parseRules
+ */
+function getRules() {
+    return parseRules(prefs.locationRules);
+}
+exports.getRules = getRules;
+
+/**
+ * @param {object[]} rules
+ */
+exports.setRules = function setRules(rules) {
+    prefs.locationRules = serializeRules(rules);
+};
+
+function globToRegExp(glob) {
+    return new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i');
+}
+
+function ruleMatches(rule, host, path) {
+    if (rule.pattern.indexOf('/') === -1) {
+        if ((rule.pattern.substr(0, 2) === '*.') && (host === rule.pattern.substr(2))) {
+            return true;
+        }
+        return globToRegExp(rule.pattern).test(host);
+    }
+    return globToRegExp(rule.pattern).test(host + path);
+}
+
+/**
+ * @param {string} url
+ * @returns {string}  One of PRIVACY_ACTIONS.
+ */
+function getLocationPrivacy(url) {
+    var match = urlPattern.exec(url || '');
+    if (!match) {
+        return 'allow';
+    }
+    var host = match[2].toLowerCase();
+    var path = match[3] || '/';
+    for each (let rule in getRules()) {
+        if (ruleMatches(rule, host, path)) {
+            return rule.action;
+        }
+    }
+    return 'allow';
+}
+exports.getLocationPrivacy = getLocationPrivacy;
+
+/**
+ * Applies the privacy rules to a location descriptor.
+ *
+ * @param {object|null} location  As built by WebLocationTracker.
+ * @returns {object|null}  The location itself, a reduced copy or null if it must not be published.
+ */
+exports.restrictLocation = function restrictLocation(location) {
+    if (!location || !location.url) {
+        return location;
+    }
+    switch (getLocationPrivacy(location.url)) {
+        case 'deny':
+            return null;
+        case 'domain':
+            let match = urlPattern.exec(location.url);
+            let url = match[1] + '://' + match[2] + '/';
+            let restricted = {
+                url: url,
+                urlhash: urlHash(url),
+                title: match[2]
+            };
+            if (location.icon) {
+                restricted.icon = location.icon;
+            }
+            if (location.source) {
+                restricted.source = location.source;
+            }
+            return restricted;
+    }
+    return location;
+};
+
+/**
+ * Opens a dialog to edit the rules.
+ */
+exports.editRules = function editRules() {
+    var params = {
+        rules: getRules(),
+        actions: PRIVACY_ACTIONS,
+        submit: false
+    };
+    dialogs.modalDialog('CoopFox Location Privacy', 'chrome://coopfox/content/privacy.html', 480, 420, params);
+    if (!params.submit) { return; }
+
+    var rules = [];
+    for (let i = 0; i < params.rules.length; i++) {
+        let rule = params.rules[i];
+        if ((PRIVACY_ACTIONS.indexOf(rule.action) !== -1) && rule.pattern) {
+            rules.push({ action: String(rule.action), pattern: String(rule.pattern).trim().toLowerCase() });
+        }
+    }
+    exports.setRules(rules);
+};
@@ -16,9 +16,12 @@ const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
 const { WindowTabsMonitor } = require('../../browser/tabs');
 
-const { cleanUrl, urlHash } = require('../../utils/urls');
+const { cleanUrl, urlHash, registerCanonicalUrl } = require('../../utils/urls');
+const { getScrollHeight } = require('../../utils/dhtml');
 const { setTimeout, clearTimeout } = require('sdk/timers');
 
+const VIEWPORT_THROTTLE = 500; //ms
+
 const mutationObservers = new WeakMap();
 
 /**
@@ -34,6 +37,7 @@ const mutationObservers = new WeakMap();
  *
  * - {function} onActiveDocumentChange     Called whenever the active tab or its content changes
  * - {function} onActiveDocumentModified   Called whenever the DOM of the active document is dynamically altered
+ * - {function} onActiveViewportChange     Called (throttled) whenever the active document is scrolled, @see activeViewport
  */
 const WebLocationTracker = Class({
     extends: EventHub,
@@ -49,6 +53,26 @@ const WebLocationTracker = Class({
         };
     },
 
+    /**
+     * Visible range of the active document, as ratios of the document height.
+     * @type {{top: {number}, bottom: {number}}|null}
+     */
+    get activeViewport() {
+        var doc = this.tabs.activeDoc;
+        if (!doc || !doc.body) {
+            return null;
+        }
+        var window = doc.defaultView;
+        var height = getScrollHeight(doc);
+        if (!height) {
+            return null;
+        }
+        return {
+            top: window.scrollY / height,
+            bottom: Math.min((window.scrollY + window.innerHeight) / height, 1)
+        };
+    },
+
     initialize: function initialize(options) {
         if (!(options.tabs instanceof WindowTabsMonitor)) {
             throw new TypeError('WebLocationTracker requires an instance of WindowTabsMonitor to operate');
@@ -59,6 +83,7 @@ const WebLocationTracker = Class({
         EventHub.prototype.initialize.apply(this, arguments);
 
         this._mutationTimeout = null;
+        this._viewportTimeout = null;
 
         this.subscribeTo(this.tabs, 'documentReady');
         this.subscribeTo(this.tabs, 'documentUnload');
@@ -69,6 +94,10 @@ const WebLocationTracker = Class({
         for each (let doc in this.tabs.getAllDocs()) {
             this._onDocumentUnload(doc);
         }
+        if (this._viewportTimeout) {
+            clearTimeout(this._viewportTimeout);
+            this._viewportTimeout = null;
+        }
         this.tabs = null;
     },
 
@@ -85,6 +114,7 @@ const WebLocationTracker = Class({
         });
         mutationObservers.set(doc, observer);
         doc.defaultView.addEventListener('hashchange', this._onFragmentChange, false);
+        doc.defaultView.addEventListener('scroll', this._onScroll, false);
     },
 
     _onDocumentUnload: function _onDocumentUnload(doc) {
@@ -98,16 +128,25 @@ const WebLocationTracker = Class({
                 mutationObservers.delete(doc);
             }
             doc.defaultView.removeEventListener('hashchange', this._onFragmentChange, false);
+            doc.defaultView.removeEventListener('scroll', this._onScroll, false);
         }
         catch (e) {
             console.warn(e.message);
         }
     },
 
-    buildDocInfo: function buildDocInfo(url, title, icon) {
+    /**
+     * @param {string} url
+     * @param {string} [title]
+     * @param {string} [icon]       Defaults to the favicon.ico of the host.
+     * @param {string} [canonical]  Canonical URL declared by a locally loaded page, used for comparison.
+     * @returns {object}  { url, urlhash, icon, [title], [canonical] }
+     */
+    buildDocInfo: function buildDocInfo(url, title, icon, canonical) {
         if (!icon) {
             icon = url.replace(/^.*?:\/\/([^\/]*).*$/, 'http://$1/favicon.ico');
         }
+        canonical = (canonical && registerCanonicalUrl(url, canonical)) ? cleanUrl(canonical) : null;
         var info = {
             url : cleanUrl(url),
             urlhash: urlHash(url),
@@ -116,9 +155,32 @@ const WebLocationTracker = Class({
         if (title) {
             info.title = title;
         }
+        if (canonical && (canonical !== info.url)) {
+            info.canonical = canonical;
+        }
         return info;
     },
 
+    /**
+     * @param {nsIDOMDocument} doc
+     * @returns {string|null}  URL given by <link rel="canonical"> or the Open Graph og:url.
+     */
+    getCanonicalUrl: function getCanonicalUrl(doc) {
+        var link = doc.querySelector('link[rel~="canonical"][href]');
+        if (link && link.href) {
+            return link.href;
+        }
+        var meta = doc.querySelector('meta[property="og:url"][content]');
+        if (meta && meta.content) {
+            try {
+                return doc.documentURIObject.resolve(meta.content.trim());
+            } catch (e) {
+                //malformed URL
+            }
+        }
+        return null;
+    },
+
     _onDocumentActivate: function _onDocumentActivate(doc) {
         if (this._mutationTimeout) {
             clearTimeout(this._mutationTimeout);
@@ -128,7 +190,7 @@ const WebLocationTracker = Class({
 
         if (doc) {
             let ico = doc.querySelector('link[rel="shortcut icon"][href]');
-            newInfo = this.buildDocInfo(doc.defaultView.location.href, doc.title, ico ? ico.href : null);
+            newInfo = this.buildDocInfo(doc.defaultView.location.href, doc.title, ico ? ico.href : null, this.getCanonicalUrl(doc));
             newInfo.source = 'page';
             //newInfo.contenthash = this.getDocumentHash(doc);
 
@@ -147,6 +209,26 @@ const WebLocationTracker = Class({
 
         this.activeDocInfo = newInfo;
         this.emit('activeDocumentChange', newInfo, oldInfo);
+        if (newInfo) {
+            this._scheduleViewportChange();
+        }
+    },
+
+    _onScroll: function _onScroll(event) {
+        if (!this.tabs.isActiveDoc(event.currentTarget.document)) { return; }
+        this._scheduleViewportChange();
+    },
+
+    _scheduleViewportChange: function _scheduleViewportChange() {
+        if (this._viewportTimeout) { return; } //throttle, the latest position is read when the timeout fires
+        var self = this;
+        this._viewportTimeout = setTimeout(function() {
+            self._viewportTimeout = null;
+            var viewport = self.activeViewport;
+            if (viewport) {
+                self.emit('activeViewportChange', viewport);
+            }
+        }, VIEWPORT_THROTTLE);
     },
 
     _onDocumentMutation : function _onDocumentMutation(mutations) {
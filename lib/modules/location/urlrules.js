@@ -0,0 +1,106 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { storage } = require('sdk/simple-storage');
+const urls = require('../../utils/urls');
+const { md5 } = require('../../utils/strings');
+const dialogs = require('../../browser/dialogs');
+
+/**
+ * URL rewrite rules let users declare which addresses refer to the same page,
+ * beyond the built-in normalization of utils/urls.js (tracking parameters,
+ * canonical URLs of visited pages, etc.). They only affect the comparison of
+ * URLs, e.g. by the link tagger and for "same page" detection, never the
+ * addresses which are opened or shared.
+ *
+ * Each rule is a { pattern, replacement } pair, where pattern is a case-insensitive
+ * regular expression and replacement may refer to its groups as $1, $2 etc.
+ * Rules are applied in order, each one to the result of the previous.
+ */
+const STORAGE_KEY = 'url-rewrite-rules';
+
+/**
+ * @returns {object[]}  Array of { pattern, replacement }.
+ */
+function getRules() {
+    return (storage[STORAGE_KEY] || []).slice();
+}
+exports.getRules = getRules;
+
+/**
+ * @param {object[]} rules  Array of { pattern, replacement }.
+ */
+function setRules(rules) {
+    storage[STORAGE_KEY] = rules;
+    urls.setRewriteRules(rules);
+}
+exports.setRules = setRules;
+
+/**
+ * Shows how a URL is processed with a set of rules.
+ *
+ * @param {string} url
+ * @param {object[]} rules  Array of { pattern, replacement }.
+ * @returns {object}  { url, comparable, hash } or { error } if the URL or a rule is invalid.
+ */
+function previewUrl(url, rules) {
+    if (!urls.splitUrl(url)) {
+        return { error: 'Not a valid address.' };
+    }
+    var compiled;
+    try {
+        compiled = urls.compileRewriteRules(rules);
+    } catch (e) {
+        return { error: e.message };
+    }
+    var comparable = urls.comparableUrl(url, compiled);
+    return {
+        url: urls.cleanUrl(url),
+        comparable: comparable,
+        hash: md5(comparable)
+    };
+}
+exports.previewUrl = previewUrl;
+
+/**
+ * Opens a dialog to edit the rules.
+ * Also serves as listener of the preference button, which passes the preference name.
+ *
+ * @param {string} [testUrl]  Address initially shown in the preview, if it is one.
+ */
+exports.editRules = function editRules(testUrl) {
+    var params = {
+        rules: getRules(),
+        testUrl: (typeof(testUrl) === 'string') && (testUrl.indexOf('://') !== -1) ? testUrl : '',
+        preview: function preview(url, rules) {
+            return previewUrl(String(url), copyRules(rules));
+        },
+        submit: false
+    };
+    dialogs.modalDialog('CoopFox URL Rules', 'chrome://coopfox/content/urlrules.html', 560, 480, params);
+    if (!params.submit) { return; }
+    setRules(copyRules(params.rules));
+};
+
+function copyRules(rules) {
+    var copy = [];
+    for (let i = 0; i < rules.length; i++) {
+        if (rules[i].pattern) {
+            copy.push({ pattern: String(rules[i].pattern), replacement: String(rules[i].replacement || '') });
+        }
+    }
+    return copy;
+}
+
+urls.setRewriteRules(getRules());
@@ -0,0 +1,168 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { WindowTabsMonitor } = require('../../browser/tabs');
+
+const { getScrollHeight } = require('../../utils/dhtml');
+
+const contentStyles = require('sdk/self').data.url('modules/location/content.css');
+
+/**
+ * Attaches to the tabs of a browser window and shows the visible range
+ * of each participant on the same page as a marker in a gutter
+ * along the right edge of the active document.
+ * Clicking a marker scrolls to the range of that participant.
+ *
+ * @param {object} options
+ * - {WindowTabsMonitor} tabs  The underlying tabs monitor (required).
+ */
+const ViewportMarkers = Class({
+    extends: EventHub,
+    className: 'ViewportMarkers',
+
+    initialize: function initialize(options) {
+        if (!(options.tabs instanceof WindowTabsMonitor)) {
+            throw new TypeError('ViewportMarkers requires an instance of WindowTabsMonitor to operate');
+        }
+        this.tabs = options.tabs;
+        this._styles = new WeakMap(); // document > nsIDOMElement (<link>)
+        this._gutters = new WeakMap(); // document > nsIDOMElement (<div>)
+        this._viewports = {}; // jid > { urlhash, top, bottom, label }
+        this._colors = {}; // jid > color
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(this.tabs, 'documentReady');
+        this.subscribeTo(this.tabs, 'documentActivate');
+        this.subscribeTo(this.tabs, 'documentUnload');
+    },
+
+    _destroySubscriptions: function _destroySubscriptions() {
+        for each (let doc in this.tabs.getAllDocs()) {
+            this._onDocumentUnload(doc);
+        }
+        this.tabs = null;
+    },
+
+    defineColor: function defineColor(jid, color) {
+        this._colors[jid] = color;
+    },
+
+    /**
+     * @param {string} jid
+     * @param {string} urlhash  Page the participant is looking at.
+     * @param {number} top      Upper edge of the visible range, as a ratio of the document height.
+     * @param {number} bottom   Lower edge of the visible range, as a ratio of the document height.
+     * @param {string} label    Shown as tooltip of the marker.
+     */
+    update: function update(jid, urlhash, top, bottom, label) {
+        this._viewports[jid] = {
+            urlhash: urlhash,
+            top: Math.min(Math.max(top, 0), 1),
+            bottom: Math.min(Math.max(bottom, top), 1),
+            label: label
+        };
+        this._refresh();
+    },
+
+    /**
+     * @param {string} jid
+     */
+    remove: function remove(jid) {
+        if (!this._viewports[jid]) { return; }
+        delete this._viewports[jid];
+        this._refresh();
+    },
+
+    _onDocumentReady: function _onDocumentReady(doc) {
+        var styles = doc.createElement('link');
+        styles.rel = 'stylesheet';
+        styles.type = 'text/css';
+        styles.href = contentStyles;
+        (doc.querySelector('head') || doc.documentElement).appendChild(styles); //e.g. SVG documents have no head
+        this._styles.set(doc, styles);
+        if (this.tabs.isActiveDoc(doc)) {
+            this._refresh();
+        }
+    },
+
+    _onDocumentActivate: function _onDocumentActivate(doc) {
+        if (doc) {
+            this._refresh();
+        }
+    },
+
+    _onDocumentUnload: function _onDocumentUnload(doc) {
+        try {
+            this._removeGutter(doc);
+            var styles = this._styles.get(doc, null);
+            if (styles) {
+                styles.parentNode.removeChild(styles);
+                this._styles.delete(doc);
+            }
+        }
+        catch (e) {
+            console.warn(e.message);
+        }
+    },
+
+    _removeGutter: function _removeGutter(doc) {
+        var gutter = this._gutters.get(doc, null);
+        if (gutter) {
+            gutter.parentNode.removeChild(gutter);
+            this._gutters.delete(doc);
+        }
+    },
+
+    _refresh: function _refresh() {
+        var doc = this.tabs.activeDoc;
+        if (!doc || !doc.body) { return; }
+        this._removeGutter(doc);
+
+        var urlhash = this.tabs.getUrlHashForDoc(doc);
+        var gutter = null;
+        for (let jid in this._viewports) {
+            let viewport = this._viewports[jid];
+            if (viewport.urlhash !== urlhash) { continue; }
+
+            if (!gutter) {
+                gutter = doc.createElement('div');
+                gutter.classList.add('coopfox-viewport-gutter');
+            }
+            let marker = doc.createElement('div');
+            marker.classList.add('coopfox-viewport-marker');
+            marker.style.top = (viewport.top * 100) + '%';
+            marker.style.height = ((viewport.bottom - viewport.top) * 100) + '%';
+            marker.style.setProperty('background-color', this._colors[jid] || '#000', 'important');
+            marker.title = viewport.label;
+            marker.addEventListener('click', this._scrollTo.bind(this, doc, viewport.top), false);
+            gutter.appendChild(marker);
+        }
+        if (gutter) {
+            doc.body.appendChild(gutter);
+            this._gutters.set(doc, gutter);
+        }
+    },
+
+    _scrollTo: function _scrollTo(doc, top, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        var window = doc.defaultView;
+        window.scrollTo(window.scrollX, top * getScrollHeight(doc));
+    }
+
+});
+exports.ViewportMarkers = ViewportMarkers;
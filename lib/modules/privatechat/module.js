@@ -23,7 +23,7 @@ const { ContextMenuItem } = require('../../browser/context-menus');
 
 const { confirmEx } = require('../../browser/dialogs');
 
-const { threadManager } = require('./thread-manager');
+const { getThreadManager } = require('./thread-manager');
 
 const promotionSent = {};
 
@@ -40,6 +40,7 @@ const PrivateChat = Class({
      */
     initialize: function initialize(coopfox) {
         this.coopfox = coopfox;
+        this.threadManager = getThreadManager(coopfox.xmpp.client); //of the account this window uses
 
         this._menuItems = [];
         this._activeChats = {};
@@ -58,7 +59,7 @@ const PrivateChat = Class({
         var panelPort = this.panelPort = this.coopfox.sidebar.panel.port;
         var rosterPort = this.coopfox.sidebar.roster.port;
 
-        this.subscribeTo(threadManager, 'newThread');
+        this.subscribeTo(this.threadManager, 'newThread');
         this.subscribeTo(panelPort, 'privateChatCreate');
         this.subscribeTo(panelPort, 'privateChatDestroy');
         this.subscribeTo(panelPort, 'privateChatMessage');
@@ -71,6 +72,7 @@ const PrivateChat = Class({
     _onceDestroy: function _onceDestroy() {
         this.destroy();
         this.panelPort = null;
+        this.threadManager = null;
         this.coopfox = null;
     },
 
@@ -118,7 +120,7 @@ const PrivateChat = Class({
     /////////////////////////////////////////////////////////////////
 
     _onOpenPrivateChat: function _onOpenPrivateChat(jid) {
-        this._onNewThread(threadManager.getThread(jid), jid, true);
+        this._onNewThread(this.threadManager.getThread(jid), jid, true);
     },
 
     _onOpenPrivateChatEx: function _onOpenPrivateChatEx(jid) {
@@ -150,8 +152,8 @@ const PrivateChat = Class({
 
     _onPrivateChatCreate: function _onPrivateChatCreate(jid) {
         this._activeChats[jid] = true;
-        this.subscribeTo(threadManager, 'incomingMessage-' + jid, this._onIncomingMessage);
-        var thread = threadManager.getThread(jid);
+        this.subscribeTo(this.threadManager, 'incomingMessage-' + jid, this._onIncomingMessage);
+        var thread = this.threadManager.getThread(jid);
         var newMessages = [];
         this.panelPort.emit('beginBulkUpdate');
         for each (let message in thread.getMessages()) {
@@ -168,7 +170,7 @@ const PrivateChat = Class({
     },
 
     _onPrivateChatDestroy: function _onPrivateChatDestroy(jid) {
-        this.unsubscribeFrom(threadManager, 'incomingMessage-' + jid);
+        this.unsubscribeFrom(this.threadManager, 'incomingMessage-' + jid);
         delete this._activeChats[jid];
     },
 
@@ -195,7 +197,7 @@ const PrivateChat = Class({
                 };
             }
         }
-        var thread = threadManager.getThread(jid);
+        var thread = this.threadManager.getThread(jid);
         /*if (!promotionSent[jid] && message.body && message.body.$text) {
             promotionSent[jid] = true;
             if (thread.getContact(jid).presence.$primary.c.node !== this.coopfox.NODE_COOPFOX) {
@@ -19,6 +19,7 @@ const { storage } = require('sdk/simple-storage');
 const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
 const { XMPPThreadHubClient, XMPPContactThread } = require('../../xmpp/threads');
+const { getBlockingManager } = require('../roster/blocking');
 
 const PrivateChatThreadManager = Class({
     extends: EventHub,
@@ -93,6 +94,8 @@ const PrivateChatThreadManager = Class({
         if (message.coopfox) { return; } //handled by main.js
         if (!message.body || !message.body.$text) { return; }
         var jid = message.$from.bare;
+        var blockingManager = getBlockingManager(this._client);
+        if (blockingManager && blockingManager.isBlocked(jid)) { return; }
 
         var isNew = !this._threads[jid];
         if (isNew && !this.countListeners('newThread')) {
@@ -120,15 +123,29 @@ const PrivateChatThreadManager = Class({
     }
 
 });
-exports.threadManager = new PrivateChatThreadManager(); //shared global service
+//one shared service per account (@see main.js)
+const threadManagers = new WeakMap();
 
+/**
+ * @param {XMPPThreadHubClient} client
+ * @returns {PrivateChatThreadManager|null}
+ */
+exports.getThreadManager = function getThreadManager(client) {
+    return threadManagers.get(client, null);
+};
 
 function onXmppAvailable(event) {
-    exports.threadManager.client = event.subject;
+    var threadManager = new PrivateChatThreadManager();
+    threadManager.client = event.subject;
+    threadManagers.set(event.subject, threadManager);
 }
 
 function onXmppShutdown(event) {
-    exports.threadManager.client = null;
+    var threadManager = threadManagers.get(event.subject, null);
+    if (threadManager) {
+        threadManager.destroy();
+        threadManagers.delete(event.subject);
+    }
 }
 
 
@@ -25,6 +25,7 @@ const { MenuItem } = require('../../browser/menus');
 const { ContextMenuItem } = require('../../browser/context-menus');
 
 const { fileSavePrompt, confirmEx } = require('../../browser/dialogs');
+const { buildReport, resultsToCsv } = require('../export/formats');
 
 /**
  * This module provides a sortable and exportable result collection tab.
@@ -225,29 +226,8 @@ const Results = Class({
         var path = fileSavePrompt(this.coopfox.window, { '*.csv': 'Comma Separated Value Table' }, 'results.csv');
         if (!path) { return; }
 
-        var results = ['#,Sender,Text,URL,Time,Priority'];
-
-        var doc = this.coopfox.window.document.getElementById('coopfox-panel').contentDocument;
-        var list = doc.querySelector('#results-tab .chat-history');
-        var count = 0;
-        for (let msg = list.firstElementChild; msg !== null; msg = msg.nextElementSibling) {
-            let res = [];
-            res.push((++count).toString());
-            res.push(msg.querySelector('.sender').textContent);
-            res.push(msg.querySelector('.message-body').textContent);
-            let location = msg.querySelector('.location a');
-            res.push(location ? location.href : '');
-            res.push(msg.querySelector('.meta .time').title);
-            res.push(msg.querySelector('.result-priority').textContent);
-
-            for (let i in res) {
-                res[i] = res[i].replace('"', '""');
-            }
-            results.push('"' + res.join('","') + '"');
-        }
-
-        results = results.join('\r\n');
-        files.open(path, 'w').writeAsync(results);
+        var report = buildReport(this.coopfox.xmpp, this.coopfox.getParticipantColors || null);
+        files.open(path, 'w').writeAsync(resultsToCsv(report));
     }
 
 });
@@ -0,0 +1,317 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const sysEvents = require('sdk/system/events');
+const unloader = require('sdk/system/unload');
+const { storage } = require('sdk/simple-storage');
+const { prefs } = require('sdk/simple-prefs');
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { XMPPFailsafeClient } = require('../../xmpp/failsafe');
+const { NS_XEP0191 } = require('../../xmpp/client');
+const { parseJid } = require('../../xmpp/session');
+const { forEachIfAny } = require('../../utils/objects');
+
+//invitations of a single contact beyond this limit are dropped silently
+const INVITATION_LIMIT = 3;
+const INVITATION_PERIOD = 10 * 60 * 1000;
+
+/**
+ * Manages the block list of an account.
+ *
+ * If the server supports blocking (XEP-0191), blocked contacts are
+ * stored on the server and their stanzas never reach us. Otherwise
+ * the list is kept locally and incoming invitations and subscription
+ * requests of blocked contacts are ignored by CoopFox itself.
+ * The local list is also kept as a copy of the server list. Changes made
+ * while the server list is unavailable are recorded separately and applied
+ * to the server on the next login, while the server list takes precedence
+ * for all other contacts (e.g. if they were unblocked by another client).
+ *
+ * @see main.js for the invitation handling.
+ */
+const BlockingManager = Class({
+    extends: EventHub,
+    className: 'BlockingManager',
+
+    _initStates: function _initStates() {
+        this._serverSupport = false;
+        this._invitations = {}; //jid -> timestamps of recent invitations
+    },
+
+    set client(xmpp) {
+        if (this.xmpp) {
+            this.unsubscribeFrom(this.xmpp);
+        }
+        if (xmpp) {
+            if (!(xmpp instanceof XMPPFailsafeClient)) {
+                throw new TypeError('Invalid XMPP client for BlockingManager');
+            }
+            this.xmpp = xmpp;
+            var key = 'blocklist-' + xmpp.accountId;
+            if (!storage[key]) {
+                storage[key] = [];
+            }
+            this._blocked = storage[key];
+            if (!storage[key + '-pending']) {
+                //lists stored before changes were tracked have never been synchronized
+                storage[key + '-pending'] = {};
+                for each (let jid in this._blocked) {
+                    storage[key + '-pending'][jid] = 'block';
+                }
+            }
+            this._pending = storage[key + '-pending']; //jid -> 'block' or 'unblock'
+            this.subscribeTo(xmpp, 'xmppConnected');
+            this.subscribeTo(xmpp, 'xmppDisconnected');
+            this.subscribeTo(xmpp, 'blockListPush');
+        }
+    },
+
+    _destroyClientRef: function _destroyClientRef() {
+        this.xmpp = null;
+    },
+
+    _onXmppConnected: function _onXmppConnected() {
+        this._serverSupport = this.xmpp.featureAvailable(NS_XEP0191);
+        if (!this._serverSupport) { return; }
+
+        var self = this;
+        this.xmpp.sendIq({
+            type: 'get',
+            blocklist: { xmlns: NS_XEP0191 },
+            onSuccess: function onSuccess(response) {
+                var remote = [];
+                if (response.blocklist) {
+                    forEachIfAny(response.blocklist.item, function(item) {
+                        remote.push(parseJid(item.jid).bare);
+                    });
+                }
+                //changes made while offline or before the server supported blocking
+                var pending = self._pending;
+                var block = [];
+                var unblock = [];
+                for (let jid in pending) {
+                    let listed = (remote.indexOf(jid) !== -1);
+                    if ((pending[jid] === 'block') && !listed) {
+                        block.push(jid);
+                    } else if ((pending[jid] === 'unblock') && listed) {
+                        unblock.push(jid);
+                    }
+                }
+                if (block.length) {
+                    self._sendCommand('block', block);
+                }
+                if (unblock.length) {
+                    self._sendCommand('unblock', unblock);
+                }
+
+                for each (let jid in self._blocked.slice()) {
+                    if ((remote.indexOf(jid) === -1) && (pending[jid] !== 'block')) {
+                        self._setBlocked(jid, false);
+                    }
+                }
+                for each (let jid in remote) {
+                    if (pending[jid] !== 'unblock') {
+                        self._setBlocked(jid, true);
+                    }
+                }
+                for (let jid in pending) {
+                    delete pending[jid];
+                }
+            },
+            onError: function onError() {
+                self._serverSupport = false;
+            }
+        });
+    },
+
+    _onXmppDisconnected: function _onXmppDisconnected() {
+        this._serverSupport = false;
+    },
+
+    _onBlockListPush: function _onBlockListPush(stanza) {
+        var blocked = !!stanza.block;
+        var element = stanza.block || stanza.unblock;
+        var jids = [];
+        forEachIfAny(element.item, function(item) {
+            jids.push(parseJid(item.jid).bare);
+        });
+        if (!blocked && !jids.length) {
+            //unblocking without items clears the entire list
+            jids = this._blocked.slice();
+        }
+        for each (let jid in jids) {
+            this._setBlocked(jid, blocked);
+        }
+    },
+
+    /**
+     * Changes which the server rejects are recorded like offline changes,
+     * so that they are retried on the next login.
+     *
+     * @param {string} command  Either 'block' or 'unblock'.
+     * @param {string[]} jids   Bare JIDs.
+     */
+    _sendCommand: function _sendCommand(command, jids) {
+        var pending = this._pending;
+        var request = {
+            type: 'set',
+            onSuccess: function onSuccess() {
+                for each (let jid in jids) {
+                    delete pending[jid];
+                }
+            },
+            onError: function onError(error) {
+                var text = (error.text && error.text.$text) ? error.text.$text : error.type;
+                console.warn('Unable to ' + command + ' ' + jids.join(', ') + ' on the server [' + text + '].');
+                for each (let jid in jids) {
+                    pending[jid] = command;
+                }
+            }
+        };
+        request[command] = {
+            xmlns: NS_XEP0191,
+            item: jids.map(function(jid) {
+                return { jid: jid };
+            })
+        };
+        this.xmpp.sendIq(request);
+    },
+
+    _setBlocked: function _setBlocked(jid, blocked) {
+        var index = this._blocked.indexOf(jid);
+        if (blocked === (index !== -1)) { return; }
+        if (blocked) {
+            this._blocked.push(jid);
+        } else {
+            this._blocked.splice(index, 1);
+            delete this._invitations[jid];
+        }
+        var contact = this.xmpp.xmppConnected ? this.xmpp.getContact(jid, true) : null;
+        if (contact) {
+            this.xmpp.emit('rosterItemUpdate', contact, 'blocked');
+        }
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    /**
+     * @param {string} jid  Bare JID of the contact.
+     */
+    block: function block(jid) {
+        if (this._serverSupport) {
+            this._sendCommand('block', [jid]); //confirmed by a push
+        } else {
+            this._pending[jid] = 'block';
+        }
+        this._setBlocked(jid, true);
+    },
+
+    /**
+     * @param {string} jid  Bare JID of the contact.
+     */
+    unblock: function unblock(jid) {
+        if (this._serverSupport) {
+            this._sendCommand('unblock', [jid]);
+        } else {
+            this._pending[jid] = 'unblock';
+        }
+        this._setBlocked(jid, false);
+    },
+
+    /**
+     * @param {string} jid  Bare JID of the contact.
+     * @returns {boolean}
+     */
+    isBlocked: function isBlocked(jid) {
+        return (this._blocked.indexOf(jid) !== -1);
+    },
+
+    /**
+     * @returns {string[]}  Bare JIDs of all blocked contacts.
+     */
+    getBlocked: function getBlocked() {
+        return this._blocked.slice();
+    },
+
+    /**
+     * Decides whether an incoming invitation should be shown to the user.
+     * Every call counts as an invitation for the rate limit.
+     *
+     * @param {string} jid  Bare JID of the inviting contact.
+     * @returns {boolean}
+     */
+    acceptsInvitation: function acceptsInvitation(jid) {
+        if (this.isBlocked(jid)) {
+            return false;
+        }
+        if (prefs.invitationsFromContactsOnly && !this.xmpp.rosterSelf.guest) { //guests have no contacts
+            let item = this.xmpp.roster[jid] || null;
+            if (!item || (item.subscription !== 'both')) {
+                return false;
+            }
+        }
+
+        var now = Date.now();
+        var recent = (this._invitations[jid] || []).filter(function(time) {
+            return (now - time < INVITATION_PERIOD);
+        });
+        recent.push(now);
+        this._invitations[jid] = recent;
+        if (recent.length > INVITATION_LIMIT) {
+            console.info('Dropped invitation of ' + jid + ' (rate limit exceeded).');
+            return false;
+        }
+        return true;
+    }
+
+});
+//one manager per account (@see main.js)
+const managers = new WeakMap();
+
+/**
+ * @param {XMPPFailsafeClient} client
+ * @returns {BlockingManager|null}
+ */
+exports.getBlockingManager = function getBlockingManager(client) {
+    return managers.get(client, null);
+};
+
+function onXmppAvailable(event) {
+    var manager = new BlockingManager();
+    manager.client = event.subject;
+    managers.set(event.subject, manager);
+}
+
+function onXmppShutdown(event) {
+    var manager = managers.get(event.subject, null);
+    if (manager) {
+        manager.destroy();
+        managers.delete(event.subject);
+    }
+}
+
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-xmpp-available', onXmppAvailable, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-xmpp-available', onXmppAvailable);
+});
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-xmpp-shutdown', onXmppShutdown, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-xmpp-shutdown', onXmppShutdown);
+});
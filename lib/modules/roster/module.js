@@ -18,6 +18,8 @@
 
 const sysEvents = require('sdk/system/events');
 const unloader = require('sdk/system/unload');
+const { url } = require('sdk/self').data;
+const baseUrl = url('modules/roster/');
 
 const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
@@ -26,7 +28,8 @@ const { ContextMenuItem } = require('../../browser/context-menus');
 
 const { storage } = require('sdk/simple-storage');
 //const { prefs } = require('sdk/simple-prefs');
-const { subscriptionManager } = require('./subscriptions');
+const { getSubscriptionManager } = require('./subscriptions');
+const { getBlockingManager } = require('./blocking');
 const { parseJid } = require('../../xmpp/session');
 const dialogs = require('../../browser/dialogs');
 
@@ -45,8 +48,12 @@ const Roster = Class({
         this.coopfox = coopfox;
         this._menuItems = [];
 
+        coopfox.sidebar.roster.addScript(baseUrl + 'roster.js');
+        coopfox.sidebar.roster.addStyle(baseUrl + 'roster.css');
+
         EventHub.prototype.initialize.apply(this, arguments);
 
+        this.subscribeTo(coopfox, 'beforeRosterUpdate');
         this.subscribeTo(coopfox, 'beforeComponentsReady');
         this.subscribeTo(coopfox, 'componentsReady');
         this.subscribeTo(coopfox, 'destroy');
@@ -66,6 +73,13 @@ const Roster = Class({
         this._createMenuItems();
     },
 
+    _onBeforeRosterUpdate: function _onBeforeRosterUpdate(args) {
+        var blockingManager = getBlockingManager(this.coopfox.xmpp.client);
+        if (blockingManager && blockingManager.isBlocked(args.contact.jid.bare)) {
+            args.blocked = true;
+        }
+    },
+
     _onceDestroy: function _onceDestroy() {
         this.destroy();
         this.coopfox = null;
@@ -77,6 +91,8 @@ const Roster = Class({
         var self = this;
         var xmpp = self.coopfox.xmpp;
         var window = self.coopfox.window;
+        var subscriptionManager = getSubscriptionManager(xmpp.client); //of the account this window uses
+        var blockingManager = getBlockingManager(xmpp.client);
         this._menuItems = [
 
             new MenuItem({
@@ -309,6 +325,33 @@ const Roster = Class({
                         subscriptionManager.cancel(jid);
                     }
                 }
+            }),
+
+            new ContextMenuItem({
+                window: window,
+                menu: 'coopfoxRosterContextMenu',
+                id: 'context-coopfox-roster-block-contact',
+                selectors: ['.roster-item'],
+                label: 'Block Contact',
+                onShow: function onShow(target, contact) {
+                    if (blockingManager.isBlocked(contact.dataset.jid)) {
+                        this.label = 'Unblock Contact';
+                    }
+                },
+                onClick: function onClick(target, contact) {
+                    var jid = contact.dataset.jid;
+                    if (blockingManager.isBlocked(jid)) {
+                        blockingManager.unblock(jid);
+                        return;
+                    }
+                    var choice = dialogs.confirmEx(
+                        'Block Contact',
+                        'Ignore all invitations and contact requests from ' + xmpp.getContact(jid).name + '?'
+                    );
+                    if (choice === 0) {
+                        blockingManager.block(jid);
+                    }
+                }
             })
 
         ];
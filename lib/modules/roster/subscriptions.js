@@ -18,6 +18,7 @@ const unloader = require('sdk/system/unload');
 const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../../utils/events');
 const { XMPPFailsafeClient } = require('../../xmpp/failsafe');
+const { getBlockingManager } = require('./blocking');
 
 const dialogs = require('../../browser/dialogs');
 
@@ -57,6 +58,12 @@ const SubscriptionManager = Class({
         switch (presence.type) {
             case 'subscribe' :
 
+                var blockingManager = getBlockingManager(this.xmpp);
+                if (blockingManager && blockingManager.isBlocked(jid)) {
+                    this.xmpp.sendPresence({ to: jid, type: 'unsubscribed' });
+                    return;
+                }
+
                 if (item && item.subscription && (item.subscription !== 'none')) {
                     //we already know this contact or have requested a subscripiton
                     this.xmpp.sendPresence({ to: jid, type: 'subscribed' });
@@ -136,19 +143,33 @@ const SubscriptionManager = Class({
         });
     }
 
-    //TODO: Manage block list (jabber:iq:privacy)
+    //block list is managed by BlockingManager (@see blocking.js)
     //TODO: Manage groups
 
 });
-exports.subscriptionManager = new SubscriptionManager();
+//one manager per account (@see main.js)
+const managers = new WeakMap();
 
+/**
+ * @param {XMPPFailsafeClient} client
+ * @returns {SubscriptionManager|null}
+ */
+exports.getSubscriptionManager = function getSubscriptionManager(client) {
+    return managers.get(client, null);
+};
 
 function onXmppAvailable(event) {
-    exports.subscriptionManager.client = event.subject;
+    var manager = new SubscriptionManager();
+    manager.client = event.subject;
+    managers.set(event.subject, manager);
 }
 
 function onXmppShutdown(event) {
-    exports.subscriptionManager.client = null;
+    var manager = managers.get(event.subject, null);
+    if (manager) {
+        manager.destroy();
+        managers.delete(event.subject);
+    }
 }
 
 
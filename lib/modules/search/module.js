@@ -0,0 +1,267 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const SEARCH_MAX_RESULTS = 100;
+
+const { storage } = require('sdk/simple-storage');
+const sysEvents = require('sdk/system/events');
+const unloader = require('sdk/system/unload');
+const baseUrl = require('sdk/self').data.url('modules/search/');
+
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../../utils/events');
+const { MenuItem } = require('../../browser/menus');
+const { isCorrection } = require('../../xmpp/threads');
+
+/**
+ * This module provides a full-text search tab in the panel.
+ *
+ * The index covers chat messages, comments, quoted highlight texts
+ * and the titles / URLs of the pages messages were written on.
+ * It is rebuilt from the thread history whenever it has changed,
+ * so that deleted and imported messages are always accounted for.
+ */
+const Search = Class({
+    extends: EventHub,
+    className: 'Search',
+
+    /**
+     * @param {CoopFox} coopfox
+     */
+    initialize: function initialize(coopfox) {
+        this.coopfox = coopfox;
+        this.xmpp = coopfox.xmpp;
+        this._menuItems = [];
+        this._index = null;
+        this._indexVersion = null;
+
+        coopfox.sidebar.panel.addScript(baseUrl + 'panel.js');
+        coopfox.sidebar.panel.addStyle(baseUrl + 'panel.css');
+        coopfox.sidebar.panel.addOptions({ searchTabHidden: storage['search-tab-hidden'] || false });
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        this.subscribeTo(coopfox, 'componentsReady');
+        this.subscribeTo(coopfox, 'destroy');
+        console.info('Search module activated.');
+    },
+
+    _onceComponentsReady: function _onceComponentsReady() {
+        this.port = this.coopfox.sidebar.panel.port;
+        this.subscribeTo(this.port, 'searchQuery');
+        this.subscribeTo(this.port, 'searchJump');
+        this._createMenuItems();
+    },
+
+    _onceDestroy: function _onceDestroy() {
+        this.destroy();
+        this.coopfox = null;
+        this.xmpp = null;
+        this.port = null;
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    _createMenuItems: function _createMenuItems() {
+        var port = this.port;
+        this._menuItems = [
+
+            new MenuItem({
+                window: this.coopfox.window,
+                menu: 'coopfoxPanelMenu',
+                id: 'menu-coopfox-panel-show-search',
+                after: 'menu-coopfox-panel-show-chat',
+                type: 'checkbox',
+                label: 'Show Search',
+                onShow: function onShow(menuButton) {
+                    var tab = menuButton.ownerDocument.querySelector('#search-tab-selector');
+                    if (!tab.classList.contains('ui-state-disabled')) {
+                        this.checked = true;
+                    }
+                },
+                onClick: function onClick() {
+                    var hide = storage['search-tab-hidden'] = this.checked;
+                    if (hide) {
+                        port.emit('tabHide', 'search');
+                    } else {
+                        port.emit('tabShow', 'search');
+                    }
+                }
+            })
+
+        ];
+    },
+
+    _destroyMenuItems: function _destroyMenuItems() {
+        for each (let item in this._menuItems) {
+            item.destroy();
+        }
+        this._menuItems = [];
+    },
+
+    /////////////////////////////////////////////////////////////////
+
+    /**
+     * Returns the index entries for the current history, rebuilding them if necessary.
+     *
+     * @returns {object[]}  { id, kind, jid, timestamp, text, url, title }
+     */
+    _getIndex: function _getIndex() {
+        var version = this.xmpp.latestVersion;
+        if (this._index && (this._indexVersion === version)) {
+            return this._index;
+        }
+
+        var messages = this.xmpp.getMessages();
+        var threadId = this.xmpp.id;
+        var byId = {};
+        var deleted = {};
+        for each (let message in messages) {
+            byId[message.id] = message;
+            let chat = message.coopfox ? message.coopfox.chat : null;
+            if (chat && chat.id) {
+                if (chat.action === 'delete') {
+                    deleted[chat.id] = true;
+                }
+                else if (chat.action === 'undelete') {
+                    delete deleted[chat.id];
+                }
+            }
+        }
+
+        var index = [];
+        for each (let message in messages) {
+            if (!message.coopfox || deleted[message.id] || message.$undecryptable) { continue; }
+            if (isCorrection(message)) { continue; } //indexed through the original message
+            let cf = message.coopfox;
+            let parentId = (message.thread && (message.thread.$text !== threadId)) ? message.thread.$text : null;
+            let parent = parentId ? byId[parentId] : null;
+            let location = cf.location || ((parent && parent.coopfox) ? parent.coopfox.location : null);
+
+            let entry = {
+                id: message.id,
+                kind: parentId ? 'comment' : 'chat',
+                jid: message.$from.bare,
+                timestamp: message.$timestamp,
+                text: '',
+                url: (location && location.url) ? location.url : '',
+                title: (location && location.title) ? location.title : ''
+            };
+
+            if (cf.highlight && (cf.highlight.type === 'insert')) {
+                let texts = [];
+                for each (let text in (Array.isArray(cf.highlight.text) ? cf.highlight.text : [cf.highlight.text])) {
+                    if (text && text.$text) {
+                        texts.push(text.$text);
+                    }
+                }
+                entry.kind = 'highlight';
+                entry.text = texts.join(' … ');
+                entry.url = cf.highlight.url || entry.url;
+            }
+            else if (message.body && message.body.$text) {
+                entry.text = this.xmpp.getLatestRevision(message.id).body.$text;
+            }
+            else if (!cf.location) {
+                continue; //e.g. result priorities, participant status
+            }
+            else {
+                entry.kind = 'location';
+            }
+            index.push(entry);
+        }
+
+        this._index = index;
+        this._indexVersion = version;
+        return index;
+    },
+
+    /**
+     * @param {object} query
+     *  - {string} text         Words which must all occur (case-insensitive).
+     *  - {string} participant  Bare JID of the author (optional).
+     *  - {string} url          Page the message was written on (optional).
+     */
+    _onSearchQuery: function _onSearchQuery(query) {
+        var index = this._getIndex();
+        var terms = String(query.text || '').toLowerCase().split(/\s+/).filter(function(term) {
+            return term.length > 0;
+        });
+
+        var participants = {};
+        var pages = {};
+        var results = [];
+        var total = 0;
+        for each (let entry in index) {
+            participants[entry.jid] = true;
+            if (entry.url && !pages[entry.url]) {
+                pages[entry.url] = entry.title || entry.url;
+            }
+
+            if (query.participant && (entry.jid !== query.participant)) { continue; }
+            if (query.url && (entry.url !== query.url)) { continue; }
+            if (terms.length) {
+                let haystack = (entry.text + '\n' + entry.title + '\n' + entry.url).toLowerCase();
+                if (!terms.every(function(term) { return haystack.indexOf(term) !== -1; })) { continue; }
+            }
+            else if (!query.participant && !query.url) {
+                continue; //nothing to search for
+            }
+            total++;
+            results.push(entry);
+        }
+
+        //most recent first
+        results.reverse();
+        results = results.slice(0, SEARCH_MAX_RESULTS);
+
+        var xmpp = this.xmpp;
+        this.port.emit('searchResults', {
+            terms: terms,
+            total: total,
+            results: results.map(function(entry) {
+                return {
+                    id: entry.id,
+                    kind: entry.kind,
+                    text: entry.text,
+                    url: entry.url,
+                    title: entry.title,
+                    timestamp: entry.timestamp - xmpp.threadTimeOffset, //local system time
+                    sender: { jid: entry.jid, name: xmpp.getContact(entry.jid).name }
+                };
+            }),
+            participants: Object.keys(participants).map(function(jid) {
+                return { jid: jid, name: xmpp.getContact(jid).name };
+            }),
+            pages: Object.keys(pages).map(function(url) {
+                return { url: url, title: pages[url] };
+            })
+        });
+    },
+
+    _onSearchJump: function _onSearchJump(id) {
+        this.coopfox.emit('chatScrollTo', id);
+    }
+
+});
+
+function onCoopfoxInit(event) {
+    Search(event.subject);
+}
+
+//we have to use a strong reference to prevent the garbage collector from unloading this file
+sysEvents.on('coopfox-init', onCoopfoxInit, true);
+unloader.when(function() {
+    sysEvents.off('coopfox-init', onCoopfoxInit);
+});
@@ -0,0 +1,247 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/*
+ * Elliptic curve Diffie-Hellman key agreement on Curve25519 (X25519, RFC 7748).
+ *
+ * The field arithmetic follows the public domain implementation of TweetNaCl:
+ * field elements are represented as 16 limbs of 16 bits in a Float64Array,
+ * which leaves enough headroom for products without overflowing the 53 bit mantissa.
+ * All operations run in constant time with respect to the secret scalar.
+ *
+ * Keys and shared secrets are handled as binary strings of 32 bytes.
+ */
+
+const KEY_LENGTH = 32;
+
+function gf(init) {
+    var r = new Float64Array(16);
+    if (init) {
+        for (let i = 0; i < init.length; i++) {
+            r[i] = init[i];
+        }
+    }
+    return r;
+}
+
+const _121665 = gf([0xdb41, 1]);
+const BASE_POINT = '\x09' + Array(KEY_LENGTH).join('\x00');
+
+function car25519(o) {
+    var c;
+    for (let i = 0; i < 16; i++) {
+        o[i] += 65536;
+        c = Math.floor(o[i] / 65536);
+        o[(i + 1) * (i < 15 ? 1 : 0)] += c - 1 + 37 * (c - 1) * (i === 15 ? 1 : 0);
+        o[i] -= c * 65536;
+    }
+}
+
+function sel25519(p, q, b) {
+    var c = ~(b - 1);
+    for (let i = 0; i < 16; i++) {
+        let t = c & (p[i] ^ q[i]);
+        p[i] ^= t;
+        q[i] ^= t;
+    }
+}
+
+function pack25519(o, n) {
+    var m = gf();
+    var t = gf();
+    for (let i = 0; i < 16; i++) {
+        t[i] = n[i];
+    }
+    car25519(t);
+    car25519(t);
+    car25519(t);
+    for (let j = 0; j < 2; j++) {
+        m[0] = t[0] - 0xffed;
+        for (let i = 1; i < 15; i++) {
+            m[i] = t[i] - 0xffff - ((m[i - 1] >> 16) & 1);
+            m[i - 1] &= 0xffff;
+        }
+        m[15] = t[15] - 0x7fff - ((m[14] >> 16) & 1);
+        let b = (m[15] >> 16) & 1;
+        m[14] &= 0xffff;
+        sel25519(t, m, 1 - b);
+    }
+    for (let i = 0; i < 16; i++) {
+        o[2 * i] = t[i] & 0xff;
+        o[2 * i + 1] = t[i] >> 8;
+    }
+}
+
+function unpack25519(o, n) {
+    for (let i = 0; i < 16; i++) {
+        o[i] = n[2 * i] + (n[2 * i + 1] << 8);
+    }
+    o[15] &= 0x7fff;
+}
+
+function A(o, a, b) {
+    for (let i = 0; i < 16; i++) {
+        o[i] = a[i] + b[i];
+    }
+}
+
+function Z(o, a, b) {
+    for (let i = 0; i < 16; i++) {
+        o[i] = a[i] - b[i];
+    }
+}
+
+function M(o, a, b) {
+    var t = new Float64Array(31);
+    for (let i = 0; i < 16; i++) {
+        for (let j = 0; j < 16; j++) {
+            t[i + j] += a[i] * b[j];
+        }
+    }
+    for (let i = 0; i < 15; i++) {
+        t[i] += 38 * t[i + 16];
+    }
+    for (let i = 0; i < 16; i++) {
+        o[i] = t[i];
+    }
+    car25519(o);
+    car25519(o);
+}
+
+function S(o, a) {
+    M(o, a, a);
+}
+
+function inv25519(o, i) {
+    var c = gf(i);
+    for (let a = 253; a >= 0; a--) {
+        S(c, c);
+        if ((a !== 2) && (a !== 4)) {
+            M(c, c, i);
+        }
+    }
+    for (let a = 0; a < 16; a++) {
+        o[a] = c[a];
+    }
+}
+
+function toBytes(str) {
+    if ((typeof(str) !== 'string') || (str.length !== KEY_LENGTH)) {
+        throw new TypeError('Curve25519 keys must be binary strings of ' + KEY_LENGTH + ' bytes.');
+    }
+    var bytes = new Uint8Array(KEY_LENGTH);
+    for (let i = 0; i < KEY_LENGTH; i++) {
+        bytes[i] = str.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+function fromBytes(bytes) {
+    var str = '';
+    for (let i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+}
+
+/**
+ * Multiplies a point on the curve by a scalar (Montgomery ladder).
+ *
+ * @param  {string} scalar  Secret key (32 bytes, clamped as specified by RFC 7748).
+ * @param  {string} point   u-coordinate of the point (32 bytes).
+ * @return {string}  u-coordinate of the resulting point (32 bytes).
+ */
+function scalarMult(scalar, point) {
+    var z = toBytes(scalar);
+    var p = toBytes(point);
+    var x = new Float64Array(80);
+    var a = gf(), b = gf(), c = gf(), d = gf(), e = gf(), f = gf();
+    var q = new Uint8Array(KEY_LENGTH);
+
+    z[31] = (z[31] & 127) | 64;
+    z[0] &= 248;
+    unpack25519(x, p);
+    for (let i = 0; i < 16; i++) {
+        b[i] = x[i];
+        d[i] = a[i] = c[i] = 0;
+    }
+    a[0] = d[0] = 1;
+    for (let i = 254; i >= 0; --i) {
+        let r = (z[i >>> 3] >>> (i & 7)) & 1;
+        sel25519(a, b, r);
+        sel25519(c, d, r);
+        A(e, a, c);
+        Z(a, a, c);
+        A(c, b, d);
+        Z(b, b, d);
+        S(d, e);
+        S(f, a);
+        M(a, c, a);
+        M(c, b, e);
+        A(e, a, c);
+        Z(a, a, c);
+        S(b, a);
+        Z(c, d, f);
+        M(a, c, _121665);
+        A(a, a, d);
+        M(c, c, a);
+        M(a, d, f);
+        M(d, b, x);
+        S(b, e);
+        sel25519(a, b, r);
+        sel25519(c, d, r);
+    }
+    for (let i = 0; i < 16; i++) {
+        x[i + 16] = a[i];
+        x[i + 32] = c[i];
+        x[i + 48] = b[i];
+        x[i + 64] = d[i];
+    }
+    var x32 = x.subarray(32);
+    var x16 = x.subarray(16);
+    inv25519(x32, x32);
+    M(x16, x16, x32);
+    pack25519(q, x16);
+    return fromBytes(q);
+}
+exports.scalarMult = scalarMult;
+
+/**
+ * Derives the public key for a secret key.
+ *
+ * @param  {string} secretKey  32 random bytes.
+ * @return {string}  The public key (32 bytes).
+ */
+exports.publicKey = function publicKey(secretKey) {
+    return scalarMult(secretKey, BASE_POINT);
+};
+
+/**
+ * Computes the secret shared between the owners of two key pairs.
+ *
+ * @param  {string} secretKey  Own secret key (32 bytes).
+ * @param  {string} publicKey  The other party's public key (32 bytes).
+ * @return {string}  Shared secret (32 bytes), which should only be used through a key derivation function.
+ *
+ * @throws {Error} If the public key is a low order point (shared secret would be all zeros).
+ */
+exports.sharedSecret = function sharedSecret(secretKey, publicKey) {
+    var shared = scalarMult(secretKey, publicKey);
+    if (/^\x00+$/.test(shared)) {
+        throw new Error('Invalid Curve25519 public key.');
+    }
+    return shared;
+};
+
+exports.KEY_LENGTH = KEY_LENGTH;
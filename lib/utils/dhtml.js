@@ -118,6 +118,15 @@ function getDocumentOffsetRatio(el) {
 }
 exports.getDocumentOffsetRatio = getDocumentOffsetRatio;
 
+/**
+ * @param {nsIDOMDocument} doc
+ * @return {number}  Scrollable height of the document.
+ */
+function getScrollHeight(doc) {
+    return Math.max(doc.documentElement.scrollHeight, doc.body ? doc.body.scrollHeight : 0);
+}
+exports.getScrollHeight = getScrollHeight;
+
 /**
  * Scrolls all scrolling ancestor elements recursively,
  * so that the given element is centered in all of them.
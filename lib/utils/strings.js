@@ -14,6 +14,8 @@
 
 const { Cc, Ci } = require('chrome');
 
+const HASH_BLOCK_SIZES = { MD5: 64, SHA1: 64, SHA256: 64, SHA512: 128 }; //bytes, as required by hmac()
+
 /*
  * Computes the hash value of a string, using different algorithms.
  *
@@ -41,10 +43,20 @@ function hash(str, alg, mode, isBinary) {
     if (mode === 'binary') {
         return ch.finish(false);
     }
-    var hash = ch.finish(false);
+    return binaryToHex(ch.finish(false));
+}
+exports.hash = hash;
+
+/**
+ * Converts a binary string to its lowercase hexadecimal representation.
+ *
+ * @param  {string} str
+ * @return {string}
+ */
+function binaryToHex(str) {
     var hex = '';
-    for (let i in hash) {
-        hex += ('0' + hash.charCodeAt(i).toString(16)).slice(-2);
+    for (let i = 0; i < str.length; i++) {
+        hex += ('0' + str.charCodeAt(i).toString(16)).slice(-2);
     }
     return hex;
 }
@@ -77,6 +89,111 @@ exports.sha512 = function sha512(str, mode, isBinary) {
     return hash(str, 'SHA512', mode, isBinary);
 };
 
+/**
+ * Computes a keyed-hash message authentication code (RFC 2104).
+ *
+ * @param  {string}  key       The secret key.
+ * @param  {string}  str       The input string.
+ * @param  {string}  alg       Name of the hash algorithm to use (MD5, SHA1, SHA256 or SHA512).
+ * @param  {string}  mode      Output type: 'binary', 'base64' or 'hex' (default).
+ * @param  {boolean} isBinary  Treat key and input string as binary data without charset.
+ * @return {string}
+ */
+function hmac(key, str, alg, mode, isBinary) {
+    var blockSize = HASH_BLOCK_SIZES[alg];
+    if (!blockSize) {
+        throw new Error('Unsupported HMAC hash algorithm: ' + alg);
+    }
+    if (!isBinary) {
+        key = utf8Encode(key);
+        str = utf8Encode(str);
+    }
+    if (key.length > blockSize) {
+        key = hash(key, alg, 'binary', true);
+    }
+    while (key.length < blockSize) {
+        key += '\0';
+    }
+    var ipad = '';
+    var opad = '';
+    for (let i = 0; i < blockSize; i++) {
+        let c = key.charCodeAt(i);
+        ipad += String.fromCharCode(c ^ 0x36);
+        opad += String.fromCharCode(c ^ 0x5c);
+    }
+    var inner = hash(ipad + str, alg, 'binary', true);
+    return hash(opad + inner, alg, mode, true);
+}
+exports.hmac = hmac;
+
+/**
+ * Derives a key from a password, using PBKDF2 with HMAC (RFC 2898).
+ * Without a specified length, the result is exactly one hash block,
+ * which equals the Hi() function used by SCRAM (RFC 5802).
+ *
+ * @param  {string}  password   The password (converted to utf-8).
+ * @param  {string}  salt       Binary salt string.
+ * @param  {number}  iterations Number of HMAC rounds.
+ * @param  {string}  alg        Name of the hash algorithm to use.
+ * @param  {string}  mode       Output type: 'binary', 'base64' or 'hex' (default).
+ * @param  {number}  length     Length of the derived key in bytes (optional).
+ * @return {string}
+ */
+exports.pbkdf2 = function pbkdf2(password, salt, iterations, alg, mode, length) {
+    password = utf8Encode(password);
+    var result = '';
+    for (let block = 1; !result.length || (result.length < length); block++) {
+        let index = String.fromCharCode((block >>> 24) & 0xff, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff);
+        let u = hmac(password, salt + index, alg, 'binary', true);
+        let t = u;
+        for (let i = 1; i < iterations; i++) {
+            u = hmac(password, u, alg, 'binary', true);
+            t = xorBinary(t, u);
+        }
+        result += t;
+    }
+    if (length) {
+        result = result.substr(0, length);
+    }
+    if (mode === 'base64') {
+        return require('sdk/base64').encode(result);
+    }
+    if (mode === 'binary') {
+        return result;
+    }
+    return binaryToHex(result);
+};
+
+/**
+ * Combines two binary strings of equal length using exclusive or.
+ *
+ * @param  {string} a
+ * @param  {string} b
+ * @return {string}
+ */
+function xorBinary(a, b) {
+    if (a.length !== b.length) {
+        throw new Error('Cannot combine binary strings of different length.');
+    }
+    var result = '';
+    for (let i = 0; i < a.length; i++) {
+        result += String.fromCharCode(a.charCodeAt(i) ^ b.charCodeAt(i));
+    }
+    return result;
+}
+exports.xorBinary = xorBinary;
+
+/**
+ * Converts a unicode string into a binary string of its utf-8 bytes.
+ *
+ * @param  {string} str
+ * @return {string}
+ */
+function utf8Encode(str) {
+    return unescape(encodeURIComponent(str));
+}
+exports.utf8Encode = utf8Encode;
+
 /**
  * Returns the base64 encoded version of a string
  *
@@ -118,3 +235,16 @@ exports.uuidhash = function uuidhash(length) {
     }
     return ('i' + exports.md5(exports.uuid())).substr(0,length);
 };
+
+/**
+ * Returns cryptographically secure random bytes.
+ *
+ * @param  {number} length  Number of bytes.
+ * @return {string}  Binary string.
+ */
+exports.randomBytes = function randomBytes(length) {
+    var bytes = Cc['@mozilla.org/security/random-generator;1']
+                .getService(Ci.nsIRandomGenerator)
+                .generateRandomBytes(length);
+    return String.fromCharCode.apply(null, bytes);
+};
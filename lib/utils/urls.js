@@ -28,14 +28,26 @@ const cleanPatterns = [
     /(?:&(?:amp;)?)?PHPSESSID=[^&#]*/
 ];
 
+/**
+ * Query parameters which only serve to track visitors and never change the content of a page.
+ * A trailing asterisk matches any parameter with that prefix.
+ */
+const TRACKING_PARAMETERS = exports.TRACKING_PARAMETERS = [
+    'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'wt_mc', 'ref_src'
+];
+
 const hashCleanPatterns = [
     [/^https:\/\//i, 'http://'],
     [/^http:\/\/(?:www\.)?(amazon\.[a-z]{2,4}).*?\/(?:dp|gp\/product)\/([a-zA-Z0-9]{10})\/.*$/, 'http://$1/dp/$2'],
     [/^http:\/\/(?:(?:www\.)?youtube\.com\/.*?v=|youtu.be\/|y2u.be\/)([^&]+).*$/, 'http://www.youtube.com/watch?v=$1']
 ];
 
+var rewriteRules = []; //user-defined hashCleanPatterns, @see setRewriteRules
+
 const cleanUrlCache = {};
 const urlHashCache = {};
+const canonicalUrls = {}; //clean URL -> canonical URL of the page
 
 /**
  * Splits a URL into its parts (scheme, login, host, path, query, fragment).
@@ -144,6 +156,41 @@ function joinQueryString(parts, encode) {
 }
 exports.joinQueryString = joinQueryString;
 
+function isTrackingParameter(key) {
+    key = key.toLowerCase();
+    for each (let param in TRACKING_PARAMETERS) {
+        if ((param.charAt(param.length - 1) === '*') ?
+                (key.indexOf(param.substr(0, param.length - 1)) === 0) :
+                (key === param)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Removes all TRACKING_PARAMETERS from the query string of a URL.
+ * The remaining parameters are kept as they are, including their order and separators.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function stripTrackingParameters(url) {
+    var parts = splitUrl(url);
+    if (!parts || !parts.query) { return url; }
+    var tokens = parts.query.split(/(&(?:amp;)?)/); //parameters at even, separators at odd indexes
+    var query = '';
+    var kept = 0;
+    for (let i = 0; i < tokens.length; i += 2) {
+        if (isTrackingParameter(tokens[i].split('=')[0])) { continue; }
+        query += (kept++ ? tokens[i - 1] : '') + tokens[i];
+    }
+    if (kept === (tokens.length + 1) / 2) { return url; }
+    parts.query = query;
+    return joinUrl(parts);
+}
+exports.stripTrackingParameters = stripTrackingParameters;
+
 function applyCleanPatterns(url, patterns) {
     for each (let pattern in patterns) {
         let replacement = '';
@@ -159,7 +206,7 @@ function applyCleanPatterns(url, patterns) {
 /**
  * Removes REST-irelevant and security-problematic parts from a URL.
  * Most commonly this is the fragment, unless it contains a query,
- * as well as the php session id.
+ * as well as the php session id and tracking parameters.
  *
  * The resulting url should be safe to transmit to other clients.
  *
@@ -170,15 +217,118 @@ function cleanUrl(url) {
     if (typeof(url) !== 'string') { return url; }
     var cleanurl = cleanUrlCache[url];
     if (!cleanurl) {
-        cleanurl = cleanUrlCache[url] = applyCleanPatterns(url, cleanPatterns);
+        cleanurl = cleanUrlCache[url] = stripTrackingParameters(applyCleanPatterns(url, cleanPatterns));
     }
     return cleanurl;
 }
 exports.cleanUrl = cleanUrl;
 
+/**
+ * @param {object} parts  @see splitUrl
+ * @returns {string}  Lower case host name without port and "www." prefix.
+ */
+function siteHost(parts) {
+    return parts.host.toLowerCase().replace(/:\d*$/, '').replace(/^www\./, '');
+}
+
+/**
+ * Declares the canonical URL of a page, as given by <link rel="canonical"> or og:url.
+ * From then on, the page URL is compared as if it was the canonical one.
+ * Since this affects all windows, it must only be called for documents loaded locally,
+ * never for URLs received from other participants.
+ *
+ * Only canonical URLs on the host of the page or one of its subdomains are accepted,
+ * so that no page can pass itself off as another site.
+ *
+ * @param {string} url
+ * @param {string} canonical  Absolute http(s) URL.
+ * @returns {boolean}  Whether the canonical URL has been accepted.
+ */
+function registerCanonicalUrl(url, canonical) {
+    if ((typeof(url) !== 'string') || (typeof(canonical) !== 'string') || !/^https?:\/\/[^\/]/i.test(canonical)) {
+        return false;
+    }
+    var page = splitUrl(url);
+    var target = splitUrl(canonical);
+    if (!page || !target) { return false; }
+    var host = siteHost(page);
+    var targetHost = siteHost(target);
+    if ((targetHost !== host) && (targetHost.substr(-host.length - 1) !== '.' + host)) {
+        return false;
+    }
+    url = cleanUrl(url);
+    canonical = cleanUrl(canonical);
+    if (url === canonical) { return true; }
+    if (canonicalUrls[url] !== canonical) {
+        canonicalUrls[url] = canonical;
+        clearCache(urlHashCache);
+    }
+    return true;
+}
+exports.registerCanonicalUrl = registerCanonicalUrl;
+
+/**
+ * Compiles rewrite rules for comparableUrl().
+ *
+ * @param {object[]} rules  Array of { pattern, replacement }, where pattern is a regular expression.
+ * @returns {Array[]}  Pairs of [RegExp, replacement].
+ * @throws {SyntaxError} If a pattern is no valid regular expression.
+ */
+function compileRewriteRules(rules) {
+    var compiled = [];
+    for each (let rule in rules || []) {
+        if (!rule.pattern) { continue; }
+        compiled.push([new RegExp(rule.pattern, 'i'), rule.replacement || '']);
+    }
+    return compiled;
+}
+exports.compileRewriteRules = compileRewriteRules;
+
+/**
+ * Replaces the user-defined rewrite rules, which are applied after the built-in ones.
+ * Invalid rules are skipped.
+ *
+ * @param {object[]} rules  @see compileRewriteRules
+ */
+exports.setRewriteRules = function setRewriteRules(rules) {
+    var compiled = [];
+    for each (let rule in rules || []) {
+        try {
+            compiled = compiled.concat(compileRewriteRules([rule]));
+        } catch (e) {
+            console.warn('Invalid URL rewrite rule "' + rule.pattern + '": ' + e.message);
+        }
+    }
+    rewriteRules = compiled;
+    clearCache(urlHashCache);
+};
+
+function clearCache(cache) {
+    for (let key in cache) {
+        delete cache[key];
+    }
+}
+
+/**
+ * Returns the form of a URL which is used for comparison.
+ * URLs are cleaned more aggressively than by cleanUrl() to extend comparability,
+ * which also applies the canonical URL of the page, if known.
+ *
+ * @param {string} url
+ * @param {Array[]} [rules]  Compiled rewrite rules to use instead of the current ones.
+ * @returns {string}
+ */
+function comparableUrl(url, rules) {
+    var cleanurl = cleanUrl(url);
+    cleanurl = canonicalUrls[cleanurl] || cleanurl;
+    cleanurl = applyCleanPatterns(cleanurl, hashCleanPatterns);
+    return applyCleanPatterns(cleanurl, rules || rewriteRules);
+}
+exports.comparableUrl = comparableUrl;
+
 /**
  * Generates a short hash string for a URL.
- * URLs are cleaned more aggressively before hashing to extend comparability.
+ * @see comparableUrl
  *
  * @param {string} url
  * @returns {string}
@@ -187,7 +337,7 @@ function urlHash(url) {
     if (typeof(url) !== 'string') { return url; }
     var hash = urlHashCache[url];
     if (!hash) {
-        let cleanurl = applyCleanPatterns(cleanUrl(url), hashCleanPatterns);
+        let cleanurl = comparableUrl(url);
         hash = urlHashCache[url] = md5(cleanurl);
         //console.log('URLHash: ' + url + ' > ' + cleanurl + ' > ' + hash);
     }
@@ -0,0 +1,399 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const BOSH_DEBUG = false;
+const REPLY_TIMEOUT = 3000;
+
+const NS_HTTPBIND = 'http://jabber.org/protocol/httpbind';
+const NS_XBOSH = 'urn:xmpp:xbosh';
+
+const { Cc, Ci } = require('chrome');
+
+const { Class } = require('sdk/core/heritage');
+const { XMLHttpRequest } = require('sdk/net/xhr');
+const { setTimeout, clearTimeout } = require('sdk/timers');
+const { EventHub } = require('../utils/events');
+const { SECURITY_SSL } = require('./tcp');
+const { serializeStreamElement, importStreamElement, domToJson } = require('./connection');
+
+/**
+ * @param {string} value
+ * @returns {string}  The value, escaped for a double-quoted XML attribute.
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * An XMPP connection over HTTP long-polling (BOSH, XEP-0124 and XEP-0206).
+ * Provides the same interface and events as XMPPConnection,
+ * so that XMPPSession can use either of them interchangeably.
+ *
+ * Outgoing data is queued and sent with the next request. There is always
+ * at least one request pending on the server, which it uses to push data to us.
+ */
+const XMPPBoshConnection = Class({
+    extends: EventHub,
+    className: 'XMPPBoshConnection',
+
+    /**
+     * @param {object} options
+     *  - {string} url : Service URL (defaults to http(s)://hostname[:port]/http-bind).
+     *  - {string} hostname : Host of the default service URL.
+     *  - {number} port : Port of the default service URL (optional).
+     *  - {string} security : SECURITY_SSL for https, otherwise unencrypted.
+     *  - {string} streamHostname : Name by which to address the host in the session request (defaults to hostname).
+     *  - {number} connectTimeout : Timeout for session creation in seconds (default 10).
+     *  - {number} wait : Longest time in seconds the server may hold a request (default 60).
+     *
+     *  - {function} onConnected()         : Called as soon as the BOSH session is established.
+     *  - {function} onDisconnected()      : Called when the session is terminated after destroy() was called.
+     *  - {function} onTcpError(msg)       : Called if the session is terminated unexpectedly or cannot be established.
+     *  - {function} onStreamStart(e, raw) : Called when a new stream has been opened by the server.
+     *  - {function} onStreamEnd()         : Called when the stream is closed by the server.
+     *  - {function} onElement(e, raw)     : Called when a new stream-level element has been received.
+     *  - {function} onElementSent(name, childNodes, xml) : Called whenever an element has been sent.
+     */
+    initialize : function initialize(options) {
+        this._state = 'disconnected';
+        this._sid = null;
+        this._rid = Math.floor(Math.random() * 4294967295); //random 32 bit start value
+        this._maxRequests = 2;
+        this._requests = [];
+        this._queue = [];
+        this._restart = false;
+        this._flushTimer = null;
+        this._replyTimer = null;
+        this._connectTimer = null;
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        var host = options.hostname || '127.0.0.1';
+        this._streamHost = options.streamHostname || host;
+        this._wait = options.wait || 60;
+        this._url = options.url || (
+            ((options.security == SECURITY_SSL) ? 'https' : 'http') + '://' + host +
+            (options.port ? ':' + options.port : '') + '/http-bind'
+        );
+
+        this.subscribeTo(this, '_beforeDestroy', this._sendStreamFooter);
+
+        var connectTimeout = options.connectTimeout || 10; //10sec
+        this._connectTimer = setTimeout(this._onConnectTimeout, connectTimeout * 1000);
+
+        this._setState('connecting');
+        this._sendRequest({
+            content : 'text/xml; charset=utf-8',
+            hold : 1,
+            to : this._streamHost,
+            ver : '1.6',
+            wait : this._wait,
+            'xml:lang' : 'en',
+            'xmpp:version' : '1.0',
+            'xmlns:xmpp' : NS_XBOSH
+        });
+    },
+
+    _initXMLParser : function _initXMLParser() {
+        this._parser = Cc['@mozilla.org/xmlextras/domparser;1'].createInstance(Ci.nsIDOMParser);
+        this._inDoc = Cc['@mozilla.org/xml/xml-document;1'].createInstance(Ci.nsIDOMXMLDocument);
+        this._outDoc = Cc['@mozilla.org/xml/xml-document;1'].createInstance(Ci.nsIDOMXMLDocument);
+    },
+
+    _LOG : function _LOG(msg) {
+        if (BOSH_DEBUG) {
+            console.log('XMPPBoshConnection: ' + msg);
+        }
+    },
+
+    _setState : function _setState(state, stateInfo) {
+        if (state == this._state && !stateInfo) { return; }
+        var previousState = this._state;
+        this._LOG('STATE ' + state + (stateInfo ? ' [' + stateInfo + ']' : ''));
+        this._state = state;
+        switch (state) {
+            case 'connected':
+                this._clearConnectTimeout();
+                this.emit('connected');
+            break;
+            case 'disconnected':
+                this._abortRequests();
+                switch (previousState) {
+                    case 'disconnecting' :
+                        this.emit('disconnected');
+                    break;
+                    case 'connected' :
+                        this.emit('tcpError', 'BOSH session lost.');
+                    break;
+                    default:
+                        this.emit('tcpError', 'BOSH session failed.');
+                }
+                this.destroy();
+            break;
+            case 'error':
+                this._abortRequests();
+                let args = Array.prototype.slice.call(arguments, 1);
+                args.unshift('tcpError');
+                this.emit.apply(this, args);
+                this.destroy();
+            break;
+        }
+    },
+
+    /**
+     * Sends a <body> wrapper with the given attributes and payload.
+     *
+     * @param {object} attributes  Additional attributes of the <body> element.
+     * @param {string} payload     Serialized child elements (optional).
+     */
+    _sendRequest : function _sendRequest(attributes, payload) {
+        var body = '<body xmlns="' + NS_HTTPBIND + '" rid="' + (this._rid++) + '"';
+        if (this._sid) {
+            body += ' sid="' + escapeAttribute(this._sid) + '"';
+        }
+        for (let name in attributes) {
+            body += ' ' + name + '="' + escapeAttribute(attributes[name]) + '"';
+        }
+        body += payload ? ('>' + payload + '</body>') : '/>';
+
+        if (BOSH_DEBUG) {
+            console.log('BOSH SEND: ' + body);
+        }
+
+        var request = new XMLHttpRequest();
+        request.open('POST', this._url, true);
+        request.setRequestHeader('Content-Type', 'text/xml; charset=utf-8');
+        request.onreadystatechange = this._onRequestStateChange.bind(this, request);
+        this._requests.push(request);
+        request.send(body);
+    },
+
+    _onRequestStateChange : function _onRequestStateChange(request) {
+        if (request.readyState !== 4) { return; }
+
+        var index = this._requests.indexOf(request);
+        if (index === -1) { return; } //aborted
+        this._requests.splice(index, 1);
+
+        if (request.status !== 200) {
+            this._setState('error', 'BOSH request failed (HTTP ' + request.status + ')');
+            return;
+        }
+
+        if (BOSH_DEBUG) {
+            console.log('BOSH RECV: ' + request.responseText);
+        }
+        var doc = this._parser.parseFromString(request.responseText, 'text/xml');
+        var body = doc.documentElement;
+        if (!body || (body.namespaceURI !== NS_HTTPBIND) || (body.localName !== 'body')) {
+            this._setState('error', 'Received malformed response from BOSH service.');
+            return;
+        }
+
+        if (this._state == 'connecting') {
+            if (!body.hasAttribute('sid')) {
+                this._setState('error', 'BOSH service did not return a session id.');
+                return;
+            }
+            this._sid = body.getAttribute('sid');
+            if (body.hasAttribute('requests')) {
+                this._maxRequests = parseInt(body.getAttribute('requests')) || this._maxRequests;
+            }
+            this._setState('connected');
+            this.emit('streamStart', domToJson(body), body);
+        }
+
+        if (body.getAttribute('type') === 'terminate') {
+            this._readBodyChildren(body);
+            this.emit('streamEnd');
+            if (this._state == 'disconnecting') {
+                this._setState('disconnected');
+            } else {
+                this._setState('error', 'BOSH session terminated: ' + (body.getAttribute('condition') || 'unknown'));
+            }
+            return;
+        }
+
+        this._readBodyChildren(body);
+        this._scheduleFlush();
+    },
+
+    _readBodyChildren : function _readBodyChildren(body) {
+        for (let node = body.firstElementChild; node; node = node.nextElementSibling) {
+            this.clearReplyTimeout();
+            let element = importStreamElement(this._inDoc, node);
+            this.emit('element', domToJson(element), element);
+            if (this._state != 'connected') {
+                return; //a listener has closed the connection
+            }
+        }
+    },
+
+    _scheduleFlush : function _scheduleFlush() {
+        if (!this._flushTimer && (this._state == 'connected')) {
+            this._flushTimer = setTimeout(this._flush, 0);
+        }
+    },
+
+    /**
+     * Sends queued data, or an empty request if none is pending on the server.
+     */
+    _flush : function _flush() {
+        this._flushTimer = null;
+        if (this._state != 'connected') { return; }
+        if (this._requests.length >= this._maxRequests) { return; } //will flush on next response
+        if (!this._queue.length && !this._restart && this._requests.length) { return; }
+
+        var attributes = {};
+        if (this._restart) {
+            this._restart = false;
+            attributes = {
+                to : this._streamHost,
+                'xml:lang' : 'en',
+                'xmpp:restart' : 'true',
+                'xmlns:xmpp' : NS_XBOSH
+            };
+        }
+        this._sendRequest(attributes, this._queue.join(''));
+        this._queue = [];
+    },
+
+    _onConnectTimeout : function _onConnectTimeout() {
+        this._connectTimer = null;
+        this._setState('error', 'BOSH connection timeout expired!');
+    },
+
+    _clearConnectTimeout : function _clearConnectTimeout() {
+        if (this._connectTimer) {
+            clearTimeout(this._connectTimer);
+            this._connectTimer = null;
+        }
+    },
+
+    _abortRequests : function _abortRequests() {
+        this.clearReplyTimeout();
+        this._clearConnectTimeout();
+        if (this._flushTimer) {
+            clearTimeout(this._flushTimer);
+            this._flushTimer = null;
+        }
+        var requests = this._requests;
+        this._requests = [];
+        for each (let request in requests) {
+            request.abort();
+        }
+    },
+
+    _sendStreamFooter : function _sendStreamFooter() {
+        if (this._state == 'connected') {
+            //the final request is not tracked, since we do not wait for the response
+            this._abortRequests();
+            this._sendRequest({ type : 'terminate' }, this._queue.join(''));
+            this._requests = [];
+            this._queue = [];
+        }
+    },
+
+    _destroyBosh : function _destroyBosh() {
+        if (['disconnected','error'].indexOf(this._state) == -1) {
+            this._setState('disconnecting');
+            this._abortRequests();
+        }
+    },
+
+    /**
+     * Tests whether the BOSH session is active.
+     * @return {boolean}
+     */
+    isConnected : function isConnected() {
+        return (this._state == 'connected');
+    },
+
+    /**
+     * @see TCPConnection.setReplyTimeout()
+     */
+    setReplyTimeout : function setReplyTimeout(msec) {
+        this.clearReplyTimeout();
+        this._replyTimer = setTimeout(this._onReplyTimeout, msec);
+    },
+
+    /**
+     * @see TCPConnection.clearReplyTimeout()
+     */
+    clearReplyTimeout : function clearReplyTimeout() {
+        if (this._replyTimer) {
+            clearTimeout(this._replyTimer);
+            this._replyTimer = null;
+        }
+    },
+
+    _onReplyTimeout : function _onReplyTimeout() {
+        this._replyTimer = null;
+        this._setState('error', 'Reply timeout expired!');
+    },
+
+    /**
+     * BOSH connections are encrypted from the start (https) or not at all.
+     * @throws {Error}
+     */
+    startTLS : function startTLS() {
+        throw new Error('STARTTLS is not available for BOSH connections.');
+    },
+
+    /**
+     * Requests a stream restart (e.g. after authentication) with the next request.
+     */
+    resetStream : function resetStream() {
+        this._restart = true;
+        this._scheduleFlush();
+        this.setReplyTimeout(REPLY_TIMEOUT);
+    },
+
+    /**
+     * Queues an arbitrary string to be sent to the server with the next request.
+     *
+     * @param {string} str  The string to send.
+     *
+     * @throws {Error} If connection is not ready.
+     * @throws {TypeError} If str is not a string.
+     */
+    writeString : function writeString(str) {
+        if (this._state != 'connected') {
+            throw new Error('Trying to send data over inactive BOSH session.');
+        }
+        if (typeof(str) != 'string') {
+            throw new TypeError('Trying to send unserialized object via BOSH');
+        }
+        this._queue.push(str);
+        this._scheduleFlush();
+    },
+
+    /**
+     * Sends an xml element to the server.
+     *
+     * @see XMPPConnection.writeElement()
+     * @param {string} name         Local name of the XML element.
+     * @param {object} childNodes   Attributes and children of the element.
+     */
+    writeElement : function writeElement(name, childNodes) {
+        var xml = serializeStreamElement(this._outDoc, name, childNodes);
+        this.writeString(xml);
+        this.emit('elementSent', name, childNodes, xml);
+    }
+
+});
+exports.XMPPBoshConnection = XMPPBoshConnection;
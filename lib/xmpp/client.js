@@ -13,13 +13,23 @@
 'use strict';
 
 const NS_XEP0115 = 'http://jabber.org/protocol/caps';
+const NS_DISCO_INFO = 'http://jabber.org/protocol/disco#info';
+const NS_DATA_FORMS = 'jabber:x:data';
+const NS_XEP0191 = exports.NS_XEP0191 = 'urn:xmpp:blocking';
+
+const CAPS_CACHE_MAX_ENTRIES = 500;
 
 const { Class } = require('sdk/core/heritage');
-const { XMPPSession, parseJid, parseAddresses } = require('./session');
+const { XMPPSession, parseJid, parseAddresses, NS_XEP0199 } = require('./session');
 
 const { setInterval, clearInterval } = require('sdk/timers');
 const { forEachIfAny } = require('../utils/objects');
-const { sha1 } = require('../utils/strings');
+const { sha1, sha256 } = require('../utils/strings');
+
+const CAPS_HASH_FUNCTIONS = {
+    'sha-1': sha1,
+    'sha-256': sha256
+};
 
 const offlinePresence = exports.offlinePresence = {
     $primary: { type: 'unavailable', c: { node: 'unknown', ver: null } }
@@ -38,15 +48,25 @@ const XMPPClient = Class({
      *  - {string}   clientNode : URI uniquely identifying the client (recommended, defaults to http://www.mozilla.org)
      *  - {object[]} identities : Array of { category, type, name }, services supported by the client.
      *  - {string[]} features   : Array of strings, protocols supported by the client.
+     *  - {object}   capsCache  : Persistent object to keep verified capabilities of other clients in (e.g. simple-storage).
      *
      *  - {function} onClientOnline : Called as soon as the client is fully initialized and visible as online.
      *  - {function} onRosterUpdate : Called whenever a fully updated roster has been received from the server.
      *  - {function} onRosterItemUpdate : Called whenever a roster item (status) has been updated.
      *  - {function} onIncomingMessage : Called whenever a new message has been received.
+     *  - {function} onBlockListPush : Called with the iq stanza whenever the server reports a (un)blocked contact (XEP-0191).
      */
     initialize : function initialize(options) {
         XMPPSession.prototype.initialize.apply(this, arguments);
 
+        //phase 0: a resumed session (XEP-0198) keeps its presence state on the server,
+        //so contacts will not send their presence again and we have to keep our own roster
+        this.once('sessionResumed', function(state) {
+            if (state.roster) {
+                this.roster = state.roster;
+            }
+        }.bind(this));
+
         //phase 1: request complete roster (and future updates)
         this.once('sessionReady', this._requestRoster);
 
@@ -93,36 +113,27 @@ const XMPPClient = Class({
         })) {
             info.identities.push({ category : 'client', type : 'web', name : 'mozilla' });
         }
-        info.identities.sort(function(a,b) {
-            return a.category.localeCompare(b.category)
-                || a.type.localeCompare(b.type)
-                /*|| a['xml:lang'].localCompare(b['xml:lang'])*/;
-        });
+        info.identities.sort(compareIdentities);
 
         if (info.features.indexOf(NS_XEP0115) == -1) {
             info.features.push(NS_XEP0115);
         }
-        if (info.features.indexOf('http://jabber.org/protocol/disco#info') == -1) {
-            info.features.push('http://jabber.org/protocol/disco#info');
+        if (info.features.indexOf(NS_DISCO_INFO) == -1) {
+            info.features.push(NS_DISCO_INFO);
         }
-        info.features.sort();
+        info.features.sort(compareOctets);
+
+        this._capsCache = options.capsCache || {};
+        this._capsPending = {};
     },
 
     _getEntityCaps : function _getEntityCaps() {
-        var c = {
+        return {
             xmlns : NS_XEP0115,
             node : this._clientInfo.node,
-            hash : 'sha-1'
+            hash : 'sha-1',
+            ver : sha1(capsVerificationString(this._clientInfo.identities, this._clientInfo.features, {}), 'base64')
         };
-        var s = '';
-        this._clientInfo.identities.forEach(function(i) {
-           s += i.category + '/' + i.type + '/' /*lang*/ + '/' + (i.name || '') + '<';
-        });
-        this._clientInfo.features.forEach(function(f) {
-           s += f + '<';
-        });
-        c.ver = sha1(s, 'base64');
-        return c;
     },
 
     _getEntitiyCapsResponse : function _getEntitiyCapsResponse() {
@@ -137,6 +148,163 @@ const XMPPClient = Class({
         return c;
     },
 
+    /**
+     * Resolves the capabilities (XEP-0115) announced in a contact's presence.
+     *
+     * Known hashes are answered from the persistent cache right away.
+     * Unknown ones are queried via service discovery and only cached once
+     * the response matches the announced hash. The result is stored as
+     * presence.$features, which remains null while the capabilities are unknown.
+     *
+     * @param {object} presence  Normalized presence stanza with $resource.
+     * @param {string} bare      Bare JID of the sender.
+     */
+    _resolveEntityCaps : function _resolveEntityCaps(presence, bare) {
+        presence.$features = null;
+        var c = presence.c;
+        if (presence.type || !presence.$resource || !c.ver) {
+            return;
+        }
+
+        var cached = c.hash ? this._capsCache[c.ver] : null;
+        if (cached) {
+            cached.used = Date.now();
+            presence.$features = cached.features;
+            return;
+        }
+
+        var full = bare + '/' + presence.$resource;
+        var key = c.node + '#' + c.ver;
+        var pending = this._capsPending[key];
+        if (pending) {
+            //wait for the response to an identical query
+            if (pending.indexOf(full) === -1) {
+                pending.push(full);
+            }
+            return;
+        }
+        this._capsPending[key] = [full];
+
+        this.sendIq({
+            type : 'get',
+            to : full,
+            query : {
+                xmlns : NS_DISCO_INFO,
+                node : key
+            },
+            onSuccess : function(response) {
+                this._handleEntityCapsResponse(key, c, full, response.query || {});
+            }.bind(this),
+            onError : function() {
+                console.warn('Failed to discover capabilities of ' + full + '.');
+                delete this._capsPending[key];
+            }.bind(this)
+        });
+    },
+
+    _handleEntityCapsResponse : function _handleEntityCapsResponse(key, c, queried, query) {
+        var pending = this._capsPending[key] || [queried];
+        delete this._capsPending[key];
+
+        var info = parseDiscoInfo(query);
+        if (!info) {
+            console.warn('Received invalid capabilities from ' + queried + '.');
+            return;
+        }
+
+        var verified = false;
+        if (c.hash) {
+            let hash = CAPS_HASH_FUNCTIONS[c.hash];
+            if (!hash) {
+                console.warn('Unsupported capabilities hash function "' + c.hash + '" used by ' + queried + '.');
+            }
+            else if (hash(capsVerificationString(info.identities, info.features, info.forms), 'base64') === c.ver) {
+                verified = true;
+                this._storeEntityCaps(c.ver, info);
+            }
+            else {
+                console.warn('Capabilities of ' + queried + ' do not match the announced hash.');
+            }
+        }
+
+        //unverified capabilities are only valid for the entity which sent them
+        for each (let full in (verified ? pending : [queried])) {
+            let jid = parseJid(full);
+            let contact = this.roster[jid.bare];
+            let presence = contact ? contact.presence[jid.resource] : null;
+            if (!presence || (presence.c.node !== c.node) || (presence.c.ver !== c.ver)) {
+                continue; //presence has changed in the meantime
+            }
+            presence.$features = info.features;
+            this.emit('rosterItemUpdate', contact, 'caps');
+        }
+    },
+
+    _storeEntityCaps : function _storeEntityCaps(ver, info) {
+        var cache = this._capsCache;
+        cache[ver] = {
+            identities : info.identities,
+            features : info.features,
+            forms : info.forms,
+            used : Date.now()
+        };
+
+        var keys = Object.keys(cache);
+        if (keys.length > CAPS_CACHE_MAX_ENTRIES) {
+            keys.sort(function(a, b) {
+                return cache[a].used - cache[b].used;
+            });
+            for each (let expired in keys.slice(0, keys.length - CAPS_CACHE_MAX_ENTRIES)) {
+                delete cache[expired];
+            }
+        }
+    },
+
+    /**
+     * Tests whether the client of a contact supports a specific protocol,
+     * according to its entity capabilities (XEP-0115).
+     * For a bare JID, any available resource of the contact will do.
+     *
+     * @param {string|object} jid  A bare or full JID (string or descriptor)
+     * @param {string} feature     Usually a protocol URI
+     * @return {boolean|null}      Null if the capabilities are not (yet) known.
+     */
+    contactHasFeature : function contactHasFeature(jid, feature) {
+        if (typeof(jid) !== 'object') {
+            jid = parseJid(jid);
+        }
+        var contact = this.getContact(jid.bare, true);
+        if (!contact || !contact.presence) {
+            return false;
+        }
+        if (contact.isSelf) {
+            return this._clientInfo.features.indexOf(feature) !== -1;
+        }
+
+        var presences = [];
+        if (jid.resource) {
+            presences.push(contact.presence[jid.resource]);
+        } else {
+            for (let resource in contact.presence) {
+                if (resource !== '$primary') {
+                    presences.push(contact.presence[resource]);
+                }
+            }
+        }
+
+        var result = false;
+        for each (let presence in presences) {
+            if (!presence || presence.type) { continue; }
+            if (!presence.$features) {
+                result = null;
+            }
+            else if (presence.$features.indexOf(feature) !== -1) {
+                return true;
+            }
+        }
+        return result;
+    },
+
     //////////// Stanza send / receive /////////////
 
     /**
@@ -314,6 +482,17 @@ const XMPPClient = Class({
         }
     },
 
+    /**
+     * @see XMPPSession.getStreamManagementState()
+     */
+    getStreamManagementState : function getStreamManagementState() {
+        var state = XMPPSession.prototype.getStreamManagementState.apply(this, arguments);
+        if (state) {
+            state.roster = this.roster;
+        }
+        return state;
+    },
+
     //////////// Online Status & Roster Management /////////////
 
     _initRoster : function _initRoster(options) {
@@ -323,8 +502,9 @@ const XMPPClient = Class({
         this._rosterPresencePending = null;
         this._rosterLastUpdate = Date.now();
 
-        var selfJid = this._jid;
-        var selfName = options.selfName || this._jid.username.charAt(0).toUpperCase() + this._jid.username.substr(1);
+        var client = this;
+        var selfName = options.selfName || (this.anonymous ? 'Guest' :
+            this._jid.username.charAt(0).toUpperCase() + this._jid.username.substr(1));
 
         Object.defineProperties(this.rosterSelf, {
             isSelf : {
@@ -332,7 +512,12 @@ const XMPPClient = Class({
                 enumerable : true
             },
             jid : {
-                value : selfJid,
+                //guests are only assigned their JID when the resource is bound
+                get : function() { return client._jid; },
+                enumerable : true
+            },
+            guest : {
+                value : this.anonymous,
                 enumerable : true
             },
             name : {
@@ -455,6 +640,7 @@ const XMPPClient = Class({
         if ((presence.type === 'unavailable') || !presence.c || (presence.c.xmlns !== NS_XEP0115) || !presence.c.node) {
             presence.c = { node: 'unknown', ver: null };
         }
+        this._resolveEntityCaps(presence, jid.bare);
 
         if (presence.show) {
             if (presence.show.$text) {
@@ -689,6 +875,15 @@ const XMPPClient = Class({
             case 'iq' :
                 switch (stanza.type) {
                     case 'set' :
+                        //blocking command pushes (XEP-0191), sent by the server to all resources
+                        //(pushes from anyone else could be used to clear our block list)
+                        if (((stanza.block && (stanza.block.xmlns === NS_XEP0191)) ||
+                            (stanza.unblock && (stanza.unblock.xmlns === NS_XEP0191))) &&
+                            (!stanza.from || (stanza.from === this.rosterSelf.jid.bare))) {
+                            this.emit('blockListPush', stanza);
+                            this.sendIqResponse(stanza);
+                            return true;
+                        }
                         if (stanza.query) {
                             switch (stanza.query.xmlns) {
                                 case 'jabber:iq:roster' :
@@ -700,13 +895,13 @@ const XMPPClient = Class({
                         }
                     break;
                     case 'get' :
-                        if (stanza.ping && stanza.ping.xmlns === 'urn:xmpp:ping') {
+                        if (stanza.ping && stanza.ping.xmlns === NS_XEP0199) {
                             this.sendIqResponse(stanza);
                             return true;
                         }
                         if (stanza.query) {
                             switch (stanza.query.xmlns) {
-                                case 'http://jabber.org/protocol/disco#info' :
+                                case NS_DISCO_INFO :
                                     this.sendIqResponse(stanza, { query : this._getEntitiyCapsResponse() });
                                     return true;
                             }
@@ -729,3 +924,106 @@ const XMPPClient = Class({
 
 });
 exports.XMPPClient = XMPPClient;
+
+/////////////////////////////////////////////////////////////////
+
+/**
+ * Sort order for the capabilities verification string ("i;octet" collation).
+ */
+function compareOctets(a, b) {
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+function compareIdentities(a, b) {
+    return compareOctets(a.category, b.category)
+        || compareOctets(a.type, b.type)
+        || compareOctets(a['xml:lang'] || '', b['xml:lang'] || '');
+}
+
+/**
+ * Generates the string which is hashed for the "ver" attribute of entity capabilities.
+ * @link http://xmpp.org/extensions/xep-0115.html#ver-gen
+ *
+ * @param {object[]} identities  Array of { category, type, xml:lang, name }
+ * @param {string[]} features
+ * @param {object}   forms       Extended service discovery information (XEP-0128),
+ *                               as { FORM_TYPE: { field: [values] } }
+ * @return {string}
+ */
+function capsVerificationString(identities, features, forms) {
+    var s = '';
+    for each (let i in identities.slice().sort(compareIdentities)) {
+        s += i.category + '/' + i.type + '/' + (i['xml:lang'] || '') + '/' + (i.name || '') + '<';
+    }
+    for each (let f in features.slice().sort(compareOctets)) {
+        s += f + '<';
+    }
+    for each (let formType in Object.keys(forms).sort(compareOctets)) {
+        s += formType + '<';
+        let fields = forms[formType];
+        for each (let name in Object.keys(fields).sort(compareOctets)) {
+            s += name + '<';
+            for each (let value in fields[name].slice().sort(compareOctets)) {
+                s += value + '<';
+            }
+        }
+    }
+    return s;
+}
+
+/**
+ * Extracts identities, features and extended information from a disco#info response.
+ * Responses with duplicate entries must not be used for capabilities (XEP-0115, 5.4).
+ *
+ * @param {object} query
+ * @return {object|null}  { identities, features, forms }, null if invalid.
+ */
+function parseDiscoInfo(query) {
+    var identities = [];
+    var features = [];
+    var forms = {};
+    var valid = true;
+
+    var seenIdentities = {};
+    forEachIfAny(query.identity, function(i) {
+        if (!i.category || !i.type) { return; }
+        let identity = { category: i.category, type: i.type };
+        if (i['xml:lang']) { identity['xml:lang'] = i['xml:lang']; }
+        if (i.name) { identity.name = i.name; }
+        let id = [identity.category, identity.type, identity['xml:lang'] || '', identity.name || ''].join('/');
+        if (seenIdentities[id]) { valid = false; }
+        seenIdentities[id] = true;
+        identities.push(identity);
+    });
+
+    forEachIfAny(query.feature, function(f) {
+        if (!f['var']) { return; }
+        if (features.indexOf(f['var']) !== -1) { valid = false; }
+        features.push(f['var']);
+    });
+
+    forEachIfAny(query.x, function(x) {
+        if (x.xmlns !== NS_DATA_FORMS) { return; }
+        let formType = null;
+        let fields = {};
+        forEachIfAny(x.field, function(field) {
+            let values = [];
+            forEachIfAny(field.value, function(value) {
+                values.push(value.$text || '');
+            });
+            if (field['var'] === 'FORM_TYPE') {
+                if ((field.type === 'hidden') && values.length) {
+                    formType = values[0];
+                }
+            }
+            else if (field['var']) {
+                fields[field['var']] = values;
+            }
+        });
+        if (!formType) { return; } //forms without FORM_TYPE are ignored
+        if (forms[formType]) { valid = false; }
+        forms[formType] = fields;
+    });
+
+    return valid ? { identities: identities, features: features, forms: forms } : null;
+}
@@ -26,6 +26,10 @@ const serializer = Cc['@mozilla.org/xmlextras/xmlserializer;1'].getService(Ci.ns
 const { Class } = require('sdk/core/heritage');
 const { TCPConnection, SECURITY_SSL } = require('./tcp');
 
+const TRANSPORT_TCP = exports.TRANSPORT_TCP = 'tcp';
+const TRANSPORT_WEBSOCKET = exports.TRANSPORT_WEBSOCKET = 'websocket';
+const TRANSPORT_BOSH = exports.TRANSPORT_BOSH = 'bosh';
+
 const TCP_DUMMY_REQUEST = {
     cancel: function cancel() {},
     isPending: function isPending() {},
@@ -57,6 +61,7 @@ const XMPPConnection = Class({
      *  - {function} onStreamStart(e, raw) : Called when a new <stream> root element has been opened.
      *  - {function} onStreamEnd()         : Called when the <stream> root element is terminated.
      *  - {function} onElement(e, raw)     : Called when a new child element of <stream> has been received.
+     *  - {function} onElementSent(name, childNodes, xml) : Called whenever an element has been written to the stream.
      */
     initialize : function initialize(options) {
         if (!options.port) {
@@ -242,13 +247,115 @@ const XMPPConnection = Class({
      * @throws {TypeError}
      */
     writeElement : function writeElement(name, childNodes) {
-        var element = jsonToDom(this._outDoc, name, childNodes);
-        this.writeString(asString(element));
+        var xml = asString(jsonToDom(this._outDoc, name, childNodes));
+        this.writeString(xml);
+        this.emit('elementSent', name, childNodes, xml);
     }
 
 });
 exports.XMPPConnection = XMPPConnection;
 
+/**
+ * Serializes an outgoing element for message-based transports (WebSocket, BOSH),
+ * where each element must be self-contained. Top-level stanzas are therefore
+ * explicitly qualified by the "jabber:client" namespace.
+ *
+ * @see jsonToDom()
+ * @param {object} document     The owner instance of nsIDOMDocument.
+ * @param {string} name         Local name of the XML element.
+ * @param {object} childNodes   Attributes and children of the element.
+ * @return {string}
+ */
+exports.serializeStreamElement = function serializeStreamElement(document, name, childNodes) {
+    if (childNodes && !childNodes.xmlns && (['message', 'presence', 'iq'].indexOf(name) !== -1)) {
+        let qualified = { xmlns : 'jabber:client' };
+        for (let key in childNodes) {
+            qualified[key] = childNodes[key];
+        }
+        childNodes = qualified;
+    }
+    var element = jsonToDom(document, name, childNodes);
+    if (XMPP_XML_DEBUG) {
+        console.log('XMPP SEND: ' + asString(element));
+    }
+    return asString(element);
+};
+
+/**
+ * Imports a complete element received through a message-based transport (WebSocket, BOSH)
+ * into a document, so that it looks exactly like an element parsed from a TCP stream.
+ * (Elements of the "jabber:client" namespace do not carry a namespace.)
+ *
+ * @param {object} document The target instance of nsIDOMDocument.
+ * @param {object} node     The received instance of nsIDOMElement.
+ * @return {object} Imported instance of nsIDOMElement.
+ */
+function importStreamElement(document, node) {
+    var element = null;
+    if (!node.namespaceURI || (node.namespaceURI === 'jabber:client')) {
+        element = document.createElement(node.nodeName);
+    } else {
+        element = document.createElementNS(node.namespaceURI, node.nodeName);
+    }
+    for (let i = 0; i < node.attributes.length; i++) {
+        let attr = node.attributes[i];
+        if ((attr.name === 'xmlns') || (attr.name.indexOf('xmlns:') === 0)) {
+            continue;
+        }
+        element.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+    }
+    for (let child = node.firstChild; child instanceof nsIDOMNode; child = child.nextSibling) {
+        switch (child.nodeType) {
+            case ELEMENT_NODE:
+                element.appendChild(importStreamElement(document, child));
+                break;
+            case TEXT_NODE:
+                element.appendChild(document.createTextNode(child.nodeValue));
+                break;
+            case CDATA_SECTION_NODE:
+                element.appendChild(document.createCDATASection(child.nodeValue));
+                break;
+            //no default, ignore comments and processing instructions
+        }
+    }
+    if (XMPP_XML_DEBUG) {
+        console.log('XMPP RECV: ' + asString(element));
+    }
+    return element;
+}
+exports.importStreamElement = importStreamElement;
+exports.domToJson = domToJson;
+exports.asString = asString;
+
+/**
+ * Parses a single XML element from a string, e.g. a hand-written stanza.
+ * Whitespace between elements is dropped, as it would be on the stream.
+ *
+ * @param {string} xml
+ * @return {object} An instance of nsIDOMElement.
+ *
+ * @throws {Error} If the string is not well-formed XML.
+ */
+exports.parseElementString = function parseElementString(xml) {
+    var parser = Cc['@mozilla.org/xmlextras/domparser;1'].createInstance(Ci.nsIDOMParser);
+    var root = parser.parseFromString(xml, 'text/xml').documentElement;
+    if (!root || (root.localName === 'parsererror')) {
+        throw new Error('Malformed XML' + (root ? ': ' + root.firstChild.nodeValue : '.'));
+    }
+    (function stripWhitespace(node) {
+        for (let child = node.firstChild; child; ) {
+            let next = child.nextSibling;
+            if (child.nodeType === ELEMENT_NODE) {
+                stripWhitespace(child);
+            } else if ((child.nodeType === TEXT_NODE) && !child.nodeValue.trim() && (node.childNodes.length > 1)) {
+                node.removeChild(child);
+            }
+            child = next;
+        }
+    })(root);
+    return root;
+};
+
 /**
  * Tries to return a printable string for any entity.
  * DOM elements are serialized to XML, including children.
@@ -0,0 +1,189 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const DISCOVERY_DEBUG = false;
+
+const DNS_TYPE_SRV = 33;
+const DNS_STATUS_NXDOMAIN = 3;
+
+const HOST_META_RELATIONS = {
+    websocket : 'urn:xmpp:alt-connections:websocket',
+    bosh : 'urn:xmpp:alt-connections:xbosh'
+};
+
+const { Cc, Ci } = require('chrome');
+const { Request } = require('sdk/request');
+
+/**
+ * Looks up the XMPP client service of a domain via DNS SRV records (RFC 6120, section 3.2).
+ *
+ * Since the platform DNS service cannot resolve SRV records, the query is sent
+ * to a DNS-over-HTTPS resolver with a JSON API. Without a configured resolver,
+ * no lookup takes place, so the domain is not disclosed to any third party.
+ *
+ * If the domain has no SRV records, the domain itself is returned on the default port,
+ * as the specification requires. The callback receives an error message or null,
+ * followed by a list of { hostname, port } targets in the order they should be tried.
+ *
+ * @param {string}   domain       The domain part of a JID.
+ * @param {string}   resolverUrl  URL of the DNS-over-HTTPS service (optional, skips the lookup if empty).
+ * @param {function} callback     function(error, targets)
+ */
+exports.resolveSrv = function resolveSrv(domain, resolverUrl, callback) {
+    var fallback = [{ hostname: domain, port: 5222 }];
+    var name = '_xmpp-client._tcp.' + domain;
+
+    if (!resolverUrl) {
+        callback(null, fallback);
+        return;
+    }
+
+    Request({
+        url: resolverUrl,
+        content: { name: name, type: 'SRV' },
+        headers: { Accept: 'application/dns-json' },
+        onComplete: function onComplete(response) {
+            var result = response.json;
+            if ((response.status !== 200) || !result || (typeof(result.Status) !== 'number')) {
+                //resolver unavailable, which is no reason to fail before trying the domain itself
+                console.warn('SRV lookup for ' + name + ' failed (HTTP ' + response.status + ').');
+                callback(null, fallback);
+                return;
+            }
+            if (result.Status === DNS_STATUS_NXDOMAIN) {
+                callback(null, fallback);
+                return;
+            }
+            if (result.Status !== 0) {
+                callback('DNS lookup for ' + name + ' failed (status ' + result.Status + ')', null);
+                return;
+            }
+
+            var records = [];
+            for each (let answer in (result.Answer || [])) {
+                if (answer.type !== DNS_TYPE_SRV) { continue; } //e.g. CNAME
+                let fields = String(answer.data).trim().split(/\s+/);
+                if (fields.length !== 4) { continue; }
+                records.push({
+                    priority: parseInt(fields[0]),
+                    weight: parseInt(fields[1]),
+                    port: parseInt(fields[2]),
+                    hostname: fields[3].replace(/\.$/, '')
+                });
+            }
+
+            if (!records.length) {
+                callback(null, fallback);
+                return;
+            }
+            if ((records.length === 1) && (records[0].hostname === '')) {
+                //a single target of "." means the service is decidedly not available
+                callback('The domain ' + domain + ' does not offer an XMPP service', null);
+                return;
+            }
+
+            var targets = orderSrvRecords(records);
+            if (DISCOVERY_DEBUG) {
+                console.log('SRV ' + name + ': ' + JSON.stringify(targets));
+            }
+            callback(null, targets);
+        }
+    }).get();
+};
+
+/**
+ * Sorts SRV records by priority and, within each priority,
+ * by a weighted random selection as described in RFC 2782.
+ *
+ * @param {object[]} records  Objects with priority, weight, hostname and port.
+ * @return {object[]}  The records in the order they should be tried.
+ */
+function orderSrvRecords(records) {
+    var groups = {};
+    for each (let record in records) {
+        if (!groups[record.priority]) {
+            groups[record.priority] = [];
+        }
+        groups[record.priority].push(record);
+    }
+
+    var priorities = Object.keys(groups).map(Number).sort(function(a, b) { return a - b; });
+    var ordered = [];
+    for each (let priority in priorities) {
+        let group = groups[priority];
+        while (group.length) {
+            let total = group.reduce(function(sum, record) { return sum + record.weight; }, 0);
+            let threshold = Math.random() * total;
+            let index = 0;
+            for (let sum = 0; index < group.length - 1; index++) {
+                sum += group[index].weight;
+                if (sum > threshold) { break; }
+            }
+            let record = group.splice(index, 1)[0];
+            ordered.push({ hostname: record.hostname, port: record.port });
+        }
+    }
+    return ordered;
+}
+exports.orderSrvRecords = orderSrvRecords;
+
+/**
+ * Looks up the WebSocket or BOSH service URL of a domain (XEP-0156),
+ * first in the JSON host-meta document, then in the XML version.
+ *
+ * @param {string}   domain     The domain part of a JID.
+ * @param {string}   transport  Either TRANSPORT_WEBSOCKET or TRANSPORT_BOSH.
+ * @param {function} callback   function(error, url)
+ */
+exports.resolveHostMeta = function resolveHostMeta(domain, transport, callback) {
+    var rel = HOST_META_RELATIONS[transport];
+    if (!rel) {
+        callback('No host-meta relation for transport ' + transport, null);
+        return;
+    }
+    var base = 'https://' + domain + '/.well-known/host-meta';
+
+    Request({
+        url: base + '.json',
+        onComplete: function onComplete(response) {
+            var result = (response.status === 200) ? response.json : null;
+            if (result && Array.isArray(result.links)) {
+                for each (let link in result.links) {
+                    if ((link.rel === rel) && link.href) {
+                        callback(null, link.href);
+                        return;
+                    }
+                }
+            }
+
+            Request({
+                url: base,
+                onComplete: function onComplete(response) {
+                    if (response.status === 200) {
+                        let parser = Cc['@mozilla.org/xmlextras/domparser;1'].createInstance(Ci.nsIDOMParser);
+                        let doc = parser.parseFromString(response.text, 'text/xml');
+                        let links = doc.getElementsByTagNameNS('http://docs.oasis-open.org/ns/xri/xrd-1.0', 'Link');
+                        for (let i = 0; i < links.length; i++) {
+                            if ((links[i].getAttribute('rel') === rel) && links[i].getAttribute('href')) {
+                                callback(null, links[i].getAttribute('href'));
+                                return;
+                            }
+                        }
+                    }
+                    callback('The domain ' + domain + ' does not announce a ' + transport + ' service (XEP-0156)', null);
+                }
+            }).get();
+        }
+    }).get();
+};
@@ -0,0 +1,388 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { NS_COOPFOX } = require('../coopfox');
+const NS_E2E = exports.NS_E2E = NS_COOPFOX + '/e2e';
+
+const CONTENT_KEY_LENGTH = 32; //bytes
+const NONCE_LENGTH = 16; //bytes
+const TAG_LENGTH = 16; //bytes
+const BLOCK_LENGTH = 32; //bytes, output length of HMAC-SHA256
+
+const base64 = require('sdk/base64');
+const { Class } = require('sdk/core/heritage');
+const { EventHub } = require('../utils/events');
+const { hmac, sha256, xorBinary, utf8Encode, randomBytes } = require('../utils/strings');
+const curve25519 = require('../utils/curve25519');
+
+/*
+ * Symmetric authenticated encryption (encrypt-then-MAC), built from HMAC-SHA256 only,
+ * since the platform offers no synchronous cipher to extensions:
+ * the keystream consists of HMAC blocks over nonce and counter, the tag covers
+ * associated data, nonce and ciphertext. Encryption and MAC use derived subkeys.
+ */
+
+function deriveKey(key, label) {
+    return hmac(key, label, 'SHA256', 'binary', true);
+}
+
+function applyKeystream(key, nonce, data) {
+    var result = '';
+    for (let offset = 0, counter = 0; offset < data.length; offset += BLOCK_LENGTH, counter++) {
+        let counterBytes = String.fromCharCode(
+            (counter >>> 24) & 0xff, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff
+        );
+        let block = hmac(key, nonce + counterBytes, 'SHA256', 'binary', true);
+        let chunk = data.substr(offset, BLOCK_LENGTH);
+        result += xorBinary(chunk, block.substr(0, chunk.length));
+    }
+    return result;
+}
+
+function computeTag(key, nonce, ciphertext, ad) {
+    var adLength = String.fromCharCode((ad.length >>> 8) & 0xff, ad.length & 0xff);
+    return hmac(deriveKey(key, 'mac'), adLength + ad + nonce + ciphertext, 'SHA256', 'binary', true).substr(0, TAG_LENGTH);
+}
+
+function seal(key, nonce, plaintext, ad) {
+    var ciphertext = applyKeystream(deriveKey(key, 'enc'), nonce, plaintext);
+    return ciphertext + computeTag(key, nonce, ciphertext, ad);
+}
+
+function open(key, nonce, sealed, ad) {
+    if (sealed.length < TAG_LENGTH) {
+        throw new Error('Encrypted data is truncated.');
+    }
+    var ciphertext = sealed.substr(0, sealed.length - TAG_LENGTH);
+    var tag = sealed.substr(sealed.length - TAG_LENGTH);
+    var expected = computeTag(key, nonce, ciphertext, ad);
+    var diff = 0;
+    for (let i = 0; i < TAG_LENGTH; i++) {
+        diff |= tag.charCodeAt(i) ^ expected.charCodeAt(i);
+    }
+    if (diff !== 0) {
+        throw new Error('Message authentication failed.');
+    }
+    return applyKeystream(deriveKey(key, 'enc'), nonce, ciphertext);
+}
+
+/**
+ * Key-encryption key for a sender / recipient pair, derived from their shared secret.
+ */
+function wrappingKey(secretKey, publicKey, senderKey, recipientKey) {
+    var shared = curve25519.sharedSecret(secretKey, publicKey);
+    return hmac(shared, 'coopfox-e2e-kek' + senderKey + recipientKey, 'SHA256', 'binary', true);
+}
+
+/**
+ * Formats a public key for comparison by humans (SHA-256, in groups of hex digits).
+ *
+ * @param  {string} publicKey  Base64 encoded key.
+ * @return {string}
+ */
+function fingerprint(publicKey) {
+    return sha256(base64.decode(publicKey), 'hex', true).match(/.{8}/g).join(' ');
+}
+exports.fingerprint = fingerprint;
+
+/**
+ * Manages the Curve25519 identity keys for end-to-end encrypted threads.
+ *
+ * Each own account has a key pair, which is created on first use.
+ * Keys of contacts are learned from their messages, trusting the first key
+ * seen for each contact. They remain unverified until the user has compared
+ * fingerprints through another channel. A key which differs from the known one
+ * never replaces it implicitly: it is kept aside as "presented" and the contact
+ * is flagged as changed, until the user accepts or rejects the new key.
+ *
+ * Messages are encrypted with a random content key, which is wrapped
+ * separately for each recipient, so they can be multicast as a single stanza.
+ */
+const E2EKeyring = Class({
+    extends: EventHub,
+    className: 'E2EKeyring',
+
+    /**
+     * @param {object} options
+     *  - {XMPPFailsafeClient} client : Determines the own account (JID) to use keys for.
+     *  - {object} storage : Persistent object to keep keys in (e.g. simple-storage).
+     *
+     *  - {function} onKeyChange(jid, info) : A contact key was learned, replaced or (un)verified.
+     */
+    initialize: function initialize(options) {
+        this.client = options.client;
+        this._storage = options.storage || {};
+        if (!this._storage.keys) {
+            this._storage.keys = {};
+        }
+        EventHub.prototype.initialize.apply(this, arguments);
+    },
+
+    /**
+     * Returns the key store of the current account, creating a new key pair if necessary.
+     * @return {object}
+     */
+    _getAccount: function _getAccount() {
+        var jid = this.client.rosterSelf.jid && this.client.rosterSelf.jid.bare;
+        if (!jid) {
+            throw new Error('Cannot access encryption keys before the account is known.');
+        }
+        var account = this._storage.keys[jid];
+        if (!account) {
+            let secretKey = randomBytes(curve25519.KEY_LENGTH);
+            account = this._storage.keys[jid] = {
+                secretKey: base64.encode(secretKey),
+                publicKey: base64.encode(curve25519.publicKey(secretKey)),
+                contacts: {}
+            };
+            console.info('Created new encryption key for ' + jid + ' [' + fingerprint(account.publicKey) + ']');
+        }
+        return account;
+    },
+
+    /**
+     * @return {string}  Own public key (base64).
+     */
+    getPublicKey: function getPublicKey() {
+        return this._getAccount().publicKey;
+    },
+
+    /**
+     * @param  {string} jid  Bare JID of a contact (omit for own key).
+     * @return {string|null}
+     */
+    getFingerprint: function getFingerprint(jid) {
+        if (!jid || (jid === this.client.rosterSelf.jid.bare)) {
+            return fingerprint(this.getPublicKey());
+        }
+        var contact = this._getAccount().contacts[jid];
+        return contact ? fingerprint(contact.key) : null;
+    },
+
+    /**
+     * @param  {string} jid  Bare JID of a contact.
+     * @return {boolean}
+     */
+    hasKey: function hasKey(jid) {
+        return !!this._getAccount().contacts[jid];
+    },
+
+    /**
+     * Describes the known key of a contact for display.
+     *
+     * @param  {string} jid  Bare JID of a contact.
+     * @return {object|null}  { fingerprint, verified, changed, presentedFingerprint }
+     */
+    getKeyInfo: function getKeyInfo(jid) {
+        var contact = this._getAccount().contacts[jid];
+        if (!contact) {
+            return null;
+        }
+        return {
+            fingerprint: fingerprint(contact.key),
+            verified: !!contact.verified,
+            changed: !!contact.changed,
+            presentedFingerprint: contact.presented ? fingerprint(contact.presented) : null
+        };
+    },
+
+    /**
+     * @param  {string} jid  Bare JID of a contact (or the own account).
+     * @param  {string} key  Base64 encoded public key.
+     * @return {boolean}  Whether the key is the one accepted for the contact.
+     */
+    isCurrentKey: function isCurrentKey(jid, key) {
+        var account = this._getAccount();
+        if (jid === this.client.rosterSelf.jid.bare) {
+            return (account.publicKey === key);
+        }
+        var contact = account.contacts[jid];
+        return !!contact && (contact.key === key);
+    },
+
+    /**
+     * Stores the public key a contact has presented.
+     * A key which differs from the known one is only kept aside, @see acceptKey()
+     *
+     * @param  {string} jid  Bare JID of the contact.
+     * @param  {string} key  Base64 encoded public key.
+     * @return {boolean}  Whether the key was new or different.
+     *
+     * @throws {TypeError} If the key is malformed.
+     */
+    learnKey: function learnKey(jid, key) {
+        if ((typeof(key) !== 'string') || (base64.decode(key).length !== curve25519.KEY_LENGTH)) {
+            throw new TypeError('Invalid public key presented by ' + jid + '.');
+        }
+        if (jid === this.client.rosterSelf.jid.bare) {
+            return false;
+        }
+        var contacts = this._getAccount().contacts;
+        var contact = contacts[jid];
+        if (contact && ((contact.key === key) || (contact.presented === key))) {
+            return false;
+        }
+        if (contact) {
+            console.warn('Encryption key of ' + jid + ' has changed [' + fingerprint(key) + '], ' +
+                'the known key is kept until the new one is accepted.');
+            contact.presented = key;
+            contact.changed = true;
+        } else {
+            contacts[jid] = {
+                key: key,
+                verified: false,
+                changed: false
+            };
+        }
+        this.emit('keyChange', jid, this.getKeyInfo(jid));
+        return true;
+    },
+
+    /**
+     * Replaces the known key of a contact with the different one presented (@see learnKey()).
+     * The new key is unverified.
+     *
+     * @param {string} jid
+     */
+    acceptKey: function acceptKey(jid) {
+        var contact = this._getAccount().contacts[jid];
+        if (!contact || !contact.presented) {
+            throw new Error('No new encryption key presented by ' + jid + '.');
+        }
+        contact.key = contact.presented;
+        contact.verified = false;
+        contact.changed = false;
+        delete contact.presented;
+        this.emit('keyChange', jid, this.getKeyInfo(jid));
+    },
+
+    /**
+     * Discards the different key presented by a contact and keeps the known one.
+     *
+     * @param {string} jid
+     */
+    rejectKey: function rejectKey(jid) {
+        var contact = this._getAccount().contacts[jid];
+        if (!contact || !contact.presented) { return; }
+        delete contact.presented;
+        contact.changed = false;
+        this.emit('keyChange', jid, this.getKeyInfo(jid));
+    },
+
+    /**
+     * Marks the key of a contact as (not) verified by the user.
+     *
+     * @param {string}  jid
+     * @param {boolean} verified
+     */
+    setVerified: function setVerified(jid, verified) {
+        var contact = this._getAccount().contacts[jid];
+        if (!contact) {
+            throw new Error('No encryption key known for ' + jid + '.');
+        }
+        contact.verified = !!verified;
+        if (verified && !contact.presented) {
+            contact.changed = false;
+        }
+        this.emit('keyChange', jid, this.getKeyInfo(jid));
+    },
+
+    /**
+     * Encrypts a text for several recipients and the own account.
+     * Recipients without a known key are skipped (@see hasKey()).
+     *
+     * @param  {string}   text  Unicode plaintext.
+     * @param  {string[]} jids  Bare JIDs of the recipients.
+     * @param  {string}   ad    Associated data, which is authenticated but not encrypted (e.g. message id).
+     * @return {object}  Element descriptor in namespace NS_E2E.
+     */
+    encrypt: function encrypt(text, jids, ad) {
+        var account = this._getAccount();
+        var secretKey = base64.decode(account.secretKey);
+        var publicKey = base64.decode(account.publicKey);
+        var contentKey = randomBytes(CONTENT_KEY_LENGTH);
+        var nonce = randomBytes(NONCE_LENGTH);
+
+        var element = {
+            xmlns: NS_E2E,
+            from: this.client.rosterSelf.jid.bare,
+            sender: account.publicKey,
+            nonce: base64.encode(nonce),
+            key: [],
+            payload: {
+                $text: base64.encode(seal(contentKey, nonce, utf8Encode(text), ad || ''))
+            }
+        };
+        //the content key is also wrapped for ourselves, so own messages can be restored from the server archive
+        var self = this.client.rosterSelf.jid.bare;
+        for each (let jid in jids.filter(function(jid) { return jid !== self; }).concat(self)) {
+            let key = (jid === self) ? account.publicKey : (account.contacts[jid] || {}).key;
+            if (!key) { continue; }
+            let recipientKey = base64.decode(key);
+            let kek = wrappingKey(secretKey, recipientKey, publicKey, recipientKey);
+            element.key.push({
+                jid: jid,
+                $text: base64.encode(seal(kek, nonce, contentKey, ad || ''))
+            });
+        }
+        return element;
+    },
+
+    /**
+     * Decrypts an element created by encrypt().
+     * The sender key is learned for the expected sender, once it has proven
+     * to be in the hands of its owner. A key which differs from the known one
+     * is not accepted though, so callers must check it with isCurrentKey().
+     *
+     * @param  {object} element  Element descriptor in namespace NS_E2E.
+     * @param  {string} jid      Bare JID of the contact who must have encrypted the element.
+     * @param  {string} ad       Associated data as given to encrypt().
+     * @return {string}  Unicode plaintext.
+     *
+     * @throws {Error} If the message is not addressed to us, from someone else or has been tampered with.
+     */
+    decrypt: function decrypt(element, jid, ad) {
+        var account = this._getAccount();
+        var self = this.client.rosterSelf.jid.bare;
+        var keys = Array.isArray(element.key) ? element.key : (element.key ? [element.key] : []);
+        var wrapped = null;
+        for each (let key in keys) {
+            if (key.jid === self) {
+                wrapped = key.$text;
+                break;
+            }
+        }
+        if (!wrapped) {
+            throw new Error('Message has not been encrypted for this account.');
+        }
+        if (!element.sender || !element.nonce || !element.payload) {
+            throw new Error('Incomplete encrypted message.');
+        }
+        if (element.from !== jid) {
+            throw new Error('Message has been encrypted by ' + element.from + ' instead of ' + jid + '.');
+        }
+
+        var senderKey = base64.decode(element.sender);
+        var publicKey = base64.decode(account.publicKey);
+        var nonce = base64.decode(element.nonce);
+        var kek = wrappingKey(base64.decode(account.secretKey), senderKey, senderKey, publicKey);
+        var contentKey = open(kek, nonce, base64.decode(wrapped), ad || '');
+        var text = open(contentKey, nonce, base64.decode(element.payload.$text || ''), ad || '');
+
+        this.learnKey(jid, element.sender);
+        return decodeURIComponent(escape(text));
+    }
+
+});
+exports.E2EKeyring = E2EKeyring;
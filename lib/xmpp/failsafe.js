@@ -18,11 +18,23 @@ const { parseJid } = require('./session');
 const { EventHub } = require('../utils/events');
 const { setTimeout, clearTimeout } = require('sdk/timers');
 
+const RECONNECT_DELAY = 2000; //delay before the first automatic reconnect (msec)
+const RECONNECT_MAX_DELAY = 300000; //upper limit for the exponential backoff (msec)
+
+//errors which will not go away by simply trying again
+const PERMANENT_ERRORS = ['bad-certificate', 'not-authorized', 'conflict', 'policy-violation'];
+
 /**
  * A wrapper class for the basic XMPPClient, which handles
  * disconnects and other errors gracefully, by queuing
  * undelivered messages and automatically trying to create
  * a new connection whenever the existing one is destroyed.
+ *
+ * Once a login has succeeded, lost connections are restored
+ * automatically, with exponentially growing delays between attempts.
+ * Only permanent errors are still reported as "xmppConnectionLost"
+ * or "xmppConnectionFailed", everything else can be followed
+ * through the "connectionStatus" event.
  */
 const XMPPFailsafeClient = Class({
     extends: EventHub,
@@ -33,16 +45,23 @@ const XMPPFailsafeClient = Class({
      *      Any constructor options for XMPPClient.
      *      Note that you cannot subscribe to any events
      *      before and after the client is connected.
+     *
+     *  - {number} reconnectDelay     Delay before the first automatic reconnect in msec (default 2000).
+     *  - {number} reconnectMaxDelay  Upper limit for delays between reconnects in msec (default 300000).
      */
     initialize: function initialize(options) {
         this._options = options;
-        this._eventForwards = { init: false, destroy: false, beforeDestroy: false };
+        this._eventForwards = { init: false, destroy: false, beforeDestroy: false, traffic: false };
         this._missedCalls = [];
         this._xmpp = null;
         this._loginValid = false;
         this.xmppConnected = false;
         this._offlineMode = false;
         this._connectOnceOnline = false;
+        this._streamResuming = false;
+        this._reconnectAttempts = 0;
+        this._connectionStatus = { state: 'disconnected' };
+        this._trafficLoggers = 0;
 
         this.serverInfo = {};
         this.roster = {};
@@ -87,7 +106,7 @@ const XMPPFailsafeClient = Class({
      * @returns {boolean}
      */
     hasLogin: function hasLogin() {
-        return (this._options.jid && this._options.password);
+        return (this._options.jid && (this._options.password || this._options.anonymous));
     },
 
     /**
@@ -105,6 +124,21 @@ const XMPPFailsafeClient = Class({
         }
     },
 
+    /**
+     * Enables or disables "traffic" events, which describe every element on the stream.
+     * Requests are counted, so traffic is logged as long as any subscriber still needs it.
+     * Unlike other events, these are also emitted while the client is not yet connected.
+     *
+     * @param {boolean} enable
+     */
+    logTraffic: function logTraffic(enable) {
+        this._trafficLoggers = Math.max(this._trafficLoggers + (enable ? 1 : -1), 0);
+        this._options.logTraffic = (this._trafficLoggers > 0);
+        if (this._xmpp) {
+            this._xmpp.logTraffic = this._options.logTraffic;
+        }
+    },
+
     /**
      * Establishes the actual XMPP connection if it doesn't exist already.
      *
@@ -118,11 +152,12 @@ const XMPPFailsafeClient = Class({
         }
         if (this._offlineMode) {
             this._connectOnceOnline = true;
+            this._setConnectionStatus('offline');
             return;
         }
         if (this._xmpp === null) {
             if (delay) {
-                this._connectTimeout = setTimeout(this.connect, delay);
+                this._connectTimeout = setTimeout(this.connect.bind(this, 0, quiet), delay);
             } else {
                 if (this.countListeners('loginRequired') > 0) {
                     //Always give subscribers a chance to update login dynamically
@@ -140,8 +175,12 @@ const XMPPFailsafeClient = Class({
                 }
                 this._options.onceClientOnline = this._onXMPPConnected;
                 this._options.onSessionError = this._onXMPPError;
+                this._options.onTraffic = this._onXMPPTraffic;
                 //this._options.onDestroy = this._onXMPPError;
                 this.emit('xmppConnect', this._options);
+                this._setConnectionStatus(this._streamResuming ? 'resuming' : 'connecting', {
+                    attempt: this._reconnectAttempts
+                });
                 this._xmpp = new XMPPClient(this._options);
             }
         }
@@ -158,11 +197,15 @@ const XMPPFailsafeClient = Class({
         if (this._offlineMode) {
             this._connectOnceOnline = false;
         }
+        this._streamResuming = false;
+        this._reconnectAttempts = 0;
+        delete this._options.smResume; //a clean disconnect terminates the session on the server
         if (this._xmpp instanceof XMPPClient) {
             this._xmpp.destroy();
             this._xmpp = null;
         }
         this._setDisconnected();
+        this._setConnectionStatus(this._offlineMode ? 'offline' : 'disconnected');
     },
 
     /**
@@ -173,6 +216,61 @@ const XMPPFailsafeClient = Class({
         this.connect(500);
     },
 
+    /**
+     * Skips the wait for a pending automatic reconnect.
+     */
+    reconnectNow: function reconnectNow() {
+        if (this._connectTimeout || (this._connectionStatus.state === 'disconnected')) {
+            this.connect(0, true);
+        }
+    },
+
+    /**
+     * @returns {object}
+     *      - {string} state  One of "connecting", "connected", "resuming", "reconnecting", "offline" or "disconnected".
+     *      - {number} attempt  Number of the current automatic reconnect attempt.
+     *      - {number} retryAt  Timestamp of the next reconnect attempt (while "reconnecting").
+     *      - {string} info  Error which caused the connection loss, if known.
+     */
+    getConnectionStatus: function getConnectionStatus() {
+        return this._connectionStatus;
+    },
+
+    _setConnectionStatus: function _setConnectionStatus(state, details) {
+        var status = { state: state };
+        for (let key in details) {
+            status[key] = details[key];
+        }
+        this._connectionStatus = status;
+        this.emit('connectionStatus', status);
+    },
+
+    /**
+     * Schedules the next automatic reconnect.
+     *
+     * The delay doubles with each failed attempt, up to reconnectMaxDelay.
+     * Only the first half of it is fixed, the rest is random, so that
+     * clients which lost their connection at the same time (e.g. on a
+     * server restart) do not all come back at the same moment.
+     *
+     * @param {string} info  Cause of the connection loss.
+     */
+    _scheduleReconnect: function _scheduleReconnect(info) {
+        var delay = Math.min(
+            (this._options.reconnectDelay || RECONNECT_DELAY) * Math.pow(2, this._reconnectAttempts),
+            this._options.reconnectMaxDelay || RECONNECT_MAX_DELAY
+        );
+        delay = Math.round(delay / 2 + Math.random() * delay / 2);
+        this._reconnectAttempts++;
+
+        this._setConnectionStatus('reconnecting', {
+            attempt: this._reconnectAttempts,
+            retryAt: Date.now() + delay,
+            info: (typeof(info) === 'string') ? info : null
+        });
+        this.connect(delay, true);
+    },
+
     /**
      * Dummy replacement for XMPPClient
      */
@@ -196,9 +294,11 @@ const XMPPFailsafeClient = Class({
      */
     _enterOfflineMode: function _enterOfflineMode() {
         if (!this._offlineMode) {
-            this._connectOnceOnline = this.xmppConnected;
+            //a pending (re)connect also counts as connected
+            this._connectOnceOnline = this.xmppConnected || (this._xmpp !== null) || !!this._connectTimeout;
             this.disconnect();
             this._offlineMode = true;
+            this._setConnectionStatus('offline');
         }
     },
 
@@ -210,6 +310,8 @@ const XMPPFailsafeClient = Class({
             this._offlineMode = false;
             if (this._connectOnceOnline) {
                 this.connect(delay);
+            } else {
+                this._setConnectionStatus('disconnected');
             }
         }
     },
@@ -234,6 +336,16 @@ const XMPPFailsafeClient = Class({
         return (this.serverInfo.features.indexOf(feature) != -1);
     },
 
+    /**
+     * @see XMPPClient
+     */
+    contactHasFeature : function contactHasFeature(jid, feature) {
+        if (!this.xmppConnected || this._streamResuming) {
+            return false;
+        }
+        return this._xmpp.contactHasFeature(jid, feature);
+    },
+
     _setConnected: function _setConnected() {
         if (!this.xmppConnected) {
             this.xmppConnected = true;
@@ -287,7 +399,7 @@ const XMPPFailsafeClient = Class({
     },
 
     __noSuchMethod__: function __noSuchMethod__(id, args) {
-        if (this.xmppConnected) {
+        if (this.xmppConnected && !this._streamResuming) {
             if (typeof(this._xmpp[id]) !== 'function') {
                 throw new Error('XMPPClient.' + id + ' is not a function.');
             }
@@ -310,24 +422,60 @@ const XMPPFailsafeClient = Class({
         this.roster = this._xmpp.roster;
         this.rosterSelf = this._xmpp.rosterSelf;
         this._loginValid = true;
+        this._streamResuming = false;
+        this._reconnectAttempts = 0;
+        delete this._options.smResume;
 
         this._restoreEventForwards();
         this._deliverMissedCalls();
 
         this._setConnected();
+        this._setConnectionStatus('connected');
+    },
+
+    _onXMPPTraffic: function _onXMPPTraffic(entry) {
+        this.emit('traffic', entry);
     },
 
     /**
      * Handler for connection losses and failures.
+     *
+     * If the lost session supports stream management (XEP-0198),
+     * we first try to silently resume it on a new connection.
+     * Calls are queued in the meantime, as if we were offline.
+     *
+     * Otherwise, if we have been logged in before and the error is
+     * not permanent, a new connection is scheduled automatically.
      */
-    _onXMPPError: function _onXMPPError() {
+    _onXMPPError: function _onXMPPError(info) {
         if (this._xmpp === null) {
             return;
         }
+        var resumeState = this._streamResuming ? null : this._xmpp.getStreamManagementState();
         this._xmpp = null; //client will self-destroy on error
+
+        if (this.xmppConnected && resumeState) {
+            console.warn('XMPP connection lost, trying to resume stream.');
+            this._streamResuming = true;
+            this._options.smResume = resumeState;
+            this._setConnectionStatus('resuming', { info: (typeof(info) === 'string') ? info : null });
+            this.connect(1000, true);
+            return;
+        }
+        this._streamResuming = false;
+        delete this._options.smResume;
+
         var wasConnected = this.xmppConnected;
         this._setDisconnected.apply(this, arguments);
 
+        if (this._loginValid && (PERMANENT_ERRORS.indexOf(info) === -1)) {
+            console.warn('XMPP connection ' + (wasConnected ? 'lost' : 'failed') + ', reconnecting automatically.');
+            this._scheduleReconnect(info);
+            return;
+        }
+        this._reconnectAttempts = 0;
+        this._setConnectionStatus('disconnected', { info: (typeof(info) === 'string') ? info : null });
+
         var args = Array.slice(arguments);
         if (wasConnected) {
             console.warn('XMPP connection lost.');
@@ -348,6 +496,7 @@ const XMPPFailsafeClient = Class({
     _initSystemEvents: function _initSystemEvents() {
         this.sysOn('network:offline-about-to-go-offline', this._onSystemEvent, true);
         this.sysOn('network:offline-status-changed', this._onSystemEvent, true);
+        this.sysOn('network:link-status-changed', this._onSystemEvent, true);
         this.sysOn('sleep_notification', this._onSystemEvent, true);
         this.sysOn('wake_notification', this._onSystemEvent, true);
     },
@@ -369,6 +518,17 @@ const XMPPFailsafeClient = Class({
                     break;
                 }
             break;
+            case 'network:link-status-changed':
+                console.log('Network link status: ' + event.data);
+                if (this.xmppConnected && !this._streamResuming) {
+                    //the connection may have died silently with the previous link
+                    this._xmpp.checkConnection();
+                } else if ((event.data !== 'down') && (this._connectionStatus.state === 'reconnecting')) {
+                    //no need to wait out the backoff once the network is back
+                    this._reconnectAttempts = 0;
+                    this._scheduleReconnect(this._connectionStatus.info);
+                }
+            break;
             case 'sleep_notification':
                 console.log('System standby...');
                 this._enterOfflineMode();
@@ -383,6 +543,7 @@ const XMPPFailsafeClient = Class({
     _destroySystemEvents: function _destroySystemEvents() {
         this.sysOff('network:offline-about-to-go-offline', this._onSystemEvent);
         this.sysOff('network:offline-status-changed', this._onSystemEvent);
+        this.sysOff('network:link-status-changed', this._onSystemEvent);
         this.sysOff('sleep_notification', this._onSystemEvent);
         this.sysOff('wake_notification', this._onSystemEvent);
     }
@@ -0,0 +1,825 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { NS_COOPFOX } = require('../coopfox');
+const { NS_XEP0033, parseJid } = require('./session');
+const { NS_E2E } = require('./e2e');
+const { decodePayload } = require('./protocol');
+
+const NS_MUC = 'http://jabber.org/protocol/muc';
+const NS_MUC_USER = NS_MUC + '#user';
+const NS_MUC_OWNER = NS_MUC + '#owner';
+const NS_DATA_FORMS = 'jabber:x:data';
+const NS_DISCO_INFO = 'http://jabber.org/protocol/disco#info';
+const NS_DISCO_ITEMS = 'http://jabber.org/protocol/disco#items';
+const NS_XEP0249 = exports.NS_XEP0249 = 'jabber:x:conference';
+const NS_XEP0359 = 'urn:xmpp:sid:0';
+
+const MUC_STATUS_SELF = '110';
+const MUC_STATUS_ROOM_CREATED = '201';
+const MUC_STATUS_NICK_CHANGED = '303';
+
+const MUC_HISTORY_MAXSTANZAS = 1000;
+const MUC_HISTORY_TIMEOUT = 10000; //msec, in case the room never sends its subject
+
+const { Class } = require('sdk/core/heritage');
+const { XMPPStrictThread } = require('./threads');
+const { XMPPMultiUserThread, NS_XEP0333 } = require('./multiuser');
+const { uuidhash } = require('../utils/strings');
+const { forEachIfAny } = require('../utils/objects');
+
+const { setTimeout, clearTimeout } = require('sdk/timers');
+
+/**
+ * Returns the first child element of a given namespace.
+ *
+ * @param {object|object[]} elements  One or several elements of the same name.
+ * @param {string} xmlns
+ * @returns {object|null}
+ */
+function findElement(elements, xmlns) {
+    var result = null;
+    forEachIfAny(elements, function(element) {
+        if (!result && (typeof(element) === 'object') && (element.xmlns === xmlns)) {
+            result = element;
+        }
+    });
+    return result;
+}
+
+/**
+ * Returns the status codes of a muc#user element.
+ *
+ * @param {object} user
+ * @returns {string[]}
+ */
+function getStatusCodes(user) {
+    var codes = [];
+    if (user) {
+        forEachIfAny(user.status, function(status) {
+            codes.push(String(status.code));
+        });
+    }
+    return codes;
+}
+
+/**
+ * Returns the original sender which the room added to a message of its history (ofrom address).
+ * An occupant can add the same elements to a live message, which the room then replays as-is
+ * next to its own, so only a single delay and address from the room are trusted.
+ *
+ * @param {object} message
+ * @param {string} room  Bare JID of the room.
+ * @returns {string|null}  Real JID of the sender.
+ */
+function getHistorySender(message, room) {
+    var delay = message.delay;
+    var addresses = message.addresses;
+    if (!delay || Array.isArray(delay) || (delay.from !== room)) { return null; }
+    if (!addresses || Array.isArray(addresses) || (addresses.xmlns !== NS_XEP0033)) { return null; }
+    var address = addresses.address;
+    if (!address || Array.isArray(address) || (address.type !== 'ofrom')) { return null; }
+    return address.jid || null;
+}
+
+/**
+ * Returns the ID which the room assigned to a message (XEP-0359).
+ *
+ * @param {object} message
+ * @param {string} room  Bare JID of the room.
+ * @returns {string|null}
+ */
+function getRoomStanzaId(message, room) {
+    var result = null;
+    forEachIfAny(message['stanza-id'], function(stanzaId) {
+        if (!result && (stanzaId.xmlns === NS_XEP0359) && (stanzaId.by === room)) {
+            result = stanzaId.id || null;
+        }
+    });
+    return result;
+}
+
+/**
+ * An alternative backend for CoopChat sessions, which maps the thread
+ * onto a standard multi-user chat room (XEP-0045), instead of multicasting
+ * to each participant and synchronizing histories peer to peer.
+ *
+ * The room is named after the thread ID and created on the first join.
+ * It is configured as hidden and non-anonymous, so that all occupants
+ * can be identified by their real JIDs, which are used as participant IDs
+ * just like in XMPPMultiUserThread. The room history replaces sync requests.
+ * New participants are invited via direct invitations (XEP-0249).
+ *
+ * Messages are exchanged as "groupchat", but keep their original type
+ * in the coopfox element, so that modules can process them unchanged.
+ * Directed messages (with an explicit recipient) bypass the room.
+ *
+ * With encryption enabled, room messages are encrypted for all known
+ * participants. Occupants who join later cannot read earlier messages.
+ */
+const XMPPMucThread = Class({
+    extends: XMPPMultiUserThread,
+    className: 'XMPPMucThread',
+
+    /**
+     * @see XMPPMultiUserThread
+     * @param {object} options
+     *  - {string} room : Bare JID of the room to join (defaults to thread ID at the MUC service).
+     *  - {string} mucService : Domain of the MUC service (discovered on the server if omitted).
+     *
+     *  - {function} onRoomJoined(room) : Called once the room has been entered.
+     *  - {function} onRoomError(msg)   : Called if the room cannot be entered.
+     */
+    initialize: function initialize(options) {
+        this.room = options.room || null;
+        this._mucService = options.mucService || null;
+        this._nick = null;
+        this._roomState = 'offline';
+        this._historyComplete = false;
+        this._historyTimeout = null;
+        this._occupants = {};
+        this._roomPresences = {};
+        XMPPMultiUserThread.prototype.initialize.apply(this, arguments);
+    },
+
+    _reset: function _reset() {
+        this._occupants = {};
+        this._roomPresences = {};
+        XMPPMultiUserThread.prototype._reset.apply(this, arguments);
+    },
+
+    _initSubscriptions : function _initSubscriptions(options) {
+        this.subscribeTo(this, '_incomingMessage', this._onIncomingMessage);
+        this.subscribeTo(this, 'historyRewritten');
+        this.subscribeTo(options.client, 'xmppConnected', this._onXmppReconnected);
+        this.subscribeTo(options.client, 'xmppDisconnected', this._onRoomLeft);
+        this.subscribeTo(options.client, 'incomingSubscriptionPresence', this._onRoomPresenceError);
+        this.subscribeTo(options.client, 'unknownStrictThread', this._onRoomMessage);
+        this._addEventForward('rosterItemUpdate');
+    },
+
+    _onceXmppConnected: function _onceXmppConnected(options) {
+        if (!options.id && this.room) {
+            //rooms created by CoopFox are named after their thread
+            options.id = parseJid(this.room).username;
+        }
+        XMPPStrictThread.prototype._onceXmppConnected.apply(this, arguments);
+        this._restoreOutbox();
+
+        this.once('syncIdle', this._sendJoinMessage);
+        this._joinRoom();
+    },
+
+    _onXmppReconnected: function _onXmppReconnected() {
+        if (this.id && (this._roomState === 'offline')) {
+            this._joinRoom();
+        }
+    },
+
+    toString: function toString() {
+        return 'CoopFox Room (' + (this.room || 'not joined') + ')';
+    },
+
+    get isSyncIdle() {
+        return (this._roomState === 'joined') && this._historyComplete;
+    },
+
+    /**
+     * The room history is delivered on join, there is nothing to synchronize.
+     */
+    syncPull: function syncPull() {},
+
+    /**
+     * @see syncPull()
+     */
+    syncPush: function syncPush() {},
+
+    /**
+     * Occupants do not need to be probed via presence.
+     */
+    sendDirectedPresence: function sendDirectedPresence() {},
+
+    /**
+     * Looks up the conference service of the own server, if none has been configured.
+     *
+     * @param {function} callback  function(service)
+     */
+    _discoverMucService: function _discoverMucService(callback) {
+        if (this._mucService) {
+            callback(this._mucService);
+            return;
+        }
+        var domain = this.rosterSelf.jid.hostname;
+        var fallback = 'conference.' + domain;
+        var self = this;
+
+        function probe(items) {
+            var item = items.shift();
+            if (!item) {
+                console.warn('No MUC service found on ' + domain + ', trying ' + fallback + '.');
+                callback(fallback);
+                return;
+            }
+            self.client.sendIq({
+                to: item.jid,
+                type: 'get',
+                query: { xmlns: NS_DISCO_INFO },
+                onSuccess: function onSuccess(response) {
+                    var found = false;
+                    forEachIfAny(response.query.identity, function(identity) {
+                        if ((identity.category === 'conference') && (identity.type === 'text')) {
+                            found = true;
+                        }
+                    });
+                    if (found) {
+                        self._mucService = item.jid;
+                        callback(item.jid);
+                    } else {
+                        probe(items);
+                    }
+                },
+                onError: function onError() {
+                    probe(items);
+                }
+            });
+        }
+
+        this.client.sendIq({
+            to: domain,
+            type: 'get',
+            query: { xmlns: NS_DISCO_ITEMS },
+            onSuccess: function onSuccess(response) {
+                var items = [];
+                forEachIfAny(response.query.item, function(item) {
+                    if (item.jid) {
+                        items.push(item);
+                    }
+                });
+                probe(items);
+            },
+            onError: function onError() {
+                callback(fallback);
+            }
+        });
+    },
+
+    _joinRoom: function _joinRoom() {
+        if (!this.client || !this.client.xmppConnected) { return; }
+        if (!this.room) {
+            this._discoverMucService(function(service) {
+                if (this.room || !this.client) { return; }
+                this.room = this.id.toLowerCase() + '@' + service;
+                this._joinRoom();
+            }.bind(this));
+            return;
+        }
+        if (!this._nick) {
+            this._nick = this.rosterSelf.jid.username || uuidhash(8);
+        }
+
+        this._roomState = 'joining';
+        this._historyComplete = false;
+        var history = { maxstanzas: MUC_HISTORY_MAXSTANZAS };
+        if (this.hasMessages) {
+            //some overlap, duplicates are ignored
+            history = { since: new Date(this.latestMessageTimestamp - this.threadTimeOffset - 60000).toISOString() };
+        }
+        var presence = {
+            to: this.room + '/' + this._nick,
+            x: {
+                xmlns: NS_MUC,
+                history: history
+            }
+        };
+        if (this.client.keyring) {
+            //announce own key to all occupants, since there are no sync requests
+            presence.key = {
+                xmlns: NS_E2E,
+                $text: this.client.keyring.getPublicKey()
+            };
+        }
+        console.info('Joining room ' + presence.to + ' for thread ' + this.id + '.');
+        this.client.sendPresence(presence);
+    },
+
+    _onRoomJoined: function _onRoomJoined(codes) {
+        this._roomState = 'joined';
+        console.info('Room ' + this.room + ' joined.');
+        if (codes.indexOf(MUC_STATUS_ROOM_CREATED) !== -1) {
+            this._configureRoom();
+        }
+        this.emit('roomJoined', this.room);
+
+        if (this._historyTimeout) {
+            clearTimeout(this._historyTimeout);
+        }
+        this._historyTimeout = setTimeout(this._onRoomHistoryComplete, MUC_HISTORY_TIMEOUT);
+    },
+
+    /**
+     * Submits the configuration for a newly created room.
+     * Real JIDs must be visible to all occupants, in order to identify participants.
+     */
+    _configureRoom: function _configureRoom() {
+        function field(name, value) {
+            return { 'var': name, value: { $text: value } };
+        }
+        this.client.sendIq({
+            to: this.room,
+            type: 'set',
+            query: {
+                xmlns: NS_MUC_OWNER,
+                x: {
+                    xmlns: NS_DATA_FORMS,
+                    type: 'submit',
+                    field: [
+                        field('FORM_TYPE', NS_MUC + '#roomconfig'),
+                        field('muc#roomconfig_roomname', 'CoopChat'),
+                        field('muc#roomconfig_whois', 'anyone'),
+                        field('muc#roomconfig_publicroom', '0'),
+                        field('muc#roomconfig_persistentroom', '1'),
+                        field('muc#roomconfig_allowinvites', '1')
+                    ]
+                }
+            },
+            onError: function onError(error) {
+                var text = (error.text && error.text.$text) ? error.text.$text : error.type;
+                console.warn('Configuration of room ' + this.room + ' failed: ' + text);
+            }.bind(this)
+        });
+    },
+
+    /**
+     * The room sends its subject after the history, which marks the end of the initial sync.
+     */
+    _onRoomHistoryComplete: function _onRoomHistoryComplete() {
+        if (this._historyTimeout) {
+            clearTimeout(this._historyTimeout);
+            this._historyTimeout = null;
+        }
+        if (this._historyComplete || (this._roomState !== 'joined')) { return; }
+        this._historyComplete = true;
+        this.initialSyncDone = true;
+        this.emit('beforeSyncIdle');
+        if (this.isSyncIdle) {
+            this.emit('syncIdle');
+        }
+        this._scheduleOutboxFlush();
+    },
+
+    _onRoomLeft: function _onRoomLeft() {
+        if (this._historyTimeout) {
+            clearTimeout(this._historyTimeout);
+            this._historyTimeout = null;
+        }
+        this._roomState = 'offline';
+        for (let nick in this._occupants) {
+            this._onOccupantLeave(nick);
+        }
+    },
+
+    _onRoomPresenceError: function _onRoomPresenceError(presence) {
+        if ((presence.type !== 'error') || !this.room) { return; }
+        if (parseJid(presence.from).bare !== this.room) { return; }
+
+        var error = presence.error || {};
+        if ((this._roomState === 'joining') && ((error.code === '409') || error.conflict)) {
+            this._nick = this.rosterSelf.jid.username + '-' + uuidhash(4);
+            console.info('Nickname taken in room ' + this.room + ', retrying as ' + this._nick + '.');
+            this._joinRoom();
+            return;
+        }
+        var text = (error.text && error.text.$text) ? error.text.$text : (error.type || 'unknown error');
+        console.error('Unable to enter room ' + this.room + ': ' + text);
+        this._roomState = 'offline';
+        this.emit('roomError', text);
+    },
+
+    /**
+     * Tracks occupant presence from the room's roster item (one resource per nickname).
+     * @param {object} item
+     */
+    _onRoomPresence: function _onRoomPresence(item) {
+        for (let nick in item.presence) {
+            if (nick === '$primary') { continue; }
+            let presence = item.presence[nick];
+            if (this._roomPresences[nick] === presence) { continue; } //unchanged
+            this._roomPresences[nick] = presence;
+            let user = findElement(presence.x, NS_MUC_USER);
+            let codes = getStatusCodes(user);
+            let isSelf = (codes.indexOf(MUC_STATUS_SELF) !== -1) || (nick === this._nick);
+
+            if (presence.type === 'unavailable') {
+                if (isSelf && (this._roomState !== 'joining') && (codes.indexOf(MUC_STATUS_NICK_CHANGED) === -1)) {
+                    this._onRoomLeft(); //e.g. kicked or room destroyed
+                }
+                if (this._occupants[nick]) {
+                    this._onOccupantLeave(nick);
+                }
+                continue;
+            }
+
+            if (isSelf) {
+                if (this._roomState === 'joining') {
+                    this._nick = nick; //the service may have assigned another one (status 210)
+                    this._onRoomJoined(codes);
+                }
+                continue;
+            }
+
+            let realJid = (user && user.item && user.item.jid) ? parseJid(user.item.jid) : null;
+            if (!realJid) {
+                console.warn('Room ' + this.room + ' does not reveal the JID of occupant ' + nick + '.');
+                continue;
+            }
+            if (this._occupants[nick] && (this._occupants[nick].full === realJid.full)) {
+                this._mirrorOccupantPresence(realJid.bare, presence);
+                continue;
+            }
+            this._onOccupantJoin(nick, realJid, presence);
+        }
+    },
+
+    _onOccupantJoin: function _onOccupantJoin(nick, jid, presence) {
+        this._occupants[nick] = jid;
+        if (jid.bare === this.rosterSelf.jid.bare) { return; } //another own resource
+
+        if (presence.key && (presence.key.xmlns === NS_E2E) && this.client.keyring) {
+            try {
+                this.client.keyring.learnKey(jid.bare, presence.key.$text);
+            }
+            catch (e) {
+                console.warn(e.message);
+            }
+        }
+        console.info('Occupant ' + nick + ' (' + jid.full + ') entered room ' + this.room + '.');
+        this._mirrorOccupantPresence(jid.bare, presence);
+        this._setParticipantStatus(jid.bare, 'active');
+    },
+
+    _onOccupantLeave: function _onOccupantLeave(nick) {
+        var jid = this._occupants[nick];
+        delete this._occupants[nick];
+        if (!jid || (jid.bare === this.rosterSelf.jid.bare)) { return; }
+        if (this._getOccupantJid(jid.bare)) { return; } //still present with another resource
+
+        console.info('Occupant ' + nick + ' (' + jid.full + ') left room ' + this.room + '.');
+        this._mirrorOccupantPresence(jid.bare, null);
+        this._onParticipantObsolete(jid.bare);
+    },
+
+    /**
+     * Contacts outside of the roster only appear online through their room presence.
+     *
+     * @param {string} jid       Bare JID of the occupant.
+     * @param {object} presence  Occupant presence, or null if the occupant has left.
+     */
+    _mirrorOccupantPresence: function _mirrorOccupantPresence(jid, presence) {
+        this.ensureContact(jid);
+        var contact = this.roster[jid];
+        if (!contact || contact.subscription) { return; }
+        if (presence) {
+            contact.presence.$primary = {
+                type: null,
+                show: presence.show,
+                status: presence.status,
+                priority: 0,
+                c: presence.c,
+                $resource: null
+            };
+        } else {
+            contact.presence.$primary = { type: 'unavailable', c: { node: 'unknown', ver: null } };
+        }
+        this.emit('rosterItemUpdate', contact, 'presence');
+    },
+
+    /**
+     * @param {string} jid  Bare JID.
+     * @returns {object|null}  Full JID descriptor of an occupant.
+     */
+    _getOccupantJid: function _getOccupantJid(jid) {
+        for each (let occupant in this._occupants) {
+            if (occupant.bare === jid) {
+                return occupant;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Keeps the room itself out of the roster, its presence describes the occupants.
+     */
+    _addEventForward: function _addEventForward(type) {
+        if ((type === 'rosterItemUpdate') && (typeof(this._eventForwards[type]) === 'undefined')) {
+            let fw = this._eventForwards[type] = function forwardRosterItemUpdate(item) {
+                if (this.room && (item.jid.bare === this.room)) {
+                    this._onRoomPresence(item);
+                    return;
+                }
+                let args = Array.slice(arguments);
+                args.unshift(type);
+                this.emit.apply(this, args);
+            }.bind(this);
+            this.subscribeTo(this.client, type, fw);
+            return;
+        }
+        XMPPMultiUserThread.prototype._addEventForward.apply(this, arguments);
+    },
+
+    contactAvailable: function contactAvailable(jid) {
+        return this._getOccupantJid(jid) !== null;
+    },
+
+    getCoopFoxFullJid: function getCoopFoxFullJid(jid) {
+        var occupant = this._getOccupantJid(jid);
+        return occupant ? occupant.full : XMPPMultiUserThread.prototype.getCoopFoxFullJid.apply(this, arguments);
+    },
+
+    /**
+     * @see XMPPMultiUserThread.getSessionFeatures()
+     */
+    getSessionFeatures: function getSessionFeatures() {
+        return XMPPMultiUserThread.prototype.getSessionFeatures.apply(this, arguments).concat('room');
+    },
+
+    /**
+     * Invites a contact to the room (XEP-0249).
+     * Clients known not to support direct invitations are invited via the room instead.
+     * The contact becomes an active participant once they have entered the room.
+     *
+     * @param {string} jid  A bare JID.
+     */
+    addParticipant: function addParticipant(jid) {
+        if (!this.room || (this._roomState !== 'joined')) {
+            console.error('Unable to invite ' + jid + ' before room has been joined.');
+            return;
+        }
+        if (this.getParticipantStatus(jid) === 'active') { return; }
+
+        console.info('Inviting ' + jid + ' to room ' + this.room + '.');
+        var reason = this.rosterSelf.jid.bare + ' invites you to a CoopChat session.';
+        if (this.client.contactHasFeature(jid, NS_XEP0249) === false) {
+            //mediated invitation via the room service (XEP-0045, 7.8.2)
+            this.client.sendMessage({
+                to: this.room,
+                type: 'normal',
+                x: {
+                    xmlns: NS_MUC_USER,
+                    invite: {
+                        to: jid,
+                        reason: { $text: reason }
+                    }
+                }
+            });
+        } else {
+            this.client.sendMessage({
+                to: jid,
+                type: 'normal',
+                x: {
+                    xmlns: NS_XEP0249,
+                    jid: this.room,
+                    thread: this.id,
+                    reason: reason
+                }
+            });
+        }
+        this._setParticipantStatus(jid, 'contacted');
+    },
+
+    /**
+     * Guests need no directed presence here, since the room relays everyone's presence.
+     * @see XMPPMultiUserThread.inviteGuest()
+     *
+     * @param {string} jid  A bare JID.
+     */
+    inviteGuest: function inviteGuest(jid) {
+        this.addParticipant(jid);
+        this._learnGuest(jid);
+    },
+
+    /**
+     * Messages without explicit recipient are sent to the room.
+     * @see XMPPMultiUserThread.sendMessage()
+     */
+    sendMessage: function sendMessage(message) {
+        if (!message.type) {
+            message.type = 'chat';
+        }
+        if (message.to) {
+            XMPPMultiUserThread.prototype.sendMessage.apply(this, arguments);
+            return;
+        }
+        if (!this.client.xmppConnected || (this._roomState !== 'joined')) {
+            if (this._isPersistentMessage(message)) {
+                this._queueOutboxMessage(message);
+            } else {
+                console.warn('Discarding transient message while not in room ' + this.room + '.');
+            }
+            return;
+        }
+
+        message.to = this.room;
+        if (!message.coopfox) {
+            message.coopfox = {};
+        }
+        message.coopfox.xmlns = NS_COOPFOX;
+        if (!message.$outbox) {
+            message.coopfox.timestamp = this.getThreadTime();
+        }
+        this._requestMarkers(message);
+        XMPPStrictThread.prototype.sendMessage.apply(this, arguments);
+    },
+
+    /**
+     * Room messages only request read markers. The room already confirms
+     * delivery by reflecting them, and receipts from every occupant
+     * would flood the room history.
+     * @see XMPPMultiUserThread._requestMarkers()
+     */
+    _requestMarkers: function _requestMarkers(message) {
+        if (message.to !== this.room) {
+            XMPPMultiUserThread.prototype._requestMarkers.apply(this, arguments);
+            return;
+        }
+        if ((message.type !== 'chat') || !message.body) { return; }
+        message.markable = { xmlns: NS_XEP0333 };
+    },
+
+    _flushOutbox: function _flushOutbox() {
+        if (this._roomState !== 'joined') { return; } //flushed again once joined
+        XMPPMultiUserThread.prototype._flushOutbox.apply(this, arguments);
+    },
+
+    _transmitMessage: function _transmitMessage(message) {
+        if (!this.room || (message.to !== this.room)) {
+            XMPPMultiUserThread.prototype._transmitMessage.apply(this, arguments);
+            return;
+        }
+        if (!message.id) {
+            message.id = uuidhash(16);
+        }
+        //the room may assign its own id to the reflected message
+        message['origin-id'] = { xmlns: NS_XEP0359, id: message.id };
+
+        var type = message.type;
+        message.coopfox.type = type;
+        message.type = 'groupchat';
+        try {
+            XMPPMultiUserThread.prototype._transmitMessage.apply(this, arguments);
+        }
+        finally {
+            message.type = type;
+            delete message.coopfox.type;
+        }
+    },
+
+    _getRecipients: function _getRecipients(message) {
+        if (this.room && (message.to === this.room)) {
+            return this.getParticipants(true); //inactive occupants will read the room history later
+        }
+        return XMPPMultiUserThread.prototype._getRecipients.apply(this, arguments);
+    },
+
+    /**
+     * Attributes room messages to the real JIDs of their senders
+     * and restores their original type.
+     * @see XMPPThread.receiveMessage()
+     */
+    receiveMessage: function receiveMessage(message) {
+        if (!message.$from) {
+            message.$from = parseJid(message.from);
+        }
+        if (this.room && (message.$from.bare === this.room) && (message.type === 'groupchat')) {
+            let nick = message.$from.resource;
+            let sender = null;
+
+            //the real JID is taken from the occupant's presence, only occupants who have
+            //already left are identified by the address the room added to its history
+            if (nick === this._nick) {
+                sender = this.rosterSelf.jid;
+            } else if (this._occupants[nick]) {
+                sender = this._occupants[nick];
+            } else if (!this._historyComplete) {
+                let ofrom = getHistorySender(message, this.room);
+                if (ofrom) {
+                    sender = parseJid(ofrom); //history of non-anonymous rooms
+                }
+            }
+            if (sender) {
+                message.from = sender.full;
+                message.$from = parseJid(sender.full);
+            } else {
+                console.warn('Unable to determine real JID of room occupant ' + nick + '.');
+            }
+            message.$occupant = nick;
+            message.$to = parseJid(this.room);
+
+            //message IDs are chosen by the sender, so an ID already taken by another
+            //sender is replaced with the one assigned by the room
+            let id = (message['origin-id'] && message['origin-id'].id) || message.id;
+            let known = this.messages[id];
+            if (known && (!sender || (known.$from.bare !== sender.bare))) {
+                id = getRoomStanzaId(message, this.room);
+            }
+            message.id = id;
+            if (!message.coopfox) {
+                //message from a regular MUC client
+                message.coopfox = { xmlns: NS_COOPFOX };
+                if (message.delay && message.delay.stamp) {
+                    message.coopfox.timestamp = Date.parse(message.delay.stamp) + this.threadTimeOffset;
+                }
+            }
+        }
+        if ((message.type === 'groupchat') && message.coopfox) {
+            //also applies to the local echo of our own room messages
+            message.type = message.coopfox.type || 'chat';
+            delete message.coopfox.type;
+        }
+        XMPPMultiUserThread.prototype.receiveMessage.apply(this, arguments);
+    },
+
+    /**
+     * Catches room messages without CoopFox thread, including the subject.
+     * @param {object} message
+     */
+    _onRoomMessage: function _onRoomMessage(message) {
+        if (!this.room || message.$received) { return; }
+        if (parseJid(message.from).bare !== this.room) { return; }
+        if (message.thread && message.thread.$text) { return; } //another CoopFox thread in the same room
+
+        message.$received = Date.now();
+        if (message.subject && !message.body) {
+            this._onRoomHistoryComplete();
+            return;
+        }
+        if (message.type !== 'groupchat') { return; } //e.g. private messages from occupants
+        message.thread = { $text: this.id };
+        this.receiveMessage(message);
+    },
+
+    _onIncomingMessage: function _onIncomingMessage(message) {
+        if (message.$plaintext) {
+            this._restorePlaintext(message); //own echo
+        } else {
+            this._decryptMessage(message, message.$from.bare);
+        }
+
+        var version = decodePayload(message.coopfox);
+        if (!message.$isEcho && !message.$undecryptable) {
+            this._learnParticipantProtocol(message.$from.bare, version);
+        }
+        this._handleMessageMarkers(message);
+
+        var participant = message.coopfox.participant;
+        if (participant && (participant.action === 'join') && (message.type !== 'headline')) {
+            let jid = participant.jid || message.$from.bare;
+            if (this.participantJoinOrder.indexOf(jid) === -1) {
+                this.participantJoinOrder.push(jid);
+                this.emit('participantJoin', jid);
+            }
+        }
+        //leaving is signaled by occupant presence
+    },
+
+    importMessages: function importMessages(messages, replace, quiet, timeDiff) {
+        this._timeCorrectMessages(messages, timeDiff);
+        this._importMessages(messages, replace, quiet);
+    },
+
+    _synchronizedDestroy: function _synchronizedDestroy(reason) {
+        if (this._historyTimeout) {
+            clearTimeout(this._historyTimeout);
+            this._historyTimeout = null;
+        }
+        if (this.room && (this._roomState !== 'offline') && this.client.isConnected()) {
+            try {
+                this.client.sendPresence({ to: this.room + '/' + this._nick, type: 'unavailable' });
+            }
+            catch (e) {
+                console.warn('Unable to leave room ' + this.room + ' [' + e.message + '].');
+            }
+        }
+        this._roomState = 'offline';
+        XMPPStrictThread.prototype.destroy.call(this);
+    },
+
+    /**
+     * The room keeps the history, so there is no need to wait for sync.
+     */
+    destroy: function destroy(reason) {
+        this._synchronizedDestroy(reason);
+    }
+
+});
+exports.XMPPMucThread = XMPPMucThread;
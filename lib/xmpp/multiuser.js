@@ -13,11 +13,29 @@
 'use strict';
 
 const { NS_COOPFOX, NODE_COOPFOX } = require('../coopfox');
-const { NS_XEP0033, parseJid } = require('./session');
+const { NS_XEP0033, parseJid, parseAddresses } = require('./session');
+const { NS_E2E } = require('./e2e');
+const { PROTOCOL_VERSION, SESSION_FEATURES, protocolFeature, parseProtocolVersion, encodePayload, decodePayload } = require('./protocol');
 const NS_SYNC = NS_COOPFOX + '/sync';
+const NS_MAM = 'urn:xmpp:mam:2';
+const NS_DATA_FORMS = 'jabber:x:data';
+const NS_RSM = 'http://jabber.org/protocol/rsm';
+const NS_XEP0184 = exports.NS_XEP0184 = 'urn:xmpp:receipts';
+const NS_XEP0333 = exports.NS_XEP0333 = 'urn:xmpp:chat-markers:0';
+
+const OUTBOX_FLUSH_DELAY = 2000; //wait for participant presences after reconnect (msec)
+
+const ARCHIVE_PAGE_SIZE = 100; //messages per archive query
+const ARCHIVE_MAX_PAGES = 20; //the archive is not filtered by thread, so limit how far back we look
+const ARCHIVE_PAGE_TIMEOUT = 30000; //msec
+
+//coopfox children, which remain readable in encrypted messages, since they are needed for routing
+const E2E_CLEARTEXT_ELEMENTS = ['xmlns', 'version', 'timestamp', 'participant', 'type'];
+const E2E_BODY_PLACEHOLDER = 'This CoopChat message is end-to-end encrypted.';
 
 const { Class } = require('sdk/core/heritage');
 const { XMPPStrictThread } = require('./threads');
+const { uuidhash } = require('../utils/strings');
 
 const { setTimeout, clearTimeout } = require('sdk/timers');
 
@@ -35,6 +53,31 @@ const { setTimeout, clearTimeout } = require('sdk/timers');
  * history with the other participants. When two clients
  * both have new messages the other one has not yet seen,
  * their messages histories are merged together.
+ *
+ * If the client provides an E2EKeyring (client.keyring) and
+ * client.encryption is set, message bodies and coopfox payloads
+ * are end-to-end encrypted for the participants. Public keys are
+ * exchanged along with sync requests. The local history always
+ * contains the plaintext, so sync diffs are encrypted per recipient.
+ *
+ * On join, the thread also retrieves its messages from the server
+ * archive (XEP-0313), so a session can be restored even if no
+ * other participant is online.
+ *
+ * Participants may run different versions of the coopfox protocol.
+ * Their versions are learned from entity capabilities, sync queries
+ * and received messages. Outgoing payloads are converted to the lowest
+ * version among the participants, the history keeps the current one.
+ *
+ * Chat messages request delivery receipts (XEP-0184) and read markers
+ * (XEP-0333). Receipts are only sent to the author of a message, while
+ * read markers are cumulative and multicast to all participants like
+ * any other message, so everyone can see who has seen what.
+ *
+ * Guests with anonymous accounts are not on anyone's roster. They are
+ * invited by their temporary JID and exchange directed presence with
+ * the other participants. Join messages mark them, so that all
+ * participants can tell them apart from regular contacts.
  */
 const XMPPMultiUserThread = Class({
     extends: XMPPStrictThread,
@@ -47,10 +90,17 @@ const XMPPMultiUserThread = Class({
             }
         }
         this._syncPullAbort();
+        if (this._archiveQueryId) {
+            this._archivePullAbort();
+        }
         this.initialSyncDone = false;
         this._participants = {};
+        this._guests = {}; //bare jid -> true
         this.participantJoinOrder = [];
         this.threadTimeOffset = 0;
+        this._messageReceipts = {}; //message id -> bare jid -> time of receipt
+        this._messageDisplayed = {}; //bare jid -> latest message displayed
+        this._displayedSent = 0;
         XMPPStrictThread.prototype._reset.apply(this, arguments);
     },
 
@@ -60,6 +110,30 @@ const XMPPMultiUserThread = Class({
         this.subscribeTo(options.client, 'iq:set:' + NS_SYNC, this._onSyncPushRequest);
         this.subscribeTo(this, '_incomingMessage', this._onIncomingMessage);
         this.subscribeTo(this, 'historyRewritten');
+        this.subscribeTo(options.client, 'xmppConnected', this._scheduleOutboxFlush);
+        this.subscribeTo(options.client, 'unknownStrictThread', this._onArchiveResult);
+    },
+
+    _initArchive: function _initArchive() {
+        this._archiveQueryId = null;
+        this._archiveResults = [];
+        this._archiveTimeout = null;
+    },
+
+    _initProtocol: function _initProtocol() {
+        this._participantProtocols = {};
+    },
+
+    _initMarkers: function _initMarkers() {
+        this._receiptQueue = [];
+        this._receiptTimeout = null;
+        this._importing = 0;
+    },
+
+    _initOutbox: function _initOutbox(options) {
+        this._outbox = [];
+        this._outboxRestore = options.outbox || null;
+        this._outboxFlushTimeout = null;
     },
 
     _initParticipants: function _initParticipants(options) {
@@ -74,10 +148,12 @@ const XMPPMultiUserThread = Class({
 
     _onceXmppConnected: function _onceXmppConnected(options) {
         XMPPStrictThread.prototype._onceXmppConnected.apply(this, arguments);
+        this._restoreOutbox();
 
         this.sendDirectedPresence(); //notify off-roster participants that we are back
         this.once('syncIdle', this._sendJoinMessage);
         this.syncPull(); //synchronize message history with online contacts
+        this.archivePull(); //and with the server, in case nobody else is online
         if (this.isSyncIdle) {
             this.emit('beforeSyncIdle');
         }
@@ -119,14 +195,82 @@ const XMPPMultiUserThread = Class({
             return null;
         }
         for each (let presence in contact.presence) {
-            //TODO: this should be based on the NS_COOPFOX protocol feature, not the node name
-            if ((presence.type !== 'unavailable') && (presence.$resource) && (presence.c.node === NODE_COOPFOX)) {
-                return contact.jid.bare + '/' + presence.$resource;
+            if ((presence.type === 'unavailable') || !presence.$resource) { continue; }
+            let fullJid = contact.jid.bare + '/' + presence.$resource;
+            let supported = this.client.contactHasFeature(fullJid, NS_COOPFOX);
+            //fall back to the client node while the capabilities are still being discovered
+            if (supported || ((supported === null) && (presence.c.node === NODE_COOPFOX))) {
+                return fullJid;
             }
         }
         return null;
     },
 
+    /**
+     * Returns the protocol version a participant's client understands.
+     * Unless announced otherwise, clients are assumed to be version 1.
+     *
+     * @param {string} jid  A bare JID.
+     * @returns {number}
+     */
+    getParticipantProtocol: function getParticipantProtocol(jid) {
+        var version = this._participantProtocols[jid] || 1;
+        var fullJid = this.getCoopFoxFullJid(jid);
+        if (fullJid) {
+            for (let v = PROTOCOL_VERSION; v > version; v--) {
+                if (this.client.contactHasFeature(fullJid, protocolFeature(v))) {
+                    return v;
+                }
+            }
+        }
+        return version;
+    },
+
+    _learnParticipantProtocol: function _learnParticipantProtocol(jid, version) {
+        if (jid === this.rosterSelf.jid.bare) { return; }
+        if ((this._participantProtocols[jid] || 1) >= version) { return; }
+
+        this._participantProtocols[jid] = version;
+        console.info('Participant ' + jid + ' understands protocol version ' + version + '.');
+        if (this.roster[jid]) {
+            this.emit('rosterItemUpdate', this.roster[jid], 'protocol');
+        }
+    },
+
+    /**
+     * The protocol version understood by all active participants.
+     * @returns {number}
+     */
+    get protocolVersion() {
+        var version = PROTOCOL_VERSION;
+        for each (let jid in this.getParticipants()) {
+            version = Math.min(version, this.getParticipantProtocol(jid));
+        }
+        return version;
+    },
+
+    /**
+     * Returns the features of this session which require a minimum protocol version.
+     *
+     * @returns {string[]}  Keys of SESSION_FEATURES.
+     */
+    getSessionFeatures: function getSessionFeatures() {
+        return this.encryptionEnabled ? ['encryption'] : [];
+    },
+
+    /**
+     * Returns the features used in this session which a participant's client does not understand.
+     *
+     * @param {string} jid  A bare JID.
+     * @returns {string[]}  Keys of SESSION_FEATURES.
+     */
+    getUnsupportedFeatures: function getUnsupportedFeatures(jid) {
+        var version = this.getParticipantProtocol(jid);
+        return this.getSessionFeatures().filter(function(feature) {
+            return SESSION_FEATURES[feature].version > version;
+        });
+    },
+
     /**
      * @param {string} jid  A bare JID.
      * @returns {string} A status constant.
@@ -200,6 +344,28 @@ const XMPPMultiUserThread = Class({
         return result;
     },
 
+    /**
+     * Whether a participant has joined with an anonymous guest account.
+     *
+     * @param {string} jid  A bare JID.
+     * @returns {boolean}
+     */
+    isGuest: function isGuest(jid) {
+        if (jid === this.rosterSelf.jid.bare) {
+            return !!this.rosterSelf.guest;
+        }
+        return !!this._guests[jid];
+    },
+
+    _learnGuest: function _learnGuest(jid) {
+        if (this._guests[jid] || (jid === this.rosterSelf.jid.bare)) { return; }
+        this._guests[jid] = true;
+        console.info('Participant ' + jid + ' is a guest.');
+        if (this.roster[jid]) {
+            this.emit('rosterItemUpdate', this.roster[jid], 'guest');
+        }
+    },
+
     get hasParticipants() {
         return Object.keys(this._participants).length > 0;
     },
@@ -260,24 +426,63 @@ const XMPPMultiUserThread = Class({
         this.sendMessage(message);
     },
 
-    _sendJoinMessage: function _sendJoinMessage() {
-        console.log('Sending join message...');
-        var jid = this.rosterSelf.jid.bare;
-        if (this.participantJoinOrder.indexOf(jid) !== -1) { return; }
+    /**
+     * Invites a contact who is not on the roster, typically a guest with an anonymous account.
+     *
+     * Their presence is unknown, so they receive directed presence and the invitation
+     * is sent to their bare JID. They become active once their client has joined
+     * and responded with directed presence of its own.
+     *
+     * @param {string} jid  A bare JID.
+     */
+    inviteGuest: function inviteGuest(jid) {
+        if (this.roster[jid] && this.roster[jid].subscription) {
+            this.addParticipant(jid); //a regular contact after all
+            return;
+        }
+        var status = this.getParticipantStatus(jid);
+        if ((status === 'active') || (status === 'self')) {
+            return;
+        }
+
+        console.info('Guest ' + jid + ' invited to thread ' + this.id + '.');
+        this.sendDirectedPresence(jid);
+        this._setParticipantStatus(jid, 'added');
+        this._learnGuest(jid);
 
-        var hadMessages = this.hasMessages;
         this.sendMessage({
             coopfox: {
                 participant: {
                     jid: jid,
                     action: 'join',
+                    guest: 'true',
                     thread: {
                         $text: this.id,
-                        creator: hadMessages ? 'false' : 'true'
+                        participants: this.getParticipants(true).length - 1 //not counting self and guest
                     }
                 }
             }
         });
+    },
+
+    _sendJoinMessage: function _sendJoinMessage() {
+        console.log('Sending join message...');
+        var jid = this.rosterSelf.jid.bare;
+        if (this.participantJoinOrder.indexOf(jid) !== -1) { return; }
+
+        var hadMessages = this.hasMessages;
+        var participant = {
+            jid: jid,
+            action: 'join',
+            thread: {
+                $text: this.id,
+                creator: hadMessages ? 'false' : 'true'
+            }
+        };
+        if (this.rosterSelf.guest) {
+            participant.guest = 'true';
+        }
+        this.sendMessage({ coopfox: { participant: participant } });
         this.hasMessages = hadMessages; //don't count the initial join message
     },
 
@@ -391,6 +596,14 @@ const XMPPMultiUserThread = Class({
      * @param {object} message
      */
     sendMessage: function sendMessage(message) {
+        if (!message.type) {
+            message.type = 'chat';
+        }
+        if (!this.client.xmppConnected && !message.to && this._isPersistentMessage(message)) {
+            this._queueOutboxMessage(message);
+            return;
+        }
+
         //explicit destination bypasses multicast
         if (!message.to) {
             message.to = this.client.rosterSelf.jid.hostname;
@@ -419,17 +632,582 @@ const XMPPMultiUserThread = Class({
             message.coopfox = {};
         }
         message.coopfox.xmlns = NS_COOPFOX;
-        message.coopfox.timestamp = this.getThreadTime();
+        if (!message.$outbox) {
+            message.coopfox.timestamp = this.getThreadTime();
+        }
+        this._requestMarkers(message);
 
         XMPPStrictThread.prototype.sendMessage.apply(this, arguments);
     },
 
+    /**
+     * Whether outgoing messages are end-to-end encrypted.
+     * @returns {boolean}
+     */
+    get encryptionEnabled() {
+        return !!(this.client && this.client.keyring && this.client.encryption);
+    },
+
+    /**
+     * Converts the payload to the protocol version of the session on the wire only,
+     * the message object keeps the current version.
+     * @see XMPPThread._transmitMessage()
+     */
+    _transmitMessage: function _transmitMessage(message) {
+        var payload = message.coopfox;
+        message.coopfox = encodePayload(payload, this.protocolVersion);
+        try {
+            this._transmitEncrypted(message);
+        }
+        finally {
+            message.coopfox = payload;
+        }
+    },
+
+    /**
+     * Encrypts the payload on the wire only, the message object keeps its plaintext.
+     */
+    _transmitEncrypted: function _transmitEncrypted(message) {
+        if (!this.encryptionEnabled) {
+            XMPPStrictThread.prototype._transmitMessage.apply(this, arguments);
+            return;
+        }
+        if (!message.id) {
+            message.id = uuidhash(16);
+        }
+
+        var jids = this._getRecipients(message);
+        for each (let jid in jids) {
+            if (!this.client.keyring.hasKey(jid)) {
+                console.warn('No encryption key known for ' + jid + '. Message ' + message.id + ' will be unreadable.');
+            }
+        }
+
+        var plain = this._encryptMessage(message, jids);
+        if (!plain) {
+            XMPPStrictThread.prototype._transmitMessage.apply(this, arguments);
+            return;
+        }
+        message.$plaintext = plain; //for the echo, which is processed during the call
+        try {
+            XMPPStrictThread.prototype._transmitMessage.apply(this, arguments);
+        }
+        finally {
+            this._restorePlaintext(message);
+        }
+    },
+
+    /**
+     * Determines who an outgoing message is addressed to.
+     *
+     * @param {object} message
+     * @returns {string[]}  Bare JIDs of the recipients.
+     */
+    _getRecipients: function _getRecipients(message) {
+        var recipients = parseAddresses(message.addresses) || parseJid(message.to);
+        if (!Array.isArray(recipients)) {
+            recipients = [recipients];
+        }
+        var jids = [];
+        for each (let recipient in recipients) {
+            if (!recipient.username) { continue; } //e.g. server as multicast service
+            jids.push(recipient.bare);
+        }
+        return jids;
+    },
+
+    /**
+     * Replaces body and coopfox payload of a message with an encrypted element.
+     *
+     * @param {object}   message
+     * @param {string[]} jids     Bare JIDs of the recipients.
+     * @returns {object|null}  The original elements, or null if there was nothing to encrypt.
+     */
+    _encryptMessage: function _encryptMessage(message, jids) {
+        var coopfox = message.coopfox || {};
+        var payload = {};
+        var wire = {};
+        var hasPayload = false;
+        for (let key in coopfox) {
+            if (key.charAt(0) === '$') { continue; }
+            if (E2E_CLEARTEXT_ELEMENTS.indexOf(key) !== -1) {
+                wire[key] = coopfox[key];
+            } else {
+                payload[key] = coopfox[key];
+                hasPayload = true;
+            }
+        }
+        var content = { coopfox: payload };
+        if (message.body) {
+            content.body = message.body;
+            hasPayload = true;
+        }
+        if (!hasPayload) {
+            return null;
+        }
+
+        var text = JSON.stringify(content, function(key, value) {
+            //internal properties are not serialized to XML either
+            return (key.charAt(0) === '$' && key !== '$text' && key !== '$cdata') ? undefined : value;
+        });
+        wire.encrypted = this.client.keyring.encrypt(text, jids, message.id);
+
+        var plain = { coopfox: message.coopfox, body: message.body };
+        message.coopfox = wire;
+        if (plain.body) {
+            message.body = { $text: E2E_BODY_PLACEHOLDER };
+        }
+        return plain;
+    },
+
+    _restorePlaintext: function _restorePlaintext(message) {
+        var plain = message.$plaintext;
+        if (!plain) { return; }
+        delete message.$plaintext;
+        message.coopfox = plain.coopfox;
+        if (plain.body) {
+            message.body = plain.body;
+        }
+        message.$encrypted = true;
+    },
+
+    /**
+     * Restores body and coopfox payload of an encrypted message in place.
+     * Messages which cannot be decrypted keep their placeholder body and are marked as "$undecryptable".
+     * Messages encrypted with a key other than the accepted one of the sender are marked as "$keyChanged".
+     *
+     * @param {object} message
+     * @param {string} jid      Bare JID of the contact who encrypted the message.
+     */
+    _decryptMessage: function _decryptMessage(message, jid) {
+        var encrypted = message.coopfox ? message.coopfox.encrypted : null;
+        if (!encrypted || (encrypted.xmlns !== NS_E2E)) { return; }
+        if (!this.client.keyring) {
+            message.$undecryptable = true;
+            return;
+        }
+
+        var content;
+        try {
+            content = JSON.parse(this.client.keyring.decrypt(encrypted, jid, message.id));
+        }
+        catch (e) {
+            console.warn('Unable to decrypt message ' + message.id + ' from ' + jid + ' [' + e.message + '].');
+            message.$undecryptable = true;
+            return;
+        }
+
+        delete message.coopfox.encrypted;
+        for (let key in content.coopfox) {
+            message.coopfox[key] = content.coopfox[key];
+        }
+        if (content.body) {
+            message.body = content.body;
+        }
+        delete message.$undecryptable;
+        message.$encrypted = true;
+        if (this.client.keyring.isCurrentKey(jid, encrypted.sender)) {
+            delete message.$keyChanged;
+        } else {
+            console.warn('Message ' + message.id + ' from ' + jid + ' has been encrypted with an unaccepted key.');
+            message.$keyChanged = true;
+        }
+    },
+
+    /**
+     * Creates copies of history messages, which are encrypted for a single sync partner.
+     *
+     * @param {object[]} messages
+     * @param {string}   jid
+     * @returns {object[]}
+     */
+    _encryptMessages: function _encryptMessages(messages, jid) {
+        if (!this.encryptionEnabled) {
+            return messages;
+        }
+        var result = [];
+        for each (let message in messages) {
+            if (message.$undecryptable) {
+                result.push(message); //still encrypted for someone else
+                continue;
+            }
+            let copy = {};
+            for (let key in message) {
+                copy[key] = message[key];
+            }
+            this._encryptMessage(copy, [jid]);
+            result.push(copy);
+        }
+        return result;
+    },
+
+    /**
+     * Decrypts messages received from a sync partner in place.
+     *
+     * @param {object[]} messages
+     * @param {string}   jid
+     */
+    _decryptMessages: function _decryptMessages(messages, jid) {
+        for each (let message in messages) {
+            this._decryptMessage(message, jid);
+        }
+    },
+
+    /**
+     * Creates copies of history messages for a single sync partner,
+     * converted to its protocol version and encrypted if enabled.
+     *
+     * @param {object[]} messages
+     * @param {string}   jid
+     * @returns {object[]}
+     */
+    _encodeMessages: function _encodeMessages(messages, jid) {
+        var version = this.getParticipantProtocol(jid);
+        var result = [];
+        for each (let message in messages) {
+            if (message.$undecryptable) {
+                result.push(message); //still encrypted for someone else
+                continue;
+            }
+            let copy = {};
+            for (let key in message) {
+                copy[key] = message[key];
+            }
+            copy.coopfox = encodePayload(message.coopfox, version);
+            result.push(copy);
+        }
+        return this._encryptMessages(result, jid);
+    },
+
+    /**
+     * Adds own public key and protocol version to a sync query.
+     *
+     * @param {object} query
+     * @returns {object}  The query.
+     */
+    _addAnnouncements: function _addAnnouncements(query) {
+        query.protocol = String(PROTOCOL_VERSION);
+        return this._addKeyAnnouncement(query);
+    },
+
+    /**
+     * Stores public key and protocol version presented in a sync query.
+     *
+     * @param {object} query
+     * @param {string} jid
+     */
+    _learnAnnouncements: function _learnAnnouncements(query, jid) {
+        this._learnParticipantProtocol(jid, parseProtocolVersion(query.protocol));
+        this._learnAnnouncedKey(query, jid);
+    },
+
+    /**
+     * Adds own public key to a sync query.
+     *
+     * @param {object} query
+     * @returns {object}  The query.
+     */
+    _addKeyAnnouncement: function _addKeyAnnouncement(query) {
+        if (this.client.keyring) {
+            query.key = {
+                xmlns: NS_E2E,
+                $text: this.client.keyring.getPublicKey()
+            };
+        }
+        return query;
+    },
+
+    /**
+     * Stores the public key presented in a sync query.
+     *
+     * @param {object} query
+     * @param {string} jid
+     */
+    _learnAnnouncedKey: function _learnAnnouncedKey(query, jid) {
+        if (!this.client.keyring || !query.key || (query.key.xmlns !== NS_E2E)) { return; }
+        try {
+            this.client.keyring.learnKey(jid, query.key.$text);
+        }
+        catch (e) {
+            console.warn(e.message);
+        }
+    },
+
+    /**
+     * Stores a message which cannot be sent while we are disconnected.
+     * The message is added to the local history right away (marked as "$pending"),
+     * so that it is displayed and processed by all modules, just like a sent message.
+     * Its thread timestamp and delay element keep the original time of writing.
+     *
+     * @param {object} message
+     */
+    _queueOutboxMessage: function _queueOutboxMessage(message) {
+        if (!message.id) {
+            message.id = uuidhash(16);
+        }
+        if (!message.thread) {
+            message.thread = { $text: this.id };
+        }
+        if (!message.coopfox) {
+            message.coopfox = {};
+        }
+        message.coopfox.xmlns = NS_COOPFOX;
+        message.coopfox.timestamp = this.getThreadTime();
+        message.delay = {
+            xmlns: 'urn:xmpp:delay',
+            from: this.client.rosterSelf.jid.bare,
+            stamp: new Date().toISOString(),
+            $text: 'Offline Storage'
+        };
+        message.$from = this.client.rosterSelf.jid;
+        message.$to = []; //recipients are determined once the message is actually sent
+        message.$pending = true;
+
+        this._outbox.push(message);
+        console.info('Message ' + message.id + ' stored in outbox (' + this._outbox.length + ' pending).');
+        this.emit('beforeSendMessage', message);
+        this.receiveMessage(message);
+        this.emit('outboxChange', this.getOutbox());
+    },
+
+    /**
+     * Returns all messages which have not yet been sent.
+     * @returns {object[]}
+     */
+    getOutbox: function getOutbox() {
+        return this._outbox.slice();
+    },
+
+    /**
+     * Re-queues pending messages from a previous instance (options.outbox), after history import.
+     */
+    _restoreOutbox: function _restoreOutbox() {
+        var messages = this._outboxRestore;
+        this._outboxRestore = null;
+        if (!messages || !messages.length) { return; }
+
+        for each (let message in messages) {
+            let stored = this.messages[message.id];
+            if (stored) {
+                message = stored;
+            } else {
+                try {
+                    this.receiveMessage(message);
+                }
+                catch (e) {
+                    console.warn('Discarding pending message ' + message.id + ' [' + e.message + '].');
+                    continue;
+                }
+            }
+            message.$pending = true;
+            this._outbox.push(message);
+        }
+        console.info('Restored ' + this._outbox.length + ' pending messages to outbox.');
+        this._scheduleOutboxFlush();
+    },
+
+    _scheduleOutboxFlush: function _scheduleOutboxFlush() {
+        if (this._outboxFlushTimeout) {
+            clearTimeout(this._outboxFlushTimeout);
+        }
+        this._outboxFlushTimeout = setTimeout(this._flushOutbox, OUTBOX_FLUSH_DELAY);
+    },
+
+    /**
+     * Sends all pending messages in their original order.
+     * If a message cannot be sent, it stays in the outbox and flushing stops,
+     * so the order is kept for the next attempt.
+     */
+    _flushOutbox: function _flushOutbox() {
+        this._outboxFlushTimeout = null;
+        if (!this._outbox.length || !this.client || !this.client.xmppConnected) { return; }
+        if (!this.isSyncIdle) {
+            this.once('syncIdle', this._flushOutbox);
+            return;
+        }
+
+        console.info('Flushing ' + this._outbox.length + ' pending messages from outbox.');
+        while (this._outbox.length && this.client.xmppConnected) {
+            let message = this._outbox.shift();
+            delete message.$pending;
+            message.$outbox = true;
+            message.$noEcho = true; //already in history
+            let sent = false;
+            try {
+                this.sendMessage(message);
+                sent = true;
+            }
+            catch (e) {
+                console.exception(e);
+            }
+            finally {
+                delete message.$outbox;
+                delete message.$noEcho;
+            }
+            if (!sent) {
+                message.$pending = true;
+                this._outbox.unshift(message);
+                break;
+            }
+            this.emit('outboxMessageSent', message);
+        }
+        this.emit('outboxChange', this.getOutbox());
+    },
+
+    _destroyOutbox: function _destroyOutbox() {
+        if (this._outboxFlushTimeout) {
+            clearTimeout(this._outboxFlushTimeout);
+            this._outboxFlushTimeout = null;
+        }
+    },
+
+    //////// Delivery receipts (XEP-0184) and read markers (XEP-0333) ////////
+
+    /**
+     * Asks the recipients of a chat message to confirm its delivery and display.
+     *
+     * @param {object} message
+     */
+    _requestMarkers: function _requestMarkers(message) {
+        if ((message.type !== 'chat') || !message.body) { return; }
+        message.request = { xmlns: NS_XEP0184 };
+        message.markable = { xmlns: NS_XEP0333 };
+    },
+
+    /**
+     * Records receipts and markers of other participants and answers receipt requests.
+     * Requests in synchronized or imported messages are not answered, since
+     * those messages have not been delivered by their sender.
+     *
+     * @param {object} message
+     */
+    _handleMessageMarkers: function _handleMessageMarkers(message) {
+        var jid = message.$from.bare;
+        if (jid === this.rosterSelf.jid.bare) { return; }
+
+        if (message.received && (message.received.xmlns === NS_XEP0184) && message.received.id) {
+            this._addMessageReceipt(message.received.id, jid);
+        }
+        if (message.displayed && (message.displayed.xmlns === NS_XEP0333) && message.displayed.id) {
+            this._addMessageDisplayed(message.displayed.id, jid);
+        }
+        if (message.request && (message.request.xmlns === NS_XEP0184) && !this._importing) {
+            this._receiptQueue.push({ id: message.id, to: message.$from.full });
+            if (!this._receiptTimeout) {
+                //not while the message is still being processed
+                this._receiptTimeout = setTimeout(this._flushReceipts);
+            }
+        }
+    },
+
+    _flushReceipts: function _flushReceipts() {
+        this._receiptTimeout = null;
+        var receipts = this._receiptQueue;
+        this._receiptQueue = [];
+        for each (let receipt in receipts) {
+            //directed, a multicast from every participant would grow quadratically
+            this.sendMessage({
+                type: 'headline',
+                to: receipt.to,
+                received: { xmlns: NS_XEP0184, id: receipt.id }
+            });
+        }
+    },
+
+    _destroyMarkers: function _destroyMarkers() {
+        if (this._receiptTimeout) {
+            clearTimeout(this._receiptTimeout);
+            this._receiptTimeout = null;
+        }
+    },
+
+    _addMessageReceipt: function _addMessageReceipt(id, jid) {
+        var receipts = this._messageReceipts[id] || (this._messageReceipts[id] = {});
+        if (receipts[jid]) { return; }
+        receipts[jid] = Date.now();
+        this.emit('messageMarker', id, jid, 'received');
+    },
+
+    /**
+     * Read markers are cumulative: a participant who has displayed
+     * a message has also displayed all messages before it.
+     */
+    _addMessageDisplayed: function _addMessageDisplayed(id, jid) {
+        var message = this.messages[id];
+        if (!message) { return; }
+        var last = this._messageDisplayed[jid];
+        if (last && (this.messages[last].$timestamp >= message.$timestamp)) { return; }
+        this._messageDisplayed[jid] = id;
+        this.emit('messageMarker', id, jid, 'displayed');
+    },
+
+    /**
+     * Tells the other participants that messages have been displayed.
+     * Since markers are cumulative, only the latest of them is announced.
+     *
+     * @param {string[]} ids
+     */
+    markDisplayed: function markDisplayed(ids) {
+        var latest = null;
+        for each (let id in ids) {
+            let message = this.messages[id];
+            if (message && (!latest || (message.$timestamp > latest.$timestamp))) {
+                latest = message;
+            }
+        }
+        if (!latest || (latest.$timestamp <= this._displayedSent)) { return; }
+        this._displayedSent = latest.$timestamp;
+        this.sendMessage({
+            type: 'headline',
+            displayed: { xmlns: NS_XEP0333, id: latest.id }
+        });
+    },
+
+    /**
+     * @param {string} id
+     * @returns {object}  Bare JIDs of the participants who have received and who have displayed
+     *                    the message, as { received: [], displayed: [] }. Displayed implies received.
+     */
+    getMessageMarkers: function getMessageMarkers(id) {
+        var result = { received: [], displayed: [] };
+        var message = this.messages[id];
+        if (!message) { return result; }
+
+        for (let jid in this._messageDisplayed) {
+            let last = this.messages[this._messageDisplayed[jid]];
+            if ((jid !== message.$from.bare) && (last.$timestamp >= message.$timestamp)) {
+                result.displayed.push(jid);
+                result.received.push(jid);
+            }
+        }
+        for (let jid in this._messageReceipts[id]) {
+            if (result.received.indexOf(jid) === -1) {
+                result.received.push(jid);
+            }
+        }
+        return result;
+    },
+
     _onIncomingMessage: function _onIncomingMessage(message) {
         if (!message && (message.coopfox.xmlns !== NS_COOPFOX).coopfox) {
             console.warn('Received message valid without "coopfox" element in multi-user thread.');
             message.coopfox = {};
         }
 
+        //decrypt before any subscriber gets to see the message
+        if (message.$plaintext) {
+            this._restorePlaintext(message); //own echo
+        } else {
+            this._decryptMessage(message, message.$from.bare);
+        }
+
+        //convert payloads from older (or newer) clients to the current protocol version
+        var version = decodePayload(message.coopfox);
+        if (!message.$isEcho && !message.$undecryptable) {
+            this._learnParticipantProtocol(message.$from.bare, version);
+        }
+        this._handleMessageMarkers(message);
+
         //auto-discover new participants from senders and recipients
         this._onParticipantConfirmed(message.$from.bare);
         if (Array.isArray(message.$to)) {
@@ -453,6 +1231,9 @@ const XMPPMultiUserThread = Class({
                         }
                     }
                     this._onParticipantDiscovered(jid);
+                    if (participant.guest === 'true') {
+                        this._learnGuest(jid);
+                    }
                 break;
                 case 'reject':
                     this._setParticipantStatus(jid, 'rejected');
@@ -635,7 +1416,7 @@ const XMPPMultiUserThread = Class({
     },
 
     get isSyncIdle() {
-        return this.initialSyncDone && !this._syncQueue.length && !this._syncPullInProgress;
+        return this.initialSyncDone && !this._syncQueue.length && !this._syncPullInProgress && !this._archiveQueryId;
     },
 
     /**
@@ -687,7 +1468,7 @@ const XMPPMultiUserThread = Class({
         this.sendIq({
             to: jid,
             type: 'get',
-            query : {
+            query : this._addAnnouncements({
                 xmlns: NS_SYNC,
                 thread: this.id,
                 mode: 'fast-forward',
@@ -695,7 +1476,7 @@ const XMPPMultiUserThread = Class({
                     $text: this.latestVersion
                 },
                 timestamp: this.getThreadTime()
-            },
+            }),
             onSuccess: this._onSyncPullResponse,
             onError: this._onSyncPullError
         });
@@ -709,23 +1490,24 @@ const XMPPMultiUserThread = Class({
         var jid = parseJid(request.from).bare;
 
         this._syncThreadTime(query.timestamp);
+        this._learnAnnouncements(query, jid);
         this._onParticipantConfirmed(jid);
 
-        var response = {
+        var response = this._addAnnouncements({
             thread: query.thread,
             mode: query.mode,
             version: {
                 $text: this.latestVersion
             },
             timestamp: this.getThreadTime()
-        };
+        });
         switch (query.mode) {
             case 'fast-forward':
                 if (typeof(this._versions[query.version.$text]) !== 'undefined') {
                     //we know the requested version and potentially have newer content
                     let diff = this.getMessages(query.version.$text);
                     if (diff.length) {
-                        response.diff = { message: diff };
+                        response.diff = { message: this._encodeMessages(diff, jid) };
                     }
                     console.info('FF sync pull request by ' + request.from + '. Sending diff (' + diff.length + ').');
                 } else {
@@ -737,7 +1519,7 @@ const XMPPMultiUserThread = Class({
             case 'complete':
                 let history = this.getMessages();
                 console.info('Complete sync pull request by ' + request.from + '. Sending history (' + history.length + ').');
-                response.diff = { message: history };
+                response.diff = { message: this._encodeMessages(history, jid) };
                 break;
         }
         this.sendIqResponse(request, { query: response });
@@ -749,6 +1531,7 @@ const XMPPMultiUserThread = Class({
         var jid = parseJid(response.from).bare;
 
         this._syncThreadTime(query.timestamp);
+        this._learnAnnouncements(query, jid);
         this._onParticipantConfirmed(jid);
 
         switch (query.mode) {
@@ -769,6 +1552,7 @@ const XMPPMultiUserThread = Class({
                             'FF sync pull from ' + response.from + ' complete. ' +
                             'Diff received (' + diff.length + ').'
                         );
+                        this._decryptMessages(diff, jid);
                         this._importMessages(diff);
 
                         if (typeof(this._versions[query.version.$text]) !== 'undefined') {
@@ -787,12 +1571,12 @@ const XMPPMultiUserThread = Class({
                         this.sendIq({
                             to: response.from,
                             type: 'get',
-                            query : {
+                            query : this._addAnnouncements({
                                 xmlns: NS_SYNC,
                                 thread: this.id,
                                 mode: 'complete',
                                 timestamp: this.getThreadTime()
-                            },
+                            }),
                             onSuccess: this._onSyncPullResponse,
                             onError: this._syncPullEnd
                         });
@@ -806,6 +1590,7 @@ const XMPPMultiUserThread = Class({
                         'Complete sync pull from ' + response.from + ' complete. ' +
                         'History received (' + diff.length + ').'
                     );
+                    this._decryptMessages(diff, jid);
                     this._importMessages(diff);
 
                     if (typeof(this._versions[query.version.$text]) !== 'undefined') {
@@ -873,11 +1658,11 @@ const XMPPMultiUserThread = Class({
         var request = {
             to: fullJid,
             type: 'set',
-            query : {
+            query : this._addAnnouncements({
                 xmlns: NS_SYNC,
                 thread: this.id,
                 timestamp: this.getThreadTime()
-            },
+            }),
             onSuccess: this._onSyncPushResponse
         };
         if (messages === true) {
@@ -885,7 +1670,7 @@ const XMPPMultiUserThread = Class({
         }
         if (Array.isArray(messages)) {
             if (!messages.length){ return; }
-            request.query.diff = { message: messages };
+            request.query.diff = { message: this._encodeMessages(messages, jid) };
         } else {
             request.query.mode = 'fast-forward';
             request.query.version = { $text: this.latestVersion };
@@ -899,11 +1684,13 @@ const XMPPMultiUserThread = Class({
 
         var jid = parseJid(request.from).bare;
         this._syncThreadTime(query.timestamp);
+        this._learnAnnouncements(query, jid);
         this._onParticipantConfirmed(jid);
 
         if (query.diff) {
             let diff = Array.isArray(query.diff.message) ? query.diff.message : [query.diff.message];
             console.info('Sync push from from ' + request.from + ' (' + diff.length + ').');
+            this._decryptMessages(diff, jid);
             this._importMessages(diff);
         }
 
@@ -918,14 +1705,14 @@ const XMPPMultiUserThread = Class({
                 break;
         }
 
-        var response = {
+        var response = this._addAnnouncements({
             thread: query.thread,
             mode: query.mode,
             version: {
                 $text: this.latestVersion
             },
             timestamp: this.getThreadTime()
-        };
+        });
         this.sendIqResponse(request, { query: response });
     },
 
@@ -933,6 +1720,7 @@ const XMPPMultiUserThread = Class({
         var query = response.query;
         var jid = parseJid(response.from).bare;
         this._syncThreadTime(query.timestamp);
+        this._learnAnnouncements(query, jid);
         this._onParticipantConfirmed(jid);
 
         switch (query.mode) {
@@ -946,8 +1734,152 @@ const XMPPMultiUserThread = Class({
         }
     },
 
+    /**
+     * Retrieves messages of this thread from the own server archive (XEP-0313).
+     *
+     * Archive queries cannot filter by thread, so the archive is paged backwards (XEP-0059)
+     * and filtered locally, until the message which created the thread has been found
+     * or the page limit is reached. Messages are imported once all pages have arrived.
+     * If the thread already has messages, only those since the latest one are looked up.
+     */
+    archivePull: function archivePull() {
+        if (this._archiveQueryId || !this.id || !this.client.xmppConnected) { return; }
+        this._archiveQueryId = uuidhash(12);
+        this._archiveResults = [];
+        this._archivePages = 0;
+        this._archiveOriginFound = false;
+        this._archiveStart = null;
+        if (this.hasMessages) {
+            //some overlap, duplicates are ignored
+            this._archiveStart = new Date(this.latestMessageTimestamp - this.threadTimeOffset - 60000).toISOString();
+        }
+        console.info('Retrieving archived messages for thread ' + this.id + '.');
+        this._requestArchivePage(null);
+    },
+
+    /**
+     * @param {string} before  RSM id of the oldest result so far (null for the latest page).
+     */
+    _requestArchivePage: function _requestArchivePage(before) {
+        this._archivePages++;
+        if (this._archiveTimeout) {
+            clearTimeout(this._archiveTimeout);
+        }
+        this._archiveTimeout = setTimeout(this._archivePullEnd, ARCHIVE_PAGE_TIMEOUT);
+        var query = {
+            xmlns: NS_MAM,
+            queryid: this._archiveQueryId,
+            set: {
+                xmlns: NS_RSM,
+                max: { $text: String(ARCHIVE_PAGE_SIZE) },
+                before: before ? { $text: before } : {}
+            }
+        };
+        if (this._archiveStart) {
+            query.x = {
+                xmlns: NS_DATA_FORMS,
+                type: 'submit',
+                field: [
+                    { 'var': 'FORM_TYPE', type: 'hidden', value: { $text: NS_MAM } },
+                    { 'var': 'start', value: { $text: this._archiveStart } }
+                ]
+            };
+        }
+        this.sendIq({
+            type: 'set',
+            query: query,
+            onSuccess: this._onArchivePageResponse,
+            onError: this._onArchivePageError
+        });
+    },
+
+    _onArchivePageResponse: function _onArchivePageResponse(response) {
+        if (!this._archiveQueryId) { return; } //aborted
+        var fin = response.fin || {};
+        var first = (fin.set && fin.set.first) ? fin.set.first.$text : null;
+        if ((fin.complete === 'true') || !first || this._archiveOriginFound || (this._archivePages >= ARCHIVE_MAX_PAGES)) {
+            this._archivePullEnd();
+        } else {
+            this._requestArchivePage(first);
+        }
+    },
+
+    _onArchivePageError: function _onArchivePageError(error) {
+        if (!this._archiveQueryId) { return; } //e.g. incoming stanza callback after destroy()
+        var text = (error.text && error.text.$text) ? error.text.$text : error.type;
+        console.info('Server archive not available for thread ' + this.id + ' [' + text + '].');
+        this._archivePullEnd();
+    },
+
+    /**
+     * Collects archived messages of this thread, which the server sends as
+     * forwarded messages (without thread) during an archive query.
+     *
+     * @param {object} message
+     */
+    _onArchiveResult: function _onArchiveResult(message) {
+        var result = message.result;
+        if (!result || (result.xmlns !== NS_MAM) || !this._archiveQueryId) { return; }
+        if (result.queryid !== this._archiveQueryId) { return; }
+        message.$received = Date.now();
+
+        if (message.from && (parseJid(message.from).bare !== this.rosterSelf.jid.bare)) {
+            console.warn('Ignored archive result from ' + message.from + '.');
+            return;
+        }
+        var forwarded = result.forwarded || {};
+        var archived = forwarded.message;
+        if (!archived || !archived.thread || !archived.coopfox || (archived.coopfox.xmlns !== NS_COOPFOX)) { return; }
+        if (!this.isSubThread(archived.thread.$text)) { return; }
+
+        if (!archived.delay && forwarded.delay) {
+            archived.delay = forwarded.delay;
+        }
+        var participant = archived.coopfox.participant;
+        if (participant && (participant.action === 'join') && participant.thread && (participant.thread.creator === 'true')) {
+            this._archiveOriginFound = true;
+        }
+        this._archiveResults.push(archived);
+    },
+
+    _archivePullEnd: function _archivePullEnd() {
+        if (!this._archiveQueryId) { return; }
+        if (this._archiveTimeout) {
+            clearTimeout(this._archiveTimeout);
+            this._archiveTimeout = null;
+        }
+        var id = this.id;
+        var messages = this._archiveResults.filter(function(message) {
+            //the import identifies the thread by the first message
+            return message.thread.$text === id;
+        }).concat(this._archiveResults.filter(function(message) {
+            return message.thread.$text !== id;
+        }));
+        this._archiveQueryId = null;
+        this._archiveResults = [];
+
+        if (messages.length && (messages[0].thread.$text === id)) {
+            console.info('Importing ' + messages.length + ' archived messages for thread ' + id + '.');
+            this._importMessages(messages); //decrypted on receipt
+        }
+        this.emit('beforeSyncIdle');
+        if (this.isSyncIdle) {
+            this.emit('syncIdle');
+        }
+    },
+
+    _archivePullAbort: function _archivePullAbort() {
+        if (this._archiveTimeout) {
+            clearTimeout(this._archiveTimeout);
+            this._archiveTimeout = null;
+        }
+        this._archiveQueryId = null;
+        this._archiveResults = [];
+    },
+
     _importMessages: function importMessages(messages, replace, quiet) {
         this._disableSyncPull();
+        this._importing++;
         try {
             XMPPStrictThread.prototype.importMessages.apply(this, arguments);
         }
@@ -955,6 +1887,7 @@ const XMPPMultiUserThread = Class({
             console.exception(e);
         }
         finally {
+            this._importing--;
             this._enableSyncPull();
         }
     },
@@ -976,6 +1909,7 @@ const XMPPMultiUserThread = Class({
 
     _synchronizedDestroy: function _synchronizedDestroy(reason) {
         this._syncPullAbort();
+        this._archivePullAbort();
         this._disableSyncPull();
         if (reason !== 'reload') {
             if (!reason) {
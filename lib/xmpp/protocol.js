@@ -0,0 +1,115 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { NS_COOPFOX } = require('../coopfox');
+const { urlHash } = require('../utils/urls');
+
+/**
+ * Version of the coopfox message payloads written by this client.
+ *
+ * Increase it whenever the shape of a payload changes and convert payloads
+ * in encodePayload() and decodePayload(), so that mixed-version sessions keep working.
+ * Payloads without a version attribute are version 1.
+ */
+const PROTOCOL_VERSION = exports.PROTOCOL_VERSION = 2;
+
+/**
+ * Session features which clients below a certain protocol version do not understand.
+ * @see XMPPMultiUserThread.getSessionFeatures()
+ */
+exports.SESSION_FEATURES = {
+    encryption: { version: 2, label: 'end-to-end encryption' },
+    room: { version: 2, label: 'chat rooms' }
+};
+
+/**
+ * Returns the service discovery feature (XEP-0115) which announces a protocol version.
+ * Version 1 clients only announce the plain namespace.
+ *
+ * @param {number} version
+ * @returns {string}
+ */
+function protocolFeature(version) {
+    return (version > 1) ? NS_COOPFOX + '#v' + version : NS_COOPFOX;
+}
+exports.protocolFeature = protocolFeature;
+
+/**
+ * All features to announce, since newer clients can still talk to older ones.
+ * @type {string[]}
+ */
+exports.PROTOCOL_FEATURES = (function() {
+    var features = [];
+    for (let version = 1; version <= PROTOCOL_VERSION; version++) {
+        features.push(protocolFeature(version));
+    }
+    return features;
+})();
+
+/**
+ * Parses the version announced in a payload or sync query.
+ *
+ * @param {string|number|undefined} version
+ * @returns {number}
+ */
+function parseProtocolVersion(version) {
+    return Math.max(parseInt(version, 10) || 1, 1);
+}
+exports.parseProtocolVersion = parseProtocolVersion;
+
+/**
+ * Creates the wire representation of a coopfox payload for a given protocol version.
+ * The payload itself is not modified.
+ *
+ * @param {object} payload  The coopfox element of a message, as stored in the history.
+ * @param {number} version  Protocol version understood by all recipients.
+ * @returns {object}
+ */
+function encodePayload(payload, version) {
+    version = Math.min(version, PROTOCOL_VERSION);
+
+    //version 2 only added session features (@see SESSION_FEATURES), payloads are unchanged
+    var wire = {};
+    for (let key in payload) {
+        wire[key] = payload[key];
+    }
+
+    if (version > 1) {
+        wire.version = String(version);
+    } else {
+        delete wire.version;
+    }
+    return wire;
+}
+exports.encodePayload = encodePayload;
+
+/**
+ * Converts a received coopfox payload to the current protocol version in place
+ * and restores any derived data.
+ *
+ * @param {object} payload
+ * @returns {number}  The protocol version the payload was written in.
+ */
+function decodePayload(payload) {
+    var version = parseProtocolVersion(payload.version);
+    //version 2 payloads are unchanged, @see encodePayload()
+
+    //the sender's hash is authoritative, since URL rules may differ between clients
+    if (payload.location && payload.location.url && !payload.location.urlhash) {
+        payload.location.urlhash = urlHash(payload.location.url);
+    }
+    payload.version = String(PROTOCOL_VERSION);
+    return version;
+}
+exports.decodePayload = decodePayload;
@@ -19,6 +19,11 @@ const XMPP_STREAMS_DEBUG = false;
 
 const STANZA_CALLBACK_TTL = 10000; //how long stanzas with callbacks are stored (msec)
 
+const SM_ACK_REQUEST_DELAY = 1000; //how long to collect outgoing stanzas before requesting an ack (msec)
+
+const PING_INTERVAL = 60; //how long the stream may be silent before the server is pinged (sec)
+const PING_TIMEOUT = 20; //how long to wait for any data after a ping, before the connection is considered dead (sec)
+
 const STANZA_ERROR_CONDITION_TYPES = {
     'bad-request' : 'modify',
     'conflict' : 'cancel',
@@ -44,14 +49,61 @@ const STANZA_ERROR_CONDITION_TYPES = {
     'unexpected-request' : 'wait'
 };
 
+//supported SASL mechanisms, in order of preference (PLAIN is only used on encrypted connections)
+const SASL_MECHANISMS = ['SCRAM-SHA-256', 'SCRAM-SHA-1', 'PLAIN', 'DIGEST-MD5'];
+
+const SCRAM_HASH_ALGORITHMS = {
+    'SCRAM-SHA-256' : 'SHA256',
+    'SCRAM-SHA-1' : 'SHA1'
+};
+
 const NS_XEP0033 = exports.NS_XEP0033 = 'http://jabber.org/protocol/address';
+const NS_XEP0198 = exports.NS_XEP0198 = 'urn:xmpp:sm:3';
+const NS_XEP0199 = exports.NS_XEP0199 = 'urn:xmpp:ping';
+const NS_XEP0077 = exports.NS_XEP0077 = 'jabber:iq:register';
+const NS_SASL = 'urn:ietf:params:xml:ns:xmpp-sasl';
+const NS_DATA_FORMS = 'jabber:x:data';
+const NS_OOB = 'jabber:x:oob';
+
+/**
+ * Fields of the legacy registration form (XEP-0077) with their labels.
+ */
+const REGISTRATION_FIELDS = {
+    username : 'User Name',
+    nick : 'Nickname',
+    password : 'Password',
+    name : 'Full Name',
+    first : 'First Name',
+    last : 'Last Name',
+    email : 'Email',
+    address : 'Address',
+    city : 'City',
+    state : 'State',
+    zip : 'Postal Code',
+    phone : 'Phone',
+    url : 'Website',
+    date : 'Date',
+    misc : 'Miscellaneous',
+    text : 'Text',
+    key : 'Key'
+};
+
+/**
+ * Registration errors after which the form may not be submitted again.
+ */
+const REGISTRATION_FATAL_ERRORS = ['service-unavailable', 'feature-not-implemented', 'forbidden', 'not-allowed'];
 
 const { Class } = require('sdk/core/heritage');
 const { EventHub } = require('../utils/events');
-const { XMPPConnection } = require('./connection');
+const { XMPPConnection, TRANSPORT_TCP, TRANSPORT_WEBSOCKET, TRANSPORT_BOSH, asString, domToJson, parseElementString } = require('./connection');
+const { XMPPWebSocketConnection } = require('./websocket');
+const { XMPPBoshConnection } = require('./bosh');
+const { resolveSrv, resolveHostMeta } = require('./discovery');
 const { SECURITY_NONE, SECURITY_SSL, SECURITY_STARTTLS, SECURITY_STARTTLS_REQUIRED } = require('./tcp');
-const { uuidhash, md5 } = require('../utils/strings');
+const { forEachIfAny } = require('../utils/objects');
+const { uuidhash, md5, hash, hmac, pbkdf2, xorBinary, utf8Encode } = require('../utils/strings');
 const base64 = require('sdk/base64');
+const { setTimeout, clearTimeout } = require('sdk/timers');
 
 /**
  * Resolve a JID to its components.
@@ -105,6 +157,116 @@ exports.parseAddresses = function parseAddresses(element) {
     return result;
 };
 
+/**
+ * Splits a SCRAM message (RFC 5802) into its single-letter attributes.
+ *
+ * @param {string} message
+ * @returns {object}
+ */
+function parseScramAttributes(message) {
+    var attributes = {};
+    for each (let token in message.split(',')) {
+        let match = /^([a-zA-Z])=(.*)$/.exec(token);
+        if (match) {
+            attributes[match[1]] = match[2];
+        }
+    }
+    return attributes;
+}
+
+/**
+ * @param {object} element
+ * @returns {string}  The text content of an element descriptor.
+ */
+function textOf(element) {
+    return (element && (typeof(element) === 'object') && element.$text) || '';
+}
+
+/**
+ * Converts the <query> of a registration form (XEP-0077) into a field list.
+ * Both data forms (XEP-0004) and the legacy fixed fields are supported.
+ *
+ * @param {object} query
+ * @returns {object}  { dataForm, title, instructions, url, fields: [{ name, type, label, description, required, value, options }] }
+ */
+function parseRegistrationForm(query) {
+    var form = {
+        dataForm : false,
+        title : null,
+        instructions : textOf(query.instructions) || null,
+        url : null, //website for out-of-band registration
+        fields : []
+    };
+    forEachIfAny(query.x, function(x) {
+        if ((x.xmlns === NS_DATA_FORMS) && !form.dataForm) {
+            form.dataForm = true;
+            form.title = textOf(x.title) || null;
+            form.instructions = textOf(x.instructions) || form.instructions;
+            forEachIfAny(x.field, function(field) {
+                var values = [];
+                forEachIfAny(field.value, function(value) {
+                    values.push(textOf(value));
+                });
+                var options = [];
+                forEachIfAny(field.option, function(option) {
+                    options.push({ label : option.label || textOf(option.value), value : textOf(option.value) });
+                });
+                form.fields.push({
+                    name : field['var'] || null,
+                    type : field.type || 'text-single',
+                    label : field.label || field['var'] || '',
+                    description : textOf(field.desc) || null,
+                    required : !!field.required,
+                    value : values.join('\n'),
+                    options : options
+                });
+            });
+        } else if (x.xmlns === NS_OOB) {
+            form.url = textOf(x.url) || null;
+        }
+    });
+    if (!form.dataForm) {
+        for (let name in REGISTRATION_FIELDS) {
+            if (name in query) {
+                form.fields.push({
+                    name : name,
+                    type : (name === 'password') ? 'text-private' : 'text-single',
+                    label : REGISTRATION_FIELDS[name],
+                    description : null,
+                    required : true, //all legacy fields are required
+                    value : textOf(query[name]),
+                    options : []
+                });
+            }
+        }
+    }
+    return form;
+}
+
+/**
+ * Collects all namespaces declared within an element descriptor and its children.
+ *
+ * @param {object} element
+ * @param {string[]} namespaces  Array to add to.
+ * @returns {string[]}
+ */
+function collectNamespaces(element, namespaces) {
+    for (let key in element) {
+        if (key.charAt(0) === '$') { continue; }
+        let value = element[key];
+        if (key === 'xmlns') {
+            if ((typeof(value) === 'string') && (namespaces.indexOf(value) === -1)) {
+                namespaces.push(value);
+            }
+        } else if (value && (typeof(value) === 'object')) {
+            for each (let child in (Array.isArray(value) ? value : [value])) {
+                collectNamespaces(child, namespaces);
+            }
+        }
+    }
+    return namespaces;
+}
+
 /**
  * An abstract XMPP session which will handle all connection steps
  * until a session has been established and stanzas may be sent.
@@ -117,51 +279,149 @@ const XMPPSession = Class({
 
     /**
      * @param {object} options
-     *  - {string} jid       A valid JID (username@hostname[/resource])
-     *  - {string} password  The login password for username@hostname
+     *  - {string} jid       A valid JID (username@hostname[/resource]), only the hostname for anonymous logins
+     *  - {string} password  The login password for username@hostname (ignored for anonymous logins)
+     *  - {boolean} anonymous  Log in as a guest via SASL ANONYMOUS (RFC 4505), the server assigns a temporary JID
+     *  - {string[]} saslMechanisms  Allowed SASL mechanisms in order of preference (optional)
+     *  - {object} smResume  State of a previous session to resume (XEP-0198), see getStreamManagementState()
+     *  - {string} hostname  Server to connect to (optional, discovered via DNS SRV or XEP-0156 if missing)
+     *  - {string} dnsResolverUrl  DNS-over-HTTPS service for SRV lookups (optional)
+     *  - {string} transport  One of the TRANSPORT_* constants (defaults to TRANSPORT_TCP)
+     *  - {string} url  Service URL for WebSocket and BOSH transports (optional)
+     *  - {number} pingInterval  Seconds of silence on the stream before the server is pinged (XEP-0199, default 60)
+     *  - {number} pingTimeout  Seconds to wait for a sign of life after a ping (default 20)
+     *  - {boolean} logTraffic  Emit a "traffic" event for every element sent or received (optional)
+     *  - {boolean} register  Create the account by in-band registration (XEP-0077) instead of logging in
      *
      *  - {function} onSessionReady : Will be called as soon as a session is active and stanzas may be sent.
      *  - {function} onDiscoInfo    : Will be called as soon as server service discovery data is available.
      *  - {function} onSessionError : Will be called whenever a fatal error leads to connection loss.
+     *  - {function} onSessionResumed : Will be called before onSessionReady, if a previous session was resumed.
+     *  - {function} onTraffic : Will be called with a summary of each element on the stream, if logTraffic is set.
+     *  - {function} onRegistrationForm(form) : Will be called with the fields to fill in, if register is set.
+     *  - {function} onRegistrationError(condition, text, fatal) : Will be called if the server rejected the form.
+     *  - {function} onRegistrationSuccess : Will be called once the account exists, the session ends afterwards.
      */
     initialize : function initialize(options) {
         if (typeof(options.jid) != 'string') {
             throw new TypeError('Invalid JID');
         }
-        if (typeof(options.password) != 'string') {
+        if ((typeof(options.password) != 'string') && !options.anonymous) {
             throw new TypeError('Invalid Password');
         }
 
         this._connection = null;
         this._sessionState = 'disconnected';
+        this.anonymous = !!options.anonymous;
 
         this._defaultResource = options.resource || 'mozilla';
         this._setJid(options.jid); //may be required for some _init* calls
 
         EventHub.prototype.initialize.apply(this, arguments);
 
-        this._password = options.password;
-        if (!options.hostname) {
-            options.hostname = this._jid.hostname;
-        }
-        this._hostname = options.hostname;
+        this._password = options.password || '';
+        this.logTraffic = !!options.logTraffic;
+        this._register = !!options.register;
+        this._registrationForm = null;
+        this._registrationId = null;
         if (!options.security) {
             options.security = SECURITY_NONE;
         }
+        this._transport = options.transport || TRANSPORT_TCP;
+        if (this._transport !== TRANSPORT_TCP) {
+            //WebSocket and BOSH are either encrypted from the start or not at all
+            if (options.url) {
+                options.security = /^(wss|https):/i.test(options.url) ? SECURITY_SSL : SECURITY_NONE;
+            } else if (options.security !== SECURITY_NONE) {
+                options.security = SECURITY_SSL;
+            }
+        }
         this._security = options.security;
         this._tlsStarted = false;
+        this._saslMechanisms = options.saslMechanisms || SASL_MECHANISMS;
+        this._scram = null;
 
         options.streamHostname = this._jid.hostname;
         options.onElement = this._readHeaderElement;
         options.onTcpError = this._onConnectionError;
+        this._connectionOptions = options;
+        this._hostCandidates = [];
+
+        if (options.hostname || options.url) {
+            this._createConnection();
+        } else {
+            this._discoverHost();
+        }
+    },
+
+    /**
+     * Determines where to connect to when only the JID is known:
+     * via DNS SRV records for TCP, or via XEP-0156 for WebSocket and BOSH.
+     */
+    _discoverHost : function _discoverHost() {
+        var options = this._connectionOptions;
+        var domain = this._jid.hostname;
+        this._setSessionState('resolving');
+
+        if (this._transport === TRANSPORT_TCP) {
+            resolveSrv(domain, options.dnsResolverUrl, function(error, targets) {
+                if (this._sessionState !== 'resolving') { return; } //destroyed in the meantime
+                if (error) {
+                    this._setSessionState('error', error);
+                    return;
+                }
+                this._hostCandidates = targets;
+                this._connectNextHost();
+            }.bind(this));
+        } else {
+            resolveHostMeta(domain, this._transport, function(error, url) {
+                if (this._sessionState !== 'resolving') { return; }
+                if (error) {
+                    this._setSessionState('error', error);
+                    return;
+                }
+                options.url = url;
+                options.security = /^(wss|https):/i.test(url) ? SECURITY_SSL : SECURITY_NONE;
+                this._security = options.security;
+                this._createConnection();
+            }.bind(this));
+        }
+    },
+
+    /**
+     * Tries the next of the discovered SRV targets.
+     * @return {boolean} False if there are no more targets left.
+     */
+    _connectNextHost : function _connectNextHost() {
+        if (!this._hostCandidates.length) {
+            return false;
+        }
+        var target = this._hostCandidates.shift();
+        this._connectionOptions.hostname = target.hostname;
+        this._connectionOptions.port = target.port;
+        this._createConnection();
+        return true;
+    },
 
+    _createConnection : function _createConnection() {
+        var options = this._connectionOptions;
         this._setSessionState('connecting');
-        this._connection = new XMPPConnection(options);
+        switch (this._transport) {
+            case TRANSPORT_WEBSOCKET :
+                this._connection = new XMPPWebSocketConnection(options);
+            break;
+            case TRANSPORT_BOSH :
+                this._connection = new XMPPBoshConnection(options);
+            break;
+            default :
+                this._connection = new XMPPConnection(options);
+        }
+        this._connection.on('elementSent', this._onConnectionElementSent);
     },
 
     _setJid : function _setJid(jid) {
         this._jid = parseJid(jid, this._defaultResource);
-        if (!this._jid.username) {
+        if (!this._jid.username && !this.anonymous) { //guests only learn their JID when binding a resource
             throw new Error('Incomplete JID for XMPP session.');
         }
         Object.freeze(this._jid);
@@ -169,6 +429,43 @@ const XMPPSession = Class({
 
     ///////////////////
 
+    _onConnectionElementSent : function _onConnectionElementSent(name, childNodes, xml) {
+        this._logTraffic('out', name, childNodes, xml);
+    },
+
+    /**
+     * Emits a "traffic" event describing an element sent or received, if logTraffic is enabled.
+     * The contents of SASL elements are hidden, since they may contain credentials.
+     *
+     * @param {string} direction    Either "in" or "out".
+     * @param {string} name         Local name of the element.
+     * @param {object} childNodes   Attributes and children of the element.
+     * @param {string|object} xml   The serialized element or its DOM node.
+     */
+    _logTraffic : function _logTraffic(direction, name, childNodes, xml) {
+        if (!this.logTraffic) { return; }
+        xml = asString(xml);
+        if (childNodes.xmlns === NS_SASL) {
+            xml = xml.replace(/>[^<]+</g, '>[hidden]<');
+        }
+        var thread = childNodes.thread;
+        if (thread && (typeof(thread) === 'object')) {
+            thread = thread.$text;
+        }
+        this.emit('traffic', {
+            direction : direction,
+            time : Date.now(),
+            kind : name,
+            type : childNodes.type || null,
+            id : childNodes.id || null,
+            from : childNodes.from || null,
+            to : childNodes.to || null,
+            namespaces : collectNamespaces(childNodes, []),
+            thread : thread || null,
+            xml : xml
+        });
+    },
+
     _LOG : function _LOG() {
         if (XMPP_STREAMS_DEBUG) {
             var logLine = ('XMPP (' + this._jid.full + ') : ');
@@ -190,6 +487,7 @@ const XMPPSession = Class({
         this._sessionState = name;
         switch (name) {
             case 'session-active' :
+                this._schedulePing();
                 this.emit('sessionReady');
             break;
             case 'error' :
@@ -236,6 +534,12 @@ const XMPPSession = Class({
     ///////////////////
 
     _onConnectionError : function _onConnectionError(info) {
+        if ((this._sessionState === 'connecting') && this._hostCandidates.length && (info !== 'bad-certificate')) {
+            console.warn('XMPP connection to ' + this._connectionOptions.hostname + ' failed, trying next SRV target.');
+            this._connection = null; //destroys itself on error
+            this._connectNextHost();
+            return;
+        }
         switch (typeof(info)) {
             case 'object' :
                 if (info instanceof Error) {
@@ -288,17 +592,20 @@ const XMPPSession = Class({
             requireBind : false,
             requireSession : false,
             identities : {},
-            features : []
+            features : [],
+            streamManagement : false
         }
     },
 
     _readHeaderElement : function _readHeaderElement(header, element) {
+        this._logTraffic('in', element.localName, header, element);
         if (element.localName == 'error') {
             this._onConnectionError(header);
             return;
         }
 
-        switch (element.namespaceURI) {
+        //stanzas of the "jabber:client" namespace are parsed without a namespace
+        switch (element.namespaceURI || 'jabber:client') {
 
             case 'http://etherx.jabber.org/streams' :
                 switch (element.localName) {
@@ -325,22 +632,63 @@ const XMPPSession = Class({
                     case 'success' :
                         this._assertState(
                             'sasl-plain-waiting-result',
+                            'sasl-anonymous-waiting-result',
                             'sasl-digest-md5-waiting-result',
-                            'sasl-digest-md5-waiting-confirm' //some servers skip steps 3 and 4
+                            'sasl-digest-md5-waiting-confirm', //some servers skip steps 3 and 4
+                            'sasl-scram-waiting-result',
+                            'sasl-scram-verified'
                         );
+                        if (this._sessionState === 'sasl-scram-waiting-result') {
+                            //server-final-message is transmitted as additional data of <success>
+                            try {
+                                this._saslScramVerifyServerFinal(element.textContent);
+                            }
+                            catch (e) {
+                                this._setSessionState('error', e.message);
+                                break;
+                            }
+                        }
+                        this._scram = null;
                         this._connection.resetStream();
                     break;
                     case 'failure' :
-                        this._assertState('sasl-plain-waiting-result', 'sasl-digest-md5-waiting-confirm');
+                        this._assertState(
+                            'sasl-plain-waiting-result',
+                            'sasl-anonymous-waiting-result',
+                            'sasl-digest-md5-waiting-confirm',
+                            'sasl-scram-waiting-challenge',
+                            'sasl-scram-waiting-result',
+                            'sasl-scram-verified'
+                        );
+                        this._scram = null;
                         this._setSessionState('error', element.firstElementChild.nodeName);
                     break;
                     case 'challenge' :
-                        this._assertState('sasl-digest-md5-waiting-challenge', 'sasl-digest-md5-waiting-confirm');
+                        this._assertState(
+                            'sasl-digest-md5-waiting-challenge',
+                            'sasl-digest-md5-waiting-confirm',
+                            'sasl-scram-waiting-challenge',
+                            'sasl-scram-waiting-result'
+                        );
                         try {
-                            if (this._sessionState === 'sasl-digest-md5-waiting-challenge') {
-                                this._saslDigestMd5RespondChallenge(element.textContent);
-                            } else {
-                                this._saslDigestMd5RespondConfirm(element.textContent);
+                            switch (this._sessionState) {
+                                case 'sasl-digest-md5-waiting-challenge' :
+                                    this._saslDigestMd5RespondChallenge(element.textContent);
+                                break;
+                                case 'sasl-digest-md5-waiting-confirm' :
+                                    this._saslDigestMd5RespondConfirm(element.textContent);
+                                break;
+                                case 'sasl-scram-waiting-challenge' :
+                                    this._saslScramRespondChallenge(element.textContent);
+                                break;
+                                case 'sasl-scram-waiting-result' :
+                                    //some servers send the server-final-message as a separate challenge
+                                    this._saslScramVerifyServerFinal(element.textContent);
+                                    this._connection.writeElement('response', {
+                                        xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl'
+                                    });
+                                    this._setSessionState('sasl-scram-verified');
+                                break;
                             }
                         }
                         catch (e) {
@@ -356,6 +704,14 @@ const XMPPSession = Class({
                 }
             break;
 
+            case 'jabber:client' :
+                if (this._register && (element.localName === 'iq')) {
+                    this._readRegistrationResponse(header, element);
+                    break;
+                }
+                console.warn('Unexpected XMPP stanza before authentication: ' + element.localName);
+            break;
+
             console.warn('Unknown XMPP server response: ' + element.namespaceURI + ':' + element.localName);
         }
     },
@@ -386,6 +742,12 @@ const XMPPSession = Class({
             }
         }
 
+        // 2a) Create the account instead of logging in (XEP-0077)
+        if (this._register) {
+            this._requestRegistrationForm();
+            return;
+        }
+
         // 2) Authentication
         var mechanisms = element.getElementsByTagNameNS('urn:ietf:params:xml:ns:xmpp-sasl', 'mechanisms');
         if (mechanisms.length > 0) {
@@ -411,6 +773,19 @@ const XMPPSession = Class({
             this.serverInfo.requireSession = true;
         }
 
+        // 3a) Resume a previous session instead of binding a new resource (XEP-0198)
+        var sm = element.getElementsByTagNameNS(NS_XEP0198, 'sm');
+        if (sm.length > 0) {
+            this.serverInfo.streamManagement = true;
+        }
+        if (this._smResume) {
+            if (this.serverInfo.streamManagement) {
+                this._resumeStream();
+                return;
+            }
+            this._abandonResume();
+        }
+
         // 3) Resource binding
         var bind = element.getElementsByTagNameNS('urn:ietf:params:xml:ns:xmpp-bind', 'bind');
         if (bind.length > 0) {
@@ -422,26 +797,248 @@ const XMPPSession = Class({
         this._setSessionState('error', 'Unable to determine next action for XMPP login');
     },
 
+    ////// In-band registration (XEP-0077) ///////
+
+    _requestRegistrationForm : function _requestRegistrationForm() {
+        this._registrationId = uuidhash(16);
+        this._connection.writeElement('iq', {
+            type : 'get',
+            id : this._registrationId,
+            to : this._jid.hostname,
+            query : { xmlns : NS_XEP0077 }
+        });
+        this._setSessionState('register-requesting-form');
+    },
+
+    _readRegistrationResponse : function _readRegistrationResponse(iq, element) {
+        if (iq.id !== this._registrationId) {
+            console.warn('Unexpected XMPP iq during registration: ' + iq.id);
+            return;
+        }
+        this._assertState('register-requesting-form', 'register-waiting-result');
+
+        if (iq.type === 'error') {
+            let condition = 'undefined-condition';
+            let text = null;
+            if (iq.error) {
+                for (let key in iq.error) {
+                    if (iq.error[key] && (iq.error[key].xmlns === 'urn:ietf:params:xml:ns:xmpp-stanzas')) {
+                        if (key === 'text') {
+                            text = textOf(iq.error[key]) || null;
+                        } else {
+                            condition = key;
+                        }
+                    }
+                }
+            }
+            //a form which could not be retrieved cannot be submitted either
+            let fatal = (this._sessionState === 'register-requesting-form') || (REGISTRATION_FATAL_ERRORS.indexOf(condition) !== -1);
+            if (!fatal) {
+                this._setSessionState('register-form-received');
+            }
+            this.emit('registrationError', condition, text, fatal);
+            if (fatal) {
+                this._setSessionState('disconnected');
+            }
+            return;
+        }
+
+        if (this._sessionState === 'register-requesting-form') {
+            this._registrationForm = parseRegistrationForm(iq.query || {});
+            this._setSessionState('register-form-received');
+            this.emit('registrationForm', this._registrationForm);
+        } else {
+            this._setSessionState('registered');
+            this.emit('registrationSuccess');
+            this._setSessionState('disconnected');
+        }
+    },
+
+    /**
+     * Submits the registration form received via the "registrationForm" event.
+     * Fields which are not given keep their default values (e.g. hidden data form fields).
+     *
+     * @param {object} values  Field name -> string value (lines for multi-value fields).
+     *
+     * @throws {Error} If no registration form is pending.
+     */
+    submitRegistration : function submitRegistration(values) {
+        this._assertState('register-form-received');
+        var form = this._registrationForm;
+        var query = { xmlns : NS_XEP0077 };
+
+        function valueOf(field) {
+            return (field.name in values) ? String(values[field.name]) : field.value;
+        }
+
+        if (form.dataForm) {
+            let fields = [];
+            for each (let field in form.fields) {
+                if (!field.name || (field.type === 'fixed')) { continue; }
+                let lines = /-multi$/.test(field.type) ? valueOf(field).split('\n') : [valueOf(field)];
+                fields.push({
+                    'var' : field.name,
+                    value : lines.map(function(line) { return { $text : line }; })
+                });
+            }
+            query.x = { xmlns : NS_DATA_FORMS, type : 'submit', field : fields };
+        } else {
+            for each (let field in form.fields) {
+                query[field.name] = { $text : valueOf(field) };
+            }
+        }
+
+        this._registrationId = uuidhash(16);
+        this._connection.writeElement('iq', {
+            type : 'set',
+            id : this._registrationId,
+            to : this._jid.hostname,
+            query : query
+        });
+        this._setSessionState('register-waiting-result');
+    },
+
+    /**
+     * Selects the first mechanism from the preference list which is offered by the server
+     * and usable on the current connection, then starts the authentication exchange.
+     */
     _sendAuth : function _sendAuth() {
-        if (this.serverInfo.sasl_support['PLAIN'] && (this._tlsStarted || (this._security === SECURITY_SSL))) {
-            //this is a secure connection, so fast plaintext password submission is fine
-            var auth = base64.encode(this._jid.bare + '\0' + this._jid.username + '\0' + this._password, 'utf-8');
+        if (this.anonymous) {
+            if (!this.serverInfo.sasl_support.ANONYMOUS) {
+                this._setSessionState('error', 'Server does not allow guest logins.');
+                return;
+            }
             this._connection.writeElement('auth', {
                 xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
-                mechanism : 'PLAIN',
-                $text : auth
+                mechanism : 'ANONYMOUS'
             });
-            this._setSessionState('sasl-plain-waiting-result');
+            this._setSessionState('sasl-anonymous-waiting-result');
+            return;
         }
-        else if (this.serverInfo.sasl_support['DIGEST-MD5']) {
-            this._connection.writeElement('auth', {
-                xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
-                mechanism : 'DIGEST-MD5'
-            });
-            this._setSessionState('sasl-digest-md5-waiting-challenge');
+        var secure = (this._tlsStarted || (this._security === SECURITY_SSL));
+        for each (let mechanism in this._saslMechanisms) {
+            if (!this.serverInfo.sasl_support[mechanism]) {
+                continue;
+            }
+            switch (mechanism) {
+                case 'SCRAM-SHA-256' :
+                case 'SCRAM-SHA-1' :
+                    this._saslScramStart(mechanism);
+                return;
+                case 'PLAIN' :
+                    if (!secure) { continue; }
+                    //this is a secure connection, so fast plaintext password submission is fine
+                    var auth = base64.encode(this._jid.bare + '\0' + this._jid.username + '\0' + this._password, 'utf-8');
+                    this._connection.writeElement('auth', {
+                        xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
+                        mechanism : 'PLAIN',
+                        $text : auth
+                    });
+                    this._setSessionState('sasl-plain-waiting-result');
+                return;
+                case 'DIGEST-MD5' :
+                    this._connection.writeElement('auth', {
+                        xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
+                        mechanism : 'DIGEST-MD5'
+                    });
+                    this._setSessionState('sasl-digest-md5-waiting-challenge');
+                return;
+            }
         }
-        else {
-            this._setSessionState('error', 'Server does provide any supported authentication mechanism.');
+        this._setSessionState('error', 'Server does not provide any supported authentication mechanism.');
+    },
+
+    /**
+     * Sends the SCRAM client-first-message (RFC 5802).
+     * Channel binding (the -PLUS variants) is not supported, hence the "n" gs2 header.
+     *
+     * @param {string} mechanism  Either "SCRAM-SHA-1" or "SCRAM-SHA-256".
+     * @param {string} [nonce]     Client nonce, only given to replay recorded exchanges in tests.
+     */
+    _saslScramStart : function _saslScramStart(mechanism, nonce) {
+        //all SCRAM messages are handled as binary strings of utf-8 bytes
+        var username = utf8Encode(this._jid.username).replace(/=/g, '=3D').replace(/,/g, '=2C');
+        var scram = this._scram = {
+            alg : SCRAM_HASH_ALGORITHMS[mechanism],
+            gs2Header : 'n,,',
+            nonce : nonce || uuidhash()
+        };
+        scram.clientFirstBare = 'n=' + username + ',r=' + scram.nonce;
+        this._LOG('client-first -> ' + scram.clientFirstBare);
+
+        this._connection.writeElement('auth', {
+            xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
+            mechanism : mechanism,
+            $text : base64.encode(scram.gs2Header + scram.clientFirstBare)
+        });
+        this._setSessionState('sasl-scram-waiting-challenge');
+    },
+
+    /**
+     * Answers the SCRAM server-first-message with the client proof
+     * and precomputes the signature expected from the server.
+     *
+     * @param {string} challenge  Base64 encoded server-first-message.
+     */
+    _saslScramRespondChallenge : function _saslScramRespondChallenge(challenge) {
+        var scram = this._scram;
+        var serverFirst = base64.decode(challenge);
+        this._LOG('server-first -> ' + serverFirst);
+
+        var attributes = parseScramAttributes(serverFirst);
+        if (attributes.m) {
+            throw new Error('Unsupported mandatory extension in SCRAM challenge');
+        }
+        if (!attributes.r || (attributes.r.indexOf(scram.nonce) !== 0) || (attributes.r === scram.nonce)) {
+            throw new Error('Invalid nonce in SCRAM challenge');
+        }
+        if (!attributes.s) {
+            throw new Error('Invalid salt in SCRAM challenge');
+        }
+        var iterations = parseInt(attributes.i, 10);
+        if (!(iterations > 0)) {
+            throw new Error('Invalid iteration count in SCRAM challenge');
+        }
+
+        var alg = scram.alg;
+        var clientFinalBare = 'c=' + base64.encode(scram.gs2Header) + ',r=' + attributes.r;
+        var authMessage = scram.clientFirstBare + ',' + serverFirst + ',' + clientFinalBare;
+
+        var saltedPassword = pbkdf2(this._password, base64.decode(attributes.s), iterations, alg, 'binary');
+        var clientKey = hmac(saltedPassword, 'Client Key', alg, 'binary', true);
+        var storedKey = hash(clientKey, alg, 'binary', true);
+        var clientSignature = hmac(storedKey, authMessage, alg, 'binary', true);
+        var clientProof = xorBinary(clientKey, clientSignature);
+        var serverKey = hmac(saltedPassword, 'Server Key', alg, 'binary', true);
+        scram.serverSignature = hmac(serverKey, authMessage, alg, 'binary', true);
+
+        var response = clientFinalBare + ',p=' + base64.encode(clientProof);
+        this._LOG('client-final -> ' + response);
+
+        this._connection.writeElement('response', {
+            xmlns : 'urn:ietf:params:xml:ns:xmpp-sasl',
+            $text : base64.encode(response)
+        });
+        this._setSessionState('sasl-scram-waiting-result');
+    },
+
+    /**
+     * Verifies the server signature of the SCRAM server-final-message,
+     * which proves that the server actually knows our credentials.
+     *
+     * @param {string} data  Base64 encoded server-final-message.
+     * @throws {Error} If the server reports an error or its signature is invalid.
+     */
+    _saslScramVerifyServerFinal : function _saslScramVerifyServerFinal(data) {
+        var serverFinal = data ? base64.decode(data) : '';
+        this._LOG('server-final -> ' + serverFinal);
+
+        var attributes = parseScramAttributes(serverFinal);
+        if (attributes.e) {
+            throw new Error('SCRAM authentication error: ' + attributes.e);
+        }
+        if (!attributes.v || (base64.decode(attributes.v) !== this._scram.serverSignature)) {
+            throw new Error('Invalid server signature in SCRAM response.');
         }
     },
 
@@ -482,8 +1079,7 @@ const XMPPSession = Class({
             cnonce: uuidhash(),
             nc: '00000001',
             //'serv-type': 'xmpp',
-            //host: this._hostname,
-            'digest-uri': 'xmpp/' + this._hostname,
+            'digest-uri': 'xmpp/' + this._jid.hostname,
             charset: 'utf-8',
             maxbuf: challenge.maxbuf || 65536/*,
             authzid: this._jid.full*/
@@ -570,6 +1166,10 @@ const XMPPSession = Class({
                 this._setJid(response.bind.jid.$text);
                 this._resourceBound = true;
 
+                if (this.serverInfo.streamManagement) {
+                    this._enableStreamManagement();
+                }
+
                 if (this.serverInfo.requireSession) {
                     this._requestSession();
                 } else {
@@ -649,6 +1249,286 @@ const XMPPSession = Class({
         return (this.serverInfo.features.indexOf(feature) != -1);
     },
 
+    //////// Stream Management (XEP-0198) ////////
+
+    _initStreamManagement : function _initStreamManagement(options) {
+        this._sm = {
+            active : false,  //outgoing stanzas are counted and queued
+            enabled : false, //server has confirmed, incoming stanzas are counted
+            id : null,
+            resumable : false,
+            max : 0,
+            inbound : 0,
+            acked : 0,
+            queue : []
+        };
+        this._smAckTimeout = null;
+        this._smResume = options.smResume || null;
+        if (this._smResume && this._smResume.expires && (this._smResume.expires < Date.now())) {
+            this._smResume = null;
+        }
+    },
+
+    _destroyStreamManagement : function _destroyStreamManagement() {
+        if (this._smAckTimeout) {
+            clearTimeout(this._smAckTimeout);
+            this._smAckTimeout = null;
+        }
+    },
+
+    _enableStreamManagement : function _enableStreamManagement() {
+        this._connection.writeElement('enable', { xmlns : NS_XEP0198, resume : 'true' });
+        this._sm.active = true;
+    },
+
+    _readStreamManagementElement : function _readStreamManagementElement(nonza, element) {
+        var sm = this._sm;
+        switch (element.localName) {
+            case 'enabled' :
+                sm.enabled = true;
+                sm.id = nonza.id || null;
+                sm.resumable = (nonza.resume === 'true') || (nonza.resume === '1');
+                sm.max = parseInt(nonza.max, 10) || 0;
+                this._LOG('stream management enabled', sm.resumable ? '(resumable)' : '');
+                this._scheduleAckRequest();
+            break;
+            case 'resumed' :
+                this._handleStreamResumed(nonza);
+            break;
+            case 'failed' :
+                if (this._sessionState === 'sm-resuming') {
+                    console.info('XMPP stream resumption failed, starting a new session.');
+                    this._abandonResume();
+                    this._setSessionState('stream-initialized');
+                    this._bindResource();
+                } else {
+                    console.warn('XMPP stream management could not be enabled.');
+                    sm.active = false;
+                    sm.enabled = false;
+                    sm.queue = [];
+                }
+            break;
+            case 'r' :
+                if (sm.enabled) {
+                    this._connection.writeElement('a', { xmlns : NS_XEP0198, h : sm.inbound });
+                }
+            break;
+            case 'a' :
+                this._handleStreamAck(parseInt(nonza.h, 10));
+            break;
+            default :
+                console.warn('Unknown stream management element: ' + element.localName);
+        }
+    },
+
+    /**
+     * Removes all stanzas from the queue which the server has confirmed as handled.
+     *
+     * @param {number} h  Total number of stanzas handled by the server.
+     */
+    _handleStreamAck : function _handleStreamAck(h) {
+        var sm = this._sm;
+        var count = h - sm.acked;
+        var pending = sm.queue.reduce(function(sum, item) { return sum + item.count; }, 0);
+        if (isNaN(count) || (count < 0) || (count > pending)) {
+            console.warn('Received invalid stream management acknowledgement (' + h + ').');
+            return;
+        }
+        sm.acked = h;
+        while (count > 0) {
+            let item = sm.queue[0];
+            if (item.count > count) {
+                //emulated multicast stanza, which has only been partially handled
+                item.count -= count;
+                break;
+            }
+            count -= item.count;
+            sm.queue.shift();
+        }
+    },
+
+    _scheduleAckRequest : function _scheduleAckRequest() {
+        if (this._sm.enabled && this._sm.queue.length && !this._smAckTimeout) {
+            this._smAckTimeout = setTimeout(this._requestAck, SM_ACK_REQUEST_DELAY);
+        }
+    },
+
+    _requestAck : function _requestAck() {
+        this._smAckTimeout = null;
+        if (this._connection && this._sm.enabled) {
+            this._connection.writeElement('r', { xmlns : NS_XEP0198 });
+        }
+    },
+
+    _resumeStream : function _resumeStream() {
+        this._assertState('stream-initialized');
+        this._setSessionState('sm-resuming');
+        this._connection.writeElement('resume', {
+            xmlns : NS_XEP0198,
+            previd : this._smResume.id,
+            h : this._smResume.inbound
+        });
+    },
+
+    /**
+     * Restores the state of the previous session and
+     * retransmits all stanzas the server has not yet handled.
+     */
+    _handleStreamResumed : function _handleStreamResumed(nonza) {
+        this._assertState('sm-resuming');
+        var state = this._smResume;
+        this._smResume = null;
+
+        var sm = this._sm;
+        sm.active = sm.enabled = sm.resumable = true;
+        sm.id = state.id;
+        sm.max = state.max;
+        sm.inbound = state.inbound;
+        sm.acked = state.acked;
+        sm.queue = state.queue.slice();
+        this._handleStreamAck(parseInt(nonza.h, 10));
+
+        this._setJid(state.jid);
+        this._resourceBound = true;
+        this.serverInfo.identities = state.serverInfo.identities;
+        this.serverInfo.features = state.serverInfo.features;
+        for each (let stanza in state.callbacks) {
+            this._storeCallbackStanza(stanza);
+        }
+
+        var unacked = sm.queue;
+        sm.queue = [];
+        for each (let item in unacked) {
+            item.count = this._writeStanza(item.kind, item.childNodes);
+            sm.queue.push(item);
+        }
+        this._scheduleAckRequest();
+        console.info('XMPP stream resumed (' + unacked.length + ' stanzas retransmitted).');
+
+        this.emit('sessionResumed', state);
+        this._setSessionState('session-active');
+    },
+
+    /**
+     * Gives up on resuming a previous session.
+     * Unconfirmed messages are sent again once the new session is ready
+     * (recipients can detect duplicates by their id).
+     */
+    _abandonResume : function _abandonResume() {
+        var state = this._smResume;
+        this._smResume = null;
+        var messages = state.queue.filter(function(item) {
+            return item.kind === 'message';
+        });
+        if (!messages.length) { return; }
+        this.once('sessionReady', function() {
+            for each (let item in messages) {
+                delete item.childNodes.from; //resource might have changed
+                this.sendStanza(item.kind, item.childNodes);
+            }
+        }.bind(this));
+    },
+
+    /**
+     * Returns all information required to resume the current session
+     * on a new connection, or null if the session is not resumable.
+     *
+     * @returns {object|null}
+     */
+    getStreamManagementState : function getStreamManagementState() {
+        var sm = this._sm;
+        if (!sm.enabled || !sm.resumable || !sm.id) {
+            return null;
+        }
+        return {
+            id : sm.id,
+            jid : this._jid.full,
+            max : sm.max,
+            expires : sm.max ? Date.now() + (sm.max * 1000) : null,
+            inbound : sm.inbound,
+            acked : sm.acked,
+            queue : sm.queue.slice(),
+            callbacks : this._callbackStanzas.slice(),
+            serverInfo : this.serverInfo
+        };
+    },
+
+    //////// Liveness checks (XEP-0199) ////////
+
+    /*
+     * Whitespace keepalives only keep the connection from idling out,
+     * but cannot tell whether the other side is still there.
+     * If nothing has been received for a while, we ping the server
+     * and consider the connection dead if it stays silent.
+     */
+
+    _initPing : function _initPing(options) {
+        this._pingInterval = (options.pingInterval || PING_INTERVAL) * 1000;
+        this._pingTimeout = (options.pingTimeout || PING_TIMEOUT) * 1000;
+        this._pingTimer = null;
+        this._pingSent = 0;
+        this._lastReceived = Date.now();
+    },
+
+    _destroyPing : function _destroyPing() {
+        if (this._pingTimer) {
+            clearTimeout(this._pingTimer);
+            this._pingTimer = null;
+        }
+    },
+
+    _schedulePing : function _schedulePing(delay) {
+        if (this._pingTimer) {
+            clearTimeout(this._pingTimer);
+        }
+        this._pingTimer = setTimeout(this._onPingTimer, (typeof(delay) === 'number') ? delay : this._pingInterval);
+    },
+
+    _onPingTimer : function _onPingTimer() {
+        this._pingTimer = null;
+        if (this._sessionState !== 'session-active') { return; }
+        var now = Date.now();
+
+        if (this._pingSent) {
+            if (this._lastReceived < this._pingSent) {
+                if (now - this._pingSent >= this._pingTimeout) {
+                    console.warn('XMPP server did not answer ping, connection is dead.');
+                    this._setSessionState('error', 'ping-timeout');
+                } else {
+                    this._schedulePing(this._pingTimeout - (now - this._pingSent));
+                }
+                return;
+            }
+            this._pingSent = 0;
+        }
+
+        var idle = now - this._lastReceived;
+        if (idle >= this._pingInterval) {
+            this.checkConnection();
+        } else {
+            this._schedulePing(this._pingInterval - idle);
+        }
+    },
+
+    /**
+     * Pings the server right away, for instance after a network change.
+     * If no data is received within the ping timeout, the session fails
+     * with the error "ping-timeout".
+     */
+    checkConnection : function checkConnection() {
+        if (this._sessionState !== 'session-active') { return; }
+        if (!this._pingSent || (this._lastReceived >= this._pingSent)) {
+            this._pingSent = Date.now();
+            this.sendStanza('iq', {
+                type : 'get',
+                to : this._jid.hostname,
+                ping : { xmlns : NS_XEP0199 },
+                onError : function() {} //any answer proves the connection alive
+            });
+        }
+        this._schedulePing(this._pingTimeout);
+    },
+
     //////// Stanza generation and response ////////
 
     _initCallbackStanzas : function _initCallbackStanzas() {
@@ -695,11 +1575,20 @@ const XMPPSession = Class({
      * @see STANZA_ERROR_CONDITION_TYPES
      */
     _readStanzaElement : function _readStanzaElement(stanza, element) {
+        this._lastReceived = Date.now();
+        this._logTraffic('in', element.localName, stanza, element);
         if (element.localName == 'error') {
             this._onConnectionError(stanza, element);
             return;
         }
+        if (element.namespaceURI === NS_XEP0198) {
+            this._readStreamManagementElement(stanza, element);
+            return;
+        }
         stanza.$kind = element.localName;
+        if (this._sm.enabled && (['message','presence','iq'].indexOf(stanza.$kind) !== -1)) {
+            this._sm.inbound++;
+        }
 
         if (stanza.type == 'error') {
             this._handleResponseStanza(stanza, element);
@@ -853,10 +1742,11 @@ const XMPPSession = Class({
             childNodes.id = uuidhash(16);
         }
 
-        if ((childNodes.addresses) && (childNodes.addresses.xmlns === NS_XEP0033)) {
-            this._sendMulticastStanza(stanza_kind, childNodes);
-        } else {
-            this._connection.writeElement(stanza_kind, childNodes);
+        var count = this._writeStanza(stanza_kind, childNodes);
+
+        if (this._sm.active && count) {
+            this._sm.queue.push({ kind : stanza_kind, childNodes : childNodes, count : count });
+            this._scheduleAckRequest();
         }
 
         childNodes.$kind = stanza_kind; //for echo (make outgoing exactly like incoming)
@@ -867,18 +1757,53 @@ const XMPPSession = Class({
 
     },
 
+    /**
+     * Sends a hand-written stanza, as entered in the XML console.
+     * It is treated like any other stanza, including stream management.
+     *
+     * @param {string} xml  A single <message>, <presence> or <iq> element.
+     *
+     * @throws {Error} If the XML is malformed or not a valid stanza.
+     */
+    sendStanzaXml : function sendStanzaXml(xml) {
+        var element = parseElementString(xml);
+        if (['message', 'presence', 'iq'].indexOf(element.localName) === -1) {
+            throw new Error('Not a stanza: <' + element.localName + '>');
+        }
+        if (element.namespaceURI && (element.namespaceURI !== 'jabber:client')) {
+            throw new Error('Not a stanza: <' + element.localName + '> of namespace ' + element.namespaceURI);
+        }
+        var childNodes = domToJson(element);
+        if (childNodes.xmlns === 'jabber:client') {
+            delete childNodes.xmlns;
+        }
+        this.sendStanza(element.localName, childNodes);
+    },
+
+    /**
+     * @returns {number} Number of stanzas actually written to the stream.
+     */
+    _writeStanza : function _writeStanza(stanza_kind, childNodes) {
+        if ((childNodes.addresses) && (childNodes.addresses.xmlns === NS_XEP0033)) {
+            return this._sendMulticastStanza(stanza_kind, childNodes);
+        }
+        this._connection.writeElement(stanza_kind, childNodes);
+        return 1;
+    },
+
     /**
      * Sends a stanza with XEP-0033 multicast recipients.
      * (Emulated if not natively supported by the server.)
      *
      * @param {string} stanza_kind  Either "message" or "presence".
      * @param {object} childNodes   Attributes and children of the stanza.
+     * @returns {number} Number of stanzas actually written to the stream.
      */
     _sendMulticastStanza: function _sendMulticastStanza(stanza_kind, childNodes) {
         var addresses = childNodes.addresses.address;
-        if (!addresses) { return; } //simply skip if no recipients
+        if (!addresses) { return 0; } //simply skip if no recipients
         if (Array.isArray(addresses)) {
-            if (!addresses.length){ return; }
+            if (!addresses.length){ return 0; }
         } else {
             addresses = [addresses];
         }
@@ -886,7 +1811,7 @@ const XMPPSession = Class({
         if (this.featureAvailable(NS_XEP0033)) {
             childNodes.to = this._jid.hostname;
             this._connection.writeElement(stanza_kind, childNodes);
-            return;
+            return 1;
         }
 
         var origTo = childNodes.to;
@@ -898,6 +1823,7 @@ const XMPPSession = Class({
             this._connection.writeElement(stanza_kind, childNodes);
         }
         childNodes.to = origTo;
+        return addresses.length;
     }
 
 });
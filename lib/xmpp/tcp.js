@@ -226,7 +226,7 @@ const TCPConnection = Class({
         if (status.isUntrusted) {
             message2 = 'not trusted';
         }
-        this._setTcpState('error', message, message2, status.serverCert);
+        this._setTcpState('error', message, message2, status.serverCert, this._host, this._port);
         return true; //suppress error, close socket
     },
 
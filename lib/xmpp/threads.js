@@ -24,6 +24,26 @@ function generateThreadId() {
     return 't' + uuidhash(32);
 }
 
+const NS_XEP0308 = exports.NS_XEP0308 = 'urn:xmpp:message-correct:0';
+
+/**
+ * @param {object} message
+ * @returns {boolean}  Whether the message corrects an earlier one (XEP-0308).
+ */
+function isCorrection(message) {
+    return !!(message.replace && (message.replace.xmlns === NS_XEP0308) && message.replace.id);
+}
+exports.isCorrection = isCorrection;
+
+/**
+ * Sort order of the history: by timestamp, then by id.
+ */
+function compareMessages(a, b) {
+    if (a.$timestamp < b.$timestamp) { return -1; }
+    if (a.$timestamp > b.$timestamp) { return 1; }
+    return a.id.localeCompare(b.id);
+}
+
 /**
  * A wrapper class for the basic XMPPClient, which serves as
  * a <message> multiplexer, allowing for several parallel
@@ -334,6 +354,7 @@ const XMPPThread = Class({
         this.hasMessages = false;
         this._versions = {}; //version ID -> history #
         this._history = []; // # -> { {message}, version, timestamp }
+        this._revisions = {}; //original message ID -> [{correction message}]
         this._normalizeHistory();
     },
 
@@ -365,9 +386,41 @@ const XMPPThread = Class({
             this._history.push({ message: message, version: newVersion });
             this._versions[newVersion] = this._history.length-1;
         }
+        if (isCorrection(message)) {
+            let revisions = this._revisions[message.replace.id] || (this._revisions[message.replace.id] = []);
+            revisions.push(message);
+            revisions.sort(compareMessages);
+        }
         this.hasMessages = true;
     },
 
+    /**
+     * Returns all revisions of a message (XEP-0308), beginning with the original.
+     * Corrections are kept as separate messages in the history, so no revision is ever lost.
+     * Only readable corrections with a body by the original sender are taken into account.
+     *
+     * @param {string} id  ID of the original message.
+     * @returns {object[]}  Empty, if the original message is unknown.
+     */
+    getRevisions: function getRevisions(id) {
+        var original = this.messages[id];
+        if (!original) { return []; }
+        var sender = original.$from.bare;
+        return [original].concat((this._revisions[id] || []).filter(function(revision) {
+            return (revision.$from.bare === sender) && !revision.$undecryptable &&
+                revision.body && (typeof(revision.body.$text) === 'string');
+        }));
+    },
+
+    /**
+     * @param {string} id  ID of the original message.
+     * @returns {object|null}  The latest revision of a message, which may be the original itself.
+     */
+    getLatestRevision: function getLatestRevision(id) {
+        var revisions = this.getRevisions(id);
+        return revisions.length ? revisions[revisions.length-1] : null;
+    },
+
     /**
      * Determine if a message is valid for persistent storage
      *
@@ -437,10 +490,11 @@ const XMPPThread = Class({
 
         var history = this._history;
         history.sort(function(a,b) {
-            if (a.message.$timestamp < b.message.$timestamp) { return -1; }
-            if (a.message.$timestamp > b.message.$timestamp) { return 1; }
-            return a.message.id.localeCompare(b.message.id);
+            return compareMessages(a.message, b.message);
         });
+        for each (let revisions in this._revisions) {
+            revisions.sort(compareMessages);
+        }
 
         var version = '';
         this._versions = {};
@@ -490,12 +544,25 @@ const XMPPThread = Class({
             message.type = 'chat';
         }
         this.emit('_sendMessage', message);
-        this.emit('beforeSendMessage', message);
-        this.client.sendMessage(message, true);
+        if (!message.$outbox) {
+            //queued messages have already been processed when they were stored in the outbox
+            this.emit('beforeSendMessage', message);
+        }
+        this._transmitMessage(message);
         this.emit('afterSendMessage', message);
         //Successfully sent messages are automatically echoed by the client -> receiveMessage()
     },
 
+    /**
+     * Hands a message over to the client, once all subscribers have had a chance to alter it.
+     * Derived classes can override this to transform the stanza on the wire.
+     *
+     * @param {object} message
+     */
+    _transmitMessage: function _transmitMessage(message) {
+        this.client.sendMessage(message, true);
+    },
+
     /**
      * Called by XMPPThreadHubClient to pass messages for this thread.
      *
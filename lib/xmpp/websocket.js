@@ -0,0 +1,317 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const WEBSOCKET_DEBUG = false;
+const REPLY_TIMEOUT = 3000;
+
+const NS_FRAMING = 'urn:ietf:params:xml:ns:xmpp-framing';
+
+const { Cc, Ci } = require('chrome');
+
+const { Class } = require('sdk/core/heritage');
+const { getHiddenWindow } = require('sdk/window/utils');
+const { setTimeout, clearTimeout } = require('sdk/timers');
+const { EventHub } = require('../utils/events');
+const { SECURITY_SSL } = require('./tcp');
+const { serializeStreamElement, importStreamElement, domToJson } = require('./connection');
+
+/**
+ * An XMPP connection over a WebSocket (RFC 7395).
+ * Provides the same interface and events as XMPPConnection,
+ * so that XMPPSession can use either of them interchangeably.
+ */
+const XMPPWebSocketConnection = Class({
+    extends: EventHub,
+    className: 'XMPPWebSocketConnection',
+
+    /**
+     * @param {object} options
+     *  - {string} url : Service URL (defaults to ws(s)://hostname[:port]/xmpp-websocket).
+     *  - {string} hostname : Host of the default service URL.
+     *  - {number} port : Port of the default service URL (optional).
+     *  - {string} security : SECURITY_SSL for a secure WebSocket (wss), otherwise unencrypted.
+     *  - {string} streamHostname : Name by which to address the host in the stream header (defaults to hostname).
+     *  - {number} connectTimeout : Timeout for connection handshake in seconds (default 10).
+     *
+     *  - {function} onConnected()         : Called as soon as connection is established.
+     *  - {function} onDisconnected()      : Called when connection is closed after destroy() was called.
+     *  - {function} onTcpError(msg)       : Called if connection is closed unexpectedly or cannot be established.
+     *  - {function} onStreamStart(e, raw) : Called when a new stream has been opened by the server.
+     *  - {function} onStreamEnd()         : Called when the stream is closed by the server.
+     *  - {function} onElement(e, raw)     : Called when a new stream-level element has been received.
+     *  - {function} onElementSent(name, childNodes, xml) : Called whenever an element has been sent.
+     */
+    initialize : function initialize(options) {
+        this._socket = null;
+        this._state = 'disconnected';
+        this._replyTimer = null;
+        this._connectTimer = null;
+
+        EventHub.prototype.initialize.apply(this, arguments);
+
+        var host = options.hostname || '127.0.0.1';
+        this._streamHost = options.streamHostname || host;
+        this._url = options.url || (
+            ((options.security == SECURITY_SSL) ? 'wss' : 'ws') + '://' + host +
+            (options.port ? ':' + options.port : '') + '/xmpp-websocket'
+        );
+
+        this.subscribeTo(this, '_beforeDestroy', this._sendStreamFooter);
+
+        var connectTimeout = options.connectTimeout || 10; //10sec
+        this._connectTimer = setTimeout(this._onConnectTimeout, connectTimeout * 1000);
+
+        this._state = 'connecting';
+        try {
+            let WebSocket = getHiddenWindow().WebSocket;
+            this._socket = new WebSocket(this._url, 'xmpp');
+        }
+        catch (e) {
+            //defer, so that listeners can be registered after construction
+            setTimeout(this._setState.bind(this, 'error', 'Invalid WebSocket URL: ' + this._url), 0);
+            return;
+        }
+        this._socket.onopen = this._onSocketOpen;
+        this._socket.onmessage = this._onSocketMessage;
+        this._socket.onclose = this._onSocketClose;
+        this._socket.onerror = this._onSocketError;
+    },
+
+    _initXMLParser : function _initXMLParser() {
+        this._parser = Cc['@mozilla.org/xmlextras/domparser;1'].createInstance(Ci.nsIDOMParser);
+        this._inDoc = Cc['@mozilla.org/xml/xml-document;1'].createInstance(Ci.nsIDOMXMLDocument);
+        this._outDoc = Cc['@mozilla.org/xml/xml-document;1'].createInstance(Ci.nsIDOMXMLDocument);
+    },
+
+    _LOG : function _LOG(msg) {
+        if (WEBSOCKET_DEBUG) {
+            console.log('XMPPWebSocketConnection: ' + msg);
+        }
+    },
+
+    _setState : function _setState(state, stateInfo) {
+        if (state == this._state && !stateInfo) { return; }
+        var previousState = this._state;
+        this._LOG('STATE ' + state + (stateInfo ? ' [' + stateInfo + ']' : ''));
+        this._state = state;
+        switch (state) {
+            case 'connected':
+                this._clearConnectTimeout();
+                this.emit('connected');
+                this._sendStreamHeader();
+            break;
+            case 'disconnected':
+                this._socketClose();
+                switch (previousState) {
+                    case 'disconnecting' :
+                        this.emit('disconnected');
+                    break;
+                    case 'connected' :
+                        this.emit('tcpError', 'WebSocket connection lost.');
+                    break;
+                    default:
+                        this.emit('tcpError', 'WebSocket connection failed.');
+                }
+                this.destroy();
+            break;
+            case 'error':
+                this._socketClose();
+                let args = Array.prototype.slice.call(arguments, 1);
+                args.unshift('tcpError');
+                this.emit.apply(this, args);
+                this.destroy();
+            break;
+        }
+    },
+
+    _onSocketOpen : function _onSocketOpen() {
+        if (this._socket.protocol !== 'xmpp') {
+            this._setState('error', 'WebSocket server does not support the "xmpp" sub-protocol.');
+            return;
+        }
+        this._setState('connected');
+    },
+
+    _onSocketMessage : function _onSocketMessage(event) {
+        this.clearReplyTimeout();
+        if (WEBSOCKET_DEBUG) {
+            console.log('XMPP RECV: ' + event.data);
+        }
+        var doc = this._parser.parseFromString(event.data, 'text/xml');
+        var node = doc.documentElement;
+        if (!node || (node.namespaceURI === 'http://www.mozilla.org/newlayout/xml/parsererror.xml')) {
+            this._setState('error', 'Received malformed XML from WebSocket.');
+            return;
+        }
+
+        if (node.namespaceURI === NS_FRAMING) {
+            switch (node.localName) {
+                case 'open' :
+                    this.emit('streamStart', domToJson(node), node);
+                break;
+                case 'close' :
+                    let redirect = node.getAttribute('see-other-uri');
+                    if (redirect) {
+                        console.warn('WebSocket server requested redirect to ' + redirect);
+                    }
+                    this.emit('streamEnd');
+                    //confirm, the server will then close the socket
+                    this._sendStreamFooter();
+                break;
+            }
+            return;
+        }
+
+        var element = importStreamElement(this._inDoc, node);
+        this.emit('element', domToJson(element), element);
+    },
+
+    _onSocketClose : function _onSocketClose(event) {
+        this._LOG('connection closed (' + event.code + ')');
+        this._setState('disconnected');
+    },
+
+    _onSocketError : function _onSocketError() {
+        this._setState('error', 'WebSocket error (' + this._url + ')');
+    },
+
+    _onConnectTimeout : function _onConnectTimeout() {
+        this._connectTimer = null;
+        this._setState('error', 'WebSocket connection timeout expired!');
+    },
+
+    _clearConnectTimeout : function _clearConnectTimeout() {
+        if (this._connectTimer) {
+            clearTimeout(this._connectTimer);
+            this._connectTimer = null;
+        }
+    },
+
+    _socketClose : function _socketClose() {
+        this.clearReplyTimeout();
+        this._clearConnectTimeout();
+        if (this._socket) {
+            this._socket.onopen = null;
+            this._socket.onmessage = null;
+            this._socket.onclose = null;
+            this._socket.onerror = null;
+            if (this._socket.readyState <= 1) { //CONNECTING or OPEN
+                this._socket.close();
+            }
+            this._socket = null;
+        }
+    },
+
+    _sendStreamHeader : function _sendStreamHeader() {
+        this.writeString(
+            '<open xmlns="' + NS_FRAMING + '" version="1.0" to="' + this._streamHost + '"/>'
+        );
+        this.setReplyTimeout(REPLY_TIMEOUT);
+    },
+
+    _sendStreamFooter : function _sendStreamFooter() {
+        if (this._state == 'connected') {
+            this.writeString('<close xmlns="' + NS_FRAMING + '"/>');
+        }
+    },
+
+    _destroyWebSocket : function _destroyWebSocket() {
+        if (['disconnected','error'].indexOf(this._state) == -1) {
+            this._setState('disconnecting');
+            this._socketClose();
+        }
+    },
+
+    /**
+     * Tests whether the connection is live.
+     * @return {boolean}
+     */
+    isConnected : function isConnected() {
+        return (this._state == 'connected');
+    },
+
+    /**
+     * @see TCPConnection.setReplyTimeout()
+     */
+    setReplyTimeout : function setReplyTimeout(msec) {
+        this.clearReplyTimeout();
+        this._replyTimer = setTimeout(this._onReplyTimeout, msec);
+    },
+
+    /**
+     * @see TCPConnection.clearReplyTimeout()
+     */
+    clearReplyTimeout : function clearReplyTimeout() {
+        if (this._replyTimer) {
+            clearTimeout(this._replyTimer);
+            this._replyTimer = null;
+        }
+    },
+
+    _onReplyTimeout : function _onReplyTimeout() {
+        this._replyTimer = null;
+        this._setState('error', 'Reply timeout expired!');
+    },
+
+    /**
+     * WebSocket connections are encrypted from the start (wss) or not at all.
+     * @throws {Error}
+     */
+    startTLS : function startTLS() {
+        throw new Error('STARTTLS is not available for WebSocket connections.');
+    },
+
+    /**
+     * Opens a new stream on the existing WebSocket (e.g. after authentication).
+     */
+    resetStream : function resetStream() {
+        this._sendStreamHeader();
+    },
+
+    /**
+     * Sends an arbitrary string to the server as a single WebSocket message.
+     *
+     * @param {string} str  The string to send.
+     *
+     * @throws {Error} If connection is not ready.
+     * @throws {TypeError} If str is not a string.
+     */
+    writeString : function writeString(str) {
+        if (this._state != 'connected') {
+            throw new Error('Trying to send data over inactive WebSocket.');
+        }
+        if (typeof(str) != 'string') {
+            throw new TypeError('Trying to send unserialized object via WebSocket');
+        }
+        if (WEBSOCKET_DEBUG) {
+            console.log('XMPP SEND: ' + str);
+        }
+        this._socket.send(str);
+    },
+
+    /**
+     * Sends an xml element to the server.
+     *
+     * @see XMPPConnection.writeElement()
+     * @param {string} name         Local name of the XML element.
+     * @param {object} childNodes   Attributes and children of the element.
+     */
+    writeElement : function writeElement(name, childNodes) {
+        var xml = serializeStreamElement(this._outDoc, name, childNodes);
+        this.writeString(xml);
+        this.emit('elementSent', name, childNodes, xml);
+    }
+
+});
+exports.XMPPWebSocketConnection = XMPPWebSocketConnection;
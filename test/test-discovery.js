@@ -0,0 +1,71 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const { orderSrvRecords } = require('./xmpp/discovery');
+
+function record(hostname, priority, weight) {
+    return { hostname: hostname, port: 5222, priority: priority, weight: weight };
+}
+
+function hostnames(targets) {
+    return targets.map(function(target) { return target.hostname; });
+}
+
+exports['test SRV records are ordered by priority'] = function(assert) {
+    var targets = orderSrvRecords([
+        record('c.example', 20, 0),
+        record('a.example', 5, 0),
+        record('b.example', 10, 0)
+    ]);
+    assert.deepEqual(hostnames(targets), ['a.example', 'b.example', 'c.example'], 'lowest priority first');
+    assert.deepEqual(targets[0], { hostname: 'a.example', port: 5222 }, 'only hostname and port returned');
+};
+
+exports['test SRV records of the same priority'] = function(assert) {
+    var records = [
+        record('backup.example', 20, 50),
+        record('x.example', 10, 30),
+        record('y.example', 10, 30),
+        record('z.example', 10, 40)
+    ];
+    var targets = orderSrvRecords(records);
+    assert.equal(targets.length, 4, 'no record lost');
+    assert.deepEqual(hostnames(targets).slice(0, 3).sort(), ['x.example', 'y.example', 'z.example'], 'group tried first');
+    assert.equal(targets[3].hostname, 'backup.example', 'next priority tried last');
+    assert.equal(records.length, 4, 'records not modified');
+};
+
+exports['test SRV records with zero weight'] = function(assert) {
+    for (let i = 0; i < 20; i++) {
+        assert.deepEqual(hostnames(orderSrvRecords([record('zero.example', 0, 0), record('weighted.example', 0, 10)])),
+            ['weighted.example', 'zero.example'], 'weighted record before zero weight (listed first)');
+        assert.deepEqual(hostnames(orderSrvRecords([record('weighted.example', 0, 10), record('zero.example', 0, 0)])),
+            ['weighted.example', 'zero.example'], 'weighted record before zero weight (listed last)');
+    }
+    assert.equal(orderSrvRecords([record('a.example', 0, 0), record('b.example', 0, 0)]).length, 2, 'all zero weights kept');
+};
+
+exports['test SRV selection follows weights'] = function(assert) {
+    var heavy = 0;
+    for (let i = 0; i < 200; i++) {
+        let targets = orderSrvRecords([record('light.example', 0, 1), record('heavy.example', 0, 99)]);
+        if (targets[0].hostname === 'heavy.example') {
+            heavy++;
+        }
+    }
+    assert.ok(heavy > 150, 'heavier record selected first most of the time (' + heavy + ' of 200)');
+};
+
+require('sdk/test').run(exports);
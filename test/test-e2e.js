@@ -0,0 +1,110 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const base64 = require('sdk/base64');
+const { E2EKeyring } = require('./xmpp/e2e');
+
+/**
+ * Creates a keyring for an account, as used by one client.
+ * @param {string} jid  Bare JID of the account.
+ */
+function createKeyring(jid) {
+    return E2EKeyring({
+        client: { rosterSelf: { jid: { bare: jid } } },
+        storage: {}
+    });
+}
+
+const ALICE = 'alice@example.org';
+const BOB = 'bob@example.org';
+const TEXT = 'Grüße from CoopFox ☃';
+
+exports['test round trip between two clients'] = function(assert) {
+    var alice = createKeyring(ALICE);
+    var bob = createKeyring(BOB);
+    alice.learnKey(BOB, bob.getPublicKey());
+
+    var element = alice.encrypt(TEXT, [BOB], 'message-1');
+    assert.equal(bob.decrypt(element, ALICE, 'message-1'), TEXT, 'recipient restores the plaintext');
+    assert.equal(alice.decrypt(element, ALICE, 'message-1'), TEXT, 'sender can read its own message');
+
+    assert.ok(bob.hasKey(ALICE), 'recipient learns the sender key');
+    assert.ok(bob.isCurrentKey(ALICE, element.sender), 'first key of a contact is accepted');
+    assert.equal(bob.getFingerprint(ALICE), alice.getFingerprint(), 'fingerprints match on both clients');
+
+    var answer = bob.encrypt(TEXT, [ALICE], 'message-2');
+    assert.equal(alice.decrypt(answer, BOB, 'message-2'), TEXT, 'answer is readable by the first client');
+};
+
+exports['test tampered messages are rejected'] = function(assert) {
+    var alice = createKeyring(ALICE);
+    var bob = createKeyring(BOB);
+    alice.learnKey(BOB, bob.getPublicKey());
+    var element = alice.encrypt(TEXT, [BOB], 'message-1');
+
+    assert.throws(function() {
+        bob.decrypt(element, ALICE, 'message-2');
+    }, /authentication failed/, 'associated data is authenticated');
+    assert.throws(function() {
+        bob.decrypt(element, 'mallory@example.org', 'message-1');
+    }, /instead of/, 'message must come from the expected sender');
+
+    var payload = base64.decode(element.payload.$text);
+    element.payload.$text = base64.encode(String.fromCharCode(payload.charCodeAt(0) ^ 1) + payload.substr(1));
+    assert.throws(function() {
+        bob.decrypt(element, ALICE, 'message-1');
+    }, /authentication failed/, 'modified ciphertext is detected');
+
+    var eve = createKeyring('eve@example.org');
+    assert.throws(function() {
+        eve.decrypt(alice.encrypt(TEXT, [BOB], 'message-3'), ALICE, 'message-3');
+    }, /not been encrypted for this account/, 'other accounts cannot decrypt');
+};
+
+exports['test changed keys do not replace the known key'] = function(assert) {
+    var alice = createKeyring(ALICE);
+    var bob = createKeyring(BOB);
+    alice.learnKey(BOB, bob.getPublicKey());
+    bob.decrypt(alice.encrypt(TEXT, [BOB], 'message-1'), ALICE, 'message-1');
+    bob.setVerified(ALICE, true);
+    var trusted = bob.getFingerprint(ALICE);
+
+    //someone else claiming to be alice, e.g. through a forged message
+    var impostor = createKeyring(ALICE);
+    impostor.learnKey(BOB, bob.getPublicKey());
+    var forged = impostor.encrypt('forged', [BOB], 'message-2');
+    assert.equal(bob.decrypt(forged, ALICE, 'message-2'), 'forged', 'message with a new key can be read');
+    assert.ok(!bob.isCurrentKey(ALICE, forged.sender), 'new key is not accepted');
+    assert.equal(bob.getFingerprint(ALICE), trusted, 'known key is kept');
+
+    var info = bob.getKeyInfo(ALICE);
+    assert.ok(info.changed, 'contact is flagged as changed');
+    assert.ok(info.verified, 'known key stays verified');
+    assert.equal(info.presentedFingerprint, impostor.getFingerprint(), 'new key is presented to the user');
+
+    bob.setVerified(ALICE, true);
+    assert.ok(bob.getKeyInfo(ALICE).changed, 'verifying the known key does not discard the new one');
+
+    bob.rejectKey(ALICE);
+    assert.ok(!bob.getKeyInfo(ALICE).changed, 'rejected key is discarded');
+    assert.ok(bob.isCurrentKey(ALICE, alice.getPublicKey()), 'known key is still accepted');
+
+    bob.decrypt(impostor.encrypt('forged', [BOB], 'message-3'), ALICE, 'message-3');
+    bob.acceptKey(ALICE);
+    info = bob.getKeyInfo(ALICE);
+    assert.ok(bob.isCurrentKey(ALICE, impostor.getPublicKey()), 'accepted key replaces the known one');
+    assert.ok(!info.changed && !info.verified && !info.presentedFingerprint, 'accepted key is unverified');
+};
+
+require('sdk/test').run(exports);
@@ -0,0 +1,73 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const { NS_COOPFOX } = require('./coopfox');
+const { urlHash } = require('./utils/urls');
+const {
+    PROTOCOL_VERSION, PROTOCOL_FEATURES, protocolFeature, parseProtocolVersion, encodePayload, decodePayload
+} = require('./xmpp/protocol');
+
+exports['test protocol features'] = function(assert) {
+    assert.equal(protocolFeature(1), NS_COOPFOX, 'version 1 announces the plain namespace');
+    assert.equal(protocolFeature(2), NS_COOPFOX + '#v2', 'later versions announce a suffix');
+    assert.equal(PROTOCOL_FEATURES.length, PROTOCOL_VERSION, 'all versions up to the current one announced');
+    assert.equal(PROTOCOL_FEATURES[0], NS_COOPFOX, 'version 1 still announced');
+    assert.equal(PROTOCOL_FEATURES[PROTOCOL_VERSION - 1], protocolFeature(PROTOCOL_VERSION), 'current version announced');
+};
+
+exports['test parseProtocolVersion'] = function(assert) {
+    assert.equal(parseProtocolVersion(undefined), 1, 'missing version is 1');
+    assert.equal(parseProtocolVersion('2'), 2, 'string version parsed');
+    assert.equal(parseProtocolVersion(3), 3, 'numeric version kept');
+    assert.equal(parseProtocolVersion('0'), 1, 'versions below 1 raised to 1');
+    assert.equal(parseProtocolVersion('garbage'), 1, 'invalid version is 1');
+};
+
+exports['test encodePayload'] = function(assert) {
+    var location = { url: 'http://example.com/', urlhash: 'abc' };
+    var payload = { xmlns: NS_COOPFOX, version: String(PROTOCOL_VERSION), location: location };
+
+    var wire = encodePayload(payload, 1);
+    assert.ok(!('version' in wire), 'no version attribute for version 1');
+    assert.equal(wire.location, location, 'children are shared with the history');
+    assert.equal(payload.version, String(PROTOCOL_VERSION), 'stored payload unchanged');
+
+    wire = encodePayload(payload, PROTOCOL_VERSION + 5);
+    assert.equal(wire.version, String(PROTOCOL_VERSION), 'newer recipients receive the current version');
+    assert.equal(wire.location.urlhash, 'abc', 'location hash transmitted');
+};
+
+exports['test payload round trip across versions'] = function(assert) {
+    for (let version = 1; version <= PROTOCOL_VERSION; version++) {
+        let payload = {
+            xmlns: NS_COOPFOX,
+            version: String(PROTOCOL_VERSION),
+            timestamp: '1400000000000',
+            location: { url: 'http://example.com/page', urlhash: 'senderhash', title: 'Page' }
+        };
+        let received = JSON.parse(JSON.stringify(encodePayload(payload, version)));
+        assert.equal(decodePayload(received), version, 'version ' + version + ' detected');
+        assert.deepEqual(received, payload, 'version ' + version + ' payload restored');
+    }
+};
+
+exports['test decodePayload restores missing location hashes'] = function(assert) {
+    var payload = { xmlns: NS_COOPFOX, location: { url: 'http://example.com/page' } };
+    assert.equal(decodePayload(payload), 1, 'payload without version is version 1');
+    assert.equal(payload.version, String(PROTOCOL_VERSION), 'converted to the current version');
+    assert.equal(payload.location.urlhash, urlHash('http://example.com/page'), 'hash computed locally');
+};
+
+require('sdk/test').run(exports);
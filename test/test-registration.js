@@ -0,0 +1,98 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const { Cc, Ci } = require('chrome');
+const { XMPPSession } = require('./xmpp/session');
+const { parseElementString, importStreamElement, domToJson } = require('./xmpp/connection');
+
+/**
+ * Provides just enough of a session to run the in-band registration,
+ * recording every element written to the connection and every event emitted.
+ */
+function createSession() {
+    var session = Object.create(XMPPSession.prototype);
+    session.written = [];
+    session.events = [];
+    session._register = true;
+    session._jid = { hostname: 'example.com' };
+    session._connection = {
+        writeElement: function writeElement(name, element) {
+            session.written.push({ name: name, element: element });
+        }
+    };
+    session._setSessionState = function(state) {
+        session._sessionState = state;
+    };
+    session.emit = function(type) {
+        session.events.push({ type: type, args: Array.slice(arguments, 1) });
+    };
+    return session;
+}
+
+/**
+ * Feeds a stanza to the session exactly as the connection would after parsing it from the stream.
+ */
+function receive(session, xml) {
+    var document = Cc['@mozilla.org/xml/xml-document;1'].createInstance(Ci.nsIDOMXMLDocument);
+    var element = importStreamElement(document, parseElementString(xml));
+    session._readHeaderElement(domToJson(element), element);
+}
+
+exports['test registration form and result are read before authentication'] = function(assert) {
+    var session = createSession();
+
+    session._requestRegistrationForm();
+    assert.equal(session._sessionState, 'register-requesting-form', 'form requested');
+    var id = session.written[0].element.id;
+
+    receive(session,
+        '<iq xmlns="jabber:client" type="result" id="' + id + '">' +
+            '<query xmlns="jabber:iq:register">' +
+                '<instructions>Choose a username and password.</instructions>' +
+                '<username/><password/>' +
+            '</query>' +
+        '</iq>'
+    );
+    assert.equal(session._sessionState, 'register-form-received', 'form received');
+    assert.equal(session.events[0].type, 'registrationForm', 'form emitted');
+    var form = session.events[0].args[0];
+    assert.equal(form.instructions, 'Choose a username and password.', 'instructions parsed');
+    assert.deepEqual(form.fields.map(function(field) { return field.name; }), ['username', 'password'], 'legacy fields parsed');
+
+    session.submitRegistration({ username: 'user', password: 'pencil' });
+    assert.equal(session._sessionState, 'register-waiting-result', 'form submitted');
+    id = session.written[1].element.id;
+
+    receive(session, '<iq xmlns="jabber:client" type="result" id="' + id + '"/>');
+    assert.equal(session._sessionState, 'disconnected', 'session closed after registration');
+    assert.equal(session.events[1].type, 'registrationSuccess', 'success emitted');
+};
+
+exports['test registration error is reported'] = function(assert) {
+    var session = createSession();
+    session._requestRegistrationForm();
+    var id = session.written[0].element.id;
+
+    receive(session,
+        '<iq xmlns="jabber:client" type="error" id="' + id + '">' +
+            '<error type="cancel"><not-allowed xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"/></error>' +
+        '</iq>'
+    );
+    assert.equal(session.events[0].type, 'registrationError', 'error emitted');
+    assert.deepEqual(session.events[0].args, ['not-allowed', null, true], 'unavailable form is fatal');
+    assert.equal(session._sessionState, 'disconnected', 'session closed');
+};
+
+require('sdk/test').run(exports);
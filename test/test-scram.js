@@ -0,0 +1,107 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const base64 = require('sdk/base64');
+const { XMPPSession } = require('./xmpp/session');
+
+/**
+ * Example exchanges of RFC 5802 (SCRAM-SHA-1) and RFC 7677 (SCRAM-SHA-256),
+ * both for the user "user" with the password "pencil".
+ */
+const VECTORS = {
+    'SCRAM-SHA-1': {
+        nonce: 'fyko+d2lbbFgONRv9qkxdawL',
+        clientFirst: 'n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL',
+        serverFirst: 'r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096',
+        clientFinal: 'c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,p=v0X8v3Bz2T0CJGbJQyF0X+HI4Ts=',
+        serverFinal: 'v=rmF9pqV8S7suAoZWja4dJRkFsKQ='
+    },
+    'SCRAM-SHA-256': {
+        nonce: 'rOprNGfwEbeRWgbNEkqO',
+        clientFirst: 'n,,n=user,r=rOprNGfwEbeRWgbNEkqO',
+        serverFirst: 'r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096',
+        clientFinal: 'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=',
+        serverFinal: 'v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4='
+    }
+};
+
+/**
+ * Provides just enough of a session to run the SCRAM methods,
+ * recording every element written to the connection.
+ */
+function createSession() {
+    var session = Object.create(XMPPSession.prototype);
+    session.written = [];
+    session.states = [];
+    session._jid = { username: 'user' };
+    session._password = 'pencil';
+    session._connection = {
+        writeElement: function writeElement(name, element) {
+            session.written.push({ name: name, text: base64.decode(element.$text) });
+        }
+    };
+    session._LOG = function() {};
+    session._setSessionState = function(state) {
+        session.states.push(state);
+    };
+    return session;
+}
+
+function testExchange(assert, mechanism) {
+    var vector = VECTORS[mechanism];
+    var session = createSession();
+
+    session._saslScramStart(mechanism, vector.nonce);
+    assert.equal(session.written[0].name, 'auth', mechanism + ' starts with <auth>');
+    assert.equal(session.written[0].text, vector.clientFirst, mechanism + ' client-first-message');
+
+    session._saslScramRespondChallenge(base64.encode(vector.serverFirst));
+    assert.equal(session.written[1].name, 'response', mechanism + ' answers with <response>');
+    assert.equal(session.written[1].text, vector.clientFinal, mechanism + ' client-final-message');
+    assert.deepEqual(session.states, ['sasl-scram-waiting-challenge', 'sasl-scram-waiting-result']);
+
+    session._saslScramVerifyServerFinal(base64.encode(vector.serverFinal));
+    assert.pass(mechanism + ' server signature accepted');
+
+    assert.throws(function() {
+        session._saslScramVerifyServerFinal(base64.encode('v=' + base64.encode('forged signature')));
+    }, /Invalid server signature/, mechanism + ' forged server signature rejected');
+}
+
+exports['test SCRAM-SHA-1 exchange (RFC 5802)'] = function(assert) {
+    testExchange(assert, 'SCRAM-SHA-1');
+};
+
+exports['test SCRAM-SHA-256 exchange (RFC 7677)'] = function(assert) {
+    testExchange(assert, 'SCRAM-SHA-256');
+};
+
+exports['test SCRAM challenge with foreign nonce'] = function(assert) {
+    var vector = VECTORS['SCRAM-SHA-1'];
+    var session = createSession();
+    session._saslScramStart('SCRAM-SHA-1', vector.nonce);
+    assert.throws(function() {
+        session._saslScramRespondChallenge(base64.encode('r=someothernonce,s=QSXCR+Q6sek8bf92,i=4096'));
+    }, /Invalid nonce/, 'nonce must extend the client nonce');
+};
+
+exports['test SCRAM server error'] = function(assert) {
+    var session = createSession();
+    assert.throws(function() {
+        session._saslScramVerifyServerFinal(base64.encode('e=invalid-proof'));
+    }, /invalid-proof/, 'server-error attribute is reported');
+};
+
+require('sdk/test').run(exports);
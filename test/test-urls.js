@@ -0,0 +1,62 @@
+/**
+ * This file is part of the Firefox extension "CoopFox", developed as part of my master's thesis
+ * at the Cooperative Media Lab, University of Bamberg, Germany.
+ * @copyright (c) 2014 Ralf Strobel
+ *
+ * All content is no longer maintained and is made available purely for archival and educational purposes.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+
+'use strict';
+
+const { stripTrackingParameters, cleanUrl, registerCanonicalUrl, urlHash } = require('./utils/urls');
+
+exports['test tracking parameters are stripped'] = function(assert) {
+    assert.equal(stripTrackingParameters('http://example.com/page?utm_source=feed&utm_medium=rss'),
+        'http://example.com/page', 'query of tracking parameters only is removed');
+    assert.equal(stripTrackingParameters('http://example.com/page?id=1&fbclid=abc&lang=de#top'),
+        'http://example.com/page?id=1&lang=de#top', 'other parameters and fragment are kept in order');
+    assert.equal(stripTrackingParameters('http://example.com/page?UTM_Campaign=x&id=1'),
+        'http://example.com/page?id=1', 'parameter names are compared case-insensitively');
+    assert.equal(stripTrackingParameters('http://example.com/page?gclidx=1'),
+        'http://example.com/page?gclidx=1', 'only exact names match without asterisk');
+};
+
+exports['test separators are kept when stripping'] = function(assert) {
+    assert.equal(stripTrackingParameters('http://example.com/?a=1&amp;utm_source=x&amp;b=2'),
+        'http://example.com/?a=1&amp;b=2', 'escaped separators are kept');
+    assert.equal(stripTrackingParameters('http://example.com/?utm_source=x&amp;a=1&b=2'),
+        'http://example.com/?a=1&b=2', 'separator of a removed first parameter is dropped');
+    var url = 'http://example.com/?a=1&amp;b=2';
+    assert.equal(stripTrackingParameters(url), url, 'URLs without tracking parameters are unchanged');
+};
+
+exports['test cleanUrl removes session IDs and tracking parameters'] = function(assert) {
+    assert.equal(cleanUrl('http://example.com/forum.php?t=5&PHPSESSID=123&utm_source=x#reply'),
+        'http://example.com/forum.php?t=5', 'session ID, tracking parameter and plain fragment removed');
+};
+
+exports['test canonical URL on the same site'] = function(assert) {
+    var page = 'http://www.example.org/article?id=7&print=1';
+    var canonical = 'https://example.org/article/7';
+    assert.ok(registerCanonicalUrl(page, canonical), 'canonical on the same host accepted');
+    assert.equal(urlHash(page), urlHash(canonical), 'page compares as its canonical URL');
+
+    assert.ok(registerCanonicalUrl('http://example.org/a', 'http://news.example.org/a'), 'subdomain accepted');
+};
+
+exports['test canonical URL on another site'] = function(assert) {
+    var page = 'http://attacker.example.net/copy';
+    var hash = urlHash(page);
+    assert.ok(!registerCanonicalUrl(page, 'http://example.com/original'), 'other host rejected');
+    assert.ok(!registerCanonicalUrl(page, 'http://example.net/original'), 'parent domain rejected');
+    assert.ok(!registerCanonicalUrl(page, 'http://evilattacker.example.net/copy'), 'host suffix rejected');
+    assert.ok(!registerCanonicalUrl(page, 'javascript:alert(1)'), 'non-http scheme rejected');
+    assert.equal(urlHash(page), hash, 'page hash unchanged');
+};
+
+require('sdk/test').run(exports);